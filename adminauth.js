@@ -0,0 +1,58 @@
+/**
+ * Guard for the operator endpoints (POST /api/pools/registry/reload)
+ *
+ * With DGB_ADMIN_TOKEN set, a request must carry it as
+ * `Authorization: Bearer <token>`. Without a token only direct loopback
+ * connections are let through; a request relayed by a proxy on the same
+ * host (X-Forwarded-For / Forwarded header) does not count as local, so a
+ * public reverse proxy does not open the endpoint up. Operators on the host
+ * can always use `kill -HUP` instead.
+ */
+
+const crypto = require('crypto');
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** True for a connection from this host that no proxy forwarded. */
+function isDirectLocalRequest(req) {
+  if (req.headers['x-forwarded-for'] || req.headers.forwarded) return false;
+  return LOOPBACK_ADDRESSES.has(req.socket && req.socket.remoteAddress);
+}
+
+/** Constant-time comparison of the bearer token against the configured one. */
+function hasToken(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} [p]
+ * @param {string} [p.token] - admin token; defaults to DGB_ADMIN_TOKEN
+ * @returns {Function} express middleware answering 401 / 403 when refused
+ */
+function createAdminGuard({ token = process.env.DGB_ADMIN_TOKEN } = {}) {
+  return (req, res, next) => {
+    if (token) {
+      if (hasToken(req, token)) return next();
+      return res.status(401).json({ success: false, error: 'Admin token required' });
+    }
+    if (isDirectLocalRequest(req)) return next();
+    res.status(403).json({ success: false, error: 'Only allowed from localhost (or set DGB_ADMIN_TOKEN)' });
+  };
+}
+
+module.exports = {
+  isDirectLocalRequest,
+  createAdminGuard,
+};
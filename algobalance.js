@@ -0,0 +1,417 @@
+/**
+ * Algorithm share balance monitor (one service per network)
+ *
+ * MultiShield retargets each of the five active algos independently so that
+ * every algo finds about 20% of the blocks. This reports each algo's share of
+ * the blocks, and its deviation from that target, over rolling windows:
+ *   1h / 6h / 24h  the stored blocks of blocktimes.js
+ *   7d / 30d       the last 7 / 30 UTC days of history.js daily_algo_stats
+ *                  (today's partial day included)
+ *
+ * Alerts: an algo holding at least DOMINANT_SHARE (35%) of the last hour's
+ * blocks is `dominant`, one holding at most STARVED_SHARE (5%) is `starved`.
+ * The hour window is itself the sustain period, so a short lucky run does not
+ * trip it; an alert clears once the share is CLEAR_MARGIN back inside the
+ * threshold, so a share hovering at the line does not flap. Nothing is
+ * evaluated until the hour window is complete and holds MIN_ALERT_BLOCKS
+ * blocks, and networks without a fixed spacing (regtest) never alert.
+ *
+ * Every refresh broadcasts an `algoBalance` snapshot; raising or clearing an
+ * alert also broadcasts `algoBalanceAlert`. Alerts are kept in
+ * algo_balance_alerts (nodes.db) for the history endpoint, and alerts still
+ * open at shutdown are picked up again by the first refresh.
+ */
+
+const SECONDS_PER_DAY = 86400;
+
+// Window name -> length in seconds, shortest first. Windows up to a day are
+// counted from blocks, longer ones from daily rows.
+const ALGO_BALANCE_WINDOWS = {
+  '1h': 3600,
+  '6h': 6 * 3600,
+  '24h': 86400,
+  '7d': 7 * 86400,
+  '30d': 30 * 86400,
+};
+const ALERT_WINDOW = '1h';
+const DOMINANT_SHARE = 0.35;
+const STARVED_SHARE = 0.05;
+const CLEAR_MARGIN = 0.02;
+// A quarter of an hour's blocks at 15s spacing
+const MIN_ALERT_BLOCKS = 60;
+
+// Algos MultiShield balances; each targets 1 / ACTIVE_ALGOS.length of the blocks
+const ACTIVE_ALGOS = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo'];
+
+// Canonical ordering of the per-algo maps (matches history.js)
+const ALGO_ORDER = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
+const algoRank = (algo) => (ALGO_ORDER.includes(algo) ? ALGO_ORDER.indexOf(algo) : ALGO_ORDER.length);
+
+// ---------------------------------------------------------------------------
+// Pure aggregation
+// ---------------------------------------------------------------------------
+
+/** Per-algo block counts of the blocks at or after `from`. */
+function countBlocks(blocks, from) {
+  const counts = {};
+  for (const block of blocks || []) {
+    if (!block || block.time < from) continue;
+    const algo = block.algo || 'Unknown';
+    counts[algo] = (counts[algo] || 0) + 1;
+  }
+  return counts;
+}
+
+/** Per-algo block counts summed over history.js daily response entries. */
+function countDays(entries) {
+  const counts = {};
+  for (const entry of entries || []) {
+    for (const [algo, stats] of Object.entries(entry.perAlgo || {})) {
+      counts[algo] = (counts[algo] || 0) + (stats.blocks || 0);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Shape one window from per-algo block counts.
+ *
+ * @param {Object<string, number>} counts  algo -> blocks
+ * @param {object} p
+ * @param {number} p.seconds      window length
+ * @param {number} p.from         window start (unix seconds)
+ * @param {number} p.to           window end (unix seconds)
+ * @param {boolean} p.complete    the data reaches back to `from`
+ * @param {string[]} [p.algos]    balanced algos (always listed, 0 blocks included)
+ * @returns {object} { seconds, from, to, complete, totalBlocks, algos }; each
+ *   algo has { blocks, share, deviation }, where deviation is share minus the
+ *   target (null for an algo outside `algos`, share null without blocks)
+ */
+function buildShareStats(counts, { seconds, from, to, complete, algos = ACTIVE_ALGOS }) {
+  const target = 1 / algos.length;
+  const names = new Set([...algos, ...Object.keys(counts)]);
+  const totalBlocks = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  const algoStats = {};
+  for (const name of [...names].sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+    const blocks = counts[name] || 0;
+    const share = totalBlocks ? blocks / totalBlocks : null;
+    algoStats[name] = {
+      blocks,
+      share,
+      deviation: share !== null && algos.includes(name) ? share - target : null,
+    };
+  }
+
+  return { seconds, from, to, complete, totalBlocks, algos: algoStats };
+}
+
+/**
+ * Raise, update and clear alerts from the alert window.
+ *
+ * @param {object} window        buildShareStats result for ALERT_WINDOW
+ * @param {Array<object>} active alerts currently open
+ * @param {object} p
+ * @param {number} p.now                 unix seconds
+ * @param {string[]} [p.algos]           balanced algos
+ * @param {number} [p.dominantShare]
+ * @param {number} [p.starvedShare]
+ * @param {number} [p.clearMargin]
+ * @param {number} [p.minBlocks]
+ * @returns {{ alerts, raised, cleared }} alerts still open after this window,
+ *   and the ones opened / closed by it. An incomplete or thin window leaves
+ *   every alert as it was.
+ */
+function evaluateAlerts(window, active, {
+  now,
+  algos = ACTIVE_ALGOS,
+  dominantShare = DOMINANT_SHARE,
+  starvedShare = STARVED_SHARE,
+  clearMargin = CLEAR_MARGIN,
+  minBlocks = MIN_ALERT_BLOCKS,
+}) {
+  if (!window || !window.complete || window.totalBlocks < minBlocks) {
+    return { alerts: active, raised: [], cleared: [] };
+  }
+
+  const alerts = [];
+  const raised = [];
+  const cleared = [];
+  for (const algo of algos) {
+    const share = window.algos[algo] ? window.algos[algo].share : 0;
+    const open = active.find((alert) => alert.algo === algo);
+
+    if (open) {
+      const recovered = open.kind === 'dominant'
+        ? share < open.threshold - clearMargin
+        : share > open.threshold + clearMargin;
+      const peakShare = open.kind === 'dominant' ? Math.max(open.peakShare, share) : Math.min(open.peakShare, share);
+      const next = { ...open, share, peakShare, updatedAt: now };
+      if (recovered) {
+        cleared.push({ ...next, endedAt: now });
+      } else {
+        alerts.push(next);
+      }
+      continue;
+    }
+
+    let kind = null;
+    if (share >= dominantShare) kind = 'dominant';
+    else if (share <= starvedShare) kind = 'starved';
+    if (kind) {
+      const alert = {
+        algo,
+        kind,
+        window: ALERT_WINDOW,
+        target: 1 / algos.length,
+        threshold: kind === 'dominant' ? dominantShare : starvedShare,
+        share,
+        peakShare: share,
+        startedAt: now,
+        updatedAt: now,
+        endedAt: null,
+      };
+      alerts.push(alert);
+      raised.push(alert);
+    }
+  }
+  // Open alerts for algos no longer balanced stay as they were
+  for (const alert of active) {
+    if (!algos.includes(alert.algo)) alerts.push(alert);
+  }
+
+  return { alerts, raised, cleared };
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+const run = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.run(sql, params, function onDone(err) { err ? reject(err) : resolve(this); }));
+const all = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+function initializeAlgoBalanceTables(db) {
+  return run(
+    db,
+    `CREATE TABLE IF NOT EXISTS algo_balance_alerts (
+      network TEXT NOT NULL,
+      algo TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      threshold REAL,
+      share REAL,
+      peak_share REAL,
+      started_at INTEGER NOT NULL,
+      updated_at INTEGER,
+      ended_at INTEGER,
+      PRIMARY KEY (network, algo, kind, started_at)
+    )`
+  ).then(() => run(db, 'CREATE INDEX IF NOT EXISTS idx_algo_balance_alerts_started ON algo_balance_alerts(network, started_at)'));
+}
+
+/** Insert an alert, or update the share / peak / end of the stored one. */
+function recordAlert(db, network, alert) {
+  return run(
+    db,
+    `INSERT INTO algo_balance_alerts
+       (network, algo, kind, threshold, share, peak_share, started_at, updated_at, ended_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(network, algo, kind, started_at) DO UPDATE SET
+       share = excluded.share,
+       peak_share = excluded.peak_share,
+       updated_at = excluded.updated_at,
+       ended_at = excluded.ended_at`,
+    [network, alert.algo, alert.kind, alert.threshold, alert.share,
+      alert.peakShare, alert.startedAt, alert.updatedAt, alert.endedAt]
+  );
+}
+
+/** Alerts started at or after `since`, plus any still open, newest first. */
+function getAlertHistory(db, network, since) {
+  return all(
+    db,
+    `SELECT * FROM algo_balance_alerts
+     WHERE network = ? AND (started_at >= ? OR ended_at IS NULL)
+     ORDER BY started_at DESC, algo ASC`,
+    [network, since]
+  );
+}
+
+function alertFromRow(row) {
+  return {
+    algo: row.algo,
+    kind: row.kind,
+    window: ALERT_WINDOW,
+    threshold: row.threshold,
+    share: row.share,
+    peakShare: row.peak_share,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at,
+    endedAt: row.ended_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network        networks.js entry (key, slug, blocksPerDay)
+ * @param {object} [p.db]           nodes.db handle for algo_balance_alerts;
+ *                                  without it alerts are not persisted
+ * @param {Function} p.getBlocks    () => Array<{ height, time, algo }>
+ *                                  (blocktimes.js getBlocks)
+ * @param {Function} [p.getDaily]   (days) => Promise<history.js daily response>;
+ *                                  without it only the block windows are reported
+ * @param {Function} p.broadcast    ({ type, data }) => void, sends to every client
+ * @param {Function} [p.nowFn]      () => ms
+ * @param {object} [p.logger]       console-like { log, warn, error }
+ * @param {object} [p.options]      evaluateAlerts overrides (algos, dominantShare, ...)
+ * @returns {{ refresh, getSnapshot, getMessages, getHistory }}
+ */
+function createAlgoBalance({
+  network,
+  db = null,
+  getBlocks,
+  getDaily = null,
+  broadcast,
+  nowFn = () => Date.now(),
+  logger = console,
+  options = {},
+}) {
+  const algos = options.algos || ACTIVE_ALGOS;
+  const alerting = Boolean(network.blocksPerDay);
+  const longestDays = Math.max(...Object.values(ALGO_BALANCE_WINDOWS)) / SECONDS_PER_DAY;
+  let snapshot = null;
+  let alerts = [];
+  let restored = !db;
+
+  const persist = (alert) => (db
+    ? recordAlert(db, network.key, alert)
+      .catch((error) => logger.error(`Error recording ${network.slug} algo balance alert:`, error.message))
+    : Promise.resolve());
+
+  async function buildWindows(now) {
+    const blocks = getBlocks() || [];
+    const oldestTime = blocks.length ? Math.min(...blocks.map((b) => b.time)) : null;
+    const daily = getDaily ? (await getDaily(longestDays)).data || [] : null;
+
+    const windows = {};
+    for (const [name, seconds] of Object.entries(ALGO_BALANCE_WINDOWS)) {
+      if (seconds <= SECONDS_PER_DAY) {
+        const from = now - seconds;
+        windows[name] = buildShareStats(countBlocks(blocks, from), {
+          seconds, from, to: now, complete: oldestTime !== null && oldestTime <= from, algos,
+        });
+      } else if (daily) {
+        const days = seconds / SECONDS_PER_DAY;
+        const entries = daily.slice(-days);
+        const from = entries.length ? Date.parse(`${entries[0].date}T00:00:00Z`) / 1000 : now - seconds;
+        windows[name] = buildShareStats(countDays(entries), {
+          seconds, from, to: now, complete: entries.length === days, algos,
+        });
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * Recompute every window, update the alerts and broadcast `algoBalance`
+   * (plus `algoBalanceAlert` per alert raised or cleared). Keeps the previous
+   * snapshot when its sources cannot be read.
+   */
+  async function refresh() {
+    try {
+      const now = Math.floor(nowFn() / 1000);
+      if (!restored) {
+        alerts = (await getAlertHistory(db, network.key, now))
+          .filter((row) => row.ended_at === null)
+          .map((row) => ({ ...alertFromRow(row), target: 1 / algos.length }));
+        restored = true;
+      }
+
+      const windows = await buildWindows(now);
+      if (alerting) {
+        const result = evaluateAlerts(windows[ALERT_WINDOW], alerts, { ...options, now, algos });
+        alerts = result.alerts;
+        for (const alert of [...result.raised, ...result.cleared]) {
+          broadcast({ type: 'algoBalanceAlert', data: { network: network.slug, ...alert } });
+        }
+        await Promise.all([...alerts, ...result.cleared].map(persist));
+      }
+
+      snapshot = {
+        network: network.slug,
+        generatedAt: now,
+        target: 1 / algos.length,
+        activeAlgos: algos,
+        windows,
+        alerts,
+      };
+      broadcast({ type: 'algoBalance', data: snapshot });
+    } catch (error) {
+      logger.error(`Error computing ${network.slug} algo balance:`, error.message);
+    }
+    return snapshot;
+  }
+
+  /** Last snapshot, or null before the first refresh. */
+  function getSnapshot() {
+    return snapshot;
+  }
+
+  /** Cached snapshot as WebSocket messages for a newly connected client. */
+  function getMessages() {
+    return snapshot ? [{ type: 'algoBalance', data: snapshot }] : [];
+  }
+
+  /**
+   * Daily shares and the alerts of the last `days` days (open alerts
+   * always included). Throws when the alert table cannot be read.
+   */
+  async function getHistory(days) {
+    const now = Math.floor(nowFn() / 1000);
+    const response = getDaily ? await getDaily(days) : null;
+    const daily = response ? (response.data || []).map((entry) => {
+      const stats = buildShareStats(countDays([entry]), { seconds: SECONDS_PER_DAY, from: null, to: null, complete: !entry.partial, algos });
+      const shares = {};
+      let maxDeviation = null;
+      for (const [name, algo] of Object.entries(stats.algos)) {
+        shares[name] = algo.share;
+        if (algo.deviation !== null && (maxDeviation === null || Math.abs(algo.deviation) > Math.abs(maxDeviation))) {
+          maxDeviation = algo.deviation;
+        }
+      }
+      return { date: entry.date, partial: Boolean(entry.partial), totalBlocks: stats.totalBlocks, shares, maxDeviation };
+    }) : [];
+    const rows = db ? await getAlertHistory(db, network.key, now - days * SECONDS_PER_DAY) : [];
+
+    return {
+      network: network.slug,
+      days,
+      generatedAt: now,
+      target: 1 / algos.length,
+      daily,
+      alerts: rows.map(alertFromRow),
+    };
+  }
+
+  return { refresh, getSnapshot, getMessages, getHistory };
+}
+
+module.exports = {
+  ALGO_BALANCE_WINDOWS,
+  ACTIVE_ALGOS,
+  DOMINANT_SHARE,
+  STARVED_SHARE,
+  countBlocks,
+  countDays,
+  buildShareStats,
+  evaluateAlerts,
+  initializeAlgoBalanceTables,
+  recordAlert,
+  getAlertHistory,
+  createAlgoBalance,
+};
@@ -0,0 +1,652 @@
+/**
+ * DigiByte block index (blocks.db)
+ *
+ * recentBlocks only holds the last 240 blocks in memory, so questions like
+ * "every Odo block found by pool X last week" had no answer. This keeps one
+ * row per block and network — the same summary the block pipeline builds
+ * (algo, raw pool tag and canonical pool name, miner address, coinbase value,
+ * tx count, difficulty, BIP9 signals, oracle bundle fields) — in its own
+ * SQLite file, next to history.db and rpccache.db.
+ *
+ * Rows arrive from the ingest paths in server.js (blocknotify, ZMQ rawblock,
+ * the 60s recent-blocks refresh) and from a background backfill that walks
+ * the node for the configured depth. Rows are keyed by (network, height), so
+ * a block replacing another at the same height after a reorg overwrites it.
+ *
+ * Queries are newest first and paginated by height: a page's `nextCursor` is
+ * passed back as `cursor` to continue below it, which stays stable while new
+ * blocks arrive at the tip. The miner leaderboard groups the same rows by
+ * payout address; its cursor is the offset of the next page.
+ *
+ * Writes and the backfill log and swallow SQLite / RPC failures, so a broken
+ * disk or an offline node only costs the index, never an ingest path.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// Backfill depth when the network has a fixed block spacing; covers the
+// longest poolstats.js window
+const DEFAULT_BACKFILL_DAYS = 30;
+// Backfill heights fetched per set of RPC batches, and written per transaction
+const BACKFILL_FLUSH_BLOCKS = 100;
+// A version signals a BIP9 bit only under DigiByte's 0xF0000000 top mask
+// (see rpc.js classifyBlockVersion)
+const VERSIONBITS_TOP_MASK = 0xf0000000;
+const VERSIONBITS_TOP_BITS = 0x20000000;
+// Miner leaderboard windows (seconds back from now; null = every indexed block)
+const MINER_WINDOWS = { '24h': 86400, '7d': 7 * 86400, '30d': 30 * 86400, all: null };
+const DEFAULT_MINER_WINDOW = '7d';
+
+// Canonical algo names (rpc.js getAlgoName) by lower-case query value
+const ALGO_NAMES = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
+const ALGO_BY_QUERY = Object.fromEntries(ALGO_NAMES.map((name) => [name.toLowerCase(), name]));
+const algoRank = (algo) => (ALGO_NAMES.includes(algo) ? ALGO_NAMES.indexOf(algo) : ALGO_NAMES.length);
+
+// ---------------------------------------------------------------------------
+// Promisified sqlite helpers (mirrors history.js)
+// ---------------------------------------------------------------------------
+
+const dbRun = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.run(sql, params, function onDone(err) { err ? reject(err) : resolve(this); }));
+const dbAll = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+const dbGet = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+
+/** Add a column to an existing table when an older blocks.db lacks it. */
+function ensureColumn(db, table, column, decl) {
+  return dbAll(db, `PRAGMA table_info(${table})`).then((cols) => {
+    if (cols.some((c) => c.name === column)) return null;
+    return dbRun(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${decl}`);
+  });
+}
+
+function initBlockIndexTables(db) {
+  return dbRun(
+    db,
+    `CREATE TABLE IF NOT EXISTS blocks (
+      network TEXT NOT NULL,
+      height INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      algo TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      pool_name TEXT,
+      miner_address TEXT NOT NULL,
+      tx_count INTEGER,
+      difficulty REAL,
+      time INTEGER NOT NULL,
+      version INTEGER,
+      taproot_signaling INTEGER NOT NULL DEFAULT 0,
+      digidollar_signaling INTEGER NOT NULL DEFAULT 0,
+      algolock_signaling INTEGER NOT NULL DEFAULT 0,
+      version_rolled INTEGER NOT NULL DEFAULT 0,
+      has_oracle_bundle INTEGER NOT NULL DEFAULT 0,
+      oracle_signer_count INTEGER,
+      oracle_price_usd REAL,
+      oracle_epoch INTEGER,
+      coinbase_value REAL,
+      PRIMARY KEY (network, height)
+    )`
+  )
+    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_blocks_algo ON blocks(network, algo, height)'))
+    .then(() => ensureColumn(db, 'blocks', 'pool_name', 'TEXT'))
+    .then(() => ensureColumn(db, 'blocks', 'coinbase_value', 'REAL'))
+    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_blocks_miner ON blocks(network, miner_address, time)'))
+    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_blocks_pool ON blocks(network, pool COLLATE NOCASE, height)'))
+    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_blocks_pool_name ON blocks(network, pool_name COLLATE NOCASE, height)'))
+    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_blocks_time ON blocks(network, time)'));
+}
+
+// ---------------------------------------------------------------------------
+// Row mapping
+// ---------------------------------------------------------------------------
+
+const COLUMNS = [
+  'network', 'height', 'hash', 'algo', 'pool', 'pool_name', 'miner_address', 'tx_count', 'difficulty', 'time', 'version',
+  'taproot_signaling', 'digidollar_signaling', 'algolock_signaling', 'version_rolled',
+  'has_oracle_bundle', 'oracle_signer_count', 'oracle_price_usd', 'oracle_epoch', 'coinbase_value',
+];
+const INSERT_SQL = `INSERT OR REPLACE INTO blocks (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`;
+
+/**
+ * Row values for a block summary (formatBlockForCache / processBlockForStats
+ * shape), in COLUMNS order.
+ */
+function rowFromBlock(network, block) {
+  return [
+    network,
+    block.height,
+    block.hash,
+    block.algo || 'Unknown',
+    block.poolIdentifier || 'Unknown',
+    block.pool || null,
+    block.minerAddress || block.minedTo || '',
+    block.txCount ?? null,
+    block.difficulty ?? null,
+    block.timestamp,
+    block.version ?? null,
+    block.taprootSignaling ? 1 : 0,
+    block.digidollarSignaling ? 1 : 0,
+    block.algolockSignaling ? 1 : 0,
+    block.versionRolled ? 1 : 0,
+    block.hasOracleBundle ? 1 : 0,
+    block.oracleSignerCount ?? null,
+    block.oraclePriceUsd ?? null,
+    block.oracleEpoch ?? null,
+    block.coinbaseValue ?? null,
+  ];
+}
+
+/** API shape for a row: the same keys as a recentBlocks entry. */
+function blockFromRow(row) {
+  return {
+    height: row.height,
+    hash: row.hash,
+    algo: row.algo,
+    txCount: row.tx_count,
+    difficulty: row.difficulty,
+    timestamp: row.time,
+    minedTo: row.miner_address,
+    minerAddress: row.miner_address,
+    poolIdentifier: row.pool,
+    pool: row.pool_name || row.pool,
+    coinbaseValue: row.coinbase_value,
+    taprootSignaling: !!row.taproot_signaling,
+    digidollarSignaling: !!row.digidollar_signaling,
+    algolockSignaling: !!row.algolock_signaling,
+    versionRolled: !!row.version_rolled,
+    hasOracleBundle: !!row.has_oracle_bundle,
+    oracleSignerCount: row.oracle_signer_count,
+    oraclePriceUsd: row.oracle_price_usd,
+    oracleEpoch: row.oracle_epoch,
+    version: row.version,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Height ranges the backfill still has to walk, newest first: every run of
+ * heights in [tip - depth + 1, tip] with no row yet. Ingest writes land at the
+ * tip at any time, so holes are found from the indexed heights themselves
+ * rather than from the lowest / highest row.
+ *
+ * @param {object} p
+ * @param {number} p.tip              chain tip height
+ * @param {number|null} p.depth       blocks to keep below the tip; null = to genesis
+ * @param {number[]} p.indexed        indexed heights in the window, ascending
+ * @returns {Array<{start:number,end:number}>} inclusive ranges, possibly empty
+ */
+function computeIndexGaps({ tip, depth, indexed = [] }) {
+  const targetStart = depth === null ? 0 : Math.max(0, tip - depth + 1);
+  const gaps = [];
+  let next = targetStart;
+  for (const height of indexed) {
+    if (height < next) continue;
+    if (height > tip) break;
+    if (height > next) gaps.push({ start: next, end: height - 1 });
+    next = height + 1;
+  }
+  if (next <= tip) gaps.push({ start: next, end: tip });
+  return gaps.reverse();
+}
+
+/** Unix seconds from '1760000000' or an ISO-8601 date; NaN when neither. */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : NaN;
+}
+
+/**
+ * Validate `GET /api/blocks` query parameters.
+ *
+ * @param {object} query - req.query ({ algo, pool, from, to, cursor, limit })
+ * @returns {{ filters: object }|{ error: string }}
+ */
+function parseBlockQuery(query = {}) {
+  const filters = { algo: null, pool: null, from: null, to: null, cursor: null, limit: DEFAULT_PAGE_SIZE };
+
+  if (query.algo) {
+    filters.algo = ALGO_BY_QUERY[String(query.algo).toLowerCase()];
+    if (!filters.algo) return { error: `algo must be one of: ${ALGO_NAMES.join(', ')}` };
+  }
+  if (query.pool) filters.pool = String(query.pool);
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    filters[key] = parseTime(String(query[key]));
+    if (!Number.isFinite(filters[key])) return { error: `${key} must be a unix timestamp or an ISO-8601 date` };
+  }
+
+  if (query.cursor !== undefined && query.cursor !== '') {
+    if (!/^\d+$/.test(String(query.cursor))) return { error: 'cursor must be a nextCursor value from a previous page' };
+    filters.cursor = Number(query.cursor);
+  }
+
+  if (query.limit !== undefined && query.limit !== '') {
+    const limit = Number.parseInt(query.limit, 10);
+    if (!Number.isFinite(limit) || limit < 1) return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    filters.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  return { filters };
+}
+
+/**
+ * One page of indexed blocks, newest first.
+ *
+ * @returns {Promise<{ blocks: Array, nextCursor: string|null }>}
+ */
+async function queryBlocks(db, network, { algo = null, pool = null, from = null, to = null, cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const where = ['network = ?'];
+  const params = [network];
+  if (algo) { where.push('algo = ?'); params.push(algo); }
+  if (pool) {
+    where.push('(pool_name = ? COLLATE NOCASE OR pool = ? COLLATE NOCASE)');
+    params.push(pool, pool);
+  }
+  if (from !== null) { where.push('time >= ?'); params.push(from); }
+  if (to !== null) { where.push('time <= ?'); params.push(to); }
+  if (cursor !== null) { where.push('height < ?'); params.push(cursor); }
+
+  // One extra row tells us whether another page exists
+  const rows = await dbAll(
+    db,
+    `SELECT * FROM blocks WHERE ${where.join(' AND ')} ORDER BY height DESC LIMIT ?`,
+    [...params, limit + 1]
+  );
+  const page = rows.slice(0, limit);
+  return {
+    blocks: page.map(blockFromRow),
+    nextCursor: rows.length > limit ? String(page[page.length - 1].height) : null,
+  };
+}
+
+/**
+ * Validate `GET /api/miners` query parameters.
+ *
+ * @param {object} query - req.query ({ window, algo, cursor, limit })
+ * @param {number} [now] - unix seconds the window counts back from
+ * @returns {{ filters: object }|{ error: string }} filters carry `since`
+ *   (null for the `all` window)
+ */
+function parseMinerQuery(query = {}, now = Math.floor(Date.now() / 1000)) {
+  const filters = { window: DEFAULT_MINER_WINDOW, since: null, algo: null, cursor: null, limit: DEFAULT_PAGE_SIZE };
+
+  if (query.window !== undefined && query.window !== '') {
+    if (!Object.prototype.hasOwnProperty.call(MINER_WINDOWS, query.window)) {
+      return { error: `window must be one of: ${Object.keys(MINER_WINDOWS).join(', ')}` };
+    }
+    filters.window = query.window;
+  }
+  const seconds = MINER_WINDOWS[filters.window];
+  filters.since = seconds === null ? null : now - seconds;
+
+  if (query.algo) {
+    filters.algo = ALGO_BY_QUERY[String(query.algo).toLowerCase()];
+    if (!filters.algo) return { error: `algo must be one of: ${ALGO_NAMES.join(', ')}` };
+  }
+
+  if (query.cursor !== undefined && query.cursor !== '') {
+    if (!/^\d+$/.test(String(query.cursor))) return { error: 'cursor must be a nextCursor value from a previous page' };
+    filters.cursor = Number(query.cursor);
+  }
+
+  if (query.limit !== undefined && query.limit !== '') {
+    const limit = Number.parseInt(query.limit, 10);
+    if (!Number.isFinite(limit) || limit < 1) return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    filters.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  return { filters };
+}
+
+/** Key with the most blocks in a Map of key => blocks. */
+const topKey = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0][0];
+const roundValue = (value) => (value === null ? null : Math.round(value * 1e8) / 1e8);
+
+/**
+ * One page of the payout address leaderboard: addresses ranked by blocks
+ * found, then coinbase value. Each entry carries the pool its blocks are
+ * most often attributed to (canonical name and raw coinbase tag) and its
+ * blocks per algo. Blocks without a payout address are left out.
+ *
+ * @returns {Promise<{ totalBlocks, totalMiners, totalCoinbaseValue, miners: Array, nextCursor: string|null }>}
+ */
+async function queryMiners(db, network, { since = null, algo = null, cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const where = ['network = ?', "miner_address != ''"];
+  const params = [network];
+  if (since !== null) { where.push('time >= ?'); params.push(since); }
+  if (algo) { where.push('algo = ?'); params.push(algo); }
+  const offset = cursor || 0;
+
+  const totals = await dbGet(
+    db,
+    `SELECT COUNT(*) AS blocks, COUNT(DISTINCT miner_address) AS miners, SUM(coinbase_value) AS value
+     FROM blocks WHERE ${where.join(' AND ')}`,
+    params
+  );
+  // One extra row tells us whether another page exists
+  const rows = await dbAll(
+    db,
+    `SELECT miner_address AS address, COUNT(*) AS blocks, SUM(coinbase_value) AS value,
+            MIN(height) AS first_height, MAX(height) AS last_height, MAX(time) AS last_time
+     FROM blocks WHERE ${where.join(' AND ')}
+     GROUP BY miner_address ORDER BY blocks DESC, value DESC, address LIMIT ? OFFSET ?`,
+    [...params, limit + 1, offset]
+  );
+  const page = rows.slice(0, limit);
+
+  const details = page.length === 0 ? [] : await dbAll(
+    db,
+    `SELECT miner_address AS address, algo, pool, COALESCE(pool_name, pool) AS pool_name, COUNT(*) AS blocks
+     FROM blocks WHERE ${where.join(' AND ')} AND miner_address IN (${page.map(() => '?').join(', ')})
+     GROUP BY miner_address, algo, pool, 4`,
+    [...params, ...page.map((row) => row.address)]
+  );
+  const byAddress = new Map(page.map((row) => [row.address, { algos: {}, tags: new Map(), names: new Map() }]));
+  for (const row of details) {
+    const entry = byAddress.get(row.address);
+    entry.algos[row.algo] = (entry.algos[row.algo] || 0) + row.blocks;
+    entry.tags.set(row.pool, (entry.tags.get(row.pool) || 0) + row.blocks);
+    entry.names.set(row.pool_name, (entry.names.get(row.pool_name) || 0) + row.blocks);
+  }
+
+  return {
+    totalBlocks: totals.blocks,
+    totalMiners: totals.miners,
+    totalCoinbaseValue: roundValue(totals.value),
+    miners: page.map((row, i) => {
+      const { algos, tags, names } = byAddress.get(row.address);
+      const byAlgo = {};
+      for (const name of Object.keys(algos).sort((a, b) => algoRank(a) - algoRank(b))) byAlgo[name] = algos[name];
+      return {
+        rank: offset + i + 1,
+        address: row.address,
+        pool: topKey(names),
+        poolIdentifier: topKey(tags),
+        blocks: row.blocks,
+        share: totals.blocks ? row.blocks / totals.blocks : 0,
+        coinbaseValue: roundValue(row.value),
+        byAlgo,
+        firstHeight: row.first_height,
+        lastHeight: row.last_height,
+        lastBlockTime: row.last_time,
+      };
+    }),
+    nextCursor: rows.length > limit ? String(offset + limit) : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} [p.db]      open sqlite3 Database (tests); otherwise dbFile is opened
+ * @param {string} [p.dbFile]  path of the index file
+ * @param {Function} [p.log]
+ * @returns {{ db, ready, record, query, miners, getRange, countByPool, countSignals, listPoolTags, relabelPools, backfill, stop, close }}
+ */
+function createBlockIndex({ db = null, dbFile = 'blocks.db', log = () => {} } = {}) {
+  const handle = db || new sqlite3.Database(dbFile);
+  const ready = initBlockIndexTables(handle)
+    .catch((e) => log(`[blockindex] table init failed: ${e.message}`));
+  let stopped = false;
+  // Serializes write transactions (ingest and backfill share the connection)
+  let writeChain = Promise.resolve();
+
+  /**
+   * Upsert block summaries for a network. Resolves with the number written,
+   * 0 when the write failed (logged).
+   */
+  function record(network, blocks) {
+    const rows = (blocks || []).filter((b) => b && Number.isInteger(b.height) && b.hash);
+    if (!rows.length) return Promise.resolve(0);
+
+    const write = writeChain.then(async () => {
+      await ready;
+      try {
+        await dbRun(handle, 'BEGIN');
+        for (const block of rows) await dbRun(handle, INSERT_SQL, rowFromBlock(network, block));
+        await dbRun(handle, 'COMMIT');
+        return rows.length;
+      } catch (e) {
+        await dbRun(handle, 'ROLLBACK').catch(() => {});
+        log(`[blockindex:${network}] write failed: ${e.message}`);
+        return 0;
+      }
+    });
+    writeChain = write;
+    return write;
+  }
+
+  async function query(network, filters) {
+    await ready;
+    return queryBlocks(handle, network, filters);
+  }
+
+  async function miners(network, filters) {
+    await ready;
+    return queryMiners(handle, network, filters);
+  }
+
+  /** Lowest / highest indexed height, oldest block time and row count for a network. */
+  async function getRange(network) {
+    await ready;
+    const row = await dbGet(
+      handle,
+      'SELECT MIN(height) AS low, MAX(height) AS high, MIN(time) AS oldestTime, COUNT(*) AS count FROM blocks WHERE network = ?',
+      [network]
+    );
+    return {
+      low: row ? row.low : null,
+      high: row ? row.high : null,
+      oldestTime: row ? row.oldestTime : null,
+      count: row ? row.count : 0,
+    };
+  }
+
+  /**
+   * Block count and summed difficulty per (canonical pool, algo) for blocks
+   * at or after `since` (unix seconds); the input of poolstats.js. Rows
+   * written before the pool registry existed fall back to the raw tag.
+   *
+   * @returns {Promise<Array<{pool, algo, blocks, sum_difficulty}>>}
+   */
+  async function countByPool(network, since) {
+    await ready;
+    return dbAll(
+      handle,
+      `SELECT COALESCE(pool_name, pool) AS pool, algo, COUNT(*) AS blocks, SUM(difficulty) AS sum_difficulty
+       FROM blocks WHERE network = ? AND time >= ? GROUP BY 1, algo`,
+      [network, since]
+    );
+  }
+
+  /**
+   * Blocks, and blocks signaling BIP9 `bit`, per (algo, canonical pool) for
+   * heights `from`..`to`; the input of deployments.js. `rolled` counts the
+   * signaling blocks that were also version-rolled.
+   *
+   * @returns {Promise<Array<{algo, pool, blocks, signaling, rolled}>>}
+   */
+  async function countSignals(network, { from, to, bit }) {
+    await ready;
+    return dbAll(
+      handle,
+      `SELECT algo, COALESCE(pool_name, pool) AS pool, COUNT(*) AS blocks,
+              SUM(signals) AS signaling, SUM(signals AND version_rolled) AS rolled
+       FROM (
+         SELECT algo, pool, pool_name, version_rolled,
+                ((version & ?) = ? AND (version & ?) != 0) AS signals
+         FROM blocks WHERE network = ? AND height BETWEEN ? AND ?
+       )
+       GROUP BY algo, 2`,
+      [VERSIONBITS_TOP_MASK, VERSIONBITS_TOP_BITS, 2 ** bit, network, from, to]
+    );
+  }
+
+  /**
+   * Distinct (raw coinbase tag, payout address) pairs indexed for a network;
+   * server.js replays them through the pool registry to seed its clusters.
+   *
+   * @returns {Promise<Array<{tag, address}>>}
+   */
+  async function listPoolTags(network) {
+    await ready;
+    return dbAll(
+      handle,
+      'SELECT DISTINCT pool AS tag, miner_address AS address FROM blocks WHERE network = ?',
+      [network]
+    );
+  }
+
+  /**
+   * Re-resolve the canonical pool of every indexed block, e.g. after the pool
+   * registry was reloaded. `nameOf(tag, address)` is called once per distinct
+   * pair; only rows whose name changed are rewritten.
+   *
+   * @returns {Promise<number>} rows updated, 0 when the write failed (logged)
+   */
+  function relabelPools(network, nameOf) {
+    const write = writeChain.then(async () => {
+      await ready;
+      let updated = 0;
+      try {
+        const pairs = await dbAll(handle, 'SELECT DISTINCT pool AS tag, miner_address AS address FROM blocks WHERE network = ?', [network]);
+        await dbRun(handle, 'BEGIN');
+        for (const { tag, address } of pairs) {
+          const name = nameOf(tag, address);
+          const result = await dbRun(
+            handle,
+            `UPDATE blocks SET pool_name = ?
+             WHERE network = ? AND pool = ? AND miner_address = ? AND (pool_name IS NULL OR pool_name != ?)`,
+            [name, network, tag, address, name]
+          );
+          updated += result.changes;
+        }
+        await dbRun(handle, 'COMMIT');
+        return updated;
+      } catch (e) {
+        await dbRun(handle, 'ROLLBACK').catch(() => {});
+        log(`[blockindex:${network}] pool relabel failed: ${e.message}`);
+        return 0;
+      }
+    });
+    writeChain = write;
+    return write;
+  }
+
+  /**
+   * A row only needs the header fields and the coinbase, so each block is
+   * read as `getblock` verbosity 1 (header + txids) plus its coinbase
+   * (`getrawtransaction` with the block hash, no -txindex needed), one batch
+   * per step for the whole chunk. A coinbase the node will not return on its
+   * own (the genesis block's) comes from verbosity 2 instead.
+   *
+   * @param {Function} sendRpcBatch
+   * @param {Array<number>} heights
+   * @returns {Promise<Array<object>>} verbosity-2-shaped blocks carrying only
+   *   the coinbase in `tx`, in `heights` order
+   */
+  async function fetchCoinbaseBlocks(sendRpcBatch, heights) {
+    const missing = (height) => new Error(`no block data at height ${height}`);
+    const hashes = await sendRpcBatch(heights.map((height) => ({ method: 'getblockhash', params: [height] })));
+    hashes.forEach(({ result }, i) => { if (!result) throw missing(heights[i]); });
+
+    const headers = await sendRpcBatch(hashes.map(({ result }) => ({ method: 'getblock', params: [result, 1] })));
+    headers.forEach(({ result }, i) => {
+      if (!result || !Array.isArray(result.tx) || result.tx.length === 0) throw missing(heights[i]);
+    });
+
+    const coinbases = await sendRpcBatch(headers.map(({ result }) => ({ method: 'getrawtransaction', params: [result.tx[0], true, result.hash] })));
+    const unreturned = coinbases.map((entry, i) => (entry.result ? null : i)).filter((i) => i !== null);
+    const fullBlocks = unreturned.length === 0 ? [] : await sendRpcBatch(unreturned.map((i) => ({ method: 'getblock', params: [headers[i].result.hash, 2] })));
+    unreturned.forEach((index, i) => {
+      const fullBlock = fullBlocks[i].result;
+      if (!fullBlock || !Array.isArray(fullBlock.tx) || fullBlock.tx.length === 0) throw missing(heights[index]);
+      coinbases[index] = { result: fullBlock.tx[0] };
+    });
+
+    return headers.map(({ result }, i) => ({ ...result, tx: [coinbases[i].result] }));
+  }
+
+  /**
+   * Walk the node for every height computeIndexGaps reports missing, newest
+   * first, in chunks of BACKFILL_FLUSH_BLOCKS heights (see
+   * fetchCoinbaseBlocks), one write per chunk. Rows indexed before coinbase
+   * values were kept count as missing, so they are rewritten once.
+   * Resumable: a restart only walks what is still missing. Aborts (logged)
+   * on the first RPC failure.
+   *
+   * @param {object} p
+   * @param {string} p.network
+   * @param {Function} p.sendRpc      (method, params) => Promise<result>
+   * @param {Function} p.sendRpcBatch (calls) => Promise<[{ result, error }]>
+   * @param {Function} p.formatBlock  verbosity-2 block => block summary; only
+   *                                  the coinbase is present in `tx`
+   * @param {number|null} p.depth     blocks below the tip to index; null = to genesis
+   * @returns {Promise<number>} blocks written
+   */
+  async function backfill({ network, sendRpc, sendRpcBatch, formatBlock, depth }) {
+    let written = 0;
+    await ready;
+    try {
+      const tip = await sendRpc('getblockcount');
+      if (typeof tip !== 'number') return 0;
+      const targetStart = depth === null ? 0 : Math.max(0, tip - depth + 1);
+      const rows = await dbAll(handle, 'SELECT height FROM blocks WHERE network = ? AND height >= ? AND coinbase_value IS NOT NULL ORDER BY height', [network, targetStart]);
+      const gaps = computeIndexGaps({ tip, depth, indexed: rows.map((r) => r.height) });
+      if (!gaps.length) return 0;
+      log(`[blockindex:${network}] backfilling ${gaps.map((g) => `${g.start}-${g.end}`).join(', ')}`);
+
+      for (const gap of gaps) {
+        for (let high = gap.end; high >= gap.start; high -= BACKFILL_FLUSH_BLOCKS) {
+          if (stopped) return written;
+          const heights = [];
+          for (let height = high; height >= Math.max(gap.start, high - BACKFILL_FLUSH_BLOCKS + 1); height--) heights.push(height);
+          const blocks = await fetchCoinbaseBlocks(sendRpcBatch, heights);
+          written += await record(network, blocks.map(formatBlock));
+        }
+      }
+      log(`[blockindex:${network}] backfill complete: ${written} blocks`);
+    } catch (e) {
+      log(`[blockindex:${network}] backfill aborted after ${written} blocks: ${e.message}`);
+    }
+    return written;
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  function close() {
+    stop();
+    return writeChain.then(() => new Promise((resolve) => handle.close(() => resolve())));
+  }
+
+  return { db: handle, ready, record, query, miners, getRange, countByPool, countSignals, listPoolTags, relabelPools, backfill, stop, close };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  DEFAULT_BACKFILL_DAYS,
+  MINER_WINDOWS,
+  initBlockIndexTables,
+  rowFromBlock,
+  blockFromRow,
+  computeIndexGaps,
+  parseBlockQuery,
+  queryBlocks,
+  parseMinerQuery,
+  queryMiners,
+  createBlockIndex,
+};
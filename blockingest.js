@@ -0,0 +1,311 @@
+/**
+ * Block ingest pipeline with an internal event bus (one per network)
+ *
+ * A new block reaches the server from blocknotify (POST
+ * /api/<prefix>/blocknotify), the mainnet ZMQ rawblock feed and the 60s
+ * recent-blocks refresh. Each source used to normalize the block and drive
+ * the caches itself, and each did slightly different things downstream. The
+ * ingest takes a block hash, a raw serialized block or an already fetched
+ * verbosity-2 block from any source, drops blocks it has already seen (by
+ * hash) and emits typed events the consumers subscribe to:
+ *
+ *   block:connected     { network, block, summary, source }
+ *   tx:confirmed        { network, block, transactions, source }
+ *   block:disconnected  { network, blocks, forkHeight, replacedBy, source }
+ *
+ * `block` is the verbosity-2 block, `summary` its formatBlock entry and
+ * `transactions` its non-coinbase transactions (tx:confirmed only fires when
+ * there are any).
+ *
+ * Reorgs: when a new block does not extend the remembered chain — its
+ * `previousblockhash` is not the block remembered below it, or a different
+ * block is remembered at its height — the ingest walks its ancestors back
+ * with getblockheader to the fork point (at most MAX_REORG_DEPTH blocks, or
+ * until a height it never saw). The remembered blocks above the fork point
+ * are disconnected in one event (`blocks`: { hash, height, txids }, newest
+ * first; descendants of the new block that arrived early are kept), then
+ * the new branch's missing ancestors are fetched and connected oldest first,
+ * then the new block.
+ *
+ * Gaps: a block more than one above the remembered tip (a dropped ZMQ
+ * message, a missed blocknotify) has its missing ancestors fetched the same
+ * way and connected oldest first, so every height gets its events.
+ *
+ * Blocks are processed one at a time in arrival order, and every subscriber
+ * of an event finishes before the next one runs, so consumers see a
+ * network's events in order. A subscriber that throws is logged and does not
+ * stop the others.
+ */
+
+const { parseBlock, headerHash } = require('./rawblock');
+
+// Connected blocks remembered for dedupe and disconnect detection
+const SEEN_LIMIT = 1000;
+// Ancestors walked back looking for the fork point of a reorg
+const MAX_REORG_DEPTH = 100;
+
+const EVENTS = ['block:connected', 'tx:confirmed', 'block:disconnected'];
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network        networks.js entry (key, label)
+ * @param {Function} p.sendRpc      (method, params) => Promise<result>
+ * @param {Function} p.formatBlock  verbosity-2 block => recentBlocks entry
+ * @param {string} [p.chain]        address encoding of raw blocks ('main' | 'test' | 'regtest')
+ * @param {number} [p.seenLimit]
+ * @param {number} [p.maxReorgDepth]
+ * @param {object} [p.logger]       console-like { log, warn, error }
+ * @returns {{ ingestHash, ingestRaw, ingestBlock, markSeen, has, getTip, on }}
+ */
+function createBlockIngest({
+  network,
+  sendRpc,
+  formatBlock,
+  chain = 'main',
+  seenLimit = SEEN_LIMIT,
+  maxReorgDepth = MAX_REORG_DEPTH,
+  logger = console,
+}) {
+  const handlers = Object.fromEntries(EVENTS.map((event) => [event, []]));
+  // hash -> { height, previous, txids } and height -> hash of the remembered
+  // blocks; `previous` / `txids` are null for blocks only marked seen
+  const seen = new Map();
+  const hashByHeight = new Map();
+  let tip = null;
+  let queue = Promise.resolve();
+
+  function remember(hash, height, previous = null, txids = null) {
+    seen.delete(hash);
+    seen.set(hash, { height, previous, txids });
+    hashByHeight.set(height, hash);
+    while (seen.size > seenLimit) {
+      const [oldHash, old] = seen.entries().next().value;
+      seen.delete(oldHash);
+      if (hashByHeight.get(old.height) === oldHash) hashByHeight.delete(old.height);
+    }
+    if (!tip || height >= tip.height) tip = { hash, height };
+  }
+
+  function forget(hash) {
+    const entry = seen.get(hash);
+    seen.delete(hash);
+    if (entry && hashByHeight.get(entry.height) === hash) hashByHeight.delete(entry.height);
+  }
+
+  function resetTip() {
+    tip = null;
+    for (const [hash, { height }] of seen) {
+      if (!tip || height > tip.height) tip = { hash, height };
+    }
+  }
+
+  /** Run every subscriber of `event` in order; failures are logged. */
+  async function emit(event, payload) {
+    for (const handler of handlers[event]) {
+      try {
+        await handler(payload);
+      } catch (error) {
+        logger.error(`${network.label} ${event} subscriber failed:`, error.message);
+      }
+    }
+  }
+
+  /** Serialize ingests so events fire in arrival order. */
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  const usable = (block) => Boolean(block && Array.isArray(block.tx) && block.tx[0] && block.hash && typeof block.height === 'number');
+
+  /** Remember a block and emit block:connected (and tx:confirmed). */
+  async function attach(block, source) {
+    const summary = formatBlock(block);
+    const transactions = block.tx.slice(1);
+    remember(block.hash, block.height, block.previousblockhash || null, transactions.map((tx) => tx.txid || tx.hash));
+    await emit('block:connected', { network: network.key, block, summary, source });
+    if (transactions.length) {
+      await emit('tx:confirmed', { network: network.key, block, transactions, source });
+    }
+    return summary;
+  }
+
+  /**
+   * Walk the new block's ancestors back to the first one that is remembered
+   * (or at a height never seen below the tip): the fork point. Heights
+   * above the remembered tip are a gap and are walked through.
+   *
+   * @returns {Promise<{ forkHeight: number, branch: string[] }>} branch holds
+   *   the new chain's ancestors above the fork point, newest first
+   */
+  async function findForkPoint(block) {
+    const branch = [];
+    let hash = block.previousblockhash;
+    let height = block.height - 1;
+    while (hash && branch.length < maxReorgDepth) {
+      const known = hashByHeight.get(height);
+      const gap = tip !== null && height > tip.height;
+      if (!gap && (known === undefined || known === hash)) break;
+      branch.push(hash);
+      const header = await sendRpc('getblockheader', [hash]);
+      hash = header && header.previousblockhash;
+      height -= 1;
+    }
+    return { forkHeight: height, branch };
+  }
+
+  /** Remembered blocks above the fork point, minus descendants of `block` that arrived early. */
+  function staleAbove(forkHeight, block) {
+    const keep = new Set();
+    let parent = block.hash;
+    for (let height = block.height + 1; hashByHeight.has(height); height++) {
+      const hash = hashByHeight.get(height);
+      if (seen.get(hash).previous !== parent) break;
+      keep.add(hash);
+      parent = hash;
+    }
+    return [...hashByHeight.entries()]
+      .filter(([height, hash]) => height > forkHeight && !keep.has(hash))
+      .sort((a, b) => b[0] - a[0])
+      .map(([height, hash]) => ({ hash, height, txids: seen.get(hash).txids || [] }));
+  }
+
+  async function connect(block, source) {
+    if (!usable(block)) {
+      logger.log(`${network.label}: invalid block data from ${source}, skipping`);
+      return null;
+    }
+    if (seen.has(block.hash)) return null;
+
+    const parent = hashByHeight.get(block.height - 1);
+    const competitor = hashByHeight.get(block.height);
+    const gap = parent === undefined && !!block.previousblockhash && tip !== null && tip.height < block.height - 1;
+    const extendsChain = parent === undefined || !block.previousblockhash || parent === block.previousblockhash;
+    if (!gap && extendsChain && (competitor === undefined || competitor === block.hash)) {
+      return attach(block, source);
+    }
+    if (gap) {
+      logger.log(`${network.label}: ${block.height - tip.height - 1} block(s) missing below ${block.hash}, fetching them`);
+    }
+
+    const { forkHeight, branch } = await findForkPoint(block);
+    const stale = staleAbove(forkHeight, block);
+    if (stale.length) {
+      stale.forEach(({ hash }) => forget(hash));
+      resetTip();
+      logger.log(`${network.label}: reorg at height ${forkHeight + 1}, ${stale.length} block(s) disconnected by ${block.hash}`);
+      await emit('block:disconnected', { network: network.key, blocks: stale, forkHeight, replacedBy: block.hash, source });
+    }
+
+    // The new branch's (or the gap's) ancestors we never saw, oldest first
+    for (const hash of branch.reverse()) {
+      if (seen.has(hash)) continue;
+      const ancestor = await sendRpc('getblock', [hash, 2]);
+      if (!usable(ancestor)) {
+        logger.warn(`${network.label}: could not fetch ancestor block ${hash}`);
+        break;
+      }
+      await attach(ancestor, source);
+    }
+    return attach(block, source);
+  }
+
+  /**
+   * Ingest a verbosity-2 block someone already fetched.
+   *
+   * @returns {Promise<object|null>} the summary, or null when the block was
+   *   already seen or is not a usable block
+   */
+  function ingestBlock(block, source) {
+    return enqueue(() => connect(block, source));
+  }
+
+  /** Ingest a block by hash (blocknotify, polling): one getblock unless already seen. */
+  function ingestHash(hash, source) {
+    return enqueue(async () => {
+      if (seen.has(hash)) return null;
+      const block = await sendRpc('getblock', [hash, 2]);
+      return connect(block, source);
+    });
+  }
+
+  /**
+   * Ingest a serialized block (ZMQ rawblock). Parsed in-process
+   * (rawblock.js); a payload that does not parse, or has no BIP34 height, is
+   * fetched by its header hash instead.
+   */
+  function ingestRaw(buffer, source) {
+    return enqueue(async () => {
+      let block = null;
+      try {
+        const parsed = parseBlock(buffer, { chain });
+        if (parsed.height !== null) block = parsed;
+      } catch (error) {
+        logger.warn(`${network.label}: could not parse raw block from ${source}, fetching it over RPC:`, error.message);
+      }
+      if (!block) {
+        const hash = headerHash(buffer);
+        if (!hash || seen.has(hash)) return null;
+        block = await sendRpc('getblock', [hash, 2]);
+      }
+      return connect(block, source);
+    });
+  }
+
+  /**
+   * Remember blocks loaded in bulk (cache warm-up, backfill) without emitting
+   * events, so a later push of the same block is dropped as a duplicate.
+   * A block at a height where a different block is remembered is not marked:
+   * it replaces that block, which only ingesting it disconnects.
+   *
+   * @param {Array} blocks - { hash, height } entries
+   * @returns {Array} the blocks refused because another hash holds their height
+   */
+  function markSeen(blocks) {
+    const conflicting = [];
+    for (const block of blocks) {
+      if (!block || !block.hash || typeof block.height !== 'number' || seen.has(block.hash)) continue;
+      const known = hashByHeight.get(block.height);
+      if (known !== undefined && known !== block.hash) {
+        conflicting.push(block);
+      } else {
+        remember(block.hash, block.height);
+      }
+    }
+    return conflicting;
+  }
+
+  /**
+   * Subscribe to an event.
+   *
+   * @returns {Function} unsubscribe
+   */
+  function on(event, handler) {
+    if (!handlers[event]) throw new Error(`Unknown block ingest event: ${event}`);
+    handlers[event].push(handler);
+    return () => {
+      handlers[event] = handlers[event].filter((h) => h !== handler);
+    };
+  }
+
+  return {
+    ingestHash,
+    ingestRaw,
+    ingestBlock,
+    markSeen,
+    has: (hash) => seen.has(hash),
+    getTip: () => tip,
+    on,
+  };
+}
+
+module.exports = {
+  SEEN_LIMIT,
+  MAX_REORG_DEPTH,
+  createBlockIngest,
+};
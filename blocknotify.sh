@@ -1,6 +1,8 @@
 #!/bin/bash
 
+# Usage: blocknotify.sh <blockhash> [network route, e.g. testnet or regtest]
 BLOCK_HASH=$1
-ENDPOINT="http://localhost:5001/api/blocknotify"
+NETWORK=${2:+/$2}
+ENDPOINT="http://localhost:5001/api${NETWORK}/blocknotify"
 
-curl -X POST -H "Content-Type: application/json" -d "{\"blockhash\":\"$BLOCK_HASH\"}" $ENDPOINT
\ No newline at end of file
+curl -X POST -H "Content-Type: application/json" -d "{\"blockhash\":\"$BLOCK_HASH\"}" $ENDPOINT
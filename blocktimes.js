@@ -0,0 +1,294 @@
+/**
+ * Per-algo block interval analytics (one service per network)
+ *
+ * DigiByte targets 15s blocks across five algos, so each algo should find a
+ * block about every 75s. This keeps the timestamps of the last day of blocks
+ * (history.js headers at startup, then every block the ingest pipeline sees)
+ * and reports, per algo and rolling 1h / 6h / 24h window, the distribution of
+ * intervals between consecutive blocks of that algo: median, p90, max, mean.
+ *
+ * An interval is the time from an algo's previous block to its next one and
+ * belongs to the window holding the later block. Intervals are only measured
+ * across heights that are all known: a hole in the stored heights (a fetch
+ * that failed) restarts every algo, so a missing block is never mistaken for
+ * a slow one.
+ *
+ * Slow-block detection: an interval of at least SLOW_GAP_FACTOR times the
+ * algo's target spacing is flagged in `slowGaps`, and an algo whose last
+ * block is already that old is flagged `stalled`. Networks without a fixed
+ * spacing (regtest) report intervals but flag nothing.
+ *
+ * blockIntervals() and slowGapThreshold() are shared with history.js, which
+ * folds the same intervals into its daily / hourly rows; algobalance.js reads
+ * the stored blocks through getBlocks().
+ */
+
+// Algos mining at once; each targets this many times the chain spacing
+const ACTIVE_ALGOS = 5;
+// Intervals at least this many times the per-algo target are flagged
+const SLOW_GAP_FACTOR = 8;
+const SECONDS_PER_DAY = 86400;
+
+// Window name -> length in seconds, shortest first
+const BLOCK_TIME_WINDOWS = {
+  '1h': 3600,
+  '6h': 6 * 3600,
+  '24h': 86400,
+};
+const LONGEST_WINDOW = Math.max(...Object.values(BLOCK_TIME_WINDOWS));
+// Kept below the longest window so its first interval per algo has a predecessor
+const CONTEXT_SECONDS = 3600;
+// Flagged intervals returned, newest first
+const MAX_SLOW_GAPS = 50;
+// Upper bound on stored blocks; only reached without a fixed spacing (regtest)
+const MAX_UNSPACED_BLOCKS = 20000;
+
+// Canonical ordering of the per-algo maps (matches history.js)
+const ALGO_ORDER = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
+const algoRank = (algo) => (ALGO_ORDER.includes(algo) ? ALGO_ORDER.indexOf(algo) : ALGO_ORDER.length);
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+/** Per-algo target spacing in seconds (75 on mainnet), or null without a fixed spacing. */
+function algoTargetSpacing(blocksPerDay) {
+  return blocksPerDay ? (SECONDS_PER_DAY / blocksPerDay) * ACTIVE_ALGOS : null;
+}
+
+/** Interval in seconds from which a block counts as slow (600 on mainnet), or null. */
+function slowGapThreshold(blocksPerDay) {
+  const spacing = algoTargetSpacing(blocksPerDay);
+  return spacing === null ? null : SLOW_GAP_FACTOR * spacing;
+}
+
+/**
+ * Interval of every block since the previous block of its algo.
+ *
+ * @param {Array<{height:number, time:number, algo:string}>} blocks  any order
+ * @returns {Array<{height, time, algo, interval}>} ascending by height; blocks
+ *   with no known predecessor (first of their algo, or just above a hole in
+ *   the heights) are left out
+ */
+function blockIntervals(blocks) {
+  const sorted = (blocks || [])
+    .filter((b) => b && Number.isInteger(b.height) && Number.isFinite(b.time))
+    .sort((a, b) => a.height - b.height);
+  const previous = new Map();
+  const out = [];
+  let lastHeight = null;
+  for (const block of sorted) {
+    if (block.height === lastHeight) continue;
+    if (lastHeight !== null && block.height !== lastHeight + 1) previous.clear();
+    const algo = block.algo || 'Unknown';
+    const prev = previous.get(algo);
+    if (prev) out.push({ height: block.height, time: block.time, algo, interval: block.time - prev.time });
+    previous.set(algo, block);
+    lastHeight = block.height;
+  }
+  return out;
+}
+
+/** Nearest-rank percentile of an ascending array, or null when empty. */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * One window of per-algo interval statistics.
+ *
+ * @param {Array} blocks      stored blocks ({ height, time, algo })
+ * @param {Array} intervals   blockIntervals(blocks)
+ * @param {object} p
+ * @param {number} p.seconds          window length
+ * @param {number} p.to               window end (unix seconds)
+ * @param {number|null} p.oldestTime  oldest stored block time
+ * @returns {object} { seconds, from, to, complete, algos }
+ */
+function buildWindowStats(blocks, intervals, { seconds, to, oldestTime }) {
+  const from = to - seconds;
+  const counts = {};
+  const byAlgo = {};
+  for (const block of blocks) {
+    if (block.time < from) continue;
+    const algo = block.algo || 'Unknown';
+    counts[algo] = (counts[algo] || 0) + 1;
+  }
+  for (const entry of intervals) {
+    if (entry.time < from) continue;
+    (byAlgo[entry.algo] || (byAlgo[entry.algo] = [])).push(entry.interval);
+  }
+
+  const algos = {};
+  for (const name of Object.keys(counts).sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+    const values = (byAlgo[name] || []).sort((a, b) => a - b);
+    algos[name] = {
+      blocks: counts[name],
+      intervals: values.length,
+      median: percentile(values, 50),
+      p90: percentile(values, 90),
+      max: values.length ? values[values.length - 1] : null,
+      mean: values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+    };
+  }
+
+  return {
+    seconds,
+    from,
+    to,
+    complete: oldestTime !== null && oldestTime !== undefined && oldestTime <= from,
+    algos,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network          networks.js entry (key, slug, blocksPerDay)
+ * @param {Function} p.sendRpc        (method, params) => Promise<result>
+ * @param {Function} [p.fetchHeaders] (from, to) => Promise<Array<{height, time, algo}>>
+ *                                    (history.js fetchHeadersRange); without it
+ *                                    only ingested blocks are counted
+ * @param {Function} [p.nowFn]        () => ms
+ * @param {object} [p.logger]         console-like { log, warn, error }
+ * @returns {{ refresh, addBlocks, getBlocks, getStats }}
+ */
+function createBlockTimes({ network, sendRpc, fetchHeaders = null, nowFn = () => Date.now(), logger = console }) {
+  const { blocksPerDay } = network;
+  const targetSpacing = algoTargetSpacing(blocksPerDay);
+  const slowThreshold = slowGapThreshold(blocksPerDay);
+  // height -> { height, time, algo }
+  const blocks = new Map();
+  let prunedThrough = -1;
+
+  /**
+   * Drop the lowest blocks while they are older than the longest window plus
+   * its context, or while more than MAX_UNSPACED_BLOCKS are kept. refresh()
+   * never fetches at or below a pruned height again.
+   */
+  function prune() {
+    const cutoff = Math.floor(nowFn() / 1000) - LONGEST_WINDOW - CONTEXT_SECONDS;
+    let excess = blocks.size - MAX_UNSPACED_BLOCKS;
+    for (const height of [...blocks.keys()].sort((a, b) => a - b)) {
+      if (excess <= 0 && blocks.get(height).time >= cutoff) break;
+      blocks.delete(height);
+      prunedThrough = Math.max(prunedThrough, height);
+      excess--;
+    }
+  }
+
+  /**
+   * Record block summaries (formatBlockForCache entries or history.js
+   * headers). A block at a known height replaces the old one (reorg).
+   */
+  function addBlocks(list) {
+    for (const block of list || []) {
+      if (!block || !Number.isInteger(block.height)) continue;
+      const time = block.timestamp ?? block.time;
+      if (!Number.isFinite(time)) continue;
+      blocks.set(block.height, { height: block.height, time, algo: block.algo || 'Unknown' });
+    }
+    prune();
+  }
+
+  /**
+   * Fetch the headers of every height in the tracked span not yet stored
+   * (all of it at startup, nothing once ingest keeps up). Keeps what it has
+   * when the node is unreachable.
+   */
+  async function refresh() {
+    if (!fetchHeaders) return blocks.size;
+    try {
+      const tip = await sendRpc('getblockcount');
+      if (typeof tip !== 'number') return blocks.size;
+      const span = blocksPerDay
+        ? Math.ceil((blocksPerDay * (LONGEST_WINDOW + CONTEXT_SECONDS)) / SECONDS_PER_DAY)
+        : MAX_UNSPACED_BLOCKS;
+      const low = Math.max(0, tip - span + 1, prunedThrough + 1);
+
+      let start = null;
+      for (let height = low; height <= tip + 1; height++) {
+        const missing = height <= tip && !blocks.has(height);
+        if (missing && start === null) start = height;
+        if (!missing && start !== null) {
+          addBlocks(await fetchHeaders(start, height - 1));
+          start = null;
+        }
+      }
+    } catch (error) {
+      logger.error(`Error refreshing ${network.slug} block times:`, error.message);
+    }
+    return blocks.size;
+  }
+
+  /** Stored blocks ({ height, time, algo }), ascending by height. */
+  function getBlocks() {
+    return [...blocks.values()].sort((a, b) => a.height - b.height);
+  }
+
+  /**
+   * Interval statistics for every window (or only `windowName`), the
+   * current gap of each algo and the flagged slow intervals.
+   */
+  function getStats(windowName = null) {
+    const now = Math.floor(nowFn() / 1000);
+    const list = [...blocks.values()];
+    const intervals = blockIntervals(list);
+    const oldestTime = list.length ? Math.min(...list.map((b) => b.time)) : null;
+
+    const windows = {};
+    for (const [name, seconds] of Object.entries(BLOCK_TIME_WINDOWS)) {
+      if (windowName && name !== windowName) continue;
+      windows[name] = buildWindowStats(list, intervals, { seconds, to: now, oldestTime });
+    }
+
+    // Latest block per algo and how long ago it was
+    const latest = {};
+    for (const block of list) {
+      if (!latest[block.algo] || block.height > latest[block.algo].height) latest[block.algo] = block;
+    }
+    const current = {};
+    for (const name of Object.keys(latest).sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+      const sinceLast = now - latest[name].time;
+      current[name] = {
+        height: latest[name].height,
+        time: latest[name].time,
+        sinceLast,
+        stalled: slowThreshold !== null && sinceLast >= slowThreshold,
+      };
+    }
+
+    const slowGaps = slowThreshold === null ? [] : intervals
+      .filter((entry) => entry.interval >= slowThreshold && entry.time >= now - LONGEST_WINDOW)
+      .sort((a, b) => b.height - a.height)
+      .slice(0, MAX_SLOW_GAPS);
+
+    return {
+      network: network.slug,
+      generatedAt: now,
+      targetSpacing,
+      slowThreshold,
+      windows,
+      current,
+      slowGaps,
+    };
+  }
+
+  return { refresh, addBlocks, getBlocks, getStats };
+}
+
+module.exports = {
+  BLOCK_TIME_WINDOWS,
+  SLOW_GAP_FACTOR,
+  algoTargetSpacing,
+  slowGapThreshold,
+  blockIntervals,
+  percentile,
+  buildWindowStats,
+  createBlockTimes,
+};
@@ -0,0 +1,229 @@
+/**
+ * Structured coinbase decoding
+ *
+ * extractPoolIdentifier (rpc.js) boils a coinbase down to one pool tag. The
+ * block lookup API wants the whole thing: the BIP34 height push at the start
+ * of the scriptSig, the readable tags a pool writes after it and the
+ * extranonce bytes around them, and the outputs — payouts, the segwit
+ * witness commitment, the DigiDollar oracle bundle (OP_RETURN OP_ORACLE) and
+ * any other OP_RETURN data — with the coinbase value split across them.
+ *
+ * Everything here works on the getblock verbosity-2 JSON of the coinbase
+ * transaction, so decoding costs no extra RPC calls. Malformed scripts decode
+ * as far as they parse; nothing here throws.
+ */
+
+// Readable runs of at least this many printable ASCII characters are tags
+const MIN_TAG_LENGTH = 4;
+// OP_RETURN, push 36, then the BIP141 commitment header 0xaa21a9ed
+const WITNESS_COMMITMENT_PREFIX = '6a24aa21a9ed';
+// OP_RETURN OP_ORACLE (see detectOracleBundle in rpc.js)
+const ORACLE_BUNDLE_PREFIX = '6abf';
+
+// ---------------------------------------------------------------------------
+// Script helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the push at offset i: data pushes, PUSHDATA1/2, OP_0 and OP_1..OP_16.
+ *
+ * @returns {{ data: Buffer|null, number: number|null, next: number }|null}
+ *   `number` is set for OP_0 / OP_N; null when the byte is not a push or
+ *   the push runs past the end of the script
+ */
+function readPush(script, i) {
+  const op = script[i];
+  if (op === undefined) return null;
+  if (op === 0x00) return { data: null, number: 0, next: i + 1 };
+  if (op >= 0x51 && op <= 0x60) return { data: null, number: op - 0x50, next: i + 1 };
+
+  let start;
+  let length;
+  if (op >= 0x01 && op <= 0x4b) {
+    start = i + 1;
+    length = op;
+  } else if (op === 0x4c && i + 1 < script.length) {
+    start = i + 2;
+    length = script[i + 1];
+  } else if (op === 0x4d && i + 2 < script.length) {
+    start = i + 3;
+    length = script.readUInt16LE(i + 1);
+  } else {
+    return null;
+  }
+  if (start + length > script.length) return null;
+  return { data: script.subarray(start, start + length), number: null, next: start + length };
+}
+
+/** Little-endian CScriptNum (sign bit on the last byte); null when negative. */
+function decodeScriptNum(bytes) {
+  if (!bytes.length || bytes.length > 8) return null;
+  let value = 0n;
+  for (let b = bytes.length - 1; b >= 0; b--) {
+    value = (value << 8n) | BigInt(b === bytes.length - 1 ? bytes[b] & 0x7f : bytes[b]);
+  }
+  if (bytes[bytes.length - 1] & 0x80) return null;
+  return Number(value);
+}
+
+/**
+ * Split bytes into readable tags and the binary bytes around them.
+ *
+ * @returns {{ tags: string[], binary: Buffer[] }}
+ */
+function splitReadable(bytes) {
+  const tags = [];
+  const binary = [];
+  const text = bytes.toString('latin1');
+  const pattern = new RegExp(`[\\x20-\\x7E]{${MIN_TAG_LENGTH},}`, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const tag = match[0].trim();
+    if (!/[A-Za-z]/.test(tag)) continue;
+    if (match.index > last) binary.push(bytes.subarray(last, match.index));
+    tags.push(tag);
+    last = match.index + match[0].length;
+  }
+  if (last < bytes.length) binary.push(bytes.subarray(last));
+  return { tags, binary };
+}
+
+// ---------------------------------------------------------------------------
+// Decoding
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode a coinbase scriptSig: the BIP34 height push, then every later push
+ * (or, once the script stops parsing as pushes, the raw remainder) split
+ * into readable tags and extranonce bytes.
+ *
+ * @param {string} hex - vin[0].coinbase
+ * @returns {{ size:number, height:number|null, tags:string[], extranonce:string, extranonceSize:number }}
+ */
+function decodeScriptSig(hex) {
+  const script = Buffer.from(typeof hex === 'string' ? hex : '', 'hex');
+  const first = readPush(script, 0);
+  let height = null;
+  let offset = 0;
+  if (first) {
+    height = first.number !== null ? first.number : decodeScriptNum(first.data);
+    offset = first.next;
+  }
+
+  const chunks = [];
+  while (offset < script.length) {
+    const push = readPush(script, offset);
+    if (!push) {
+      chunks.push(script.subarray(offset));
+      break;
+    }
+    if (push.data) chunks.push(push.data);
+    offset = push.next;
+  }
+
+  const tags = [];
+  const binary = [];
+  for (const chunk of chunks) {
+    const split = splitReadable(chunk);
+    tags.push(...split.tags);
+    binary.push(...split.binary);
+  }
+  const extranonce = Buffer.concat(binary);
+  return { size: script.length, height, tags, extranonce: extranonce.toString('hex'), extranonceSize: extranonce.length };
+}
+
+/** Data pushed by an OP_RETURN script (after `skip` header bytes), as hex plus text when readable. */
+function opReturnData(hex, skip) {
+  const script = Buffer.from(hex, 'hex');
+  const parts = [];
+  let offset = skip;
+  while (offset < script.length) {
+    const push = readPush(script, offset);
+    if (!push) {
+      parts.push(script.subarray(offset));
+      break;
+    }
+    if (push.data) parts.push(push.data);
+    offset = push.next;
+  }
+  const data = Buffer.concat(parts);
+  const text = data.length && /^[\x20-\x7E]+$/.test(data.toString('latin1')) ? data.toString('latin1') : null;
+  return { data: data.toString('hex'), text };
+}
+
+/**
+ * Classify one coinbase output.
+ *
+ * @returns {object} { index, kind, value, ... }; kind is `payout` (pays an
+ *   address), `witnessCommitment`, `oracleBundle`, `opReturn` or `other`
+ */
+function classifyOutput(output, index) {
+  const spk = (output && output.scriptPubKey) || {};
+  const hex = typeof spk.hex === 'string' ? spk.hex.toLowerCase() : '';
+  const base = { index: Number.isInteger(output && output.n) ? output.n : index, value: Number(output && output.value) || 0, type: spk.type || null };
+
+  if (spk.address) return { ...base, kind: 'payout', address: spk.address };
+  if (hex.startsWith(WITNESS_COMMITMENT_PREFIX) && hex.length >= WITNESS_COMMITMENT_PREFIX.length + 64) {
+    return { ...base, kind: 'witnessCommitment', commitment: hex.slice(WITNESS_COMMITMENT_PREFIX.length, WITNESS_COMMITMENT_PREFIX.length + 64) };
+  }
+  if (hex.startsWith(ORACLE_BUNDLE_PREFIX)) return { ...base, kind: 'oracleBundle' };
+  if (hex.startsWith('6a')) return { ...base, kind: 'opReturn', ...opReturnData(hex, 1) };
+  return { ...base, kind: 'other', hex };
+}
+
+/**
+ * Decode a block's coinbase transaction.
+ *
+ * @param {object} coinbaseTx - tx[0] of a verbosity-2 getblock result
+ * @param {number|null} [blockHeight] - height of the block, for the BIP34 check
+ * @returns {object|null} { scriptSig, bip34, witnessReservedValue,
+ *   witnessCommitment, outputs, value } or null without a coinbase input.
+ *   `bip34.matches` is false when the height push disagrees with the block
+ *   (null when either is unknown); `value` totals the outputs by kind, in DGB.
+ */
+function decodeCoinbase(coinbaseTx, blockHeight = null) {
+  const input = coinbaseTx && Array.isArray(coinbaseTx.vin) ? coinbaseTx.vin[0] : null;
+  if (!input || typeof input.coinbase !== 'string') return null;
+
+  const scriptSig = decodeScriptSig(input.coinbase);
+  const outputs = (Array.isArray(coinbaseTx.vout) ? coinbaseTx.vout : []).map(classifyOutput);
+
+  // Consensus uses the last commitment when a coinbase carries several
+  const commitments = outputs.filter((o) => o.kind === 'witnessCommitment');
+  const witness = Array.isArray(input.txinwitness) ? input.txinwitness : [];
+
+  const sats = { total: 0 };
+  for (const output of outputs) {
+    const amount = Math.round(output.value * 1e8);
+    sats.total += amount;
+    sats[output.kind] = (sats[output.kind] || 0) + amount;
+  }
+  const value = Object.fromEntries(Object.entries(sats).map(([kind, amount]) => [kind, amount / 1e8]));
+
+  return {
+    scriptSig: {
+      hex: input.coinbase,
+      size: scriptSig.size,
+      tags: scriptSig.tags,
+      extranonce: scriptSig.extranonce,
+      extranonceSize: scriptSig.extranonceSize,
+    },
+    sequence: input.sequence ?? null,
+    bip34: {
+      height: scriptSig.height,
+      matches: scriptSig.height === null || !Number.isInteger(blockHeight) ? null : scriptSig.height === blockHeight,
+    },
+    witnessReservedValue: witness.length ? witness[0] : null,
+    witnessCommitment: commitments.length ? commitments[commitments.length - 1].commitment : null,
+    outputs,
+    value,
+  };
+}
+
+module.exports = {
+  decodeScriptNum,
+  decodeScriptSig,
+  classifyOutput,
+  decodeCoinbase,
+};
@@ -13,5 +13,21 @@ module.exports = {
             peersDataPath: "/home/digihash/.digibyte-scrypt/peers.dat",
             testnetPeersDataPath: "/home/digihash/.digibyte-scrypt/testnet26/peers.dat"
         }
+    },
+
+    // Optional network registry overrides (see networks.js). Built-in keys are
+    // mainnet, testnet, mainnetPre and regtest; an object is merged over the
+    // built-in entry, false stops a network's background polling, and a new key
+    // adds a network with its own /api/<slug>/* routes and WebSocket port.
+    networks: {
+        // mainnet: { subsystems: { crawler: false } },
+        // testnet: false,
+        // regtest: { enabled: true, rpc: { url: "http://127.0.0.1:18443" } },
+        // signet: {
+        //     rpc: { url: "http://127.0.0.1:38443", user: "user", password: "password" },
+        //     ws: { port: 5010 },
+        //     p2p: { magic: "0a03cf40", port: 38443 },
+        //     subsystems: { digidollar: true }
+        // }
     }
 };
@@ -21,11 +21,14 @@
 const net = require('net');
 const crypto = require('crypto');
 const geoip = require('geoip-lite');
-
-const NETWORKS = {
-  mainnet: { magic: Buffer.from('fac3b6da', 'hex'), port: 12024, protocolVersion: 70019 },
-  testnet: { magic: Buffer.from('fec6b9e7', 'hex'), port: 12033, protocolVersion: 70019 },
-};
+const { listNetworks } = require('./networks');
+
+// P2P parameters per crawlable network, from the registry (see networks.js)
+const NETWORKS = Object.fromEntries(
+  listNetworks()
+    .filter((n) => n.p2p)
+    .map((n) => [n.key, { magic: Buffer.from(n.p2p.magic, 'hex'), port: n.p2p.port, protocolVersion: n.p2p.protocolVersion }])
+);
 
 const MAX_MESSAGE_SIZE = 0x02000000; // seeder MAX_SIZE guard
 const REVISIT_INTERVAL_MS = 24 * 3600 * 1000; // re-audit an already-seen node at most once per 24h (rolling window; stay a polite crawler and never re-handshake peers every round)
@@ -0,0 +1,241 @@
+/**
+ * BIP9 deployment signaling progress (one tracker per network)
+ *
+ * classifyBlockVersion (rpc.js) flags the taproot, DigiDollar and algolock
+ * bits on every block and getdeploymentinfo reports each deployment's state;
+ * this combines the two into per-period progress. For every bip9 deployment
+ * in the `started` state it counts, from the block index (blockindex.js),
+ * the blocks of the current signaling period that set the deployment's bit,
+ * broken down by algo and canonical pool, and projects whether the period
+ * will reach the lock-in threshold.
+ *
+ * Periods are aligned to multiples of the period length, as in the node
+ * (versionbits.cpp), and the current one is the period the next block falls
+ * in: right after a boundary it has 0 blocks, as getdeploymentinfo reports.
+ * The projection uses the node's own `statistics.count` when it reports one
+ * (that is what consensus counts) and the index count otherwise, and
+ * extrapolates the period's signaling rate so far over its remaining blocks.
+ *
+ * SHA256D ASICs version-roll bits 13-28, which include the DigiDollar bit
+ * 23, so a signal from a rolled block may be noise. Consensus counts it all
+ * the same; `versionRolled` reports how many of the signals came from
+ * version-rolled blocks so clients can judge.
+ */
+
+const SECONDS_PER_DAY = 86400;
+// Pools listed per deployment, most signals first
+const BYPOOL_LIMIT = 25;
+
+// Canonical ordering of the per-algo maps (matches history.js)
+const ALGO_ORDER = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
+const algoRank = (algo) => (ALGO_ORDER.includes(algo) ? ALGO_ORDER.indexOf(algo) : ALGO_ORDER.length);
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * The signaling period the block after `height` falls in.
+ *
+ * @returns {{ start:number, end:number, elapsed:number, remaining:number }}
+ *   elapsed counts the blocks start..height (0 when height ends a period)
+ */
+function periodBounds(height, period) {
+  const elapsed = (height + 1) % period;
+  const start = height + 1 - elapsed;
+  return { start, end: start + period - 1, elapsed, remaining: period - elapsed };
+}
+
+/**
+ * Threshold attainment for one period.
+ *
+ * @param {object} p
+ * @param {number} p.count      signaling blocks so far
+ * @param {number} p.elapsed    blocks so far
+ * @param {number} p.period
+ * @param {number} p.threshold  signaling blocks needed to lock in
+ * @returns {object} { ratio, needed, requiredRatio, projectedCount,
+ *   projectedRatio, reached, possible, onTrack }; requiredRatio is the share
+ *   of the remaining blocks that must still signal (null once reached)
+ */
+function projectSignaling({ count, elapsed, period, threshold }) {
+  const remaining = period - elapsed;
+  const ratio = elapsed ? count / elapsed : 0;
+  const needed = Math.max(0, threshold - count);
+  const projectedCount = Math.min(period, Math.round(count + ratio * remaining));
+  return {
+    ratio,
+    needed,
+    requiredRatio: needed === 0 ? null : remaining ? needed / remaining : Infinity,
+    projectedCount,
+    projectedRatio: projectedCount / period,
+    reached: needed === 0,
+    possible: count + remaining >= threshold,
+    onTrack: projectedCount >= threshold,
+  };
+}
+
+/**
+ * Progress of one deployment from its getdeploymentinfo entry and the
+ * blockindex countSignals rows of its current period.
+ *
+ * @param {string} name
+ * @param {object} deployment   getdeploymentinfo `deployments[name]`
+ * @param {object} p
+ * @param {number} p.height         tip height
+ * @param {number|null} p.tipTime   tip block time (unix seconds)
+ * @param {Array} p.rows            countSignals rows ({ algo, pool, blocks, signaling, rolled })
+ * @param {number|null} p.blocksPerDay
+ * @returns {object}
+ */
+function buildDeploymentProgress(name, deployment, { height, tipTime = null, rows = [], blocksPerDay = null }) {
+  const bip9 = deployment.bip9 || {};
+  const base = {
+    name,
+    bit: bip9.bit ?? null,
+    status: bip9.status || null,
+    since: bip9.since ?? null,
+    startTime: bip9.start_time ?? null,
+    timeout: bip9.timeout ?? null,
+    minActivationHeight: bip9.min_activation_height ?? null,
+    active: Boolean(deployment.active),
+  };
+  const stats = bip9.statistics;
+  if (bip9.status !== 'started' || !stats || !stats.period) return { ...base, period: null };
+
+  const bounds = periodBounds(height, stats.period);
+  const byAlgo = {};
+  const pools = new Map();
+  let indexedBlocks = 0;
+  let signaling = 0;
+  let versionRolled = 0;
+  for (const row of rows) {
+    indexedBlocks += row.blocks;
+    signaling += row.signaling || 0;
+    versionRolled += row.rolled || 0;
+
+    const algo = byAlgo[row.algo] || (byAlgo[row.algo] = { blocks: 0, signaling: 0, versionRolled: 0 });
+    algo.blocks += row.blocks;
+    algo.signaling += row.signaling || 0;
+    algo.versionRolled += row.rolled || 0;
+
+    const pool = pools.get(row.pool) || { pool: row.pool, blocks: 0, signaling: 0, versionRolled: 0 };
+    pool.blocks += row.blocks;
+    pool.signaling += row.signaling || 0;
+    pool.versionRolled += row.rolled || 0;
+    pools.set(row.pool, pool);
+  }
+  const sortedAlgos = {};
+  for (const algo of Object.keys(byAlgo).sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+    sortedAlgos[algo] = byAlgo[algo];
+  }
+
+  const nodeCount = Number.isFinite(stats.count) ? stats.count : null;
+  const count = nodeCount ?? signaling;
+  const spacing = blocksPerDay ? SECONDS_PER_DAY / blocksPerDay : null;
+
+  return {
+    ...base,
+    period: stats.period,
+    threshold: stats.threshold,
+    periodStart: bounds.start,
+    periodEnd: bounds.end,
+    elapsed: bounds.elapsed,
+    remaining: bounds.remaining,
+    estimatedPeriodEnd: spacing && tipTime ? Math.round(tipTime + bounds.remaining * spacing) : null,
+    indexedBlocks,
+    complete: indexedBlocks >= bounds.elapsed,
+    signaling,
+    versionRolled,
+    nodeCount,
+    count,
+    countSource: nodeCount === null ? 'index' : 'node',
+    ...projectSignaling({ count, elapsed: bounds.elapsed, period: stats.period, threshold: stats.threshold }),
+    byAlgo: sortedAlgos,
+    byPool: [...pools.values()]
+      .sort((a, b) => b.signaling - a.signaling || b.blocks - a.blocks || String(a.pool).localeCompare(String(b.pool)))
+      .slice(0, BYPOOL_LIMIT),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network        networks.js entry (key, slug, blocksPerDay)
+ * @param {object} p.blockIndex     blockindex.js handle ({ countSignals })
+ * @param {Function} p.sendRpc      (method, params) => Promise<result>
+ * @param {Function} p.broadcast    ({ type, data }) => void, sends to every client
+ * @param {Function} [p.nowFn]      () => ms
+ * @param {object} [p.logger]       console-like { log, warn, error }
+ * @returns {{ refresh, getSnapshot, getMessages }}
+ */
+function createDeploymentTracker({ network, blockIndex, sendRpc, broadcast, nowFn = () => Date.now(), logger = console }) {
+  let snapshot = null;
+
+  /**
+   * Re-read getdeploymentinfo, count the current period of every started
+   * deployment and broadcast `deploymentSignaling`. Keeps the previous
+   * snapshot when the node or the index cannot be read.
+   */
+  async function refresh() {
+    try {
+      const info = await sendRpc('getdeploymentinfo');
+      if (!info || !info.deployments || typeof info.height !== 'number') return snapshot;
+      const header = info.hash ? await sendRpc('getblockheader', [info.hash]) : null;
+      const tipTime = header && typeof header.time === 'number' ? header.time : null;
+
+      const deployments = [];
+      for (const [name, deployment] of Object.entries(info.deployments)) {
+        if (deployment.type !== 'bip9') continue;
+        const bip9 = deployment.bip9 || {};
+        const period = bip9.statistics && bip9.statistics.period;
+        const rows = bip9.status === 'started' && period && Number.isInteger(bip9.bit)
+          ? await blockIndex.countSignals(network.key, {
+            from: periodBounds(info.height, period).start,
+            to: info.height,
+            bit: bip9.bit,
+          })
+          : [];
+        deployments.push(buildDeploymentProgress(name, deployment, {
+          height: info.height,
+          tipTime,
+          rows,
+          blocksPerDay: network.blocksPerDay,
+        }));
+      }
+
+      snapshot = {
+        network: network.slug,
+        generatedAt: Math.floor(nowFn() / 1000),
+        height: info.height,
+        deployments,
+      };
+      broadcast({ type: 'deploymentSignaling', data: snapshot });
+    } catch (error) {
+      logger.error(`Error computing ${network.slug} deployment signaling:`, error.message);
+    }
+    return snapshot;
+  }
+
+  /** Last snapshot, or null before the first refresh. */
+  function getSnapshot() {
+    return snapshot;
+  }
+
+  /** Cached snapshot as WebSocket messages for a newly connected client. */
+  function getMessages() {
+    return snapshot ? [{ type: 'deploymentSignaling', data: snapshot }] : [];
+  }
+
+  return { refresh, getSnapshot, getMessages };
+}
+
+module.exports = {
+  periodBounds,
+  projectSignaling,
+  buildDeploymentProgress,
+  createDeploymentTracker,
+};
@@ -0,0 +1,307 @@
+/**
+ * Next-difficulty projection per algo (one service per network)
+ *
+ * history.js records what each algo's difficulty was; this replays
+ * DigiByte's MultiShield retarget (GetNextWorkRequiredV4) on the latest
+ * headers to say what it will be. For the next block of an algo mined on the
+ * current tip:
+ *
+ *   timespan  = MTP(tip) - MTP(tip - 50)       all algos, 10 blocks per algo
+ *   timespan  = 750 + (timespan - 750) / 4     dampened towards the target,
+ *               clamped to [690, 870]          at most 8% harder / 16% easier
+ *   target    = target(algo's last block) * timespan / 750
+ *   target    = target * (100 / 104)^n         n = lastAlgoHeight + 4 - tip:
+ *                                              each block since the algo's
+ *                                              last one makes it 4% easier
+ *
+ * (750s = 50 blocks at 15s; MTP is the header's `mediantime`.) Targets are
+ * BigInt and rounded through the compact `bits` encoding as the node does,
+ * so a projection is the exact `bits` the next block must meet.
+ *
+ * Headers come from the same source as history.js (fetchHeadersRange) and
+ * only missing heights are fetched; the last REFETCH_DEPTH heights are read
+ * again every refresh so a shallow reorg is picked up. The back-test replays
+ * the model on each of the last BACKTEST_BLOCKS blocks and compares it with
+ * the difficulty the block actually had.
+ *
+ * Networks without a fixed spacing (regtest) do not retarget: every
+ * projection is the tip's own `bits`.
+ */
+
+// Algos mining at once
+const NUM_ALGOS = 5;
+// Blocks per algo in the averaging window
+const AVERAGING_INTERVAL = 10;
+// Percent per block the target moves with an algo's share of recent blocks
+const LOCAL_TARGET_ADJUSTMENT = 4;
+// Percent the global step may make an algo harder / easier
+const MAX_ADJUST_UP = 8;
+const MAX_ADJUST_DOWN = 16;
+const SECONDS_PER_DAY = 86400;
+
+// Blocks whose difficulty the model is back-tested against
+const BACKTEST_BLOCKS = 100;
+// How far below a height an algo's previous block is looked for
+const ALGO_LOOKBACK_BLOCKS = 200;
+// Heights below the tip re-read every refresh (reorgs)
+const REFETCH_DEPTH = 6;
+// Relative change below which the direction is 'flat'
+const FLAT_CHANGE = 0.001;
+
+// Canonical ordering of the per-algo maps (matches history.js)
+const ALGO_ORDER = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
+const algoRank = (algo) => (ALGO_ORDER.includes(algo) ? ALGO_ORDER.indexOf(algo) : ALGO_ORDER.length);
+
+// ---------------------------------------------------------------------------
+// Compact target encoding
+// ---------------------------------------------------------------------------
+
+/** Compact `bits` (hex string or number) -> target (arith_uint256::SetCompact). */
+function bitsToTarget(bits) {
+  const compact = typeof bits === 'string' ? Number.parseInt(bits, 16) : bits;
+  const size = compact >>> 24;
+  const word = BigInt(compact & 0x007fffff);
+  return size <= 3 ? word >> BigInt(8 * (3 - size)) : word << BigInt(8 * (size - 3));
+}
+
+/** Target -> compact `bits` number (arith_uint256::GetCompact). */
+function targetToBits(target) {
+  let size = target === 0n ? 0 : Math.ceil(target.toString(2).length / 8);
+  let compact = Number(size <= 3 ? target << BigInt(8 * (3 - size)) : target >> BigInt(8 * (size - 3)));
+  if (compact & 0x00800000) {
+    compact >>>= 8;
+    size += 1;
+  }
+  return (compact | (size << 24)) >>> 0;
+}
+
+/** Difficulty the node reports for `bits` (GetDifficulty). */
+function bitsToDifficulty(bits) {
+  const compact = typeof bits === 'string' ? Number.parseInt(bits, 16) : bits;
+  let shift = (compact >>> 24) & 0xff;
+  let difficulty = 0x0000ffff / (compact & 0x00ffffff);
+  while (shift < 29) { difficulty *= 256; shift++; }
+  while (shift > 29) { difficulty /= 256; shift--; }
+  return difficulty;
+}
+
+/** Compact `bits` as the node prints them ('1a0c5b2f'). */
+const formatBits = (bits) => bits.toString(16).padStart(8, '0');
+
+// ---------------------------------------------------------------------------
+// Retarget model
+// ---------------------------------------------------------------------------
+
+/**
+ * MultiShield parameters for a network, or null without a fixed spacing.
+ *
+ * @param {number|null} blocksPerDay
+ * @returns {{ averagingBlocks, targetTimespan, minTimespan, maxTimespan, localAdjustment }|null}
+ */
+function retargetParams(blocksPerDay) {
+  if (!blocksPerDay) return null;
+  const averagingBlocks = NUM_ALGOS * AVERAGING_INTERVAL;
+  const targetTimespan = Math.round(averagingBlocks * (SECONDS_PER_DAY / blocksPerDay));
+  return {
+    averagingBlocks,
+    targetTimespan,
+    minTimespan: Math.trunc((targetTimespan * (100 - MAX_ADJUST_UP)) / 100),
+    maxTimespan: Math.trunc((targetTimespan * (100 + MAX_ADJUST_DOWN)) / 100),
+    localAdjustment: LOCAL_TARGET_ADJUSTMENT,
+  };
+}
+
+/**
+ * `bits` required of the next `algo` block on top of `tipHeight`.
+ *
+ * @param {Map<number, object>} headers  height -> { height, mediantime, bits, algo }
+ * @param {number} tipHeight
+ * @param {string} algo
+ * @param {object|null} params           retargetParams(); null = no retargeting
+ * @returns {{ bits:number, difficulty:number, prevHeight:number|null, adjustments:number, timespan:number|null }|null}
+ *   null when a header the model needs is not held
+ */
+function nextWorkRequired(headers, tipHeight, algo, params) {
+  const last = headers.get(tipHeight);
+  if (!last || !last.bits) return null;
+  if (!params) {
+    const bits = Number.parseInt(last.bits, 16);
+    return { bits, difficulty: bitsToDifficulty(bits), prevHeight: null, adjustments: 0, timespan: null };
+  }
+
+  const first = headers.get(tipHeight - params.averagingBlocks);
+  let prev = null;
+  for (let height = tipHeight; height >= tipHeight - ALGO_LOOKBACK_BLOCKS; height--) {
+    const header = headers.get(height);
+    if (!header) return null;
+    if (header.algo === algo) {
+      prev = header;
+      break;
+    }
+  }
+  if (!first || !prev || !prev.bits || !Number.isFinite(last.mediantime) || !Number.isFinite(first.mediantime)) {
+    return null;
+  }
+
+  let timespan = last.mediantime - first.mediantime;
+  timespan = params.targetTimespan + Math.trunc((timespan - params.targetTimespan) / 4);
+  timespan = Math.min(params.maxTimespan, Math.max(params.minTimespan, timespan));
+
+  let target = (bitsToTarget(prev.bits) * BigInt(timespan)) / BigInt(params.targetTimespan);
+  const adjustments = prev.height + NUM_ALGOS - 1 - tipHeight;
+  const step = BigInt(100 + params.localAdjustment);
+  for (let i = 0; i < Math.abs(adjustments); i++) {
+    target = adjustments > 0 ? (target * 100n) / step : (target * step) / 100n;
+  }
+
+  const bits = targetToBits(target);
+  return { bits, difficulty: bitsToDifficulty(bits), prevHeight: prev.height, adjustments, timespan };
+}
+
+/**
+ * Replay the model on each of `heights` (from the headers just below it) and
+ * compare with the block's actual difficulty.
+ *
+ * @returns {{ blocks, exact, meanAbsError, maxAbsError, perAlgo }} errors are
+ *   relative (0.01 = 1%); `exact` counts projections equal to the block's bits
+ */
+function backtest(headers, heights, params) {
+  const summary = () => ({ blocks: 0, exact: 0, sumError: 0, maxAbsError: 0 });
+  const total = summary();
+  const perAlgo = {};
+  for (const height of heights) {
+    const actual = headers.get(height);
+    if (!actual || !actual.bits) continue;
+    const projected = nextWorkRequired(headers, height - 1, actual.algo, params);
+    if (!projected) continue;
+    const actualDifficulty = bitsToDifficulty(actual.bits);
+    const error = Math.abs(projected.difficulty - actualDifficulty) / actualDifficulty;
+    for (const s of [total, perAlgo[actual.algo] || (perAlgo[actual.algo] = summary())]) {
+      s.blocks += 1;
+      s.exact += formatBits(projected.bits) === actual.bits ? 1 : 0;
+      s.sumError += error;
+      s.maxAbsError = Math.max(s.maxAbsError, error);
+    }
+  }
+
+  const shape = ({ blocks, exact, sumError, maxAbsError }) => ({
+    blocks,
+    exact,
+    meanAbsError: blocks ? sumError / blocks : null,
+    maxAbsError: blocks ? maxAbsError : null,
+  });
+  const algos = {};
+  for (const name of Object.keys(perAlgo).sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+    algos[name] = shape(perAlgo[name]);
+  }
+  return { ...shape(total), perAlgo: algos };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network          networks.js entry (key, slug, blocksPerDay)
+ * @param {Function} p.sendRpc        (method, params) => Promise<result>
+ * @param {Function} p.fetchHeaders   (from, to) => Promise<Array<{height, time,
+ *                                    mediantime, bits, difficulty, algo}>>
+ *                                    (history.js fetchHeadersRange)
+ * @param {Function} [p.nowFn]        () => ms
+ * @param {object} [p.logger]         console-like { log, warn, error }
+ * @returns {{ refresh, getProjection }}
+ */
+function createDifficultyProjection({ network, sendRpc, fetchHeaders, nowFn = () => Date.now(), logger = console }) {
+  const params = retargetParams(network.blocksPerDay);
+  // height -> header
+  const headers = new Map();
+  let projection = null;
+
+  function project(tip) {
+    const tipHeader = headers.get(tip);
+    const latest = {};
+    for (const header of headers.values()) {
+      if (!latest[header.algo] || header.height > latest[header.algo].height) latest[header.algo] = header;
+    }
+
+    const algos = {};
+    for (const name of Object.keys(latest).sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+      const current = latest[name];
+      const next = nextWorkRequired(headers, tip, name, params);
+      const change = next && current.difficulty ? next.difficulty / current.difficulty - 1 : null;
+      algos[name] = {
+        lastHeight: current.height,
+        blocksSinceLast: tip - current.height,
+        currentDifficulty: current.difficulty,
+        nextDifficulty: next ? next.difficulty : null,
+        nextBits: next ? formatBits(next.bits) : null,
+        change,
+        direction: change === null ? null : change > FLAT_CHANGE ? 'up' : change < -FLAT_CHANGE ? 'down' : 'flat',
+        adjustments: next ? next.adjustments : null,
+      };
+    }
+
+    const heights = [];
+    for (let height = Math.max(1, tip - BACKTEST_BLOCKS + 1); height <= tip; height++) heights.push(height);
+
+    return {
+      network: network.slug,
+      generatedAt: Math.floor(nowFn() / 1000),
+      tip: { height: tip, time: tipHeader.time, mediantime: tipHeader.mediantime },
+      model: params,
+      algos,
+      backtest: backtest(headers, heights, params),
+    };
+  }
+
+  /**
+   * Fetch the headers of the modelled span not yet held (plus the last
+   * REFETCH_DEPTH) and recompute the projection. Keeps the previous
+   * projection when the node is unreachable.
+   */
+  async function refresh() {
+    try {
+      const tip = await sendRpc('getblockcount');
+      if (typeof tip !== 'number') return projection;
+      const span = BACKTEST_BLOCKS + ALGO_LOOKBACK_BLOCKS + (params ? params.averagingBlocks : 0);
+      const low = Math.max(0, tip - span + 1);
+      for (const height of [...headers.keys()]) {
+        if (height < low || height > tip - REFETCH_DEPTH) headers.delete(height);
+      }
+
+      let start = null;
+      for (let height = low; height <= tip + 1; height++) {
+        const missing = height <= tip && !headers.has(height);
+        if (missing && start === null) start = height;
+        if (!missing && start !== null) {
+          for (const header of await fetchHeaders(start, height - 1)) headers.set(header.height, header);
+          start = null;
+        }
+      }
+
+      if (headers.has(tip)) projection = project(tip);
+    } catch (error) {
+      logger.error(`Error refreshing ${network.slug} difficulty projection:`, error.message);
+    }
+    return projection;
+  }
+
+  /** Last projection, or null before the first successful refresh. */
+  function getProjection() {
+    return projection;
+  }
+
+  return { refresh, getProjection };
+}
+
+module.exports = {
+  BACKTEST_BLOCKS,
+  bitsToTarget,
+  targetToBits,
+  bitsToDifficulty,
+  retargetParams,
+  nextWorkRequired,
+  backtest,
+  createDifficultyProjection,
+};
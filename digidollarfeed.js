@@ -0,0 +1,145 @@
+/**
+ * DigiDollar / oracle WebSocket feed (one per network)
+ *
+ * Every network running the `digidollar` subsystem (see networks.js) polls
+ * the same RPCs on a 15s cycle and pushes three message types to its
+ * WebSocket clients:
+ *   oracleData        getoracleprice + getalloracleprices + getoracles + getoraclesigners
+ *   ddStatsData       getdigidollarstats + getoracleprice
+ *   ddDeploymentData  getdigidollardeploymentinfo
+ * The last good payload of each is cached and replayed to new clients on
+ * connect. A failed fetch keeps the previous payload.
+ *
+ * Before activation the oracle and stats RPCs fail with "DigiDollar is not
+ * yet active"; networks flagged `ddPreActivation` log that as a warning and
+ * clients fall back to the deployment data (which works pre-activation and
+ * drives the Activation page countdown).
+ */
+
+const DD_MESSAGE_TYPES = {
+  oracle: 'oracleData',
+  stats: 'ddStatsData',
+  deployment: 'ddDeploymentData',
+};
+
+// Bundles scanned by getoraclesigners (matches the REST default)
+const SIGNER_BLOCKS = 100;
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network     networks.js entry (label, slug, ddPreActivation)
+ * @param {Function} p.sendRpc   (method, params, skipCache) => Promise<result>
+ * @param {Function} p.broadcast ({ type, data }) => void, sends to every client
+ * @param {object} [p.logger]    console-like { log, warn, error }
+ * @returns {{ refresh, fetchOracleData, fetchStatsData, fetchDeploymentData, getMessages }}
+ */
+function createDigiDollarFeed({ network, sendRpc, broadcast, logger = console }) {
+  const { label, slug, ddPreActivation } = network;
+  const cache = { oracle: null, stats: null, deployment: null };
+
+  /** Oracle price, all prices, oracle list and signer bundles. */
+  async function fetchOracleData() {
+    try {
+      const [price, allPrices, oracles, oracleSigners] = await Promise.all([
+        sendRpc('getoracleprice', [], true),
+        sendRpc('getalloracleprices', [], true),
+        sendRpc('getoracles', [], true),
+        sendRpc('getoraclesigners', [SIGNER_BLOCKS], true).catch((error) => {
+          logger.warn(`Warning fetching ${slug} oracle bundle signers:`, error.message);
+          return null;
+        })
+      ]);
+
+      if (price && allPrices) {
+        cache.oracle = {
+          price: price,
+          allPrices: allPrices,
+          oracles: oracles || [],
+          oracleSigners: oracleSigners || { bundle_count: 0, bundles: [] }
+        };
+        logger.log(`${label} oracle data cached: price=$${price.price_usd}, ${(oracles || []).length} oracles, ${(oracleSigners && oracleSigners.bundle_count) || 0} signer bundles`);
+        return cache.oracle;
+      }
+    } catch (error) {
+      if (ddPreActivation) {
+        logger.warn(`${label} oracle data unavailable (likely pre-activation):`, error.message);
+      } else {
+        logger.error(`Error fetching ${slug} oracle data:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /** DigiDollar supply / health stats plus the current oracle price. */
+  async function fetchStatsData() {
+    try {
+      const [stats, oraclePrice] = await Promise.all([
+        sendRpc('getdigidollarstats', [], true),
+        sendRpc('getoracleprice', [], true)
+      ]);
+
+      if (stats) {
+        cache.stats = {
+          stats: stats,
+          oraclePrice: oraclePrice || {}
+        };
+        logger.log(`${label} DD stats cached: health=${stats.health_percentage}%, supply=${stats.total_dd_supply}`);
+        return cache.stats;
+      }
+    } catch (error) {
+      if (ddPreActivation) {
+        logger.warn(`${label} DD stats unavailable (likely pre-activation):`, error.message);
+      } else {
+        logger.error(`Error fetching ${slug} DD stats data:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /** Deployment / activation status (available before activation). */
+  async function fetchDeploymentData() {
+    try {
+      const deploymentInfo = await sendRpc('getdigidollardeploymentinfo', [], true);
+
+      if (deploymentInfo) {
+        cache.deployment = deploymentInfo;
+        logger.log(`${label} DD deployment data cached: status=${deploymentInfo.status || 'unknown'}`);
+        return cache.deployment;
+      }
+    } catch (error) {
+      logger.warn(`Warning fetching ${slug} DD deployment data:`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Cached payloads as WebSocket messages, in broadcast order. Empty caches
+   * are left out.
+   */
+  function getMessages() {
+    return Object.keys(DD_MESSAGE_TYPES)
+      .filter((kind) => cache[kind])
+      .map((kind) => ({ type: DD_MESSAGE_TYPES[kind], data: cache[kind] }));
+  }
+
+  /** Fetch all three payloads, then broadcast whatever is cached. */
+  async function refresh() {
+    try {
+      await Promise.all([fetchOracleData(), fetchStatsData(), fetchDeploymentData()]);
+      for (const message of getMessages()) broadcast(message);
+    } catch (error) {
+      logger.error(`Error in ${slug} oracle/DD stats refresh cycle:`, error.message);
+    }
+  }
+
+  return { refresh, fetchOracleData, fetchStatsData, fetchDeploymentData, getMessages };
+}
+
+module.exports = {
+  DD_MESSAGE_TYPES,
+  createDigiDollarFeed,
+};
@@ -15,6 +15,16 @@
  * seconds-per-block ~= 86400 / block_count, which simplifies to
  *   hashrate = 2^32 * sum_difficulty / 86400.
  *
+ * Each row also carries the block intervals of its algo (blocktimes.js
+ * blockIntervals: seconds since the previous block of the same algo, counted
+ * on the later block): interval_count, sum_interval and max_interval, plus
+ * slow_blocks, the intervals at or above the slow-block threshold (600s on
+ * mainnet). These add up like block_count, so chunked backfill and the
+ * incremental ADD path stay exact. Each fetch reaches INTERVAL_CONTEXT_BLOCKS
+ * below its range (the incremental updater carries them over from the
+ * previous tick) to find each algo's previous block; a gap longer than that
+ * is not counted. Days folded before these columns existed read 0 intervals.
+ *
  * Persistence lives in its own SQLite file (history.db) so it never contends
  * with the peer/crawler/fork tables in nodes.db. Two background jobs keep it
  * fresh per network: a one-time bounded-concurrency backfill and a 60s
@@ -28,6 +38,7 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const { getAlgoName } = require('./rpc');
+const { blockIntervals, slowGapThreshold } = require('./blocktimes');
 
 // DigiByte targets ~15s block spacing across all algos => 5760 blocks/day, 240/hour.
 const BLOCKS_PER_DAY = 5760;
@@ -48,6 +59,15 @@ const HOURLY_RETENTION_DAYS = 3; // prune hourly rows older than this each tick
 // Deep daily backfill walks in chunks of this many heights so the ~6.3M-header
 // 3-year walk stays memory-bounded and can report progress / resume.
 const DEEP_CHUNK_BLOCKS = 20160; // one week per chunk
+// With a batch transport, headers are fetched as JSON-RPC arrays of this many
+// heights (getblockhash batch, then getblockheader batch), a few in flight.
+const HEADER_BATCH_SIZE = 500;
+const HEADER_BATCH_CONCURRENCY = 2;
+// Heights whose batch entries failed are asked for this many times in total
+const HEADER_BATCH_ATTEMPTS = 3;
+// Heights fetched below a range only to find each algo's previous block
+// (~25 min at 15s spacing; an algo missing from all of them is vanishingly rare)
+const INTERVAL_CONTEXT_BLOCKS = 100;
 
 // Canonical ordering for the `algos` list in the API response.
 const ALGO_ORDER = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
@@ -89,14 +109,15 @@ function ensureColumn(db, table, column, decl) {
  * @param {number} p.tip           chain tip height
  * @param {number} p.days          configured daily depth (e.g. 1095)
  * @param {number|null} p.currentLow  history_meta.backfill_low_height (null if none yet)
- * @param {number} [p.blocksPerDay]
+ * @param {number|null} [p.blocksPerDay]  null when blocks have no fixed spacing
+ *   (regtest): the target then reaches back to genesis
  * @returns {null|{start:number,end:number}}
  *   - `null`  → DB already covers `tip - days*blocksPerDay`; SKIP.
  *   - full range `{targetStart..tip}` when nothing is backfilled yet.
  *   - older-gap-only `{targetStart..currentLow-1}` when coverage must extend down.
  */
 function computeBackfillGap({ tip, days, currentLow, blocksPerDay = BLOCKS_PER_DAY }) {
-  const targetStart = Math.max(0, tip - days * blocksPerDay);
+  const targetStart = blocksPerDay === null ? 0 : Math.max(0, tip - days * blocksPerDay);
   if (currentLow === null || currentLow === undefined) {
     return { start: targetStart, end: tip }; // nothing backfilled yet → full range
   }
@@ -119,6 +140,10 @@ function initHistoryTables(db) {
       max_difficulty REAL,
       last_difficulty REAL,
       last_height INTEGER,
+      interval_count INTEGER DEFAULT 0,
+      sum_interval REAL DEFAULT 0,
+      max_interval REAL,
+      slow_blocks INTEGER DEFAULT 0,
       PRIMARY KEY (network, day, algo)
     )`
   )
@@ -147,16 +172,45 @@ function initHistoryTables(db) {
         max_difficulty REAL,
         last_difficulty REAL,
         last_height INTEGER,
+        interval_count INTEGER DEFAULT 0,
+        sum_interval REAL DEFAULT 0,
+        max_interval REAL,
+        slow_blocks INTEGER DEFAULT 0,
         PRIMARY KEY (network, hour, algo)
       )`
     ))
-    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_hourly_algo_stats_hour ON hourly_algo_stats(network, hour)'));
+    .then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_hourly_algo_stats_hour ON hourly_algo_stats(network, hour)'))
+    // Migrate rollup tables created before the block interval columns existed.
+    .then(() => migrateIntervalColumns(db, 'daily_algo_stats'))
+    .then(() => migrateIntervalColumns(db, 'hourly_algo_stats'));
+}
+
+function migrateIntervalColumns(db, table) {
+  return ensureColumn(db, table, 'interval_count', 'INTEGER DEFAULT 0')
+    .then(() => ensureColumn(db, table, 'sum_interval', 'REAL DEFAULT 0'))
+    .then(() => ensureColumn(db, table, 'max_interval', 'REAL'))
+    .then(() => ensureColumn(db, table, 'slow_blocks', 'INTEGER DEFAULT 0'));
 }
 
 // ---------------------------------------------------------------------------
 // Pure aggregation
 // ---------------------------------------------------------------------------
 
+/**
+ * The fields kept from a getblockheader result. `bits` and `mediantime` are
+ * not folded here; difficulty.js replays the retarget from them.
+ */
+function headerFromRpc(height, hdr) {
+  return {
+    height,
+    time: hdr.time,
+    mediantime: hdr.mediantime,
+    bits: hdr.bits,
+    difficulty: hdr.difficulty,
+    algo: getAlgoName(hdr.pow_algo),
+  };
+}
+
 /**
  * Fold block headers into per-(bucket, algo) aggregates. Bucketing is driven by
  * `bucketOf(timeSec) -> key`, so the SAME tested implementation backs both the
@@ -168,11 +222,20 @@ function initHistoryTables(db) {
  *        getAlgoName), `height` the block height (used to pick last_*).
  * @param {(timeSec:number)=>string} bucketOf   time -> UTC bucket key
  * @param {string} keyName                       output field name ('day'|'hour')
+ * @param {object} [options]
+ * @param {Array<object>} [options.context]      headers just below `headers`,
+ *        used only to find each algo's previous block (never counted)
+ * @param {number|null} [options.slowInterval]   interval counted in slow_blocks
+ *        from (slowGapThreshold); null counts none
  * @returns {Array<object>} one aggregate per (bucket, algo), sorted by bucket
  *        then algo. last_* come from the HIGHEST height in that bucket.
  */
-function foldHeadersBy(headers, bucketOf, keyName) {
+function foldHeadersBy(headers, bucketOf, keyName, { context = [], slowInterval = null } = {}) {
   const buckets = new Map();
+  const intervalAt = new Map();
+  for (const entry of blockIntervals([...(context || []), ...(headers || [])])) {
+    intervalAt.set(entry.height, entry.interval);
+  }
   for (const h of headers || []) {
     if (!h || typeof h.time !== 'number' || !Number.isFinite(h.time)) continue;
     const bucket = bucketOf(h.time);
@@ -192,6 +255,10 @@ function foldHeadersBy(headers, bucketOf, keyName) {
         max_difficulty: diff,
         last_difficulty: diff,
         last_height: height,
+        interval_count: 0,
+        sum_interval: 0,
+        max_interval: null,
+        slow_blocks: 0,
       };
       buckets.set(key, b);
     }
@@ -204,6 +271,13 @@ function foldHeadersBy(headers, bucketOf, keyName) {
       b.last_height = height;
       b.last_difficulty = diff;
     }
+    const interval = intervalAt.get(height);
+    if (interval !== undefined) {
+      b.interval_count += 1;
+      b.sum_interval += interval;
+      if (b.max_interval === null || interval > b.max_interval) b.max_interval = interval;
+      if (slowInterval !== null && interval >= slowInterval) b.slow_blocks += 1;
+    }
   }
 
   return Array.from(buckets.values()).sort((a, b) => {
@@ -213,13 +287,13 @@ function foldHeadersBy(headers, bucketOf, keyName) {
 }
 
 /** Fold into per-(UTC day, algo) aggregates (field: `day`). */
-function foldHeaders(headers) {
-  return foldHeadersBy(headers, bucketDay, 'day');
+function foldHeaders(headers, options) {
+  return foldHeadersBy(headers, bucketDay, 'day', options);
 }
 
 /** Fold into per-(UTC hour, algo) aggregates (field: `hour`). */
-function foldHeadersHourly(headers) {
-  return foldHeadersBy(headers, bucketHour, 'hour');
+function foldHeadersHourly(headers, options) {
+  return foldHeadersBy(headers, bucketHour, 'hour', options);
 }
 
 function sortAlgos(list) {
@@ -268,6 +342,9 @@ function buildBucketResponse({ network, spanName, spanValue, rows, bucketCol, en
       maxDifficulty: r.max_difficulty,
       lastDifficulty: r.last_difficulty,
       hashrate: (POW32 * sum) / secondsPerWindow,
+      avgInterval: r.interval_count > 0 ? r.sum_interval / r.interval_count : null,
+      maxInterval: r.max_interval ?? null,
+      slowBlocks: r.slow_blocks || 0,
     };
   }
 
@@ -370,6 +447,16 @@ async function mapWithConcurrency(items, concurrency, worker) {
 // bucket key column ('day' vs 'hour'). table/keyCol are internal constants (never
 // user input), so interpolating them into the SQL is safe.
 
+// Bound parameters shared by both upserts, in column order. Interval fields
+// default for aggregates built before they existed (tests, older callers).
+function rowParams(network, keyCol, agg) {
+  return [
+    network, agg[keyCol], agg.algo, agg.block_count, agg.sum_difficulty, agg.min_difficulty, agg.max_difficulty,
+    agg.last_difficulty, agg.last_height,
+    agg.interval_count || 0, agg.sum_interval || 0, agg.max_interval ?? null, agg.slow_blocks || 0,
+  ];
+}
+
 // REPLACE-write: the aggregate is the COMPLETE value for that (bucket, algo).
 // Used by backfill (folds the whole range in one pass) and the recent-window
 // refolds, so re-running is idempotent — it overwrites with identical values.
@@ -377,16 +464,21 @@ function upsertReplaceRow(db, table, keyCol, network, agg) {
   return dbRun(
     db,
     `INSERT INTO ${table}
-       (network, ${keyCol}, algo, block_count, sum_difficulty, min_difficulty, max_difficulty, last_difficulty, last_height)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       (network, ${keyCol}, algo, block_count, sum_difficulty, min_difficulty, max_difficulty, last_difficulty, last_height,
+        interval_count, sum_interval, max_interval, slow_blocks)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
      ON CONFLICT(network, ${keyCol}, algo) DO UPDATE SET
        block_count = excluded.block_count,
        sum_difficulty = excluded.sum_difficulty,
        min_difficulty = excluded.min_difficulty,
        max_difficulty = excluded.max_difficulty,
        last_difficulty = excluded.last_difficulty,
-       last_height = excluded.last_height`,
-    [network, agg[keyCol], agg.algo, agg.block_count, agg.sum_difficulty, agg.min_difficulty, agg.max_difficulty, agg.last_difficulty, agg.last_height]
+       last_height = excluded.last_height,
+       interval_count = excluded.interval_count,
+       sum_interval = excluded.sum_interval,
+       max_interval = excluded.max_interval,
+       slow_blocks = excluded.slow_blocks`,
+    rowParams(network, keyCol, agg)
   );
 }
 
@@ -398,8 +490,9 @@ function upsertAccumulateRow(db, table, keyCol, network, agg) {
   return dbRun(
     db,
     `INSERT INTO ${table}
-       (network, ${keyCol}, algo, block_count, sum_difficulty, min_difficulty, max_difficulty, last_difficulty, last_height)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       (network, ${keyCol}, algo, block_count, sum_difficulty, min_difficulty, max_difficulty, last_difficulty, last_height,
+        interval_count, sum_interval, max_interval, slow_blocks)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
      ON CONFLICT(network, ${keyCol}, algo) DO UPDATE SET
        block_count = ${table}.block_count + excluded.block_count,
        sum_difficulty = ${table}.sum_difficulty + excluded.sum_difficulty,
@@ -407,8 +500,13 @@ function upsertAccumulateRow(db, table, keyCol, network, agg) {
        max_difficulty = MAX(${table}.max_difficulty, excluded.max_difficulty),
        last_difficulty = CASE WHEN excluded.last_height >= ${table}.last_height
                               THEN excluded.last_difficulty ELSE ${table}.last_difficulty END,
-       last_height = MAX(${table}.last_height, excluded.last_height)`,
-    [network, agg[keyCol], agg.algo, agg.block_count, agg.sum_difficulty, agg.min_difficulty, agg.max_difficulty, agg.last_difficulty, agg.last_height]
+       last_height = MAX(${table}.last_height, excluded.last_height),
+       interval_count = COALESCE(${table}.interval_count, 0) + excluded.interval_count,
+       sum_interval = COALESCE(${table}.sum_interval, 0) + excluded.sum_interval,
+       max_interval = CASE WHEN ${table}.max_interval IS NULL OR excluded.max_interval > ${table}.max_interval
+                           THEN excluded.max_interval ELSE ${table}.max_interval END,
+       slow_blocks = COALESCE(${table}.slow_blocks, 0) + excluded.slow_blocks`,
+    rowParams(network, keyCol, agg)
   );
 }
 
@@ -427,6 +525,8 @@ function createHistoryTracker({
   db,
   network = 'mainnet',
   sendRpc,
+  sendRpcBatch = null,
+  blocksPerDay = BLOCKS_PER_DAY,
   days = DAILY_BACKFILL_DAYS,
   hours = HOURLY_BACKFILL_HOURS,
   hourlyRetentionDays = HOURLY_RETENTION_DAYS,
@@ -436,6 +536,14 @@ function createHistoryTracker({
   nowFn = () => Date.now(),
 }) {
   let timer = null;
+  const slowInterval = slowGapThreshold(blocksPerDay);
+  // Newest folded headers, the interval context of the next incremental tick
+  let intervalCarry = [];
+
+  // Lowest height a window of `spanBlocks` expected blocks can reach. Without
+  // a fixed spacing (regtest mines on demand) any height may fall inside the
+  // window, so walk from genesis — such chains are short.
+  const windowStart = (tip, spanBlocks) => (blocksPerDay === null ? 0 : Math.max(0, tip - spanBlocks));
 
   const getMeta = () => dbGet(db, 'SELECT * FROM history_meta WHERE network = ?', [network]);
 
@@ -467,6 +575,12 @@ function createHistoryTracker({
       [network, h, nowFn()]
     );
 
+  /** Split a fetch that reached INTERVAL_CONTEXT_BLOCKS below `from` into context + range. */
+  const splitContext = (fetched, from) => ({
+    headers: fetched.filter((h) => h.height >= from),
+    context: fetched.filter((h) => h.height < from),
+  });
+
   async function getTip() {
     const info = await sendRpc('getblockchaininfo');
     if (!info || typeof info.blocks !== 'number') return null;
@@ -479,18 +593,75 @@ function createHistoryTracker({
     return dbRun(db, 'DELETE FROM hourly_algo_stats WHERE network = ? AND hour < ?', [network, cutoff]);
   }
 
-  /** Fetch headers for [from..to] with bounded concurrency; nulls dropped. */
+  /**
+   * Fetch one chunk of heights as two JSON-RPC batches (hashes, then headers).
+   * The batch transport reports failures per entry (`error`, also for a
+   * request that failed as a whole); those heights come back in `failed`.
+   */
+  async function fetchHeadersBatchOnce(heights) {
+    const failed = [];
+    const hashResults = await sendRpcBatch(heights.map((h) => ({ method: 'getblockhash', params: [h] })));
+    const found = [];
+    hashResults.forEach((r, i) => {
+      if (r && r.result && !r.error) found.push({ height: heights[i], hash: r.result });
+      else failed.push(heights[i]);
+    });
+    if (found.length === 0) return { headers: [], failed };
+    const headerResults = await sendRpcBatch(found.map((f) => ({ method: 'getblockheader', params: [f.hash] })));
+    const headers = [];
+    headerResults.forEach((r, i) => {
+      const hdr = r && !r.error && r.result;
+      if (!hdr || typeof hdr.time !== 'number') failed.push(found[i].height);
+      else headers.push(headerFromRpc(found[i].height, hdr));
+    });
+    return { headers, failed: failed.sort((a, b) => a - b) };
+  }
+
+  /**
+   * fetchHeadersBatchOnce, asking again for the heights that failed. Heights
+   * still failing after HEADER_BATCH_ATTEMPTS are dropped; callers that must
+   * not skip heights (the deep backfill) check the result covers their range.
+   */
+  async function fetchHeadersBatch(heights) {
+    const out = [];
+    let pending = heights;
+    for (let attempt = 1; attempt <= HEADER_BATCH_ATTEMPTS && pending.length > 0; attempt++) {
+      try {
+        const { headers, failed } = await fetchHeadersBatchOnce(pending);
+        out.push(...headers);
+        pending = failed;
+      } catch (e) {
+        log(`[history:${network}] header batch ${pending[0]}..${pending[pending.length - 1]} failed (attempt ${attempt}/${HEADER_BATCH_ATTEMPTS}): ${e.message}`);
+      }
+    }
+    if (pending.length > 0) {
+      log(`[history:${network}] ${pending.length} header(s) between ${pending[0]} and ${pending[pending.length - 1]} unavailable after ${HEADER_BATCH_ATTEMPTS} attempts`);
+    }
+    return out.sort((a, b) => a.height - b.height);
+  }
+
+  /**
+   * Fetch headers for [from..to]; nulls dropped. Uses the batch transport when
+   * one was injected (far fewer round trips on the deep walk), otherwise one
+   * call per height with bounded concurrency.
+   */
   async function fetchHeadersRange(from, to) {
     if (to < from) return [];
     const heights = [];
     for (let h = from; h <= to; h++) heights.push(h);
+    if (sendRpcBatch) {
+      const chunks = [];
+      for (let i = 0; i < heights.length; i += HEADER_BATCH_SIZE) chunks.push(heights.slice(i, i + HEADER_BATCH_SIZE));
+      const parts = await mapWithConcurrency(chunks, HEADER_BATCH_CONCURRENCY, fetchHeadersBatch);
+      return parts.flat();
+    }
     const out = await mapWithConcurrency(heights, concurrency, async (height) => {
       try {
         const hash = await sendRpc('getblockhash', [height]);
         if (!hash) return null;
         const hdr = await sendRpc('getblockheader', [hash]);
         if (!hdr || typeof hdr.time !== 'number') return null;
-        return { height, time: hdr.time, difficulty: hdr.difficulty, algo: getAlgoName(hdr.pow_algo) };
+        return headerFromRpc(height, hdr);
       } catch (e) {
         return null;
       }
@@ -501,12 +672,14 @@ function createHistoryTracker({
   /**
    * SMART deep DAILY backfill (up to `days` ≈ 3 years). Only walks the range that
    * is actually missing, so a restart does NOT re-walk millions of headers:
-   *   - already covers `tip - days*5760`  → skip (fast path, the common restart).
-   *   - nothing backfilled yet            → walk the full `[targetStart..tip]`.
-   *   - target grew (deeper config)       → walk only the older gap `[targetStart..currentLow-1]`.
+   *   - already covers `tip - days*blocksPerDay` → skip (fast path, the common restart).
+   *   - nothing backfilled yet                  → walk the full `[targetStart..tip]`.
+   *   - target grew (deeper config)             → walk only the older gap `[targetStart..currentLow-1]`.
    * Walks DESCENDING in bounded chunks (recent days appear first, memory stays
    * bounded), folding each chunk and ADDing it. `backfill_low_height` advances
-   * per chunk so a crash resumes from where it left off (idempotent progress).
+   * per chunk so a crash resumes from where it left off (idempotent progress);
+   * a chunk with any header missing after the retries is not folded and stops
+   * the walk before the mark moves past it.
    * All RPC is wrapped — an offline node aborts without throwing. Non-blocking
    * only in the sense that init() runs this on a background promise.
    */
@@ -519,9 +692,9 @@ function createHistoryTracker({
       }
       const meta = await getMeta();
       let currentLow = meta && typeof meta.backfill_low_height === 'number' ? meta.backfill_low_height : null;
-      const gap = computeBackfillGap({ tip, days, currentLow });
+      const gap = computeBackfillGap({ tip, days, currentLow, blocksPerDay });
       if (!gap) {
-        log(`[history:${network}] daily backfill up-to-date (low=${currentLow}, target=${Math.max(0, tip - days * BLOCKS_PER_DAY)})`);
+        log(`[history:${network}] daily backfill up-to-date (low=${currentLow}, target=${windowStart(tip, days * blocksPerDay)})`);
         return true;
       }
 
@@ -538,8 +711,14 @@ function createHistoryTracker({
       let walked = 0;
       while (high >= targetStart) {
         const low = Math.max(targetStart, high - DEEP_CHUNK_BLOCKS + 1);
-        const headers = await fetchHeadersRange(low, high);
-        const aggs = foldHeaders(headers);
+        const { headers, context } = splitContext(await fetchHeadersRange(Math.max(0, low - INTERVAL_CONTEXT_BLOCKS), high), low);
+        // A missing header would be skipped for good once the low-water mark
+        // passes it: stop here and let the next run resume this chunk.
+        if (headers.length < high - low + 1) {
+          log(`[history:${network}] deep daily backfill stopped: got ${headers.length}/${high - low + 1} headers for ${low}..${high}, resuming from ${high + 1} next run`);
+          return false;
+        }
+        const aggs = foldHeaders(headers, { context, slowInterval });
         // ADD (not REPLACE): every height here is strictly below the previous
         // low-water mark, so each block is folded exactly once; a day split across
         // chunks (or the seam with already-covered data) merges correctly.
@@ -581,7 +760,7 @@ function createHistoryTracker({
    * hourly table every tick so it stays tiny. Skips cleanly when nothing is new
    * (still prunes). RPC failures caught and logged.
    */
-  async function incrementalOnce() {
+  async function incrementalStep() {
     try {
       const meta = await getMeta();
       if (!meta || typeof meta.last_height !== 'number') return false; // backfill hasn't run yet
@@ -591,14 +770,19 @@ function createHistoryTracker({
         await pruneHourly();
         return false; // nothing new
       }
-      const headers = await fetchHeadersRange(meta.last_height + 1, tip);
+      const from = meta.last_height + 1;
+      const carried = intervalCarry.length > 0 && intervalCarry[intervalCarry.length - 1].height === meta.last_height;
+      const { headers, context } = carried
+        ? { headers: await fetchHeadersRange(from, tip), context: intervalCarry }
+        : splitContext(await fetchHeadersRange(Math.max(0, from - INTERVAL_CONTEXT_BLOCKS), tip), from);
       if (headers.length === 0) {
         await setLastHeight(tip);
         await pruneHourly();
         return false;
       }
-      for (const agg of foldHeaders(headers)) await upsertAccumulate(db, network, agg);
-      for (const agg of foldHeadersHourly(headers)) await upsertAccumulateHourly(db, network, agg);
+      for (const agg of foldHeaders(headers, { context, slowInterval })) await upsertAccumulate(db, network, agg);
+      for (const agg of foldHeadersHourly(headers, { context, slowInterval })) await upsertAccumulateHourly(db, network, agg);
+      intervalCarry = [...context, ...headers].slice(-INTERVAL_CONTEXT_BLOCKS);
       await setLastHeight(tip);
       await pruneHourly();
       log(`[history:${network}] incremental: +${headers.length} headers up to height ${tip}`);
@@ -609,26 +793,45 @@ function createHistoryTracker({
     }
   }
 
+  // One incremental at a time: two overlapping ADD passes would fold the same
+  // headers twice before either advanced last_height
+  let incremental = null;
+  function incrementalOnce() {
+    if (!incremental) incremental = incrementalStep().finally(() => { incremental = null; });
+    return incremental;
+  }
+
+  /**
+   * New block from the ingest pipeline: catch up now instead of on the next
+   * tick. Ignored until start() (the startup sync owns the cursor until then).
+   */
+  function onBlock() {
+    return timer ? incrementalOnce() : Promise.resolve(false);
+  }
+
   /** REPLACE-recompute the last `n` UTC days of the DAILY table to `tip`. */
   async function refoldDailyTo(tip, n) {
     // Over-fetch a margin so the fetched range starts before 00:00 UTC of the
     // oldest day we intend to fully recompute.
-    const from = Math.max(0, tip - n * BLOCKS_PER_DAY - BLOCKS_PER_DAY / 8);
+    const from = windowStart(tip, n * blocksPerDay + blocksPerDay / 8);
     const headers = await fetchHeadersRange(from, tip);
     const cutoffDay = bucketDay(Math.floor(nowFn() / 1000) - (n - 1) * SECONDS_PER_DAY);
     const recent = headers.filter((h) => bucketDay(h.time) >= cutoffDay);
-    const aggs = foldHeaders(recent);
+    const context = headers.filter((h) => bucketDay(h.time) < cutoffDay);
+    const aggs = foldHeaders(recent, { context, slowInterval });
     for (const agg of aggs) await upsertReplace(db, network, agg);
     return aggs.length;
   }
 
   /** REPLACE-recompute the last `hoursWin` UTC hours of the HOURLY table to `tip`. */
   async function refreshHourlyTo(tip, hoursWin) {
-    const from = Math.max(0, tip - hoursWin * BLOCKS_PER_HOUR - BLOCKS_PER_HOUR);
+    const blocksPerHour = blocksPerDay / 24;
+    const from = windowStart(tip, hoursWin * blocksPerHour + blocksPerHour);
     const headers = await fetchHeadersRange(from, tip);
     const cutoffHour = bucketHour(Math.floor(nowFn() / 1000) - (hoursWin - 1) * SECONDS_PER_HOUR);
     const recent = headers.filter((h) => bucketHour(h.time) >= cutoffHour);
-    const aggs = foldHeadersHourly(recent);
+    const context = headers.filter((h) => bucketHour(h.time) < cutoffHour);
+    const aggs = foldHeadersHourly(recent, { context, slowInterval });
     for (const agg of aggs) await upsertReplaceHourly(db, network, agg);
     return aggs.length;
   }
@@ -719,6 +922,7 @@ function createHistoryTracker({
     backfill,
     backfillHourly,
     incrementalOnce,
+    onBlock,
     refoldRecentDays,
     refreshHourlyTo,
     pruneHourly,
@@ -735,15 +939,24 @@ function createHistoryTracker({
 // ---------------------------------------------------------------------------
 
 /**
- * Open history.db, create tables, and kick off the mainnet + testnet trackers.
- * Non-blocking: backfill runs in the background. Testnet is fully guarded so a
- * missing/offline testnet node stays silent and never affects mainnet.
+ * Open history.db, create tables, and kick off one tracker per network.
+ * Non-blocking: backfill runs in the background. A `quiet` network (testnet by
+ * default) is fully guarded so a missing/offline node stays silent and never
+ * affects the others.
+ *
+ * `networks` lists the trackers to run:
+ *   [{ network, sendRpc, sendRpcBatch?, blocksPerDay?, quiet? }]
+ * Without it the mainnet + testnet pair is built from sendRpc/sendTestnetRpc
+ * (and their batch twins).
  *
- * @returns {{ db, ready:Promise, getDaily, getHourly, stop }}
+ * @returns {{ db, ready:Promise, trackers, getDaily, getHourly, stop }}
  */
 function init({
   sendRpc,
   sendTestnetRpc,
+  sendRpcBatch = null,
+  sendTestnetRpcBatch = null,
+  networks = null,
   dbFile = 'history.db',
   days = DAILY_BACKFILL_DAYS,
   hours = HOURLY_BACKFILL_HOURS,
@@ -752,26 +965,43 @@ function init({
   const db = new sqlite3.Database(dbFile);
   const ready = initHistoryTables(db);
 
-  const mainnet = createHistoryTracker({ db, network: 'mainnet', sendRpc, days, hours, log });
-  const testnet = createHistoryTracker({ db, network: 'testnet', sendRpc: sendTestnetRpc, days, hours, log: () => {} });
+  const specs = networks || [
+    { network: 'mainnet', sendRpc, sendRpcBatch },
+    { network: 'testnet', sendRpc: sendTestnetRpc, sendRpcBatch: sendTestnetRpcBatch, quiet: true },
+  ];
+
+  const trackers = {};
+  for (const spec of specs) {
+    trackers[spec.network] = createHistoryTracker({
+      db,
+      network: spec.network,
+      sendRpc: spec.sendRpc,
+      sendRpcBatch: spec.sendRpcBatch || null,
+      blocksPerDay: spec.blocksPerDay,
+      days,
+      hours,
+      log: spec.quiet ? () => {} : log,
+    });
+  }
 
   ready
     .then(() => {
-      mainnet.run().catch((e) => log(`[history:mainnet] run failed: ${e.message}`));
-      // Testnet node may be offline in some deployments — stay silent, non-fatal.
-      testnet.run().catch(() => {});
+      for (const spec of specs) {
+        trackers[spec.network].run().catch((e) => {
+          if (!spec.quiet) log(`[history:${spec.network}] run failed: ${e.message}`);
+        });
+      }
     })
     .catch((e) => log(`[history] table init failed: ${e.message}`));
 
   return {
     db,
     ready,
-    trackers: { mainnet, testnet },
+    trackers,
     getDaily: (network, d) => queryDaily(db, network, d),
     getHourly: (network, h) => queryHourly(db, network, h),
     stop: () => {
-      mainnet.stop();
-      testnet.stop();
+      for (const tracker of Object.values(trackers)) tracker.stop();
     },
   };
 }
@@ -797,6 +1027,9 @@ module.exports = {
   BLOCKS_PER_DAY,
   BLOCKS_PER_HOUR,
   DEEP_CHUNK_BLOCKS,
+  HEADER_BATCH_SIZE,
+  HEADER_BATCH_ATTEMPTS,
+  INTERVAL_CONTEXT_BLOCKS,
   DAILY_BACKFILL_DAYS,
   HOURLY_BACKFILL_HOURS,
   HOURLY_RETENTION_DAYS,
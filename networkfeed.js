@@ -0,0 +1,513 @@
+/**
+ * Block / transaction / mempool WebSocket feed of one network
+ *
+ * Every registry network but mainnet-PRE runs one (see setupNetworkFeeds in
+ * server.js); every message the dashboard pages need is built here, once,
+ * for any node:
+ *   initialData          getblockchaininfo + getchaintxstats + getblockreward
+ *                        + gettxoutsetinfo + getdeploymentinfo
+ *   recentBlocks         the last `maxRecentBlocks` blocks, newest first;
+ *                        rebroadcast by refreshBlocks() when the tip moved
+ *   newBlock             pushed by addBlock() (block ingest, see blockingest.js)
+ *   recentTransactions   newest confirmed transactions, fees from prevouts
+ *   transactionConfirmed mempool transactions a new block confirmed
+ *   confirmedTransactions first transactions of a new block
+ *   blocksDisconnected   pushed by disconnectBlocks() when a reorg drops blocks
+ *   mempool              getmempoolinfo + getrawmempool summary; transactions
+ *                        that left the mempool stay listed for 3 minutes
+ * The last good payload of each is cached and replayed to new clients on
+ * connect. A failed fetch keeps the previous payload.
+ *
+ * A block at a height already cached replaces the one there, so a block
+ * re-mined at the same height (a regtest `invalidateblock` +
+ * `generatetoaddress`) takes the old one's place.
+ */
+
+const { mergeRecentBlocks, disconnectRecentBlocks } = require('./rpc');
+const { describeConfirmedTransaction, priorityOf } = require('./prevouts');
+
+// Blocks searched for confirmed transactions, and transactions collected / kept
+const MAX_BLOCKS_TO_SCAN = 50;
+const MAX_SCANNED_TRANSACTIONS = 15;
+const MAX_RECENT_TRANSACTIONS = 10;
+// Mempool transactions described per refresh
+const MAX_MEMPOOL_TRANSACTIONS = 50;
+// How long a transaction that left the mempool stays listed
+const MEMPOOL_HISTORY_MS = 3 * 60 * 1000;
+// Transactions of a new block sent as confirmedTransactions
+const MAX_BLOCK_TRANSACTIONS = 19;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** sat/vB for a fee in DGB over a (virtual) size. */
+function feeRateOf(fee, size) {
+  return fee ? Math.round((fee * 100000000) / (size || 1)) : 0;
+}
+
+/** Outputs with a value, plus their total. */
+function summarizeOutputs(vout) {
+  const outputs = [];
+  let value = 0;
+  for (const output of vout || []) {
+    if (!output.value) continue;
+    value += output.value;
+    outputs.push({
+      address: output.scriptPubKey?.address || '',
+      amount: output.value,
+      type: output.scriptPubKey?.type || ''
+    });
+  }
+  return { outputs, value };
+}
+
+function summarizeInputs(vin) {
+  return (vin || []).map(input => ({
+    txid: input.txid || '',
+    vout: input.vout !== undefined ? input.vout : -1,
+    address: '',
+    amount: 0
+  }));
+}
+
+/** mempool payload before the first refresh */
+function emptyMempool() {
+  return {
+    stats: {
+      size: 0,
+      bytes: 0,
+      usage: 0,
+      maxmempool: 300000000,
+      minfee: 0,
+      avgfee: 0,
+      totalfee: 0,
+      feeDistribution: { '0-10': 0, '10-50': 0, '50-100': 0, '100-500': 0, '500+': 0 }
+    },
+    transactions: []
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network          networks.js entry (label, slug)
+ * @param {Function} p.sendRpc        (method, params, skipCache) => Promise<result>
+ * @param {Function} p.sendRpcBatch   (calls, skipCache) => Promise<[{ result, error }]>
+ * @param {Function} p.broadcast      ({ type, data }) => void, sends to every client
+ * @param {Function} p.formatBlock    verbosity-2 block => recentBlocks entry
+ * @param {object} p.resolver         prevouts.js resolver (getBlock, resolveBlock)
+ * @param {Function} [p.fetchTxOutsetInfo] (blockchainInfo) => Promise<object>;
+ *                                    default: gettxoutsetinfo, estimated on failure
+ * @param {Function} [p.onBlocksFetched] (previousBlocks, fetched) => Promise, after
+ *                                    each refreshBlocks() merge (block ingest)
+ * @param {boolean} [p.refreshOnBlock] also re-read initialData and the mempool
+ *                                    after each addBlock() (networks mined on
+ *                                    demand, whose blocks come in bursts)
+ * @param {number} [p.maxRecentBlocks]
+ * @param {object} [p.logger]         console-like { log, warn, error }
+ * @returns {object} feed handle
+ */
+function createNetworkFeed({
+  network,
+  sendRpc,
+  sendRpcBatch,
+  broadcast,
+  formatBlock,
+  resolver,
+  fetchTxOutsetInfo = null,
+  onBlocksFetched = null,
+  refreshOnBlock = false,
+  maxRecentBlocks = 240,
+  logger = console
+}) {
+  const { label, slug } = network;
+  let initialData = null;
+  // newest first
+  let blocks = [];
+  let confirmed = [];
+  let mempool = emptyMempool();
+  // txid -> { transaction, addedAt, removedAt }
+  const mempoolHistory = new Map();
+  // Newest hash of the last recentBlocks broadcast
+  let lastBroadcastTip = null;
+  let refreshInFlight = false;
+
+  const confirmationsOf = (height) => (blocks[0] ? blocks[0].height - height + 1 : 1);
+
+  async function defaultTxOutsetInfo(blockchainInfo) {
+    const info = await sendRpc('gettxoutsetinfo').catch(() => null);
+    return info || { height: blockchainInfo.blocks, total_amount: 0, _estimated: true };
+  }
+
+  /** Chain summary for the home page; keeps the last one when the node is unreachable. */
+  async function refreshInitialData() {
+    try {
+      const blockchainInfo = await sendRpc('getblockchaininfo');
+      if (!blockchainInfo) {
+        logger.log(`${label}: unable to fetch blockchain info (node may be offline)`);
+        return initialData;
+      }
+
+      const [chainTxStats, blockRewardResponse, txOutsetInfo, deploymentInfo] = await Promise.all([
+        sendRpc('getchaintxstats').catch(() => null),
+        sendRpc('getblockreward').catch(() => null),
+        (fetchTxOutsetInfo || defaultTxOutsetInfo)(blockchainInfo),
+        sendRpc('getdeploymentinfo').catch(() => null)
+      ]);
+
+      initialData = {
+        blockchainInfo,
+        chainTxStats,
+        txOutsetInfo,
+        blockReward: parseFloat(blockRewardResponse?.blockreward || '0'),
+        deploymentInfo
+      };
+      broadcast({ type: 'initialData', data: initialData });
+      logger.log(`${label} initial data loaded: height=${blockchainInfo.blocks}`);
+    } catch (error) {
+      logger.error(`Error fetching ${slug} initial data:`, error.message);
+    }
+    return initialData;
+  }
+
+  /** Send the whole list when its tip changed since the last time. */
+  function broadcastBlocksIfChanged() {
+    const tip = blocks[0] ? blocks[0].hash : null;
+    if (!tip || tip === lastBroadcastTip) return;
+    lastBroadcastTip = tip;
+    broadcast({ type: 'recentBlocks', data: blocks });
+  }
+
+  /**
+   * Re-read the last `maxRecentBlocks` blocks from the tip: one batch of
+   * getblockhash, then one batch of getblock for the hashes not cached yet.
+   * Blocks delivered by addBlock() while this runs are kept; blocks above a
+   * tip that went backwards (invalidateblock) are dropped. A refresh still
+   * running when the next one is due makes that one a no-op.
+   *
+   * @returns {Promise<Array>} recentBlocks, newest first
+   */
+  async function refreshBlocks() {
+    if (refreshInFlight) {
+      logger.log(`${label}: recent blocks refresh already in flight — skipping this cycle`);
+      return blocks;
+    }
+    refreshInFlight = true;
+    try {
+      const blockchainInfo = await sendRpc('getblockchaininfo', [], true);
+      if (!blockchainInfo || typeof blockchainInfo.blocks !== 'number') return blocks;
+      const tip = blockchainInfo.blocks;
+
+      const previousBlocks = [...blocks];
+      const disconnected = new Set(previousBlocks.filter(b => b.height > tip).map(b => b.hash));
+      const heights = [];
+      for (let height = tip; height >= 0 && heights.length < maxRecentBlocks; height--) heights.push(height);
+
+      const hashes = await sendRpcBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+      const known = new Map(previousBlocks.map(b => [b.hash, b]));
+      const fetched = [];
+      const missing = [];
+      hashes.forEach(({ result }, i) => {
+        if (!result) {
+          logger.error(`${label}: Error fetching block hash at height ${heights[i]}`);
+        } else if (known.has(result)) {
+          fetched.push(known.get(result));
+        } else {
+          missing.push(result);
+        }
+      });
+
+      const fullBlocks = await sendRpcBatch(missing.map(hash => ({ method: 'getblock', params: [hash, 2] })));
+      fullBlocks.forEach(({ result }, i) => {
+        if (result && Array.isArray(result.tx) && result.tx.length > 0) {
+          fetched.push(formatBlock(result));
+        } else {
+          logger.error(`${label}: Error fetching block ${missing[i]}`);
+        }
+      });
+
+      blocks = mergeRecentBlocks(blocks, fetched, maxRecentBlocks).filter(b => !disconnected.has(b.hash));
+      if (onBlocksFetched) await onBlocksFetched(previousBlocks, fetched);
+      logger.log(`${label} block cache updated: ${blocks.length} blocks, tip ${tip} (${missing.length} fetched)`);
+
+      // Without ZMQ / blocknotify this refresh is the only source of new
+      // blocks, and it heals clients that connected while the cache warmed up
+      broadcastBlocksIfChanged();
+    } catch (error) {
+      logger.error(`${label}: Error fetching latest blocks:`, error.message);
+    } finally {
+      refreshInFlight = false;
+    }
+    return blocks;
+  }
+
+  /**
+   * Rebuild recentTransactions from the newest blocks that carry any, with
+   * inputs priced from their prevouts (prevouts.js).
+   *
+   * @returns {Promise<Array>} the confirmed-transaction cache
+   */
+  async function refreshTransactions() {
+    try {
+      const transactions = [];
+      for (const block of blocks.slice(0, MAX_BLOCKS_TO_SCAN)) {
+        if (transactions.length >= MAX_SCANNED_TRANSACTIONS) break;
+        const fullBlock = await resolver.getBlock(block.hash, MAX_SCANNED_TRANSACTIONS);
+        if (!fullBlock || !Array.isArray(fullBlock.tx)) continue;
+
+        for (const tx of fullBlock.tx.slice(1)) {
+          if (transactions.length >= MAX_SCANNED_TRANSACTIONS) break;
+          if (!tx || !tx.txid) continue;
+          transactions.push({ ...describeConfirmedTransaction(tx, fullBlock), confirmations: confirmationsOf(fullBlock.height) });
+        }
+      }
+
+      transactions.sort((a, b) => (b.blockHeight - a.blockHeight) || (b.time - a.time));
+      confirmed = transactions.slice(0, MAX_RECENT_TRANSACTIONS);
+      logger.log(`${label} confirmed transactions cache updated: ${confirmed.length} transactions`);
+      if (confirmed.length > 0) broadcast({ type: 'recentTransactions', data: confirmed });
+    } catch (error) {
+      logger.error(`Error updating ${slug} confirmed transactions cache:`, error.message);
+    }
+    return confirmed;
+  }
+
+  /** Track arrivals / departures so departed transactions stay listed a while. */
+  function updateMempoolHistory(txids, transactions, now) {
+    for (const [txid, entry] of mempoolHistory) {
+      if (!txids.has(txid) && !entry.removedAt) entry.removedAt = now;
+      if (entry.removedAt && now - entry.removedAt >= MEMPOOL_HISTORY_MS) mempoolHistory.delete(txid);
+    }
+    for (const tx of transactions) {
+      if (!mempoolHistory.has(tx.txid)) mempoolHistory.set(tx.txid, { transaction: tx, addedAt: now, removedAt: null });
+    }
+    return [...mempoolHistory.values()]
+      .map(({ transaction, removedAt }) => ({ ...transaction, inMempool: !removedAt, removedAt }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Mempool stats plus the first transactions of getrawmempool (their
+   * outputs from one getrawtransaction batch).
+   *
+   * @returns {Promise<object>} the mempool payload
+   */
+  async function refreshMempool() {
+    try {
+      const [mempoolInfo, rawMempool] = await Promise.all([
+        sendRpc('getmempoolinfo', [], true),
+        sendRpc('getrawmempool', [true], true)
+      ]);
+      if (!mempoolInfo || !rawMempool) return mempool;
+
+      const entries = Object.entries(rawMempool).slice(0, MAX_MEMPOOL_TRANSACTIONS);
+      const details = await sendRpcBatch(entries.map(([txid]) => ({ method: 'getrawtransaction', params: [txid, true] })));
+      const feeDistribution = { '0-10': 0, '10-50': 0, '50-100': 0, '100-500': 0, '500+': 0 };
+      const transactions = [];
+      let totalFee = 0;
+
+      entries.forEach(([txid, entry], i) => {
+        const fee = entry.fees?.base ?? entry.fee ?? 0;
+        const size = entry.vsize || entry.size || 0;
+        const feeRate = feeRateOf(fee, size);
+        if (feeRate < 10) feeDistribution['0-10']++;
+        else if (feeRate < 50) feeDistribution['10-50']++;
+        else if (feeRate < 100) feeDistribution['50-100']++;
+        else if (feeRate < 500) feeDistribution['100-500']++;
+        else feeDistribution['500+']++;
+        totalFee += fee;
+
+        const tx = details[i] && details[i].result;
+        const { outputs, value } = summarizeOutputs(tx?.vout);
+        transactions.push({
+          txid,
+          size,
+          vsize: size,
+          fee,
+          value,
+          time: entry.time || Math.floor(Date.now() / 1000),
+          inputs: summarizeInputs(tx?.vin),
+          outputs,
+          fee_rate: feeRate,
+          priority: priorityOf(feeRate),
+          confirmations: 0,
+          descendantcount: entry.descendantcount || 0,
+          descendantsize: entry.descendantsize || 0,
+          ancestorcount: entry.ancestorcount || 0,
+          ancestorsize: entry.ancestorsize || 0
+        });
+      });
+
+      mempool = {
+        stats: {
+          size: mempoolInfo.size || 0,
+          bytes: mempoolInfo.bytes || 0,
+          usage: mempoolInfo.usage || 0,
+          maxmempool: mempoolInfo.maxmempool || 300000000,
+          minfee: mempoolInfo.mempoolminfee || mempoolInfo.minrelaytxfee || 0.00001,
+          avgfee: transactions.length > 0 ? totalFee / transactions.length : 0,
+          totalfee: totalFee,
+          feeDistribution
+        },
+        transactions: updateMempoolHistory(new Set(Object.keys(rawMempool)), transactions, Date.now())
+      };
+      logger.log(`${label} mempool cache updated: ${transactions.length} active, ${mempool.transactions.length} listed`);
+      broadcast({ type: 'mempool', data: mempool });
+    } catch (error) {
+      logger.error(`Error updating ${slug} mempool cache:`, error.message);
+    }
+    return mempool;
+  }
+
+  /**
+   * Cache and broadcast a block delivered by the block ingest. A block at a
+   * height already cached replaces the one there. With `refreshOnBlock` the
+   * chain summary and mempool it changed are refreshed in the background.
+   *
+   * @param {object} summary - formatBlock entry
+   */
+  function addBlock(summary) {
+    blocks = [summary, ...blocks.filter(b => b.height !== summary.height && b.hash !== summary.hash)]
+      .sort((a, b) => b.height - a.height)
+      .slice(0, maxRecentBlocks);
+    broadcast({ type: 'newBlock', data: summary });
+    logger.log(`${label}: new block ${summary.height} broadcast`);
+    if (refreshOnBlock) {
+      refreshInitialData();
+      refreshMempool();
+    }
+  }
+
+  /**
+   * Move the mempool transactions a new block confirmed to the confirmed
+   * cache (block ingest tx:confirmed) and tell clients.
+   *
+   * @param {object} fullBlock - verbosity-2 block
+   */
+  function confirmTransactions(fullBlock) {
+    if (!fullBlock || !Array.isArray(fullBlock.tx) || fullBlock.tx.length <= 1) return;
+    const txids = new Set(fullBlock.tx.slice(1).map(tx => tx.txid || tx.hash));
+    const moved = [];
+    mempool.transactions = mempool.transactions.filter((tx) => {
+      if (!txids.has(tx.txid)) return true;
+      moved.push({ ...tx, blockHeight: fullBlock.height, blockHash: fullBlock.hash, blocktime: fullBlock.time, confirmations: 1 });
+      return false;
+    });
+    if (moved.length === 0) return;
+
+    confirmed = [...moved, ...confirmed].slice(0, MAX_RECENT_TRANSACTIONS);
+    mempool.stats.size = Math.max(0, mempool.stats.size - moved.length);
+    mempool.stats.totalfee = mempool.transactions.reduce((sum, tx) => sum + (tx.fee || 0), 0);
+    logger.log(`${label}: moved ${moved.length} transactions from mempool to confirmed (block ${fullBlock.height})`);
+
+    broadcast({
+      type: 'transactionConfirmed',
+      data: { blockHeight: fullBlock.height, blockHash: fullBlock.hash, transactions: moved }
+    });
+    broadcast({ type: 'mempool', data: mempool });
+  }
+
+  /**
+   * Broadcast the first transactions of a newly connected block as
+   * confirmedTransactions, priced from their prevouts. Prevout lookups can
+   * take a while on nodes without verbosity 3, so the ingest does not wait.
+   *
+   * @param {object} fullBlock - verbosity-2 block
+   */
+  async function broadcastConfirmedTransactions(fullBlock) {
+    const resolved = await resolver.resolveBlock(fullBlock, MAX_BLOCK_TRANSACTIONS);
+    const transactions = resolved.tx.slice(1, MAX_BLOCK_TRANSACTIONS + 1).filter(Boolean).map((tx) => {
+      const entry = describeConfirmedTransaction(tx, resolved);
+      return {
+        txid: tx.txid || tx.hash,
+        blockHeight: resolved.height,
+        blockHash: resolved.hash,
+        time: tx.time || resolved.time,
+        value: entry.value,
+        size: entry.vsize,
+        fee: entry.fee,
+        feeRate: entry.fee_rate,
+        feeSource: entry.feeSource,
+        inputsResolved: entry.inputsResolved,
+        inputs: tx.vin ? tx.vin.length : 0,
+        outputs: tx.vout ? tx.vout.length : 0,
+        confirmations: 1
+      };
+    });
+    if (transactions.length > 0) broadcast({ type: 'confirmedTransactions', data: transactions });
+  }
+
+  /**
+   * Undo blocks a reorg disconnected (block ingest block:disconnected): drop
+   * them, return their transactions to the mempool list, tell clients, and
+   * refresh the mempool the node returned those transactions to.
+   *
+   * @param {object} p
+   * @param {Array} p.blocks        { hash, height, txids }, newest first
+   * @param {number} p.forkHeight   last height both branches share
+   * @param {string} p.replacedBy   hash of the block that triggered the reorg
+   */
+  function disconnectBlocks({ blocks: disconnected, forkHeight, replacedBy }) {
+    const result = disconnectRecentBlocks({ blocks, confirmed, mempool: mempool.transactions }, disconnected);
+    blocks = result.blocks;
+    confirmed = result.confirmed;
+    mempool.transactions = result.mempool;
+    // Keep listing them until the node re-mines or drops them
+    for (const txid of result.txids) {
+      const entry = mempoolHistory.get(txid);
+      if (entry) entry.removedAt = null;
+    }
+    // Send the full list again once the replacement tip is cached
+    lastBroadcastTip = null;
+
+    broadcast({
+      type: 'blocksDisconnected',
+      data: {
+        forkHeight,
+        replacedBy,
+        blocks: disconnected.map(({ hash, height }) => ({ hash, height })),
+        transactions: result.txids
+      }
+    });
+    broadcast({ type: 'recentTransactions', data: confirmed });
+    broadcast({ type: 'mempool', data: mempool });
+    refreshMempool();
+  }
+
+  /** Cached payloads as WebSocket messages for a newly connected client. */
+  function getMessages() {
+    const messages = [
+      { type: 'recentBlocks', data: blocks },
+      { type: 'recentTransactions', data: confirmed },
+      { type: 'mempool', data: mempool }
+    ];
+    if (initialData) messages.push({ type: 'initialData', data: initialData });
+    return messages;
+  }
+
+  return {
+    refreshInitialData,
+    refreshBlocks,
+    refreshTransactions,
+    refreshMempool,
+    addBlock,
+    confirmTransactions,
+    broadcastConfirmedTransactions,
+    disconnectBlocks,
+    getMessages,
+    /** Live recentBlocks array (newest first), e.g. for the fork tracker. */
+    getRecentBlocks: () => blocks,
+    getMempool: () => mempool,
+    getInitialData: () => initialData,
+    /** Seed initialData (disk backup) until the first refresh replaces it. */
+    setInitialData: (data) => { initialData = data; }
+  };
+}
+
+module.exports = {
+  createNetworkFeed,
+};
@@ -0,0 +1,343 @@
+/**
+ * DigiByte network registry
+ *
+ * One entry per chain the server talks to: how to reach its node (RPC and
+ * ZMQ), where its WebSocket channel listens, its P2P magic/port for the
+ * crawler, and which subsystems run against it. rpc.js, crawler.js and
+ * server.js build their per-network state from this list instead of
+ * hard-coding mainnet / testnet / mainnet-pre / regtest, so adding a chain is
+ * a config change rather than another copy of every pipeline.
+ *
+ * Built-in entries keep their historical env vars (DGB_RPC_URL,
+ * DGB_TESTNET_RPC_URL, DGB_MAINNET_PRE_RPC_URL, DGB_REGTEST_RPC_URL, ...).
+ * config.js may add a `networks` object on top: an object is merged over the
+ * built-in entry of the same key, an unknown key defines a new network (see
+ * config.template.js), and `false` is shorthand for `{ enabled: false }`.
+ * Invalid entries are logged and skipped (built-ins fall back to their
+ * defaults) rather than failing startup.
+ *
+ * Entry fields:
+ *   key          internal id; RPC_TARGETS key ('mainnetPre' for the PRE node)
+ *   slug         URL / log id ('mainnet-pre'); also the passthrough network
+ *   label        human name used in log lines ('Mainnet-PRE')
+ *   routePrefix  REST prefix under /api ('' for mainnet)
+ *   cachePrefix  rpcCache key namespace
+ *   rpcId        JSON-RPC request id
+ *   rpc          { url, user, password, cookieFile, backends }
+ *   zmq          { rawtx, hashtx, rawblock, hashblock } endpoints, or null
+ *   ws           { port } WebSocket server
+ *   p2p          { magic (hex), port, protocolVersion }, or null
+ *   subsystems   { crawler, forkTracker, history, blockIndex, digidollar, zmq } booleans
+ *   ddPreActivation  DigiDollar RPCs are expected to fail until activation
+ *                    (logged as warnings, not errors)
+ *   blocksPerDay expected blocks per day, used by history.js to size its
+ *                height windows; null when blocks arrive on demand (regtest)
+ *                and every window walks from genesis
+ *   enabled      background polling runs; a disabled network still gets its
+ *                routes and WebSocket server but never polls its node
+ *                (mainnet always polls)
+ */
+
+const { parseBackendList } = require('./rpcpool');
+
+const SUBSYSTEMS = ['crawler', 'forkTracker', 'history', 'blockIndex', 'digidollar', 'zmq'];
+const DEFAULT_PROTOCOL_VERSION = 70019;
+// 15s target spacing
+const DEFAULT_BLOCKS_PER_DAY = 5760;
+
+// ---------------------------------------------------------------------------
+// Built-in networks
+// ---------------------------------------------------------------------------
+
+/**
+ * Built-in entries, read from the given environment.
+ *
+ * @param {object} env - process.env (or a stub in tests)
+ * @returns {object} key → network definition, in registry order
+ */
+function buildDefaultNetworks(env = {}) {
+  return {
+    mainnet: {
+      slug: 'mainnet',
+      label: 'Mainnet',
+      routePrefix: '',
+      cachePrefix: '',
+      rpcId: 'dgb_rpc',
+      rpc: {
+        user: env.DGB_RPC_USER || 'user',
+        password: env.DGB_RPC_PASSWORD || 'password',
+        url: env.DGB_RPC_URL || 'http://127.0.0.1:14044',
+        cookieFile: env.DGB_RPC_COOKIE_FILE || null,
+        backends: env.DGB_RPC_BACKENDS
+      },
+      zmq: {
+        rawtx: 'tcp://127.0.0.1:28333',      // Raw transaction data
+        hashtx: 'tcp://127.0.0.1:28335',     // Transaction hashes
+        rawblock: 'tcp://127.0.0.1:28332',   // Raw block data
+        hashblock: 'tcp://127.0.0.1:28334'   // Block hashes
+      },
+      ws: { port: 5002 },
+      p2p: { magic: 'fac3b6da', port: 12024 },
+      subsystems: { crawler: true, forkTracker: true, history: true, blockIndex: true, digidollar: true, zmq: true },
+      ddPreActivation: true
+    },
+    testnet: {
+      slug: 'testnet',
+      label: 'Testnet',
+      routePrefix: '/testnet',
+      cachePrefix: 'testnet:',
+      rpcId: 'dgb_testnet_rpc',
+      rpc: {
+        user: env.DGB_TESTNET_RPC_USER || 'user',
+        password: env.DGB_TESTNET_RPC_PASSWORD || 'password',
+        url: env.DGB_TESTNET_RPC_URL || 'http://127.0.0.1:14026',
+        cookieFile: env.DGB_TESTNET_RPC_COOKIE_FILE || null,
+        backends: env.DGB_TESTNET_RPC_BACKENDS
+      },
+      zmq: null,
+      ws: { port: env.DGB_TESTNET_WS_PORT || 5003 },
+      p2p: { magic: 'fec6b9e7', port: 12033 },
+      subsystems: { forkTracker: true, history: true, blockIndex: true, digidollar: true }
+    },
+    // Modified-mainnet/PRE rehearsal node: reports chain=main but runs on its
+    // own RPC port and cache namespace. Decommissioned 2026-06-30, so it only
+    // polls when DGB_MAINNET_PRE_ENABLED=true.
+    mainnetPre: {
+      slug: 'mainnet-pre',
+      label: 'Mainnet-PRE',
+      routePrefix: '/mainnet-pre',
+      cachePrefix: 'mainnet-pre:',
+      rpcId: 'dgb_mainnet_pre_rpc',
+      rpc: {
+        user: env.DGB_MAINNET_PRE_RPC_USER || env.DGB_PRE_RPC_USER || 'preminer',
+        password: env.DGB_MAINNET_PRE_RPC_PASSWORD || env.DGB_PRE_RPC_PASSWORD || 'preminerpass',
+        url: env.DGB_MAINNET_PRE_RPC_URL || env.DGB_PRE_RPC_URL || 'http://127.0.0.1:14046',
+        cookieFile: env.DGB_MAINNET_PRE_RPC_COOKIE_FILE || env.DGB_PRE_RPC_COOKIE_FILE || null,
+        backends: env.DGB_MAINNET_PRE_RPC_BACKENDS || env.DGB_PRE_RPC_BACKENDS
+      },
+      zmq: null,
+      ws: { port: env.DGB_MAINNET_PRE_WS_PORT || 5004 },
+      p2p: null,
+      subsystems: { digidollar: true },
+      ddPreActivation: true,
+      enabled: env.DGB_MAINNET_PRE_ENABLED === 'true'
+    },
+    // Local `digibyted -regtest` for reproducing bugs: blocks only appear when
+    // mined (generatetoaddress), so there is no fixed blocks-per-day. Off
+    // unless DGB_REGTEST_ENABLED=true.
+    regtest: {
+      slug: 'regtest',
+      label: 'Regtest',
+      routePrefix: '/regtest',
+      cachePrefix: 'regtest:',
+      rpcId: 'dgb_regtest_rpc',
+      rpc: {
+        user: env.DGB_REGTEST_RPC_USER || 'user',
+        password: env.DGB_REGTEST_RPC_PASSWORD || 'password',
+        url: env.DGB_REGTEST_RPC_URL || 'http://127.0.0.1:18443',
+        cookieFile: env.DGB_REGTEST_RPC_COOKIE_FILE || null,
+        backends: env.DGB_REGTEST_RPC_BACKENDS
+      },
+      zmq: null,
+      ws: { port: env.DGB_REGTEST_WS_PORT || 5005 },
+      p2p: { magic: 'fabfb5da', port: 18444 },
+      subsystems: { forkTracker: true, history: true, blockIndex: true, digidollar: true },
+      blocksPerDay: null,
+      enabled: env.DGB_REGTEST_ENABLED === 'true'
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge a config.js override over a built-in entry. Nested sections are
+ * merged one level deep so `{ rpc: { url } }` keeps the default credentials;
+ * `zmq: null` / `p2p: null` switch a section off.
+ */
+function mergeNetwork(base = {}, override = {}) {
+  const merged = { ...base, ...override };
+  for (const section of ['rpc', 'zmq', 'ws', 'p2p', 'subsystems']) {
+    if (override[section] === null) {
+      merged[section] = null;
+    } else if (override[section] && typeof override[section] === 'object') {
+      merged[section] = { ...(base[section] || {}), ...override[section] };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Fill defaults and validate one entry.
+ *
+ * @returns {{ network: object }|{ error: string }}
+ */
+function normalizeNetwork(key, def) {
+  const slug = def.slug || key;
+  const rpc = def.rpc || {};
+  if (!rpc.url) return { error: `network '${key}' has no rpc.url` };
+
+  const port = Number(def.ws && def.ws.port);
+  if (!Number.isInteger(port) || port <= 0) return { error: `network '${key}' needs a ws.port` };
+
+  let p2p = null;
+  if (def.p2p) {
+    if (!/^[0-9a-fA-F]{8}$/.test(def.p2p.magic || '')) {
+      return { error: `network '${key}' p2p.magic must be 4 bytes of hex` };
+    }
+    p2p = {
+      magic: def.p2p.magic.toLowerCase(),
+      port: Number(def.p2p.port),
+      protocolVersion: def.p2p.protocolVersion || DEFAULT_PROTOCOL_VERSION
+    };
+  }
+
+  const blocksPerDay = def.blocksPerDay === undefined ? DEFAULT_BLOCKS_PER_DAY : def.blocksPerDay;
+  if (blocksPerDay !== null && !(Number.isInteger(blocksPerDay) && blocksPerDay > 0)) {
+    return { error: `network '${key}' blocksPerDay must be a positive integer or null` };
+  }
+
+  const subsystems = {};
+  for (const name of SUBSYSTEMS) subsystems[name] = Boolean(def.subsystems && def.subsystems[name]);
+  // ZMQ ingest needs endpoints to subscribe to
+  if (!def.zmq) subsystems.zmq = false;
+
+  const backends = Array.isArray(rpc.backends)
+    ? rpc.backends
+    : parseBackendList(rpc.backends);
+
+  return {
+    network: {
+      key,
+      slug,
+      label: def.label || slug,
+      routePrefix: def.routePrefix !== undefined ? def.routePrefix : `/${slug}`,
+      cachePrefix: def.cachePrefix !== undefined ? def.cachePrefix : `${slug}:`,
+      rpcId: def.rpcId || `dgb_${slug.replace(/-/g, '_')}_rpc`,
+      rpc: {
+        user: rpc.user || 'user',
+        password: rpc.password || 'password',
+        url: rpc.url,
+        cookieFile: rpc.cookieFile || null,
+        backends
+      },
+      zmq: def.zmq ? { ...def.zmq } : null,
+      ws: { port },
+      p2p,
+      subsystems,
+      ddPreActivation: Boolean(def.ddPreActivation),
+      blocksPerDay,
+      enabled: def.enabled !== false
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a registry from the built-in networks plus config overrides.
+ *
+ * @param {object} p
+ * @param {object} [p.env]        environment for the built-in entries
+ * @param {object} [p.overrides]  config.js `networks` section
+ * @param {Function} [p.log]      error logger for skipped entries
+ * @returns {{ getNetwork, findNetworkBySlug, listNetworks }}
+ */
+function createNetworkRegistry({ env = {}, overrides = {}, log = console.error } = {}) {
+  const defaults = buildDefaultNetworks(env);
+  const networks = new Map();
+  const seenSlugs = new Set();
+  const seenPorts = new Set();
+
+  const keys = [...Object.keys(defaults), ...Object.keys(overrides || {}).filter((k) => !defaults[k])];
+  for (const key of keys) {
+    const override = overrides ? overrides[key] : undefined;
+    if (override === false && !defaults[key]) continue;
+
+    let { network, error } = normalizeNetwork(
+      key,
+      mergeNetwork(defaults[key], override === false ? { enabled: false } : override || {})
+    );
+    if (!error && (seenSlugs.has(network.slug) || seenPorts.has(network.ws.port))) {
+      error = `network '${key}': slug or ws.port already used`;
+    }
+    if (error) {
+      // server.js always wires the built-in networks, so a bad override
+      // falls back to the defaults instead of removing one
+      if (!defaults[key]) {
+        log(`[networks] skipping ${error}`);
+        continue;
+      }
+      log(`[networks] ignoring config override: ${error}`);
+      ({ network } = normalizeNetwork(key, defaults[key]));
+    }
+    seenSlugs.add(network.slug);
+    seenPorts.add(network.ws.port);
+    networks.set(key, Object.freeze(network));
+  }
+
+  /** Entry by key, or null. */
+  function getNetwork(key) {
+    return networks.get(key) || null;
+  }
+
+  /** Entry by URL slug ('mainnet-pre'), or null. */
+  function findNetworkBySlug(slug) {
+    for (const network of networks.values()) {
+      if (network.slug === slug) return network;
+    }
+    return null;
+  }
+
+  /**
+   * Entries in registry order, optionally only those running a subsystem
+   * and/or enabled for background polling.
+   */
+  function listNetworks({ subsystem = null, enabledOnly = false } = {}) {
+    return [...networks.values()].filter((n) =>
+      (!subsystem || n.subsystems[subsystem]) && (!enabledOnly || n.enabled));
+  }
+
+  return { getNetwork, findNetworkBySlug, listNetworks };
+}
+
+/**
+ * `networks` section of config.js, or {} when there is no config.js (tests,
+ * fresh checkouts) or it has no such section.
+ */
+function loadConfigOverrides() {
+  try {
+    const config = require('./config.js');
+    return (config && config.networks) || {};
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      console.error('Error loading network overrides from config.js:', error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Registry for the current process.env and config.js. Modules that read
+ * their settings at load time (rpc.js) build their own snapshot with this;
+ * the shared instance below is built once, when this module is first loaded.
+ */
+function loadNetworkRegistry() {
+  return createNetworkRegistry({ env: process.env, overrides: loadConfigOverrides() });
+}
+
+const registry = loadNetworkRegistry();
+
+module.exports = {
+  SUBSYSTEMS,
+  buildDefaultNetworks,
+  createNetworkRegistry,
+  loadNetworkRegistry,
+  getNetwork: registry.getNetwork,
+  findNetworkBySlug: registry.findNetworkBySlug,
+  listNetworks: registry.listNetworks
+};
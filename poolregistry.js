@@ -0,0 +1,260 @@
+/**
+ * Curated mining pool registry (pools.json)
+ *
+ * extractPoolIdentifier (rpc.js) reads whatever tag a pool writes into its
+ * coinbase, so one pool shows up under several spellings ('DigiHash',
+ * 'digihash.co') and untagged blocks come out as 'Unknown'. This maps those
+ * raw tags onto canonical pool names and websites from a versioned registry
+ * file, matched in this order:
+ *   address   the payout address is listed under a pool
+ *   tag       the raw tag equals, or contains, one of a pool's tags
+ *             (case-insensitive)
+ *   domain    the raw tag is one of a pool's domains or a subdomain of it
+ *   cluster   the block is 'Unknown' but pays an address that blocks matched
+ *             by address / tag / domain have paid before
+ * A raw tag the registry does not know is kept as the pool name ('coinbase');
+ * everything else stays 'Unknown'.
+ *
+ * Clusters are learned as blocks are identified, so they only hold addresses
+ * this process has seen (server.js seeds them from the block index at
+ * startup). An address seen under two pools is ambiguous and never used.
+ * Pools marked `solo` pay each miner's own address, so their blocks are
+ * never learned from.
+ *
+ * The file is read once at load time; reloadPoolRegistry() swaps in a fresh
+ * copy (and empty clusters) without a restart. An unreadable or invalid file
+ * is logged and leaves the previous registry in place.
+ *
+ * File format:
+ *   { "version": 3, "updated": "2026-10-19", "pools": [
+ *     { "name": "DigiHash", "website": "https://digihash.co",
+ *       "tags": ["DigiHash"], "domains": ["digihash.co"],
+ *       "addresses": ["dgb1q..."], "solo": false } ] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'pools.json');
+const UNKNOWN = 'Unknown';
+// Shorter tags only match the whole identifier, never a substring of it
+const MIN_SUBSTRING_TAG = 4;
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function stringList(value, field, name) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v.trim())) {
+    throw new Error(`pool "${name}": ${field} must be an array of non-empty strings`);
+  }
+  return value.map((v) => v.trim());
+}
+
+/**
+ * Validate a parsed registry file.
+ *
+ * @param {object} definition - parsed pools.json
+ * @returns {{ version:number, updated:string|null, pools:Array }} normalized copy
+ * @throws {Error} describing the first problem found
+ */
+function parsePoolRegistry(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('registry must be a JSON object');
+  }
+  if (!Number.isInteger(definition.version) || definition.version < 1) {
+    throw new Error('version must be a positive integer');
+  }
+  if (!Array.isArray(definition.pools)) {
+    throw new Error('pools must be an array');
+  }
+
+  const names = new Set();
+  const pools = definition.pools.map((entry, i) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`pools[${i}]: name is required`);
+    }
+    const name = entry.name.trim();
+    if (names.has(name.toLowerCase())) throw new Error(`pool "${name}" is listed twice`);
+    names.add(name.toLowerCase());
+    if (entry.website !== undefined && entry.website !== null && typeof entry.website !== 'string') {
+      throw new Error(`pool "${name}": website must be a string or null`);
+    }
+    return {
+      name,
+      website: entry.website || null,
+      tags: stringList(entry.tags, 'tags', name),
+      domains: stringList(entry.domains, 'domains', name).map((d) => d.toLowerCase()),
+      addresses: stringList(entry.addresses, 'addresses', name),
+      solo: entry.solo === true,
+    };
+  });
+
+  return {
+    version: definition.version,
+    updated: typeof definition.updated === 'string' ? definition.updated : null,
+    pools,
+  };
+}
+
+/** Read and validate a registry file; throws on a missing or invalid file. */
+function loadPoolRegistryFile(file) {
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  try {
+    return parsePoolRegistry(definition);
+  } catch (error) {
+    throw new Error(`${path.basename(file)}: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} definition - parsePoolRegistry result
+ * @param {object} [meta]     { file, loadedAt } reported by describe()
+ * @returns {{ version, identify, describe }}
+ */
+function createPoolRegistry(definition, { file = null, loadedAt = Date.now() } = {}) {
+  const { version, updated, pools } = parsePoolRegistry(definition);
+  const byAddress = new Map();
+  const byTag = new Map();
+  const byDomain = new Map();
+  for (const pool of pools) {
+    pool.addresses.forEach((a) => byAddress.set(a, pool));
+    pool.tags.forEach((t) => byTag.set(t.toLowerCase(), pool));
+    pool.domains.forEach((d) => byDomain.set(d, pool));
+  }
+  // Longest first, so 'DigiHash Odo' wins over 'DigiHash' as a substring
+  const substringTags = [...byTag.keys()]
+    .filter((t) => t.length >= MIN_SUBSTRING_TAG)
+    .sort((a, b) => b.length - a.length);
+  // payout address -> Set of pool names it was learned under
+  const clusters = new Map();
+
+  function matchTag(tag) {
+    const lower = tag.toLowerCase();
+    if (byTag.has(lower)) return byTag.get(lower);
+    const inner = substringTags.find((t) => lower.includes(t));
+    return inner ? byTag.get(inner) : null;
+  }
+
+  function matchDomain(tag) {
+    let host = tag.toLowerCase();
+    while (host.includes('.')) {
+      if (byDomain.has(host)) return byDomain.get(host);
+      host = host.slice(host.indexOf('.') + 1);
+    }
+    return null;
+  }
+
+  function learn(address, pool) {
+    if (!address || pool.solo) return;
+    const names = clusters.get(address) || new Set();
+    names.add(pool.name);
+    clusters.set(address, names);
+  }
+
+  /**
+   * Canonical pool for a block; learns the payout address when the block
+   * matched by address, tag or domain.
+   *
+   * @param {string} poolIdentifier - raw extractPoolIdentifier tag
+   * @param {string} [minerAddress] - coinbase payout address
+   * @returns {{ pool: string, website: string|null, source: string|null }}
+   *   source is 'address' | 'tag' | 'domain' | 'cluster' | 'coinbase', or
+   *   null for 'Unknown'
+   */
+  function identify(poolIdentifier, minerAddress = '') {
+    const tag = poolIdentifier && poolIdentifier !== UNKNOWN ? String(poolIdentifier) : '';
+    let pool = null;
+    let source = null;
+    if (minerAddress && byAddress.has(minerAddress)) {
+      pool = byAddress.get(minerAddress);
+      source = 'address';
+    } else if (tag && (pool = matchTag(tag))) {
+      source = 'tag';
+    } else if (tag && (pool = matchDomain(tag))) {
+      source = 'domain';
+    }
+
+    if (pool) {
+      learn(minerAddress, pool);
+      return { pool: pool.name, website: pool.website, source };
+    }
+    if (tag) return { pool: tag, website: null, source: 'coinbase' };
+
+    const names = minerAddress && clusters.get(minerAddress);
+    if (names && names.size === 1) {
+      const name = [...names][0];
+      const clustered = pools.find((p) => p.name === name);
+      return { pool: name, website: clustered.website, source: 'cluster' };
+    }
+    return { pool: UNKNOWN, website: null, source: null };
+  }
+
+  /** Registry contents and cluster sizes for the admin endpoint. */
+  function describe() {
+    const ambiguous = [...clusters.values()].filter((names) => names.size > 1).length;
+    return {
+      version,
+      updated,
+      file,
+      loadedAt,
+      pools: pools.map((pool) => ({ ...pool })),
+      clusters: { addresses: clusters.size - ambiguous, ambiguous },
+    };
+  }
+
+  return { version, identify, describe };
+}
+
+// ---------------------------------------------------------------------------
+// Shared instance
+// ---------------------------------------------------------------------------
+
+function registryFile() {
+  return process.env.DGB_POOL_REGISTRY_FILE || DEFAULT_REGISTRY_FILE;
+}
+
+let active = null;
+try {
+  active = createPoolRegistry(loadPoolRegistryFile(registryFile()), { file: registryFile() });
+} catch (error) {
+  console.error('Error loading pool registry:', error.message);
+  active = createPoolRegistry({ version: 1, pools: [] }, { file: null });
+}
+
+/** Registry used by every block pipeline in this process. */
+function getPoolRegistry() {
+  return active;
+}
+
+/**
+ * Re-read the registry file and make it the shared instance. Clusters start
+ * empty. Throws (keeping the current registry) when the file is invalid.
+ *
+ * @param {string} [file] - defaults to DGB_POOL_REGISTRY_FILE or ./pools.json
+ * @returns {object} the new registry
+ */
+function reloadPoolRegistry(file = registryFile()) {
+  active = createPoolRegistry(loadPoolRegistryFile(file), { file });
+  return active;
+}
+
+/** Shorthand for getPoolRegistry().identify(...).pool. */
+function identifyPool(poolIdentifier, minerAddress) {
+  return active.identify(poolIdentifier, minerAddress).pool;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_FILE,
+  parsePoolRegistry,
+  loadPoolRegistryFile,
+  createPoolRegistry,
+  getPoolRegistry,
+  reloadPoolRegistry,
+  identifyPool,
+};
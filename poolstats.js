@@ -0,0 +1,151 @@
+/**
+ * Mining pool share statistics (one service per network)
+ *
+ * Every block carries a canonical pool name (poolregistry.js); this
+ * aggregates those names from the block index (blockindex.js) into per-pool,
+ * per-algo block counts over sliding 1h / 24h / 7d / 30d windows, so pool
+ * shares no longer come from only the 240 blocks a client happens to hold.
+ *
+ * Hashrate uses the history.js formula: an algo's network hashrate over a
+ * window is 2^32 * sum(difficulty of its blocks) / window seconds, and a
+ * pool's estimate is its share of that algo's blocks times that figure.
+ *
+ * A window is `complete` once the index reaches back to its start; before
+ * the backfill gets there, counts cover only the indexed part.
+ */
+
+const POW32 = Math.pow(2, 32);
+
+// Window name -> length in seconds, shortest first
+const POOL_STATS_WINDOWS = {
+  '1h': 3600,
+  '24h': 86400,
+  '7d': 7 * 86400,
+  '30d': 30 * 86400,
+};
+
+// Canonical ordering of the per-algo maps (matches history.js)
+const ALGO_ORDER = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl'];
+const algoRank = (algo) => (ALGO_ORDER.includes(algo) ? ALGO_ORDER.indexOf(algo) : ALGO_ORDER.length);
+
+// ---------------------------------------------------------------------------
+// Pure aggregation
+// ---------------------------------------------------------------------------
+
+/**
+ * Shape one window from blockindex countByPool rows.
+ *
+ * @param {Array<{pool, algo, blocks, sum_difficulty}>} rows
+ * @param {object} p
+ * @param {number} p.seconds          window length
+ * @param {number} p.to               window end (unix seconds)
+ * @param {number|null} p.oldestTime  oldest indexed block time
+ * @returns {object} { seconds, from, to, complete, totalBlocks, algos, pools }
+ */
+function buildWindowStats(rows, { seconds, to, oldestTime }) {
+  const from = to - seconds;
+  const algos = {};
+  const pools = new Map();
+
+  for (const row of rows) {
+    const algo = algos[row.algo] || (algos[row.algo] = { blocks: 0, sumDifficulty: 0 });
+    algo.blocks += row.blocks;
+    algo.sumDifficulty += row.sum_difficulty || 0;
+
+    const pool = pools.get(row.pool) || { pool: row.pool, blocks: 0, algos: {} };
+    pool.blocks += row.blocks;
+    pool.algos[row.algo] = { blocks: (pool.algos[row.algo]?.blocks || 0) + row.blocks };
+    pools.set(row.pool, pool);
+  }
+
+  const totalBlocks = Object.values(algos).reduce((sum, a) => sum + a.blocks, 0);
+  const algoStats = {};
+  for (const name of Object.keys(algos).sort((a, b) => algoRank(a) - algoRank(b) || a.localeCompare(b))) {
+    algoStats[name] = {
+      blocks: algos[name].blocks,
+      networkHashrate: (POW32 * algos[name].sumDifficulty) / seconds,
+    };
+  }
+
+  const poolStats = [...pools.values()]
+    .map((pool) => {
+      const perAlgo = {};
+      for (const name of Object.keys(algoStats)) {
+        if (!pool.algos[name]) continue;
+        const share = pool.algos[name].blocks / algoStats[name].blocks;
+        perAlgo[name] = {
+          blocks: pool.algos[name].blocks,
+          share,
+          hashrate: share * algoStats[name].networkHashrate,
+        };
+      }
+      return { pool: pool.pool, blocks: pool.blocks, share: totalBlocks ? pool.blocks / totalBlocks : 0, algos: perAlgo };
+    })
+    .sort((a, b) => b.blocks - a.blocks || a.pool.localeCompare(b.pool));
+
+  return {
+    seconds,
+    from,
+    to,
+    complete: oldestTime !== null && oldestTime !== undefined && oldestTime <= from,
+    totalBlocks,
+    algos: algoStats,
+    pools: poolStats,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network        networks.js entry (key, slug, label)
+ * @param {object} p.blockIndex     blockindex.js handle ({ countByPool, getRange })
+ * @param {Function} p.broadcast    ({ type, data }) => void, sends to every client
+ * @param {Function} [p.nowFn]      () => ms
+ * @param {object} [p.logger]       console-like { log, warn, error }
+ * @returns {{ refresh, getStats, getMessages }}
+ */
+function createPoolStats({ network, blockIndex, broadcast, nowFn = () => Date.now(), logger = console }) {
+  let stats = null;
+
+  /**
+   * Recompute every window and broadcast `poolStats`. Keeps the previous
+   * stats when the index cannot be read.
+   */
+  async function refresh() {
+    try {
+      const to = Math.floor(nowFn() / 1000);
+      const { oldestTime } = await blockIndex.getRange(network.key);
+      const windows = {};
+      for (const [name, seconds] of Object.entries(POOL_STATS_WINDOWS)) {
+        const rows = await blockIndex.countByPool(network.key, to - seconds);
+        windows[name] = buildWindowStats(rows, { seconds, to, oldestTime });
+      }
+      stats = { network: network.slug, generatedAt: to, windows };
+      broadcast({ type: 'poolStats', data: stats });
+    } catch (error) {
+      logger.error(`Error computing ${network.slug} pool stats:`, error.message);
+    }
+    return stats;
+  }
+
+  /** Last computed stats, or null before the first refresh. */
+  function getStats() {
+    return stats;
+  }
+
+  /** Cached payload as WebSocket messages for a newly connected client. */
+  function getMessages() {
+    return stats ? [{ type: 'poolStats', data: stats }] : [];
+  }
+
+  return { refresh, getStats, getMessages };
+}
+
+module.exports = {
+  POOL_STATS_WINDOWS,
+  buildWindowStats,
+  createPoolStats,
+};
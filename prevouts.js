@@ -0,0 +1,263 @@
+/**
+ * Prevout resolution for confirmed transactions (one resolver per network)
+ *
+ * A verbosity-2 block lists each input as an outpoint only, so the value and
+ * address it spends, and with them the fee, are unknown. `getblock`
+ * verbosity 3 (nodes based on Bitcoin Core 23 and later) adds a `prevout` to
+ * every input; the resolver asks for it first. A node that rejects
+ * verbosity 3, or silently answers it with verbosity 2, is asked for
+ * verbosity 2 from then on and the funding transactions are looked up with
+ * getrawtransaction instead (needs -txindex), their outputs cached. Inputs
+ * neither way covers are reported as unresolved rather than guessed.
+ */
+
+const { transactionFee } = require('./rawblock');
+
+// Funding transactions whose outputs are kept for later lookups
+const PREVOUT_CACHE_LIMIT = 5000;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const isCoinbase = (input) => Boolean(input && input.coinbase);
+
+/**
+ * The node's answer to a verbosity it does not have (RPC_INVALID_PARAMETER,
+ * or a message naming the verbosity). Anything else, e.g. -5 "Block not
+ * found" while a reorg settles, only concerns that one block.
+ */
+function isInvalidVerbosity(rpcError) {
+  return Boolean(rpcError) && (rpcError.code === -8 || /verbosity/i.test(rpcError.message || ''));
+}
+
+/** True when every non-coinbase input of the non-coinbase transactions carries a prevout. */
+function hasPrevouts(block) {
+  const spends = (block.tx || []).slice(1).flatMap((tx) => tx.vin || []).filter((input) => !isCoinbase(input));
+  return spends.every((input) => input.prevout);
+}
+
+/** low / medium / high bucket of a fee rate (sat/vB), also used for mempool entries. */
+function priorityOf(feeRate) {
+  if (feeRate > 100) return 'high';
+  if (feeRate > 50) return 'medium';
+  return 'low';
+}
+
+/**
+ * Confirmed-transaction entry (recentTransactions / transactionConfirmed
+ * shape) for a transaction whose inputs went through the resolver.
+ *
+ * `fee` (DGB) and `fee_rate` (sat/vB) are null and `inputsResolved` false
+ * when any input's prevout is missing; unresolved inputs have a null
+ * `amount`.
+ *
+ * @param {object} tx - verbosity-2/3 transaction
+ * @param {object} fullBlock - block containing it (height, hash, time)
+ * @returns {object}
+ */
+function describeConfirmedTransaction(tx, fullBlock) {
+  const outputs = [];
+  let value = 0;
+  for (const output of tx.vout || []) {
+    if (!output.value) continue;
+    value += output.value;
+    outputs.push({
+      address: output.scriptPubKey?.address || 'Unknown',
+      amount: output.value,
+      type: output.scriptPubKey?.type || ''
+    });
+  }
+
+  const prevoutValues = new Map();
+  const inputs = (tx.vin || []).map((input) => {
+    const prevout = input.prevout || null;
+    if (prevout) prevoutValues.set(`${input.txid}:${input.vout}`, prevout.value);
+    return {
+      txid: input.txid || '',
+      vout: input.vout !== undefined ? input.vout : -1,
+      address: prevout?.scriptPubKey?.address || '',
+      amount: prevout ? prevout.value : null,
+      type: prevout?.scriptPubKey?.type || ''
+    };
+  });
+  const unresolvedInputs = inputs.filter((input) => input.amount === null).length;
+  const { fee, feeRate, feeSource } = transactionFee(tx, {
+    prevout: (txid, n) => prevoutValues.get(`${txid}:${n}`)
+  });
+  const size = tx.vsize || tx.size || 0;
+
+  return {
+    txid: tx.txid,
+    blockHeight: fullBlock.height,
+    blockHash: fullBlock.hash,
+    blocktime: fullBlock.time,
+    time: fullBlock.time,
+    value,
+    inputValue: unresolvedInputs ? null : inputs.reduce((sum, input) => sum + Math.round(input.amount * 1e8), 0) / 1e8,
+    size: tx.size || size,
+    vsize: size,
+    fee,
+    fee_rate: feeRate,
+    feeSource,
+    priority: feeRate === null ? null : priorityOf(feeRate),
+    inputs,
+    outputs,
+    inputsResolved: unresolvedInputs === 0 && feeSource !== null,
+    unresolvedInputs
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} p.network      networks.js entry (label)
+ * @param {Function} p.sendRpc    (method, params) => Promise<result>; node
+ *                                errors reject with `rpcError`
+ * @param {number} [p.cacheLimit]
+ * @param {object} [p.logger]     console-like { log, warn, error }
+ * @returns {{ getBlock, resolveBlock, getStatus }}
+ */
+function createPrevoutResolver({ network, sendRpc, cacheLimit = PREVOUT_CACHE_LIMIT, logger = console }) {
+  const { label } = network;
+  // null until the node has answered a verbosity-3 request
+  let verbosity3 = null;
+  // false once getrawtransaction reported that the node has no txindex
+  let txindex = true;
+  // txid -> [{ value, scriptPubKey: { address, type } }] by output index
+  const outputs = new Map();
+
+  function remember(tx) {
+    if (!tx || !tx.txid || !Array.isArray(tx.vout)) return;
+    outputs.delete(tx.txid);
+    outputs.set(tx.txid, tx.vout.map((output) => ({
+      value: output.value,
+      scriptPubKey: { address: output.scriptPubKey?.address, type: output.scriptPubKey?.type }
+    })));
+    while (outputs.size > cacheLimit) outputs.delete(outputs.keys().next().value);
+  }
+
+  async function fetchOutputs(txid) {
+    if (outputs.has(txid)) return outputs.get(txid);
+    if (!txindex) return null;
+    try {
+      const tx = await sendRpc('getrawtransaction', [txid, true]);
+      remember(tx);
+    } catch (error) {
+      if (/txindex/i.test(error.rpcError?.message || error.message)) {
+        txindex = false;
+        logger.warn(`${label}: node has no -txindex, confirmed transaction fees need getblock verbosity 3`);
+      } else {
+        logger.error(`${label}: could not look up prevout transaction ${txid}:`, error.message);
+      }
+    }
+    return outputs.get(txid) || null;
+  }
+
+  /**
+   * Copy of the first `maxTransactions` transactions with a prevout on every
+   * input the cache or getrawtransaction can answer. The block's own
+   * transactions are cached first, so spends of a parent in the same block
+   * need no lookup.
+   */
+  async function attachPrevouts(fullBlock, maxTransactions) {
+    fullBlock.tx.forEach(remember);
+    const tx = [];
+    for (const [index, original] of fullBlock.tx.entries()) {
+      if (index === 0 || index > maxTransactions) {
+        tx.push(original);
+        continue;
+      }
+      const vin = [];
+      for (const input of original.vin || []) {
+        if (isCoinbase(input) || input.prevout) {
+          vin.push(input);
+          continue;
+        }
+        const funding = await fetchOutputs(input.txid);
+        const prevout = funding && funding[input.vout];
+        vin.push(prevout ? { ...input, prevout } : input);
+      }
+      tx.push({ ...original, vin });
+    }
+    return { ...fullBlock, tx };
+  }
+
+  async function fetchVerbosity3(hash) {
+    try {
+      const block = await sendRpc('getblock', [hash, 3]);
+      if (!block || !Array.isArray(block.tx)) return null;
+      if (!hasPrevouts(block)) {
+        verbosity3 = false;
+        logger.log(`${label}: node answers getblock verbosity 3 without prevouts, resolving them per input`);
+        return null;
+      }
+      verbosity3 = true;
+      return block;
+    } catch (error) {
+      if (isInvalidVerbosity(error.rpcError)) {
+        verbosity3 = false;
+        logger.log(`${label}: node rejects getblock verbosity 3 (${error.rpcError.message}), resolving prevouts per input`);
+      } else {
+        logger.error(`${label}: getblock ${hash} verbosity 3 failed:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a block with prevouts on its inputs: verbosity 3 when the node
+   * supports it, else verbosity 2 plus per-input lookups.
+   *
+   * @param {string} hash
+   * @param {number} [maxTransactions] - transactions resolved on the fallback path
+   * @returns {Promise<object|null>} null when the block could not be fetched
+   */
+  async function getBlock(hash, maxTransactions = Infinity) {
+    if (verbosity3 !== false) {
+      const block = await fetchVerbosity3(hash);
+      if (block) return block;
+    }
+    try {
+      const block = await sendRpc('getblock', [hash, 2]);
+      if (!block || !Array.isArray(block.tx)) return null;
+      return attachPrevouts(block, maxTransactions);
+    } catch (error) {
+      logger.error(`${label}: getblock ${hash} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Add prevouts to a block someone already fetched at verbosity 2 (block
+   * ingest): re-read at verbosity 3 when supported, else per-input lookups.
+   *
+   * @param {object} fullBlock
+   * @param {number} [maxTransactions] - transactions resolved on the fallback path
+   * @returns {Promise<object>} never rejects; unresolvable inputs stay bare
+   */
+  async function resolveBlock(fullBlock, maxTransactions = Infinity) {
+    if (hasPrevouts(fullBlock)) return fullBlock;
+    if (verbosity3 !== false && fullBlock.hash) {
+      const block = await fetchVerbosity3(fullBlock.hash);
+      if (block) return block;
+    }
+    return attachPrevouts(fullBlock, maxTransactions);
+  }
+
+  return {
+    getBlock,
+    resolveBlock,
+    getStatus: () => ({ verbosity3, txindex, cachedTransactions: outputs.size })
+  };
+}
+
+module.exports = {
+  PREVOUT_CACHE_LIMIT,
+  priorityOf,
+  describeConfirmedTransaction,
+  createPrevoutResolver,
+};
@@ -0,0 +1,422 @@
+/**
+ * DigiByte block and transaction deserialization
+ *
+ * The ZMQ rawblock feed delivers the serialized block; handleRawBlocks used
+ * to hash its header and then fetch the same block again with
+ * `getblock <hash> 2`. This parses the payload into the verbosity-2 shape the
+ * block pipeline already consumes (formatBlockForCache, detectOracleBundle,
+ * extractPoolIdentifier), so a ZMQ block costs no RPC round trip.
+ *
+ * - Header: the 80-byte Bitcoin header; the mining algo is the nibble at
+ *   bits 8-11 of nVersion (see classifyBlockVersion in rpc.js). The block
+ *   hash is always sha256d of the header, whatever the algo.
+ * - Height: a serialized block does not carry it; it is read from the
+ *   coinbase's BIP34 push (coinbase.js).
+ * - Transactions: BIP144 segwit serialization; txid over the stripped form,
+ *   wtxid (`hash`) over the full one, weight = stripped * 3 + full.
+ * - Outputs: script types and addresses as the node reports them, with the
+ *   chain's base58 prefixes and bech32 / bech32m hrp.
+ *
+ * The rawtx feed goes through the same transaction parser. A serialized
+ * transaction does not carry its input values, so the fee comes from the
+ * outputs of recently seen transactions when they cover every input (a
+ * bounded cache, createOutputCache) and from getmempoolentry otherwise.
+ *
+ * Parsing throws on a truncated or malformed payload; callers fall back to
+ * the RPC.
+ */
+
+const crypto = require('crypto');
+const { decodeScriptSig } = require('./coinbase');
+const { bitsToDifficulty } = require('./difficulty');
+
+// Base58 prefixes and bech32 hrp per chain (getblockchaininfo `chain`)
+const ADDRESS_PARAMS = {
+  main: { pubkeyHash: 30, scriptHash: 63, hrp: 'dgb' },
+  test: { pubkeyHash: 126, scriptHash: 140, hrp: 'dgbt' },
+  regtest: { pubkeyHash: 126, scriptHash: 140, hrp: 'dgbrt' },
+};
+
+// nVersion bits 8-11 → getblock `pow_algo`
+const ALGO_MASK = 0x0f00;
+const POW_ALGOS = { 0x000: 'scrypt', 0x200: 'sha256d', 0x400: 'groestl', 0x600: 'skein', 0x800: 'qubit', 0xe00: 'odo' };
+
+const HEADER_SIZE = 80;
+const WITNESS_SCALE_FACTOR = 4;
+// Transactions whose outputs createOutputCache remembers
+const OUTPUT_CACHE_LIMIT = 5000;
+
+// ---------------------------------------------------------------------------
+// Hashing and address encoding
+// ---------------------------------------------------------------------------
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const sha256d = (data) => sha256(sha256(data));
+/** Hash as the node prints it (byte-reversed hex). */
+const hashHex = (data) => Buffer.from(sha256d(data)).reverse().toString('hex');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Check(version, payload) {
+  const data = Buffer.concat([Buffer.from([version]), payload]);
+  const bytes = Buffer.concat([data, sha256d(data).subarray(0, 4)]);
+  let value = BigInt(`0x${bytes.toString('hex')}`);
+  let out = '';
+  while (value > 0n) {
+    out = BASE58_ALPHABET[Number(value % 58n)] + out;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    out = `1${out}`;
+  }
+  return out;
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= generator[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+/** Segwit address (BIP173 for v0, BIP350 bech32m for v1+). */
+function segwitAddress(hrp, version, program) {
+  const words = [version];
+  let acc = 0;
+  let bits = 0;
+  for (const byte of program) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >>> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+
+  const expanded = [...hrp].map((c) => c.charCodeAt(0) >> 5)
+    .concat([0], [...hrp].map((c) => c.charCodeAt(0) & 31));
+  const polymod = bech32Polymod([...expanded, ...words, 0, 0, 0, 0, 0, 0]) ^ (version === 0 ? BECH32_CONST : BECH32M_CONST);
+  const checksum = Array.from({ length: 6 }, (_, i) => (polymod >>> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...words, ...checksum].map((w) => BECH32_CHARSET[w]).join('')}`;
+}
+
+/**
+ * Script type and address of an output script, named as the node's
+ * scriptPubKey `type` / `address`.
+ *
+ * @param {Buffer} script
+ * @param {string} [chain] - 'main' | 'test' | 'regtest'
+ * @returns {{ type: string, address?: string }}
+ */
+function describeScript(script, chain = 'main') {
+  const params = ADDRESS_PARAMS[chain] || ADDRESS_PARAMS.main;
+  const len = script.length;
+
+  if (len === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14 && script[23] === 0x88 && script[24] === 0xac) {
+    return { type: 'pubkeyhash', address: base58Check(params.pubkeyHash, script.subarray(3, 23)) };
+  }
+  if (len === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) {
+    return { type: 'scripthash', address: base58Check(params.scriptHash, script.subarray(2, 22)) };
+  }
+  // Witness program: OP_0 / OP_1..OP_16, then one 2-40 byte push
+  if (len >= 4 && len <= 42 && (script[0] === 0x00 || (script[0] >= 0x51 && script[0] <= 0x60)) && script[1] === len - 2) {
+    const version = script[0] === 0x00 ? 0 : script[0] - 0x50;
+    const program = script.subarray(2);
+    let type = 'witness_unknown';
+    if (version === 0 && program.length === 20) type = 'witness_v0_keyhash';
+    else if (version === 0 && program.length === 32) type = 'witness_v0_scripthash';
+    else if (version === 0) return { type: 'nonstandard' };
+    else if (version === 1 && program.length === 32) type = 'witness_v1_taproot';
+    return { type, address: segwitAddress(params.hrp, version, program) };
+  }
+  if ((len === 35 && script[0] === 0x21 && script[34] === 0xac) || (len === 67 && script[0] === 0x41 && script[66] === 0xac)) {
+    return { type: 'pubkey' };
+  }
+  if (len >= 1 && script[0] === 0x6a) return { type: 'nulldata' };
+  if (len >= 3 && script[len - 1] === 0xae && script[0] >= 0x51 && script[0] <= 0x60) return { type: 'multisig' };
+  return { type: 'nonstandard' };
+}
+
+// ---------------------------------------------------------------------------
+// Deserialization
+// ---------------------------------------------------------------------------
+
+/** Sequential little-endian reader over a Buffer; throws past the end. */
+function createReader(buffer, offset = 0) {
+  let pos = offset;
+  const need = (n) => {
+    if (pos + n > buffer.length) throw new Error(`truncated data at byte ${pos}`);
+  };
+  const reader = {
+    get pos() { return pos; },
+    bytes(n) { need(n); const out = buffer.subarray(pos, pos + n); pos += n; return out; },
+    u8() { need(1); return buffer[pos++]; },
+    u32() { need(4); const v = buffer.readUInt32LE(pos); pos += 4; return v; },
+    i32() { need(4); const v = buffer.readInt32LE(pos); pos += 4; return v; },
+    u64() { need(8); const v = buffer.readBigUInt64LE(pos); pos += 8; return v; },
+    varint() {
+      const first = reader.u8();
+      if (first < 0xfd) return first;
+      if (first === 0xfd) { need(2); const v = buffer.readUInt16LE(pos); pos += 2; return v; }
+      if (first === 0xfe) return reader.u32();
+      const v = reader.u64();
+      if (v > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('varint out of range');
+      return Number(v);
+    },
+    varbytes() { return reader.bytes(reader.varint()); },
+  };
+  return reader;
+}
+
+/**
+ * Deserialize one transaction at `offset` into the getblock verbosity-2 /
+ * getrawtransaction shape (txid, hash, sizes, vin, vout).
+ *
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @param {object} [options]
+ * @param {string} [options.chain] - address encoding: 'main' | 'test' | 'regtest'
+ * @returns {{ tx: object, next: number }} next = offset after the transaction
+ */
+function parseTransaction(buffer, offset = 0, { chain = 'main' } = {}) {
+  const reader = createReader(buffer, offset);
+  const version = reader.i32();
+
+  let segwit = false;
+  let inputCount = reader.varint();
+  if (inputCount === 0) {
+    // BIP144 marker 0x00 then flag 0x01
+    const flag = reader.u8();
+    if (flag !== 0x01) throw new Error(`unknown segwit flag ${flag}`);
+    segwit = true;
+    inputCount = reader.varint();
+  }
+  const bodyStart = reader.pos;
+
+  const vin = [];
+  for (let i = 0; i < inputCount; i++) {
+    const prevHash = reader.bytes(32);
+    const prevIndex = reader.u32();
+    const script = reader.varbytes();
+    const sequence = reader.u32();
+    const coinbase = prevIndex === 0xffffffff && prevHash.every((b) => b === 0);
+    vin.push(coinbase
+      ? { coinbase: script.toString('hex'), sequence }
+      : { txid: Buffer.from(prevHash).reverse().toString('hex'), vout: prevIndex, scriptSig: { hex: script.toString('hex') }, sequence });
+  }
+
+  const vout = [];
+  const outputCount = reader.varint();
+  for (let n = 0; n < outputCount; n++) {
+    const sats = reader.u64();
+    const script = reader.varbytes();
+    vout.push({ value: Number(sats) / 1e8, n, scriptPubKey: { hex: script.toString('hex'), ...describeScript(script, chain) } });
+  }
+  const bodyEnd = reader.pos;
+
+  if (segwit) {
+    for (const input of vin) {
+      const items = reader.varint();
+      const witness = [];
+      for (let i = 0; i < items; i++) witness.push(reader.varbytes().toString('hex'));
+      if (witness.length) input.txinwitness = witness;
+    }
+  }
+  const witnessEnd = reader.pos;
+  const locktime = reader.u32();
+  const end = reader.pos;
+
+  const full = buffer.subarray(offset, end);
+  const stripped = segwit
+    ? Buffer.concat([
+      buffer.subarray(offset, offset + 4),
+      buffer.subarray(bodyStart - varintSize(inputCount), bodyEnd),
+      buffer.subarray(witnessEnd, end),
+    ])
+    : full;
+  const weight = stripped.length * (WITNESS_SCALE_FACTOR - 1) + full.length;
+
+  return {
+    tx: {
+      txid: hashHex(stripped),
+      hash: hashHex(full),
+      version,
+      size: full.length,
+      vsize: Math.ceil(weight / WITNESS_SCALE_FACTOR),
+      weight,
+      locktime,
+      vin,
+      vout,
+    },
+    next: end,
+  };
+}
+
+/**
+ * Deserialize a standalone transaction (the ZMQ rawtx payload).
+ *
+ * @param {Buffer} buffer
+ * @param {object} [options] - see parseTransaction
+ * @returns {object} the parseTransaction `tx`; throws on trailing bytes
+ */
+function parseRawTransaction(buffer, options = {}) {
+  if (!Buffer.isBuffer(buffer)) throw new Error('transaction payload is not a Buffer');
+  const { tx, next } = parseTransaction(buffer, 0, options);
+  if (next !== buffer.length) throw new Error(`${buffer.length - next} trailing bytes after transaction`);
+  return tx;
+}
+
+/** Bytes of the varint encoding of n. */
+function varintSize(n) {
+  if (n < 0xfd) return 1;
+  if (n <= 0xffff) return 3;
+  if (n <= 0xffffffff) return 5;
+  return 9;
+}
+
+/** Block hash from a serialized block's header, or null when it is too short. */
+function headerHash(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= HEADER_SIZE ? hashHex(buffer.subarray(0, HEADER_SIZE)) : null;
+}
+
+/**
+ * Deserialize a block (the ZMQ rawblock payload) into the getblock
+ * verbosity-2 shape. Fields the payload cannot tell (confirmations,
+ * mediantime, chainwork, nextblockhash) are left out.
+ *
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {string} [options.chain] - address encoding: 'main' | 'test' | 'regtest'
+ * @returns {object} { hash, height, version, versionHex, pow_algo, merkleroot,
+ *   time, nonce, bits, difficulty, previousblockhash, size, strippedsize,
+ *   weight, nTx, tx }; height is null without a BIP34 push
+ */
+function parseBlock(buffer, { chain = 'main' } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE + 1) throw new Error('block shorter than its header');
+  const header = buffer.subarray(0, HEADER_SIZE);
+  const reader = createReader(buffer);
+  const version = reader.i32();
+  const previousblockhash = Buffer.from(reader.bytes(32)).reverse().toString('hex');
+  const merkleroot = Buffer.from(reader.bytes(32)).reverse().toString('hex');
+  const time = reader.u32();
+  const bits = reader.u32().toString(16).padStart(8, '0');
+  const nonce = reader.u32();
+
+  const count = reader.varint();
+  const tx = [];
+  let offset = reader.pos;
+  let strippedsize = offset;
+  for (let i = 0; i < count; i++) {
+    const parsed = parseTransaction(buffer, offset, { chain });
+    tx.push(parsed.tx);
+    strippedsize += (parsed.tx.weight - parsed.tx.size) / (WITNESS_SCALE_FACTOR - 1);
+    offset = parsed.next;
+  }
+  if (offset !== buffer.length) throw new Error(`${buffer.length - offset} trailing bytes after ${count} transactions`);
+
+  const coinbase = tx[0] && tx[0].vin[0] && tx[0].vin[0].coinbase;
+  return {
+    hash: hashHex(header),
+    height: coinbase ? decodeScriptSig(coinbase).height : null,
+    version,
+    versionHex: (version >>> 0).toString(16).padStart(8, '0'),
+    pow_algo: POW_ALGOS[version & ALGO_MASK] || 'unknown',
+    merkleroot,
+    time,
+    nonce,
+    bits,
+    difficulty: bitsToDifficulty(bits),
+    previousblockhash,
+    size: buffer.length,
+    strippedsize,
+    weight: strippedsize * (WITNESS_SCALE_FACTOR - 1) + buffer.length,
+    nTx: count,
+    tx,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fees
+// ---------------------------------------------------------------------------
+
+/**
+ * Fee of a parsed transaction, from its mempool entry or its prevouts.
+ *
+ * @param {object} tx - parseTransaction `tx`
+ * @param {object} [sources]
+ * @param {object|null} [sources.mempoolEntry] - getmempoolentry result
+ * @param {Function} [sources.prevout] - (txid, n) => value in DGB, or undefined
+ * @returns {{ fee: number|null, feeRate: number|null, feeSource: 'mempool'|'prevouts'|null }}
+ *   fee in DGB, feeRate in sat/vB; all null when neither source covers it
+ */
+function transactionFee(tx, { mempoolEntry = null, prevout = null } = {}) {
+  // The node's vsize also counts sigops, so prefer it when there is an entry
+  const vsize = (mempoolEntry && mempoolEntry.vsize) || tx.vsize || tx.size;
+  const result = (sats, feeSource) => ({ fee: sats / 1e8, feeRate: vsize ? Math.round((sats / vsize) * 100) / 100 : null, feeSource });
+
+  if (mempoolEntry) {
+    const fee = mempoolEntry.fees && Number.isFinite(mempoolEntry.fees.base) ? mempoolEntry.fees.base : mempoolEntry.fee;
+    if (Number.isFinite(fee)) return result(Math.round(fee * 1e8), 'mempool');
+  }
+
+  if (prevout && tx.vin.length && tx.vin.every((input) => input.txid)) {
+    let inputSats = 0;
+    for (const input of tx.vin) {
+      const value = prevout(input.txid, input.vout);
+      if (!Number.isFinite(value)) return { fee: null, feeRate: null, feeSource: null };
+      inputSats += Math.round(value * 1e8);
+    }
+    const outputSats = tx.vout.reduce((sum, output) => sum + Math.round(output.value * 1e8), 0);
+    if (inputSats >= outputSats) return result(inputSats - outputSats, 'prevouts');
+  }
+  return { fee: null, feeRate: null, feeSource: null };
+}
+
+/**
+ * Output values of the most recently seen transactions, so a transaction
+ * spending a recent parent has a fee without an RPC call.
+ *
+ * @param {number} [limit] - transactions kept (oldest dropped first)
+ * @returns {{ add(tx), prevout(txid, n), size() }}
+ */
+function createOutputCache(limit = OUTPUT_CACHE_LIMIT) {
+  const outputs = new Map();
+
+  function add(tx) {
+    outputs.delete(tx.txid);
+    outputs.set(tx.txid, tx.vout.map((output) => output.value));
+    while (outputs.size > limit) outputs.delete(outputs.keys().next().value);
+  }
+
+  function prevout(txid, n) {
+    const values = outputs.get(txid);
+    return values ? values[n] : undefined;
+  }
+
+  return { add, prevout, size: () => outputs.size };
+}
+
+module.exports = {
+  ADDRESS_PARAMS,
+  base58Check,
+  segwitAddress,
+  describeScript,
+  parseTransaction,
+  parseRawTransaction,
+  headerHash,
+  parseBlock,
+  transactionFee,
+  createOutputCache,
+};
@@ -19,60 +19,139 @@ const express = require('express');
 const axios = require('axios');
 const geoip = require('geoip-lite');
 const crypto = require('crypto');
+const fs = require('fs').promises;
 const NodeCache = require('node-cache');
+const { parseBackendList, buildBackendList, createBackendPool } = require('./rpcpool');
+const { createRpcScheduler } = require('./rpcscheduler');
+const { createRpcDiskCache, DEFAULT_MAX_BYTES: DISK_CACHE_DEFAULT_MAX_BYTES } = require('./rpcdiskcache');
+const { RPC_ERROR_CODES, RPC_PASSTHROUGH_METHODS, validateRpcCall } = require('./rpcallowlist');
+const { loadNetworkRegistry } = require('./networks');
+const { identifyPool } = require('./poolregistry');
+const { decodeCoinbase } = require('./coinbase');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-// RPC Connection Settings
-const RPC_CONFIG = {
-  user: process.env.DGB_RPC_USER || 'user',
-  password: process.env.DGB_RPC_PASSWORD || 'password',
-  url: process.env.DGB_RPC_URL || 'http://127.0.0.1:14044',
-  timeout: {
-    default: 30000,      // 30 seconds for most commands
-    heavy: 120000        // 2 minutes for expensive operations like gettxoutsetinfo
-  }
-};
-
-// Testnet RPC Connection Settings
-const TESTNET_RPC_CONFIG = {
-  user: process.env.DGB_TESTNET_RPC_USER || 'user',
-  password: process.env.DGB_TESTNET_RPC_PASSWORD || 'password',
-  url: process.env.DGB_TESTNET_RPC_URL || 'http://127.0.0.1:14026',
-  timeout: {
-    default: 30000,
-    heavy: 120000
-  }
-};
+// Per-network RPC settings (see networks.js), read from the environment and
+// config.js when this module loads
+const { listNetworks } = loadNetworkRegistry();
 
-// Modified-mainnet/PRE RPC Connection Settings
-const MAINNET_PRE_RPC_CONFIG = {
-  user: process.env.DGB_MAINNET_PRE_RPC_USER || process.env.DGB_PRE_RPC_USER || 'preminer',
-  password: process.env.DGB_MAINNET_PRE_RPC_PASSWORD || process.env.DGB_PRE_RPC_PASSWORD || 'preminerpass',
-  url: process.env.DGB_MAINNET_PRE_RPC_URL || process.env.DGB_PRE_RPC_URL || 'http://127.0.0.1:14046',
-  timeout: {
-    default: 30000,
-    heavy: 120000
-  }
+// RPC timeouts (shared by every network)
+const RPC_TIMEOUTS = {
+  default: 30000,      // 30 seconds for most commands
+  heavy: 120000        // 2 minutes for expensive operations like gettxoutsetinfo
 };
 
 // Rate Limiting Configuration
 const RATE_LIMIT = {
-  maxConcurrent: 4,     // Maximum concurrent RPC requests
+  maxConcurrent: 4,     // Maximum concurrent RPC requests per network (see rpcscheduler.js)
   batchSize: 20,        // Size of batches when fetching multiple blocks
   batchDelay: 200       // Delay between batches in milliseconds
 };
 
+// Optional on-disk tier for immutable results (see rpcdiskcache.js); off
+// unless a file is configured
+const DISK_CACHE_CONFIG = {
+  file: process.env.DGB_RPC_DISK_CACHE_FILE || null,
+  maxBytes: (parseInt(process.env.DGB_RPC_DISK_CACHE_MAX_MB, 10) * 1024 * 1024) || DISK_CACHE_DEFAULT_MAX_BYTES
+};
+
+// JSON-RPC batch settings (one HTTP POST carries up to maxEntries calls)
+const BATCH_CONFIG = {
+  maxEntries: 100       // Entries per batch POST; larger inputs are split into chunks
+};
+
+// POST /api/rpc/:network limits: calls of one request queued at a time, and
+// methods that may reach a node at most once per heavyInterval (cached
+// results are always served)
+const PASSTHROUGH_CONFIG = {
+  maxConcurrent: 4,
+  heavyMethods: new Set(['gettxoutsetinfo']),
+  heavyInterval: 10 * 60 * 1000
+};
+
+// Timeout for background backend health probes (getblockchaininfo)
+const BACKEND_PROBE_TIMEOUT = 5000;
+
+// RPC_IN_WARMUP: node is starting up / reindexing and can't answer yet
+const RPC_IN_WARMUP = -28;
+
+/**
+ * Build the RPC target for one registry entry (see networks.js).
+ * cachePrefix and limiterKey keep each node's cache namespace and
+ * concurrency budget separate; pool holds the network's failover backends
+ * (see rpcpool.js) and scheduler its priority queue (see rpcscheduler.js).
+ * tip is the last chain tip seen for the network and cacheTags indexes cache
+ * keys that a new tip or reorg must purge (see notifyNewTip).
+ *
+ * @param {object} network - networks.js entry
+ * @returns {object} RPC target
+ */
+function createRpcTarget(network) {
+  // rpc holds url / user / password / cookieFile / backends
+  const config = { ...network.rpc, timeout: RPC_TIMEOUTS };
+  return {
+    config,
+    network,
+    networkName: network.label,
+    rpcId: network.rpcId,
+    cachePrefix: network.cachePrefix,
+    limiterKey: network.key,
+    pool: createBackendPool({
+      name: network.slug,
+      backends: buildBackendList(config),
+      probe: probeBackend,
+      log: console.log
+    }),
+    scheduler: createRpcScheduler({ maxConcurrent: RATE_LIMIT.maxConcurrent }),
+    // height / hash: last notified tip; hintHeight: newer height getblockchaininfo reported
+    tip: { height: null, hash: null, hintHeight: null },
+    cacheTags: new Map()
+  };
+}
+
+/**
+ * Per-network RPC targets shared by the single-call and batch transports,
+ * keyed by registry key ('mainnet', 'testnet', 'mainnetPre', ...).
+ */
+const RPC_TARGETS = Object.fromEntries(
+  listNetworks().map((network) => [network.key, createRpcTarget(network)])
+);
+
 // Cache Configuration with TTL settings for different data types
 const CACHE_CONFIG = {
   default: 60,          // 1 minute default TTL
   blocks: 3600,         // 1 hour for blocks (immutable)
   heavy: 3600,          // 1 hour for expensive operations
+  nearTip: 30,          // Height-keyed lookups a reorg could still change
+  reorgSafeDepth: 100,  // Blocks below the tip treated as final
   checkPeriod: 30       // Cache cleanup interval
 };
 
+// Results that change with every block; purged as soon as a new tip is seen
+// instead of waiting out their TTL
+const TIP_DEPENDENT_METHODS = new Set([
+  'getblockchaininfo',
+  'getblockcount',
+  'getbestblockhash',
+  'getchaintxstats',
+  'getblockreward',
+  'getmempoolinfo',
+  'getrawmempool',
+  'getmininginfo',
+  'getdifficulty',
+  'getchaintips',
+  'getdeploymentinfo'
+]);
+
+// Content-addressed results (keyed by block hash) that never change
+const IMMUTABLE_METHODS = new Set(['getblock', 'getblockheader']);
+
+// Fields of those results that later blocks do change; never cached (a
+// cached block's confirmations are re-derived from the known tip instead)
+const VOLATILE_BLOCK_FIELDS = ['confirmations', 'nextblockhash'];
+
 // ============================================================================
 // CACHE AND STATISTICS
 // ============================================================================
@@ -93,13 +172,25 @@ const stats = {
   totalRequests: 0,
   cacheHits: 0,
   cacheMisses: 0,
-  pendingRequests: {
-    mainnet: 0,
-    testnet: 0,
-    mainnetPre: 0
-  }
+  diskHits: 0,            // memory misses answered by the disk tier
+  coalescedHits: 0,       // calls that joined an identical in-flight request
+  coalescedByMethod: {},
+  pendingRequests: Object.fromEntries(Object.keys(RPC_TARGETS).map((key) => [key, 0]))
 };
 
+/**
+ * Single-flight table: one pending promise per (network, method, params).
+ * Keyed on the exact params rather than the md5 cache key so a hash
+ * collision can never hand one caller another call's result.
+ */
+const inFlightRequests = new Map();
+
+/**
+ * Second cache tier for immutable results, set up by initDiskCache().
+ * null when disabled.
+ */
+let diskCache = null;
+
 // ============================================================================
 // CORE RPC FUNCTIONALITY
 // ============================================================================
@@ -113,16 +204,19 @@ const stats = {
  * 
  * @param {string} txid - Transaction ID to fetch
  * @param {string} blockhash - Optional block hash for confirmed transactions
+ * @param {object} options - Request options ({ priority }, as for sendRpcRequest)
+ * @param {string} options.network - Registry key of the node to ask (default 'mainnet')
  * @returns {Promise<object|null>} Transaction data or null if not found
  */
-async function getTransactionData(txid, blockhash = null) {
+async function getTransactionData(txid, blockhash = null, options = {}) {
   // Don't log every attempt to reduce noise
+  const { network = 'mainnet', ...requestOptions } = options;
   
   try {
     // For mempool transactions, skip gettransaction since it only works for wallet transactions
     // and go straight to getrawtransaction which works for all mempool transactions
     const params = blockhash ? [txid, true, blockhash] : [txid, true];
-    const rawTxData = await sendRpcRequest('getrawtransaction', params);
+    const rawTxData = await sendNetworkRpcRequest(network, 'getrawtransaction', params, false, { ...requestOptions, throwOnError: true });
     
     if (rawTxData) {
       return {
@@ -134,7 +228,7 @@ async function getTransactionData(txid, blockhash = null) {
   } catch (rawError) {
     // Only try gettransaction as a fallback for wallet transactions (rarely needed)
     try {
-      const txData = await sendRpcRequest('gettransaction', [txid]);
+      const txData = await sendNetworkRpcRequest(network, 'gettransaction', [txid], false, requestOptions);
       if (txData) {
         return {
           ...txData,
@@ -172,16 +266,12 @@ async function getTransactionData(txid, blockhash = null) {
  * @param {string} method - RPC method name
  * @param {Array} params - Parameters for the RPC call
  * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options
+ * @param {string} options.priority - Scheduler class: 'interactive' (default), 'realtime' or 'background'
  * @returns {Promise<any>} RPC response data
  */
-async function sendRpcRequest(method, params = [], skipCache = false) {
-  return sendConfiguredRpcRequest({
-    config: RPC_CONFIG,
-    networkName: 'Mainnet',
-    rpcId: 'dgb_rpc',
-    cachePrefix: '',
-    limiterKey: 'mainnet'
-  }, method, params, skipCache);
+async function sendRpcRequest(method, params = [], skipCache = false, options = {}) {
+  return sendConfiguredRpcRequest(RPC_TARGETS.mainnet, method, params, skipCache, options);
 }
 
 /**
@@ -196,16 +286,11 @@ async function sendRpcRequest(method, params = [], skipCache = false) {
  * @param {string} method - RPC method name
  * @param {Array} params - Parameters for the RPC call
  * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority })
  * @returns {Promise<any>} RPC response data
  */
-async function sendTestnetRpcRequest(method, params = [], skipCache = false) {
-  return sendConfiguredRpcRequest({
-    config: TESTNET_RPC_CONFIG,
-    networkName: 'Testnet',
-    rpcId: 'dgb_testnet_rpc',
-    cachePrefix: 'testnet:',
-    limiterKey: 'testnet'
-  }, method, params, skipCache);
+async function sendTestnetRpcRequest(method, params = [], skipCache = false, options = {}) {
+  return sendConfiguredRpcRequest(RPC_TARGETS.testnet, method, params, skipCache, options);
 }
 
 /**
@@ -214,37 +299,100 @@ async function sendTestnetRpcRequest(method, params = [], skipCache = false) {
  * This is intentionally separate from normal mainnet. The PRE node still
  * reports chain=main, but it runs on its own RPC port and cache namespace.
  */
-async function sendMainnetPreRpcRequest(method, params = [], skipCache = false) {
-  return sendConfiguredRpcRequest({
-    config: MAINNET_PRE_RPC_CONFIG,
-    networkName: 'Mainnet-PRE',
-    rpcId: 'dgb_mainnet_pre_rpc',
-    cachePrefix: 'mainnet-pre:',
-    limiterKey: 'mainnetPre'
-  }, method, params, skipCache);
+async function sendMainnetPreRpcRequest(method, params = [], skipCache = false, options = {}) {
+  return sendConfiguredRpcRequest(RPC_TARGETS.mainnetPre, method, params, skipCache, options);
+}
+
+/**
+ * RPC request against any registered network (see networks.js). The named
+ * wrappers above remain the usual entry points for the built-in networks.
+ *
+ * @param {string} network - Registry key ('mainnet', 'testnet', 'mainnetPre', ...)
+ * @param {string} method - RPC method name
+ * @param {Array} params - Parameters for the RPC call
+ * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority })
+ * @returns {Promise<any>} RPC response data
+ */
+async function sendNetworkRpcRequest(network, method, params = [], skipCache = false, options = {}) {
+  const target = RPC_TARGETS[network];
+  if (!target) throw new Error(`Unknown network: ${network}`);
+  return sendConfiguredRpcRequest(target, method, params, skipCache, options);
 }
 
-async function sendConfiguredRpcRequest(target, method, params = [], skipCache = false) {
+/**
+ * Shared request path for every network. Cache hits return immediately;
+ * identical calls already in flight are joined (single-flight) instead of
+ * sending a duplicate to the node, e.g. several WebSocket clients connecting
+ * at once all asking for getrawmempool. skipCache callers never join an
+ * older flight, since they asked for a response started after their call,
+ * but later callers may join theirs.
+ *
+ * options.throwOnError makes failures reject with the node's error (as
+ * error.rpcError when the node answered) instead of resolving to stale data
+ * or null; the passthrough endpoint needs the real error for its callers.
+ * options.quietErrorCodes lists node error codes the caller expects (e.g. -5
+ * for a transaction that already left the mempool); those are not logged.
+ */
+async function sendConfiguredRpcRequest(target, method, params = [], skipCache = false, options = {}) {
   stats.totalRequests++;
 
-  try {
-    const cacheKey = target.cachePrefix + generateCacheKey(method, params);
+  const cacheKey = target.cachePrefix + generateCacheKey(method, params);
+  const flightKey = `${target.cachePrefix}${method}:${JSON.stringify(params)}${options.throwOnError ? ':strict' : ''}`;
 
+  if (!skipCache) {
     // Check cache first (unless explicitly skipped)
-    if (!skipCache) {
-      const cachedResult = rpcCache.get(cacheKey);
-      if (cachedResult !== undefined) {
-        stats.cacheHits++;
-        return cachedResult;
-      }
+    const cachedResult = rpcCache.get(cacheKey);
+    if (cachedResult !== undefined) {
+      stats.cacheHits++;
+      return withTipConfirmations(target, method, cachedResult);
     }
 
-    // Cache miss - need to make RPC call
-    stats.cacheMisses++;
+    // Join an identical call that is already on its way to the node
+    const pending = inFlightRequests.get(flightKey);
+    if (pending) {
+      stats.coalescedHits++;
+      stats.coalescedByMethod[method] = (stats.coalescedByMethod[method] || 0) + 1;
+      // Own copy, as with cache hits (node-cache clones), so callers that
+      // annotate the result don't leak into each other
+      return pending.then(result => (result == null ? result : structuredClone(result)));
+    }
+  }
+
+  // Cache miss - need to make RPC call
+  stats.cacheMisses++;
 
-    // Apply rate limiting
+  const flight = executeRpcRequest(target, cacheKey, method, params, skipCache, options);
+  inFlightRequests.set(flightKey, flight);
+  const settle = () => {
+    if (inFlightRequests.get(flightKey) === flight) {
+      inFlightRequests.delete(flightKey);
+    }
+  };
+  flight.then(settle, settle);
+  return flight;
+}
+
+/**
+ * Answer one RPC call from the disk tier or the node and cache its result,
+ * falling back to stale or estimated data on failure. Never throws.
+ */
+async function executeRpcRequest(target, cacheKey, method, params, skipCache, options) {
+  try {
+    // Immutable results may already be on disk from a previous run
+    const diskEligible = !!diskCache && isDiskCacheable(target, method, params);
+    if (diskEligible && !skipCache) {
+      const stored = await diskCache.get(cacheKey);
+      if (stored !== undefined) {
+        stats.diskHits++;
+        cacheResultWithSmartTTL(cacheKey, stored, method, params, target);
+        return withTipConfirmations(target, method, stored);
+      }
+    }
+
+    // Wait for a slot in this network's scheduler (priority class, FIFO within it)
     const limiterKey = target.limiterKey || 'mainnet';
-    await waitForAvailableSlot(limiterKey);
+    const release = await target.scheduler.acquire(options.priority);
 
     // Track this request
     stats.pendingRequests[limiterKey]++;
@@ -253,47 +401,60 @@ async function sendConfiguredRpcRequest(target, method, params = [], skipCache =
       // Configure timeout based on method type
       const timeout = getTimeoutForMethod(method);
 
-      const response = await axios.post(target.config.url, {
+      const { response, backend } = await postWithFailover(target, {
         jsonrpc: '1.0',
         id: target.rpcId,
         method: method,
         params: params,
-      }, {
-        auth: {
-          username: target.config.user,
-          password: target.config.password,
-        },
-        timeout: timeout,
-      });
+      }, timeout);
 
       // Check for RPC errors
       if (response.data.error) {
-        throw new Error(`${target.networkName} RPC Error: ${JSON.stringify(response.data.error)}`);
+        const rpcError = new Error(`${target.networkName} RPC Error: ${JSON.stringify(response.data.error)}`);
+        rpcError.rpcError = response.data.error;
+        throw rpcError;
       }
 
       const result = response.data.result;
 
+      // Free height sample for the backend's health score
+      if (method === 'getblockchaininfo' && result) {
+        target.pool.recordHeight(backend, result.blocks);
+        recordTipHeight(target, result.blocks);
+      }
+
       // Cache the result with appropriate TTL
-      cacheResultWithSmartTTL(cacheKey, result, method);
+      cacheResultWithSmartTTL(cacheKey, result, method, params, target);
+      if (diskEligible) {
+        diskCache.set(cacheKey, withoutVolatileFields(method, result));
+      }
 
       return result;
 
     } finally {
       stats.pendingRequests[limiterKey]--;
+      release();
     }
 
   } catch (error) {
-    console.error(`${target.networkName} RPC Error (${method}):`, error.message);
+    const expected = error.rpcError && (options.quietErrorCodes || []).includes(error.rpcError.code);
+    if (!expected) {
+      console.error(`${target.networkName} RPC Error (${method}):`, error.message);
+    }
 
     // Special handling for known timeout issues
     if (method === 'gettxoutsetinfo' && error.code === 'ECONNABORTED') {
       console.log(`${target.networkName} gettxoutsetinfo timed out - this is normal for this heavy command`);
     }
 
+    if (options.throwOnError) {
+      throw error;
+    }
+
     // Try to return stale cached data as fallback
     const staleResult = attemptStaleDataRecovery(method, params, target.cachePrefix);
     if (staleResult !== null) {
-      return staleResult;
+      return withTipConfirmations(target, method, staleResult);
     }
 
     // For critical methods, return estimated data rather than failing
@@ -305,6 +466,196 @@ async function sendConfiguredRpcRequest(target, method, params = [], skipCache =
   }
 }
 
+/**
+ * JSON-RPC batch transport
+ *
+ * Sends many calls as JSON-RPC array requests instead of one POST per call.
+ * Every entry goes through the same pipeline as sendConfiguredRpcRequest:
+ * - Cached entries (memory, then the disk tier) are answered locally and
+ *   never hit the node
+ * - Misses are sent in chunks of BATCH_CONFIG.maxEntries, each chunk taking
+ *   one limiter slot
+ * - Successful results are cached with the usual smart TTL
+ * - Failed entries fall back to stale cached data when available
+ *
+ * Errors are reported per entry and never thrown, so one bad height or hash
+ * does not sink the rest of the batch.
+ *
+ * @param {object} target - Network target (see RPC_TARGETS)
+ * @param {Array<{method: string, params: Array}>} calls - Calls to make
+ * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority }, as for sendRpcRequest)
+ * @returns {Promise<Array<{result: any, error: string|null}>>} Results in input order
+ */
+async function sendRpcBatch(target, calls, skipCache = false, options = {}) {
+  const results = new Array(calls.length);
+  const pending = [];
+
+  calls.forEach((call, index) => {
+    const params = call.params || [];
+    const cacheKey = target.cachePrefix + generateCacheKey(call.method, params);
+    stats.totalRequests++;
+
+    if (!skipCache) {
+      const cachedResult = rpcCache.get(cacheKey);
+      if (cachedResult !== undefined) {
+        stats.cacheHits++;
+        results[index] = { result: withTipConfirmations(target, call.method, cachedResult), error: null };
+        return;
+      }
+    }
+
+    stats.cacheMisses++;
+    pending.push({ index, method: call.method, params, cacheKey });
+  });
+
+  // Immutable entries may already be on disk: one lookup for the whole batch
+  if (diskCache && !skipCache && pending.length > 0) {
+    const eligible = pending.filter(entry => isDiskCacheable(target, entry.method, entry.params));
+    const stored = await diskCache.getMany(eligible.map(entry => entry.cacheKey));
+    if (stored.size > 0) {
+      for (let i = pending.length - 1; i >= 0; i--) {
+        const entry = pending[i];
+        if (!stored.has(entry.cacheKey)) continue;
+        const result = stored.get(entry.cacheKey);
+        stats.diskHits++;
+        cacheResultWithSmartTTL(entry.cacheKey, result, entry.method, entry.params, target);
+        results[entry.index] = { result: withTipConfirmations(target, entry.method, result), error: null };
+        pending.splice(i, 1);
+      }
+    }
+  }
+
+  for (let i = 0; i < pending.length; i += BATCH_CONFIG.maxEntries) {
+    const chunk = pending.slice(i, i + BATCH_CONFIG.maxEntries);
+    const responses = await postRpcBatchChunk(target, chunk, options.priority);
+
+    chunk.forEach((entry, j) => {
+      const response = responses[j];
+      if (response.error === null) {
+        cacheResultWithSmartTTL(entry.cacheKey, response.result, entry.method, entry.params, target);
+        if (diskCache && isDiskCacheable(target, entry.method, entry.params)) {
+          diskCache.set(entry.cacheKey, withoutVolatileFields(entry.method, response.result));
+        }
+        results[entry.index] = { result: response.result, error: null };
+        return;
+      }
+
+      console.error(`${target.networkName} RPC Batch Error (${entry.method}):`, response.error);
+      results[entry.index] = {
+        result: withTipConfirmations(target, entry.method, attemptStaleDataRecovery(entry.method, entry.params, target.cachePrefix)),
+        error: response.error
+      };
+    });
+  }
+
+  return results;
+}
+
+/**
+ * POST one chunk of a batch and pair each response with its entry by id.
+ * A transport failure marks every entry in the chunk as failed.
+ *
+ * @param {object} target - Network target
+ * @param {Array<{method: string, params: Array}>} chunk - Entries to send
+ * @param {string} priority - Scheduler class for this chunk
+ * @returns {Promise<Array<{result: any, error: string|null}>>} Responses in chunk order
+ */
+async function postRpcBatchChunk(target, chunk, priority) {
+  const limiterKey = target.limiterKey || 'mainnet';
+  const release = await target.scheduler.acquire(priority);
+  stats.pendingRequests[limiterKey]++;
+
+  try {
+    const body = chunk.map((entry, j) => ({
+      jsonrpc: '1.0',
+      id: `${target.rpcId}:${j}`,
+      method: entry.method,
+      params: entry.params,
+    }));
+    const timeout = Math.max(...chunk.map(entry => getTimeoutForMethod(entry.method)));
+
+    const { response, backend } = await postWithFailover(target, body, timeout);
+
+    if (!Array.isArray(response.data)) {
+      throw new Error('Batch response was not an array');
+    }
+
+    const byId = new Map(response.data.map(item => [item && item.id, item]));
+    return chunk.map((entry, j) => {
+      const item = byId.get(`${target.rpcId}:${j}`);
+      if (!item) {
+        return { result: null, error: 'Missing response for batch entry' };
+      }
+      if (item.error) {
+        return { result: null, error: `${target.networkName} RPC Error: ${JSON.stringify(item.error)}` };
+      }
+      if (entry.method === 'getblockchaininfo' && item.result) {
+        target.pool.recordHeight(backend, item.result.blocks);
+        recordTipHeight(target, item.result.blocks);
+      }
+      return { result: item.result, error: null };
+    });
+
+  } catch (error) {
+    return chunk.map(() => ({ result: null, error: error.message }));
+  } finally {
+    stats.pendingRequests[limiterKey]--;
+    release();
+  }
+}
+
+/**
+ * Batch RPC request for Mainnet
+ *
+ * @param {Array<{method: string, params: Array}>} calls - Calls to make
+ * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority })
+ * @returns {Promise<Array<{result: any, error: string|null}>>} Results in input order
+ */
+async function sendRpcBatchRequest(calls, skipCache = false, options = {}) {
+  return sendRpcBatch(RPC_TARGETS.mainnet, calls, skipCache, options);
+}
+
+/**
+ * Batch RPC request for Testnet
+ *
+ * @param {Array<{method: string, params: Array}>} calls - Calls to make
+ * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority })
+ * @returns {Promise<Array<{result: any, error: string|null}>>} Results in input order
+ */
+async function sendTestnetRpcBatchRequest(calls, skipCache = false, options = {}) {
+  return sendRpcBatch(RPC_TARGETS.testnet, calls, skipCache, options);
+}
+
+/**
+ * Batch RPC request for the modified-mainnet/PRE node
+ *
+ * @param {Array<{method: string, params: Array}>} calls - Calls to make
+ * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority })
+ * @returns {Promise<Array<{result: any, error: string|null}>>} Results in input order
+ */
+async function sendMainnetPreRpcBatchRequest(calls, skipCache = false, options = {}) {
+  return sendRpcBatch(RPC_TARGETS.mainnetPre, calls, skipCache, options);
+}
+
+/**
+ * Batch RPC request against any registered network (see networks.js)
+ *
+ * @param {string} network - Registry key
+ * @param {Array<{method: string, params: Array}>} calls - Calls to make
+ * @param {boolean} skipCache - Force bypass cache for fresh data
+ * @param {object} options - Request options ({ priority })
+ * @returns {Promise<Array<{result: any, error: string|null}>>} Results in input order
+ */
+async function sendNetworkRpcBatchRequest(network, calls, skipCache = false, options = {}) {
+  const target = RPC_TARGETS[network];
+  if (!target) throw new Error(`Unknown network: ${network}`);
+  return sendRpcBatch(target, calls, skipCache, options);
+}
+
 /**
  * Generate a unique cache key based on method and parameters
  *
@@ -319,19 +670,6 @@ function generateCacheKey(method, params) {
   return `rpc:${method}:${paramsHash}`;
 }
 
-/**
- * Apply rate limiting by waiting for available request slots
- * Uses exponential backoff to prevent thundering herd
- */
-async function waitForAvailableSlot(limiterKey = 'mainnet') {
-  let waitTime = 100; // Start with 100ms
-  
-  while ((stats.pendingRequests[limiterKey] || 0) >= RATE_LIMIT.maxConcurrent) {
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-    waitTime = Math.min(waitTime * 1.1, 1000); // Cap at 1 second
-  }
-}
-
 /**
  * Get appropriate timeout for different RPC methods
  * 
@@ -341,30 +679,205 @@ async function waitForAvailableSlot(limiterKey = 'mainnet') {
 function getTimeoutForMethod(method) {
   const heavyMethods = ['gettxoutsetinfo', 'getblockhash', 'getblock'];
   return heavyMethods.includes(method) 
-    ? RPC_CONFIG.timeout.heavy 
-    : RPC_CONFIG.timeout.default;
+    ? RPC_TIMEOUTS.heavy 
+    : RPC_TIMEOUTS.default;
 }
 
 /**
  * Cache result with smart TTL based on data characteristics
- * 
+ *
+ * - Block data keyed by hash is immutable and kept for an hour
+ * - getblockhash is only final below the reorg-safe depth; near the tip (or
+ *   before the tip is known) it gets a short TTL and a height tag so a reorg
+ *   can evict it
+ * - Tip-dependent results are tagged so the next tip purges them
+ *
  * @param {string} cacheKey - Cache key
  * @param {any} result - Data to cache
  * @param {string} method - RPC method (for TTL determination)
+ * @param {Array} params - Method parameters
+ * @param {object} target - RPC_TARGETS entry the result came from
  */
-function cacheResultWithSmartTTL(cacheKey, result, method) {
+function cacheResultWithSmartTTL(cacheKey, result, method, params = [], target = RPC_TARGETS.mainnet) {
   let ttl = CACHE_CONFIG.default;
+  let tag = null;
   
   // Immutable data gets longer cache time
-  if (method === 'getblock' || method === 'getblockhash') {
+  if (IMMUTABLE_METHODS.has(method)) {
     ttl = CACHE_CONFIG.blocks;
   }
-  // Expensive operations get longer cache time
+  else if (method === 'getblockhash') {
+    const height = params[0];
+    if (isFinalHeight(target, height)) {
+      ttl = CACHE_CONFIG.blocks;
+    } else {
+      ttl = CACHE_CONFIG.nearTip;
+      tag = `height:${height}`;
+    }
+  }
+  // Expensive operations get longer cache time. Not tip-tagged on purpose:
+  // recomputing the UTXO set summary every block would hammer the node.
   else if (method === 'gettxoutsetinfo') {
     ttl = CACHE_CONFIG.heavy;
   }
+  else if (TIP_DEPENDENT_METHODS.has(method)) {
+    tag = 'tip';
+  }
   
-  rpcCache.set(cacheKey, result, ttl);
+  rpcCache.set(cacheKey, withoutVolatileFields(method, result), ttl);
+  if (tag) {
+    tagCacheKey(target, tag, cacheKey);
+  }
+}
+
+/**
+ * Copy of a block / header result without VOLATILE_BLOCK_FIELDS, for the
+ * memory and disk tiers. Other results are returned as they are.
+ */
+function withoutVolatileFields(method, result) {
+  if (!IMMUTABLE_METHODS.has(method) || !result || typeof result !== 'object') return result;
+  const stable = { ...result };
+  VOLATILE_BLOCK_FIELDS.forEach(field => delete stable[field]);
+  return stable;
+}
+
+/**
+ * A cached block / header result with `confirmations` counted against the
+ * network's known tip (left out while the tip is unknown or below the
+ * block). Whether the block is still in the active chain is not known
+ * here; lookups that publish confirmations check it (see normalizeBlock).
+ */
+function withTipConfirmations(target, method, result) {
+  if (!IMMUTABLE_METHODS.has(method) || !result || typeof result !== 'object') return result;
+  const tipHeight = knownTipHeight(target);
+  if (typeof tipHeight !== 'number' || typeof result.height !== 'number' || tipHeight < result.height) return result;
+  return { ...result, confirmations: tipHeight - result.height + 1 };
+}
+
+/**
+ * Whether a height is deep enough below the known tip that no reorg will
+ * change its block hash.
+ */
+function isFinalHeight(target, height) {
+  const tipHeight = knownTipHeight(target);
+  return typeof tipHeight === 'number'
+    && typeof height === 'number'
+    && height <= tipHeight - CACHE_CONFIG.reorgSafeDepth;
+}
+
+/**
+ * Whether a result may go to the disk tier: block data keyed by hash, and
+ * block hashes that are already final.
+ */
+function isDiskCacheable(target, method, params) {
+  if (IMMUTABLE_METHODS.has(method)) return true;
+  return method === 'getblockhash' && isFinalHeight(target, params[0]);
+}
+
+/**
+ * Open the optional disk tier. Called once from server.js at startup; does
+ * nothing unless a file is configured (DGB_RPC_DISK_CACHE_FILE) or a db is
+ * passed in.
+ *
+ * @param {object} options - { dbFile, maxBytes, db } overrides for DISK_CACHE_CONFIG
+ * @returns {Promise<object|null>} The disk cache once its table is ready, or null
+ */
+async function initDiskCache({ dbFile = DISK_CACHE_CONFIG.file, maxBytes = DISK_CACHE_CONFIG.maxBytes, db = null } = {}) {
+  if (!dbFile && !db) {
+    return null;
+  }
+  diskCache = createRpcDiskCache({ db, dbFile: dbFile || undefined, maxBytes, log: console.error });
+  await diskCache.ready;
+  return diskCache;
+}
+
+function tagCacheKey(target, tag, cacheKey) {
+  if (!target.cacheTags.has(tag)) {
+    target.cacheTags.set(tag, new Set());
+  }
+  target.cacheTags.get(tag).add(cacheKey);
+}
+
+/**
+ * Delete every cache entry carrying the tag.
+ *
+ * @returns {number} Number of cache keys removed
+ */
+function purgeCacheTag(target, tag) {
+  const keys = target.cacheTags.get(tag);
+  if (!keys) return 0;
+  target.cacheTags.delete(tag);
+  return rpcCache.del([...keys]);
+}
+
+/**
+ * Track the highest height reported by the node (from getblockchaininfo), so
+ * near-tip getblockhash results are recognised even before the first
+ * notifyNewTip call. Kept apart from the notified tip: the poll path asks
+ * getblockchaininfo before it ingests the block, and that block must not
+ * look like a replacement of its own height.
+ */
+function recordTipHeight(target, height) {
+  if (typeof height === 'number' && (target.tip.hintHeight === null || height > target.tip.hintHeight)) {
+    target.tip.hintHeight = height;
+  }
+}
+
+/** Highest tip height known: the notified tip or a newer getblockchaininfo height. */
+function knownTipHeight(target) {
+  const { height, hintHeight } = target.tip;
+  if (typeof hintHeight !== 'number') return height;
+  return typeof height === 'number' ? Math.max(height, hintHeight) : hintHeight;
+}
+
+/**
+ * Tell the cache a new chain tip was seen (blocknotify, ZMQ, fork tracker).
+ *
+ * Purges every tip-dependent entry for the network so getblockchaininfo,
+ * getmempoolinfo and friends reflect the new block right away. The tip is
+ * treated as a reorg when it does not extend the previously notified one:
+ * same or lower height, or a previousblockhash that disagrees with the cached hash for the
+ * height below. A reorg also evicts every near-tip getblockhash entry.
+ * Repeated notifications for the current tip (blocknotify and ZMQ both fire)
+ * are ignored.
+ *
+ * @param {string} network - RPC_TARGETS key ('mainnet', 'testnet', 'mainnetPre')
+ * @param {object} block - Block with height, hash and previousblockhash (getblock shape)
+ * @returns {{purged: number, reorg: boolean}|null} What was evicted, or null if ignored
+ */
+function notifyNewTip(network, block) {
+  const target = RPC_TARGETS[network];
+  if (!target || !block || typeof block.height !== 'number' || !block.hash) {
+    return null;
+  }
+  if (block.hash === target.tip.hash) {
+    return null;
+  }
+
+  const previous = target.tip;
+  const cachedPrevHash = rpcCache.get(target.cachePrefix + generateCacheKey('getblockhash', [block.height - 1]));
+  const reorg = (previous.hash !== null && block.height <= previous.height)
+    || (!!block.previousblockhash && typeof cachedPrevHash === 'string' && cachedPrevHash !== block.previousblockhash);
+
+  let purged = purgeCacheTag(target, 'tip');
+  for (const tag of [...target.cacheTags.keys()]) {
+    if (!tag.startsWith('height:')) continue;
+    const height = Number(tag.slice('height:'.length));
+    if (reorg || height >= block.height) {
+      purged += purgeCacheTag(target, tag);
+    } else if (height <= block.height - CACHE_CONFIG.reorgSafeDepth) {
+      // Final now; keep the entry but stop tracking it
+      target.cacheTags.delete(tag);
+    }
+  }
+
+  if (reorg) {
+    console.log(`${target.networkName} reorg detected at height ${block.height}: evicted near-tip cache entries`);
+  }
+
+  const hintHeight = !reorg && previous.hintHeight > block.height ? previous.hintHeight : null;
+  target.tip = { height: block.height, hash: block.hash, hintHeight };
+  return { purged, reorg };
 }
 
 /**
@@ -406,6 +919,177 @@ function generateEstimatedUTXOData() {
   };
 }
 
+// ============================================================================
+// BACKEND FAILOVER
+// ============================================================================
+
+/**
+ * POST a JSON-RPC body to the network's backends, best-ranked first.
+ *
+ * Transport failures (connection refused, timeouts, non-JSON 5xx, auth
+ * rejections) and nodes still warming up mark that backend unhealthy and move
+ * on to the next one. Ordinary RPC errors are the node answering correctly,
+ * so they are returned/thrown to the caller without failing over.
+ *
+ * @param {object} target - Network target (see RPC_TARGETS)
+ * @param {object|Array} body - JSON-RPC request or batch
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<{response: object, backend: object}>} Axios response and the backend that served it
+ */
+async function postWithFailover(target, body, timeout) {
+  const pool = target.pool;
+  pool.maybeProbe();
+
+  let lastError = null;
+  for (const backend of pool.select()) {
+    const started = Date.now();
+    try {
+      const response = await postToBackend(target, backend, body, timeout);
+
+      if (isWarmupResponse(response.data)) {
+        throw Object.assign(new Error(`${target.networkName} node ${backend.url} is warming up`), { warmup: true });
+      }
+
+      pool.recordSuccess(backend, Date.now() - started);
+      return { response, backend };
+
+    } catch (error) {
+      if (!isBackendFailure(error)) {
+        pool.recordSuccess(backend, Date.now() - started);
+        throw error;
+      }
+      pool.recordFailure(backend, error);
+      lastError = error;
+      if (pool.size > 1) {
+        console.error(`${target.networkName} RPC backend ${backend.url} failed: ${error.message}`);
+      }
+    }
+  }
+
+  throw lastError || new Error(`${target.networkName} has no RPC backends configured`);
+}
+
+/**
+ * POST to a single backend with its current credentials.
+ *
+ * Cookie-auth backends get a fresh `.cookie` read when the node answers 401
+ * (the cookie is rewritten on every node restart) and the request is retried
+ * once with the new credential before the failure is reported.
+ *
+ * @param {object} target - Network target (for log labels)
+ * @param {object} backend - Backend state from the pool
+ * @param {object|Array} body - JSON-RPC request or batch
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<object>} Axios response
+ */
+async function postToBackend(target, backend, body, timeout) {
+  const send = async () => {
+    const auth = await getBackendAuth(backend);
+    return axios.post(backend.url, body, { auth, timeout });
+  };
+
+  try {
+    return await send();
+  } catch (error) {
+    const unauthorized = error.response && error.response.status === 401;
+    if (!unauthorized || !backend.cookieFile) throw error;
+
+    console.log(`${target.networkName} RPC auth rejected by ${backend.url}; re-reading cookie ${backend.cookieFile}`);
+    backend.cookieAuth = null;
+    return send();
+  }
+}
+
+/**
+ * Resolve the credentials for a backend: the (cached) cookie when one is
+ * configured and readable, otherwise the static user/password.
+ *
+ * @param {object} backend - Backend state from the pool
+ * @returns {Promise<{username: string, password: string}>} Axios auth object
+ */
+async function getBackendAuth(backend) {
+  if (backend.cookieFile && !backend.cookieAuth) {
+    backend.cookieAuth = await readCookieFile(backend.cookieFile);
+  }
+  if (backend.cookieAuth) {
+    return { ...backend.cookieAuth };
+  }
+  return { username: backend.user, password: backend.password };
+}
+
+/**
+ * Read a DigiByte Core `.cookie` file (`__cookie__:<hex>`).
+ *
+ * @param {string} cookieFile - Path to the cookie file
+ * @returns {Promise<{username: string, password: string}|null>} Credentials or null if unreadable
+ */
+async function readCookieFile(cookieFile) {
+  try {
+    const content = (await fs.readFile(cookieFile, 'utf8')).trim();
+    const separator = content.indexOf(':');
+    if (separator <= 0) {
+      console.error(`RPC cookie file ${cookieFile} is malformed`);
+      return null;
+    }
+    return {
+      username: content.slice(0, separator),
+      password: content.slice(separator + 1)
+    };
+  } catch (error) {
+    console.error(`Unable to read RPC cookie file ${cookieFile}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether an error means the backend itself is unusable (vs. an RPC error
+ * the node answered with).
+ *
+ * @param {Error} error - Error thrown by axios or postWithFailover
+ * @returns {boolean} True if the request should fail over
+ */
+function isBackendFailure(error) {
+  if (error.warmup) return true;
+  const data = error.response && error.response.data;
+  if (data && data.error) {
+    return data.error.code === RPC_IN_WARMUP;
+  }
+  return true;
+}
+
+/**
+ * Detect RPC_IN_WARMUP answers, which DigiByte Core returns while loading
+ * the block index or reindexing.
+ *
+ * @param {object|Array} data - Response body
+ * @returns {boolean} True if the (first) entry is a warmup error
+ */
+function isWarmupResponse(data) {
+  const first = Array.isArray(data) ? data[0] : data;
+  return !!(first && first.error && first.error.code === RPC_IN_WARMUP);
+}
+
+/**
+ * Background health probe used by the backend pool: a direct
+ * getblockchaininfo against one backend, bypassing cache and limiter.
+ *
+ * @param {object} backend - Backend state from the pool
+ * @returns {Promise<object>} getblockchaininfo result
+ */
+async function probeBackend(backend) {
+  const response = await postToBackend({ networkName: 'Probe' }, backend, {
+    jsonrpc: '1.0',
+    id: 'dgb_probe',
+    method: 'getblockchaininfo',
+    params: [],
+  }, BACKEND_PROBE_TIMEOUT);
+
+  if (!response.data || response.data.error) {
+    throw new Error(`probe failed: ${JSON.stringify(response.data && response.data.error)}`);
+  }
+  return response.data.result;
+}
+
 // ============================================================================
 // ALGORITHM UTILITIES
 // ============================================================================
@@ -588,14 +1272,28 @@ function detectOracleBundle(fullBlock) {
  * clobbering) guarantees the cache never regresses. Dedupes by hash with the
  * freshly fetched copy winning, sorts newest-first, caps at maxBlocks.
  *
+ * The fetch is the node's current chain, so a cached block at a height the
+ * fetch also returned but with a different hash was reorged out and is
+ * dropped rather than kept alongside its replacement.
+ *
  * @param {Array} existing - Blocks currently in the cache
  * @param {Array} fetched - Blocks returned by the refresh
  * @param {number} maxBlocks - Cache size cap
  * @returns {Array} Merged, deduped, newest-first block list
  */
 function mergeRecentBlocks(existing, fetched, maxBlocks) {
+  const fetchedHashByHeight = new Map();
+  for (const block of fetched || []) {
+    if (block && block.hash) fetchedHashByHeight.set(block.height, block.hash);
+  }
+
   const byHash = new Map();
-  for (const block of [...(existing || []), ...(fetched || [])]) {
+  for (const block of existing || []) {
+    if (!block || !block.hash) continue;
+    const current = fetchedHashByHeight.get(block.height);
+    if (current === undefined || current === block.hash) byHash.set(block.hash, block);
+  }
+  for (const block of fetched || []) {
     if (block && block.hash) byHash.set(block.hash, block);
   }
   return Array.from(byHash.values())
@@ -603,6 +1301,51 @@ function mergeRecentBlocks(existing, fetched, maxBlocks) {
     .slice(0, maxBlocks);
 }
 
+/**
+ * Undo disconnected blocks in a network's in-memory caches.
+ *
+ * Drops the blocks from the recent-blocks list and moves their transactions
+ * out of the confirmed-transaction cache back into the mempool list (they
+ * are unconfirmed again until the node re-mines or evicts them). Only
+ * transactions the confirmed cache still holds can be restored with their
+ * details; the rest of the disconnected txids are reported so callers can
+ * reopen their lifecycle tracking.
+ *
+ * @param {object} caches
+ * @param {Array} caches.blocks - recentBlocks entries
+ * @param {Array} caches.confirmed - confirmed-transaction entries (blockHash)
+ * @param {Array} caches.mempool - mempool transaction entries
+ * @param {Array} disconnected - { hash, height, txids } from the block ingest
+ * @returns {{ blocks: Array, confirmed: Array, mempool: Array, txids: string[] }}
+ *   the new cache contents and every non-coinbase txid of the disconnected blocks
+ */
+function disconnectRecentBlocks({ blocks = [], confirmed = [], mempool = [] }, disconnected) {
+  const hashes = new Set(disconnected.map((block) => block.hash));
+  const txids = new Set(disconnected.flatMap((block) => block.txids || []));
+  const inMempool = new Set(mempool.map((tx) => tx.txid));
+
+  const returned = [];
+  const stillConfirmed = [];
+  for (const tx of confirmed) {
+    if (!hashes.has(tx.blockHash)) {
+      stillConfirmed.push(tx);
+      continue;
+    }
+    txids.add(tx.txid);
+    if (inMempool.has(tx.txid)) continue;
+    const { blockHeight, blockHash, blocktime, ...rest } = tx;
+    returned.push({ ...rest, confirmations: 0 });
+    inMempool.add(tx.txid);
+  }
+
+  return {
+    blocks: blocks.filter((block) => !hashes.has(block.hash)),
+    confirmed: stillConfirmed,
+    mempool: [...returned, ...mempool],
+    txids: [...txids],
+  };
+}
+
 // ============================================================================
 // ADVANCED BLOCK FETCHING
 // ============================================================================
@@ -644,18 +1387,25 @@ async function getBlocksByTimeRange(startTimestamp, endBlockHeight, maxBlocks =
   while (blocks.length < maxBlocks && attemptsRemaining > 0 && currentHeight > 0) {
     try {
       // Fetch blocks in batches for efficiency
-      const batchHashes = await fetchBlockHashesBatch(
+      const { hashes: batchHashes, nextHeight } = await fetchBlockHashesBatch(
         currentHeight, 
         Math.min(RATE_LIMIT.batchSize, maxBlocks - blocks.length),
         processedHeights
       );
       
+      // Count every height tried (not just the ones that resolved) so a node
+      // failing whole batches still exhausts attempts instead of looping
+      attemptsRemaining -= Math.max(1, currentHeight - nextHeight);
+      
       // Update current height for next iteration
-      currentHeight -= batchHashes.length;
+      currentHeight = nextHeight;
+      
+      // Fetch the whole batch of blocks in one JSON-RPC round trip
+      const batchBlocks = await fetchBlocksInBatch(batchHashes);
       
       // Process each block in the batch
-      for (const hash of batchHashes) {
-        const processedBlock = await processBlockForStats(hash);
+      for (let i = 0; i < batchHashes.length; i++) {
+        const processedBlock = processBlockForStats(batchHashes[i], batchBlocks[i]);
         
         if (!processedBlock) continue;
         
@@ -677,8 +1427,6 @@ async function getBlocksByTimeRange(startTimestamp, endBlockHeight, maxBlocks =
         await new Promise(resolve => setTimeout(resolve, RATE_LIMIT.batchDelay));
       }
       
-      attemptsRemaining -= batchHashes.length;
-      
     } catch (error) {
       console.error('Error in block batch processing:', error);
       await new Promise(resolve => setTimeout(resolve, 500));
@@ -705,10 +1453,11 @@ async function getBlocksByTimeRange(startTimestamp, endBlockHeight, maxBlocks =
  * @param {number} startHeight - Starting block height
  * @param {number} batchSize - Number of hashes to fetch
  * @param {Set} processedHeights - Set of already processed heights
- * @returns {Promise<Array>} Array of block hashes
+ * @returns {Promise<{hashes: Array<string>, nextHeight: number}>} Resolved hashes
+ *   (descending height) and the height to continue from
  */
 async function fetchBlockHashesBatch(startHeight, batchSize, processedHeights) {
-  const hashes = [];
+  const heights = [];
   let currentHeight = startHeight;
   
   for (let i = 0; i < batchSize && currentHeight > 0; i++) {
@@ -720,31 +1469,38 @@ async function fetchBlockHashesBatch(startHeight, batchSize, processedHeights) {
     }
     
     processedHeights.add(currentHeight);
-    
-    try {
-      const hash = await sendRpcRequest('getblockhash', [currentHeight]);
-      if (hash) {
-        hashes.push(hash);
-      }
-    } catch (error) {
-      console.error(`Failed to fetch hash for height ${currentHeight}:`, error.message);
-    }
-    
+    heights.push(currentHeight);
     currentHeight--;
   }
   
-  return hashes;
+  if (heights.length === 0) return { hashes: [], nextHeight: currentHeight };
+  
+  // One JSON-RPC batch for the whole range instead of a POST per height
+  const responses = await sendRpcBatchRequest(
+    heights.map(height => ({ method: 'getblockhash', params: [height] }))
+  );
+  
+  const hashes = [];
+  responses.forEach((response, i) => {
+    if (response.result) {
+      hashes.push(response.result);
+    } else {
+      console.error(`Failed to fetch hash for height ${heights[i]}:`, response.error);
+    }
+  });
+  
+  return { hashes, nextHeight: currentHeight };
 }
 
 /**
- * Process a single block into stats-friendly format
+ * Process a single fetched block into stats-friendly format
  * 
- * @param {string} blockHash - Block hash to process
- * @returns {Promise<object|null>} Processed block object or null
+ * @param {string} blockHash - Block hash (for error reporting)
+ * @param {object|null} block - Verbosity-2 getblock result
+ * @returns {object|null} Processed block object or null
  */
-async function processBlockForStats(blockHash) {
+function processBlockForStats(blockHash, block) {
   try {
-    const block = await sendRpcRequest('getblock', [blockHash, 2]);
     if (!block || !block.tx || block.tx.length === 0) {
       return null;
     }
@@ -765,6 +1521,8 @@ async function processBlockForStats(blockHash) {
       minedTo: miningInfo.address,
       minerAddress: miningInfo.address,
       poolIdentifier: miningInfo.poolId,
+      pool: identifyPool(miningInfo.poolId, miningInfo.address),
+      coinbaseValue: getCoinbaseValue(block.tx[0]),
       taprootSignaling: signals.taprootSignaling,
       digidollarSignaling: signals.digidollarSignaling,
       algolockSignaling: signals.algolockSignaling,
@@ -804,6 +1562,18 @@ function extractMiningInfo(coinbaseTx) {
   return { address, poolId };
 }
 
+/**
+ * Total value of a coinbase transaction's outputs (subsidy plus fees, in
+ * DGB), rounded to satoshis so summed floats stay exact.
+ *
+ * @param {object} coinbaseTx - Coinbase transaction object (verbosity 2)
+ * @returns {number} Value in DGB (0 when the outputs carry none)
+ */
+function getCoinbaseValue(coinbaseTx) {
+  const sats = (coinbaseTx?.vout || []).reduce((sum, output) => sum + Math.round((Number(output?.value) || 0) * 1e8), 0);
+  return sats / 1e8;
+}
+
 /**
  * Extract pool identifier from coinbase hex data
  * 
@@ -836,8 +1606,8 @@ function extractPoolIdentifier(coinbaseHex) {
     // 3. Longest human-readable run (e.g. "Mined on HashedMax"); '|' separates
     //    tag segments in some coinbases. Trailing extranonce bytes decode as
     //    hex/digit tokens or single characters — trim those. Bare "solo" is a
-    //    ckpool marker, not a pool name — returning Unknown lets callers group
-    //    by payout address.
+    //    ckpool marker, not a pool name — returning Unknown lets poolregistry.js
+    //    cluster the block by payout address.
     const runs = text.match(/[\x20-\x7E]{4,}/g) || [];
     runs.sort((a, b) => b.length - a.length);
     if (runs[0]) {
@@ -929,27 +1699,15 @@ async function preloadEssentialData() {
  * @returns {Promise<Array>} Array of block objects
  */
 async function fetchBlocksInBatch(hashes) {
-  const results = [];
-  const batchSize = 5; // Conservative batch size
+  if (hashes.length === 0) return [];
   
-  for (let i = 0; i < hashes.length; i += batchSize) {
-    const batch = hashes.slice(i, i + batchSize);
-    
-    // Process batch in parallel
-    const batchPromises = batch.map(hash => 
-      sendRpcRequest('getblock', [hash, 2])
-    );
-    
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
-    
-    // Rate limiting between batches
-    if (i + batchSize < hashes.length) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-  }
+  // sendRpcBatch chunks and rate-limits internally; failed entries come back
+  // as null (or stale cache) rather than failing the whole batch
+  const responses = await sendRpcBatchRequest(
+    hashes.map(hash => ({ method: 'getblock', params: [hash, 2] }))
+  );
   
-  return results;
+  return responses.map(response => response.result);
 }
 
 /**
@@ -962,6 +1720,12 @@ function getCacheStats() {
     ? (stats.cacheHits / stats.totalRequests * 100).toFixed(1) + '%' 
     : '0%';
   const pendingRequestsByTarget = { ...stats.pendingRequests };
+  const backends = {};
+  const scheduler = {};
+  for (const [key, target] of Object.entries(RPC_TARGETS)) {
+    backends[key] = target.pool.getStatus();
+    scheduler[key] = target.scheduler.getStats();
+  }
     
   return {
     keys: rpcCache.keys().length,
@@ -969,8 +1733,15 @@ function getCacheStats() {
     misses: stats.cacheMisses,
     total: stats.totalRequests,
     hitRate: hitRate,
+    diskHits: stats.diskHits,
+    disk: diskCache ? diskCache.getStats() : null,
+    coalesced: stats.coalescedHits,
+    coalescedByMethod: { ...stats.coalescedByMethod },
+    inFlight: inFlightRequests.size,
     pendingRequests: Object.values(pendingRequestsByTarget).reduce((sum, count) => sum + count, 0),
-    pendingRequestsByTarget
+    pendingRequestsByTarget,
+    backends,
+    scheduler
   };
 }
 
@@ -981,6 +1752,9 @@ function resetCacheStats() {
   stats.totalRequests = 0;
   stats.cacheHits = 0;
   stats.cacheMisses = 0;
+  stats.coalescedHits = 0;
+  stats.coalescedByMethod = {};
+  stats.diskHits = 0;
 }
 
 // ============================================================================
@@ -1168,6 +1942,396 @@ router.post('/refreshcache', async (req, res) => {
   }
 });
 
+// ============================================================================
+// JSON-RPC PASSTHROUGH
+// ============================================================================
+
+// URL segment -> RPC target for POST /api/rpc/:network
+const PASSTHROUGH_NETWORKS = Object.fromEntries(
+  Object.values(RPC_TARGETS).map((target) => [target.network.slug, target])
+);
+
+// Cache key -> time a heavy passthrough call last went to the node
+const heavyPassthroughCalls = new Map();
+
+/**
+ * Let a heavy method through when its result is cached or it has not gone
+ * to the node within PASSTHROUGH_CONFIG.heavyInterval.
+ */
+function allowHeavyPassthrough(target, method, params) {
+  if (!PASSTHROUGH_CONFIG.heavyMethods.has(method)) return true;
+  const cacheKey = target.cachePrefix + generateCacheKey(method, params);
+  if (rpcCache.get(cacheKey) !== undefined) return true;
+  const now = Date.now();
+  if (now - (heavyPassthroughCalls.get(cacheKey) || 0) < PASSTHROUGH_CONFIG.heavyInterval) return false;
+  heavyPassthroughCalls.set(cacheKey, now);
+  return true;
+}
+
+/**
+ * Map items through `fn` with at most `limit` calls pending at once;
+ * results in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Answer one JSON-RPC call object for the passthrough: allowlist and param
+ * checks first, then the normal cached / scheduled request path at
+ * background priority, so public callers queue behind the dashboard's own
+ * requests. Always resolves to a node-style `{ result, error, id }` response.
+ */
+async function handlePassthroughCall(target, call) {
+  const id = call && call.id !== undefined ? call.id : null;
+  if (!call || typeof call !== 'object' || Array.isArray(call)) {
+    return { result: null, error: { code: RPC_ERROR_CODES.INVALID_REQUEST, message: 'Invalid request object' }, id };
+  }
+
+  const checked = validateRpcCall(call.method, call.params === undefined ? [] : call.params);
+  if (checked.error) {
+    return { result: null, error: checked.error, id };
+  }
+
+  if (!allowHeavyPassthrough(target, call.method, checked.params)) {
+    return {
+      result: null,
+      error: {
+        code: RPC_ERROR_CODES.LIMIT_EXCEEDED,
+        message: `${call.method} was refreshed from the ${target.networkName} node recently; try again in a few minutes`
+      },
+      id
+    };
+  }
+
+  try {
+    const result = await sendConfiguredRpcRequest(target, call.method, checked.params, false, { priority: 'background', throwOnError: true });
+    return { result, error: null, id };
+  } catch (error) {
+    // Node errors pass through as-is; transport errors would leak the node address
+    const rpcError = error.rpcError || {
+      code: RPC_ERROR_CODES.INTERNAL_ERROR,
+      message: `${target.networkName} node unavailable`
+    };
+    return { result: null, error: rpcError, id };
+  }
+}
+
+// Read-only JSON-RPC passthrough (single call or batch) for allowlisted
+// methods; a batch's calls are queued PASSTHROUGH_CONFIG.maxConcurrent at a time
+router.post('/rpc/:network', async (req, res) => {
+  const target = PASSTHROUGH_NETWORKS[req.params.network];
+  if (!target) {
+    return res.status(404).json({
+      error: 'Unknown network',
+      details: `Expected one of: ${Object.keys(PASSTHROUGH_NETWORKS).join(', ')}`
+    });
+  }
+
+  try {
+    const body = req.body;
+    if (Array.isArray(body)) {
+      if (body.length === 0 || body.length > BATCH_CONFIG.maxEntries) {
+        return res.status(400).json({
+          error: 'Invalid batch',
+          details: `A batch must contain between 1 and ${BATCH_CONFIG.maxEntries} calls`
+        });
+      }
+      const responses = await mapWithConcurrency(body, PASSTHROUGH_CONFIG.maxConcurrent, call => handlePassthroughCall(target, call));
+      return res.json(responses);
+    }
+
+    if (!body || typeof body !== 'object' || !body.method) {
+      return res.status(400).json({
+        error: 'Invalid JSON-RPC request',
+        details: 'Expected a JSON object with method and params, or an array of them'
+      });
+    }
+
+    res.json(await handlePassthroughCall(target, body));
+  } catch (error) {
+    console.error('Error in /api/rpc passthrough:', error);
+    res.status(500).json({ error: 'Error handling RPC request', details: error.message });
+  }
+});
+
+// Allowlisted passthrough methods, for clients discovering what they may call
+router.get('/rpc/methods', (req, res) => {
+  res.json({ methods: Object.keys(RPC_PASSTHROUGH_METHODS).sort(), networks: Object.keys(PASSTHROUGH_NETWORKS) });
+});
+
+// ============================================================================
+// BLOCK / TRANSACTION LOOKUP
+// ============================================================================
+
+const BLOCK_HASH_PATTERN = /^[0-9a-fA-F]{64}$/;
+const BLOCK_HEIGHT_PATTERN = /^\d{1,10}$/;
+// "Block not found" / "No such mempool or blockchain transaction" (-5) and
+// "Block height out of range" (-8)
+const RPC_NOT_FOUND_CODES = new Set([-5, -8]);
+
+function isRpcNotFound(error) {
+  return !!(error && error.rpcError && RPC_NOT_FOUND_CODES.has(error.rpcError.code));
+}
+
+/**
+ * Flatten a verbose transaction (getblock verbosity 2, getrawtransaction or
+ * decoderawtransaction) into the lookup API shape. `fee` is only known when
+ * the node reports it (blocks with undo data, verbosity 3 prevouts).
+ *
+ * @param {object} tx - Verbose transaction object
+ * @param {object|null} block - Containing block, for height / time / confirmations
+ * @returns {object} Normalized transaction
+ */
+function normalizeTransaction(tx, block = null) {
+  const vin = Array.isArray(tx.vin) ? tx.vin : [];
+  const vout = Array.isArray(tx.vout) ? tx.vout : [];
+  const coinbase = !!(vin[0] && vin[0].coinbase);
+
+  const inputs = vin.map((input) => {
+    if (input.coinbase) {
+      return { coinbase: input.coinbase, sequence: input.sequence };
+    }
+    return {
+      txid: input.txid,
+      vout: input.vout,
+      sequence: input.sequence,
+      // Only present with getblock verbosity 3
+      value: input.prevout ? input.prevout.value : null,
+      address: input.prevout?.scriptPubKey?.address || null
+    };
+  });
+
+  const outputs = vout.map((output) => ({
+    n: output.n,
+    value: output.value,
+    address: output.scriptPubKey?.address || null,
+    type: output.scriptPubKey?.type || null
+  }));
+
+  const totalValue = outputs.reduce((sum, output) => sum + (output.value || 0), 0);
+
+  return {
+    txid: tx.txid,
+    wtxid: tx.hash || tx.txid,
+    coinbase,
+    version: tx.version,
+    locktime: tx.locktime,
+    size: tx.size,
+    vsize: tx.vsize,
+    weight: tx.weight,
+    fee: typeof tx.fee === 'number' ? tx.fee : null,
+    totalValue: Math.round(totalValue * 1e8) / 1e8,
+    inputs,
+    outputs,
+    blockhash: tx.blockhash || (block ? block.hash : null),
+    blockHeight: block ? block.height : null,
+    // The block's position is looked up fresh (getChainPosition); tx results may be cached
+    confirmations: block && typeof block.confirmations === 'number'
+      ? block.confirmations
+      : (tx.confirmations !== undefined ? tx.confirmations : 0),
+    time: tx.blocktime || tx.time || (block ? block.time : null)
+  };
+}
+
+/**
+ * Normalized block for the lookup API: the block pipeline's summary
+ * (processBlockForStats) plus header fields, the decoded coinbase
+ * (coinbase.js) and decoded transactions.
+ *
+ * @param {object} block - Verbosity-2 getblock result
+ * @param {object} [position] - getChainPosition result; defaults to the
+ *   block's own (possibly cached) confirmations / nextblockhash
+ * @returns {object|null} Block or null when it has no transactions
+ */
+function normalizeBlock(block, position = null) {
+  const summary = processBlockForStats(block && block.hash, block);
+  if (!summary) return null;
+  if (position) block = { ...block, ...position };
+
+  return {
+    ...summary,
+    confirmations: block.confirmations,
+    size: block.size,
+    strippedsize: block.strippedsize,
+    weight: block.weight,
+    merkleroot: block.merkleroot,
+    bits: block.bits,
+    nonce: block.nonce,
+    mediantime: block.mediantime,
+    chainwork: block.chainwork,
+    previousblockhash: block.previousblockhash || null,
+    nextblockhash: block.nextblockhash || null,
+    coinbase: decodeCoinbase(block.tx[0], block.height),
+    transactions: block.tx.map(tx => normalizeTransaction(tx, block))
+  };
+}
+
+/**
+ * Where a block sits in the node's active chain right now. Block results are
+ * cached without confirmations / nextblockhash (VOLATILE_BLOCK_FIELDS), so
+ * lookups count confirmations from getblockcount and read nextblockhash as
+ * getblockhash(height + 1). A block the active chain no longer has at its
+ * height reports -1 confirmations, as the node does.
+ *
+ * @returns {Promise<{confirmations: number|null, nextblockhash: string|null}>}
+ *   confirmations null when the node did not answer
+ */
+async function getChainPosition(networkKey, block) {
+  const unknown = { confirmations: null, nextblockhash: null };
+  const tip = await sendNetworkRpcRequest(networkKey, 'getblockcount');
+  if (typeof tip !== 'number' || !block || typeof block.height !== 'number') return unknown;
+  if (block.height > tip) return { confirmations: -1, nextblockhash: null };
+
+  const active = await sendNetworkRpcRequest(networkKey, 'getblockhash', [block.height]);
+  if (typeof active !== 'string') return unknown;
+  if (active !== block.hash) return { confirmations: -1, nextblockhash: null };
+
+  const next = block.height < tip ? await sendNetworkRpcRequest(networkKey, 'getblockhash', [block.height + 1]) : null;
+  return { confirmations: tip - block.height + 1, nextblockhash: typeof next === 'string' ? next : null };
+}
+
+/**
+ * txindex state of a network's node: true / false, or null when the node
+ * cannot tell us (unreachable, or too old for getindexinfo).
+ */
+async function getTxIndexStatus(networkKey) {
+  const indexInfo = await sendNetworkRpcRequest(networkKey, 'getindexinfo');
+  if (!indexInfo || typeof indexInfo !== 'object') return null;
+  return !!indexInfo.txindex;
+}
+
+/**
+ * Find a transaction by id: mempool or txindex first (or the given block),
+ * then getTransactionData, which also asks the node's wallet. Resolves to
+ * null when the node does not know the transaction; rejects when the node
+ * is unreachable.
+ *
+ * @returns {Promise<{tx: object, source: string}|null>}
+ */
+async function lookupTransaction(networkKey, txid, blockhash = null) {
+  const params = blockhash ? [txid, true, blockhash] : [txid, true];
+  try {
+    const tx = await sendNetworkRpcRequest(networkKey, 'getrawtransaction', params, false, { throwOnError: true });
+    if (tx) {
+      const source = blockhash ? 'block' : (tx.blockhash ? 'txindex' : 'mempool');
+      return { tx, source };
+    }
+  } catch (error) {
+    if (!isRpcNotFound(error)) throw error;
+  }
+
+  // Without txindex, confirmed transactions are only reachable through the wallet
+  const txData = await getTransactionData(txid, blockhash, { network: networkKey });
+  if (!txData) return null;
+  if (txData.method !== 'gettransaction') {
+    return { tx: txData, source: blockhash ? 'block' : 'mempool' };
+  }
+
+  // Wallet results carry the raw hex instead of decoded inputs / outputs
+  const decoded = txData.hex ? await sendNetworkRpcRequest(networkKey, 'decoderawtransaction', [txData.hex]) : null;
+  return {
+    tx: {
+      ...(decoded || { txid: txData.txid }),
+      blockhash: txData.blockhash,
+      confirmations: txData.confirmations,
+      time: txData.blocktime || txData.time
+    },
+    source: 'wallet'
+  };
+}
+
+/**
+ * GET /api/<prefix>/block/:hashOrHeight and /api/<prefix>/tx/:txid for one
+ * registry network.
+ */
+function registerLookupRoutes(network) {
+  const { key, slug, label, routePrefix } = network;
+
+  router.get(routePath(routePrefix, '/block/:hashOrHeight'), async (req, res) => {
+    const { hashOrHeight } = req.params;
+    const isHeight = BLOCK_HEIGHT_PATTERN.test(hashOrHeight);
+    if (!isHeight && !BLOCK_HASH_PATTERN.test(hashOrHeight)) {
+      return res.status(400).json({
+        error: 'Invalid block identifier',
+        details: 'Expected a block height or a 64-character hex block hash'
+      });
+    }
+
+    try {
+      const strict = { throwOnError: true };
+      const hash = isHeight
+        ? await sendNetworkRpcRequest(key, 'getblockhash', [parseInt(hashOrHeight, 10)], false, strict)
+        : hashOrHeight.toLowerCase();
+      const block = await sendNetworkRpcRequest(key, 'getblock', [hash, 2], false, strict);
+      const normalized = block && normalizeBlock(block, await getChainPosition(key, block));
+      if (!normalized) {
+        return res.status(404).json({ error: 'Block not found', details: `No ${label} block ${hashOrHeight}` });
+      }
+      res.json({ network: slug, ...normalized });
+    } catch (error) {
+      if (isRpcNotFound(error)) {
+        return res.status(404).json({ error: 'Block not found', details: error.rpcError.message });
+      }
+      console.error(`Error in /api${routePath(routePrefix, '/block')}:`, error.message);
+      res.status(500).json({ error: `Error fetching ${label} block`, details: error.message });
+    }
+  });
+
+  router.get(routePath(routePrefix, '/tx/:txid'), async (req, res) => {
+    const { txid } = req.params;
+    const blockhash = req.query.blockhash || null;
+    if (!BLOCK_HASH_PATTERN.test(txid) || (blockhash && !BLOCK_HASH_PATTERN.test(blockhash))) {
+      return res.status(400).json({
+        error: 'Invalid transaction lookup',
+        details: 'txid and the optional blockhash must be 64-character hex strings'
+      });
+    }
+
+    try {
+      const found = await lookupTransaction(key, txid.toLowerCase(), blockhash && blockhash.toLowerCase());
+      if (!found) {
+        const txindex = await getTxIndexStatus(key);
+        const txindexRequired = txindex === false && !blockhash;
+        return res.status(404).json({
+          error: 'Transaction not found',
+          details: txindexRequired
+            ? `txindex is disabled on the ${label} node, so only mempool and wallet transactions can be found. ` +
+              'Enable txindex=1 or pass ?blockhash= to look up a confirmed transaction.'
+            : `No ${label} mempool or blockchain transaction ${txid}`,
+          txindex,
+          txindexRequired
+        });
+      }
+
+      const { tx, source } = found;
+      let block = null;
+      if (tx.blockhash) {
+        // Header only for the height; cached like every other block lookup
+        const header = await sendNetworkRpcRequest(key, 'getblockheader', [tx.blockhash]);
+        if (header) block = { ...header, ...await getChainPosition(key, header) };
+      }
+      res.json({ network: slug, ...normalizeTransaction(tx, block), source });
+    } catch (error) {
+      console.error(`Error in /api${routePath(routePrefix, '/tx')}:`, error.message);
+      res.status(500).json({ error: `Error fetching ${label} transaction`, details: error.message });
+    }
+  });
+}
+
+for (const network of listNetworks()) {
+  registerLookupRoutes(network);
+}
+
 // ============================================================================
 // TESTNET API ROUTES
 // ============================================================================
@@ -1425,9 +2589,15 @@ function registerDigiDollarRoutes(prefix, sendRequest, label) {
   });
 }
 
-registerDigiDollarRoutes('', sendRpcRequest, 'mainnet');
-registerDigiDollarRoutes('/testnet', sendTestnetRpcRequest, 'testnet');
-registerDigiDollarRoutes('/mainnet-pre', sendMainnetPreRpcRequest, 'mainnet-pre');
+// One set per registry network running DigiDollar: /api/getoracles,
+// /api/testnet/getoracles, /api/mainnet-pre/getoracles, ...
+for (const network of listNetworks({ subsystem: 'digidollar' })) {
+  registerDigiDollarRoutes(
+    network.routePrefix,
+    (method, params) => sendNetworkRpcRequest(network.key, method, params),
+    network.slug
+  );
+}
 
 // ============================================================================
 // PEER / ADDRESS-MANAGER DISCOVERY
@@ -1519,12 +2689,26 @@ module.exports = {
   sendRpcRequest,
   sendTestnetRpcRequest,
   sendMainnetPreRpcRequest,
+  sendRpcBatch,
+  sendRpcBatchRequest,
+  sendTestnetRpcBatchRequest,
+  sendMainnetPreRpcBatchRequest,
+  sendNetworkRpcRequest,
+  sendNetworkRpcBatchRequest,
+  RPC_TARGETS,
+  notifyNewTip,
+  initDiskCache,
   getTransactionData,
   getAlgoName,
   classifyBlockVersion,
   detectOracleBundle,
   extractPoolIdentifier,
+  getCoinbaseValue,
+  normalizeBlock,
+  normalizeTransaction,
+  getChainPosition,
   mergeRecentBlocks,
+  disconnectRecentBlocks,
   getBlocksByTimeRange,
   preloadEssentialData,
   getCacheStats,
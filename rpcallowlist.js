@@ -0,0 +1,166 @@
+/**
+ * Read-only JSON-RPC allowlist for the `POST /api/rpc/:network` passthrough
+ *
+ * Instead of a hand-written route per RPC, clients may call any method listed
+ * here. Each entry validates its positional params before anything reaches
+ * the node: wrong types, out-of-range numbers and oversize strings are
+ * rejected with JSON-RPC's "Invalid params" code. Anything not listed —
+ * wallet calls, send/submit, setters, node control — is refused outright.
+ *
+ * Validators return an error string, or null when the params are acceptable.
+ */
+
+// JSON-RPC 2.0 error codes (the same ones DigiByte Core uses)
+const RPC_ERROR_CODES = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_ALLOWED: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Not a Core code: the usual JSON-RPC server "limit exceeded"
+  LIMIT_EXCEEDED: -32005,
+};
+
+const MAX_HEX_LENGTH = 100000; // decoderawtransaction input; express.json caps bodies at 100 KB anyway
+
+// ---------------------------------------------------------------------------
+// Param checks
+// ---------------------------------------------------------------------------
+
+const isHash = (v) => typeof v === 'string' && /^[0-9a-fA-F]{64}$/.test(v);
+const isHeight = (v) => Number.isInteger(v) && v >= 0;
+const isBool = (v) => typeof v === 'boolean';
+const intIn = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+const oneOf = (...values) => (v) => values.includes(v);
+const isAddress = (v) => typeof v === 'string' && v.length > 0 && v.length <= 128;
+const isHex = (v) => typeof v === 'string' && v.length <= MAX_HEX_LENGTH && /^([0-9a-fA-F]{2})*$/.test(v);
+const isStatsList = (v) => Array.isArray(v) && v.length <= 64 && v.every((s) => typeof s === 'string' && s.length <= 32);
+
+/**
+ * Build a validator from one spec per positional param:
+ * { name, check, required, hint }. Extra params are rejected.
+ */
+function positional(...specs) {
+  return (params) => {
+    if (params.length > specs.length) {
+      return `expected at most ${specs.length} param(s), got ${params.length}`;
+    }
+    for (let i = 0; i < specs.length; i++) {
+      const spec = specs[i];
+      const value = params[i];
+      if (value === undefined || value === null) {
+        if (spec.required) return `missing required param '${spec.name}'`;
+        continue;
+      }
+      if (!spec.check(value)) return `param '${spec.name}' must be ${spec.hint}`;
+    }
+    return null;
+  };
+}
+
+const none = positional();
+const blockHash = { name: 'blockhash', check: isHash, hint: 'a 64-character hex block hash' };
+const txid = { name: 'txid', check: isHash, hint: 'a 64-character hex txid' };
+
+// ---------------------------------------------------------------------------
+// Allowlist
+// ---------------------------------------------------------------------------
+
+const RPC_PASSTHROUGH_METHODS = {
+  getbestblockhash: none,
+  getblockchaininfo: none,
+  getblockcount: none,
+  getblockreward: none,
+  getchaintips: none,
+  getdeploymentinfo: none,
+  getdifficulty: none,
+  getmempoolinfo: none,
+  getmininginfo: none,
+  // Heavy (hashes the UTXO set); params would bypass the hour-long cache,
+  // and rpc.js lets it reach each node only once per interval
+  gettxoutsetinfo: none,
+
+  getblockhash: positional({ name: 'height', check: isHeight, required: true, hint: 'a non-negative integer' }),
+  // Verbosity 3 reads every input's prevout from disk: not served
+  getblock: positional(
+    { ...blockHash, required: true },
+    { name: 'verbosity', check: intIn(0, 2), hint: 'an integer from 0 to 2' }
+  ),
+  getblockheader: positional(
+    { ...blockHash, required: true },
+    { name: 'verbose', check: isBool, hint: 'a boolean' }
+  ),
+  getblockstats: positional(
+    { name: 'hash_or_height', check: (v) => isHash(v) || isHeight(v), required: true, hint: 'a block hash or height' },
+    { name: 'stats', check: isStatsList, hint: 'an array of stat names' }
+  ),
+  getchaintxstats: positional(
+    { name: 'nblocks', check: intIn(1, 1000000), hint: 'a positive integer' },
+    blockHash
+  ),
+  getnetworkhashps: positional(
+    { name: 'nblocks', check: intIn(-1, 100000), hint: 'an integer from -1 to 100000' },
+    { name: 'height', check: intIn(-1, Number.MAX_SAFE_INTEGER), hint: 'an integer >= -1' }
+  ),
+  getrawmempool: positional({ name: 'verbose', check: isBool, hint: 'a boolean' }),
+  getmempoolentry: positional({ ...txid, required: true }),
+  getrawtransaction: positional(
+    { ...txid, required: true },
+    { name: 'verbose', check: (v) => isBool(v) || intIn(0, 1)(v), hint: 'a boolean or 0/1' },
+    blockHash
+  ),
+  gettxout: positional(
+    { ...txid, required: true },
+    { name: 'n', check: isHeight, required: true, hint: 'a non-negative integer' },
+    { name: 'include_mempool', check: isBool, hint: 'a boolean' }
+  ),
+  decoderawtransaction: positional(
+    { name: 'hexstring', check: isHex, required: true, hint: `a hex string of at most ${MAX_HEX_LENGTH} characters` },
+    { name: 'iswitness', check: isBool, hint: 'a boolean' }
+  ),
+  estimatesmartfee: positional(
+    { name: 'conf_target', check: intIn(1, 1008), required: true, hint: 'an integer from 1 to 1008' },
+    { name: 'estimate_mode', check: oneOf('unset', 'economical', 'conservative', 'UNSET', 'ECONOMICAL', 'CONSERVATIVE'), hint: 'unset, economical or conservative' }
+  ),
+  validateaddress: positional({ name: 'address', check: isAddress, required: true, hint: 'an address string' }),
+};
+
+/**
+ * Check one call against the allowlist.
+ *
+ * @param {string} method - RPC method name
+ * @param {Array} params - Positional params (missing means [])
+ * @returns {{ params: Array }|{ error: { code: number, message: string } }}
+ */
+function validateRpcCall(method, params = []) {
+  if (typeof method !== 'string' || method.length === 0) {
+    return { error: { code: RPC_ERROR_CODES.INVALID_REQUEST, message: 'Missing method' } };
+  }
+  if (!Object.prototype.hasOwnProperty.call(RPC_PASSTHROUGH_METHODS, method)) {
+    return {
+      error: {
+        code: RPC_ERROR_CODES.METHOD_NOT_ALLOWED,
+        message: `Method '${method}' is not allowed: only read-only chain methods are available (wallet and state-changing calls are rejected)`,
+      },
+    };
+  }
+  if (!Array.isArray(params)) {
+    return { error: { code: RPC_ERROR_CODES.INVALID_PARAMS, message: 'params must be an array' } };
+  }
+  const problem = RPC_PASSTHROUGH_METHODS[method](params);
+  if (problem) {
+    return { error: { code: RPC_ERROR_CODES.INVALID_PARAMS, message: `Invalid params for ${method}: ${problem}` } };
+  }
+  // Trailing nulls are "use the default": drop them so cache keys match
+  // the equivalent shorter call
+  const normalized = [...params];
+  while (normalized.length && (normalized[normalized.length - 1] === null || normalized[normalized.length - 1] === undefined)) {
+    normalized.pop();
+  }
+  return { params: normalized };
+}
+
+module.exports = {
+  RPC_ERROR_CODES,
+  RPC_PASSTHROUGH_METHODS,
+  validateRpcCall,
+};
@@ -0,0 +1,207 @@
+/**
+ * DigiByte RPC disk cache (optional second tier behind rpcCache)
+ *
+ * rpcCache is an in-process NodeCache, so every restart used to re-download
+ * the ~240 verbosity-2 blocks behind recentBlocks and the confirmed-tx scan.
+ * Results that can never change — block data and headers keyed by hash, and
+ * block hashes deeper than the reorg-safe depth — are also written here, to a
+ * small SQLite file (rpccache.db, separate from nodes.db / history.db), and
+ * read back on a memory miss before the node is asked.
+ *
+ * Rows are plain JSON keyed by the same cache key rpc.js uses. The file is
+ * bounded by `maxBytes`: once the stored JSON exceeds it, the least recently
+ * read rows are dropped until it is back under `EVICT_TARGET` of the limit.
+ *
+ * Every method resolves even when SQLite fails (logged, treated as a miss),
+ * so a broken or full disk only costs the cache, never an RPC answer.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+
+const DEFAULT_MAX_BYTES = 512 * 1024 * 1024;
+// Evict down to this fraction of maxBytes so we don't evict on every write.
+const EVICT_TARGET = 0.9;
+// SQLite's default host-parameter limit is 999; stay well under it.
+const MAX_KEYS_PER_QUERY = 500;
+
+// ---------------------------------------------------------------------------
+// Promisified sqlite helpers (mirrors history.js)
+// ---------------------------------------------------------------------------
+
+const dbRun = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.run(sql, params, function onDone(err) { err ? reject(err) : resolve(this); }));
+const dbAll = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+const dbGet = (db, sql, params = []) =>
+  new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+
+function initDiskCacheTables(db) {
+  return dbRun(
+    db,
+    `CREATE TABLE IF NOT EXISTS rpc_cache (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      last_access INTEGER NOT NULL
+    )`
+  ).then(() => dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_rpc_cache_last_access ON rpc_cache(last_access)'));
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} p
+ * @param {object} [p.db]        open sqlite3 Database (tests); otherwise dbFile is opened
+ * @param {string} [p.dbFile]    path of the cache file
+ * @param {number} [p.maxBytes]  stored JSON budget before eviction
+ * @returns {{ ready, get, getMany, set, getStats, close }}
+ */
+function createRpcDiskCache({
+  db = null,
+  dbFile = 'rpccache.db',
+  maxBytes = DEFAULT_MAX_BYTES,
+  nowFn = () => Date.now(),
+  log = () => {},
+} = {}) {
+  const handle = db || new sqlite3.Database(dbFile);
+  const stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+  let totalBytes = 0;
+  let evicting = null;
+  // key -> last write queued for it; writes of one key run one after another
+  // so each sees the size the previous one stored
+  const pendingSets = new Map();
+
+  const ready = initDiskCacheTables(handle)
+    .then(() => dbGet(handle, 'SELECT COALESCE(SUM(size), 0) AS total FROM rpc_cache'))
+    .then((row) => {
+      totalBytes = row ? row.total : 0;
+    })
+    .catch((e) => {
+      stats.errors += 1;
+      log(`[rpcdiskcache] init failed: ${e.message}`);
+    });
+
+  function fail(action, e) {
+    stats.errors += 1;
+    log(`[rpcdiskcache] ${action} failed: ${e.message}`);
+  }
+
+  /**
+   * Look up several keys in one query per MAX_KEYS_PER_QUERY.
+   * Resolves with a Map of key → value for the hits only.
+   */
+  async function getMany(keys) {
+    const found = new Map();
+    if (!keys.length) return found;
+    await ready;
+    try {
+      for (let i = 0; i < keys.length; i += MAX_KEYS_PER_QUERY) {
+        const chunk = keys.slice(i, i + MAX_KEYS_PER_QUERY);
+        const marks = chunk.map(() => '?').join(',');
+        const rows = await dbAll(handle, `SELECT key, value FROM rpc_cache WHERE key IN (${marks})`, chunk);
+        for (const row of rows) found.set(row.key, JSON.parse(row.value));
+        if (rows.length) {
+          // Recency for eviction; not awaited, the read is already answered
+          dbRun(handle, `UPDATE rpc_cache SET last_access = ? WHERE key IN (${rows.map(() => '?').join(',')})`,
+            [nowFn(), ...rows.map((r) => r.key)]).catch((e) => fail('touch', e));
+        }
+      }
+    } catch (e) {
+      fail('read', e);
+    }
+    stats.hits += found.size;
+    stats.misses += keys.length - found.size;
+    return found;
+  }
+
+  /** Resolves with the stored value, or undefined on a miss. */
+  async function get(key) {
+    const found = await getMany([key]);
+    return found.get(key);
+  }
+
+  /**
+   * Store a value (JSON), then evict if the file went over budget. Concurrent
+   * writes of the same key (the warm-up and the confirmed-tx scan fetching
+   * one block) are queued, otherwise both would count the row's size.
+   */
+  function set(key, value) {
+    const write = (pendingSets.get(key) || Promise.resolve()).then(() => writeRow(key, value));
+    pendingSets.set(key, write);
+    write.then(() => {
+      if (pendingSets.get(key) === write) pendingSets.delete(key);
+    });
+    return write;
+  }
+
+  async function writeRow(key, value) {
+    if (value === undefined || value === null) return;
+    const json = JSON.stringify(value);
+    const size = Buffer.byteLength(json);
+    if (size > maxBytes) return;
+    await ready;
+    try {
+      const previous = await dbGet(handle, 'SELECT size FROM rpc_cache WHERE key = ?', [key]);
+      await dbRun(
+        handle,
+        'INSERT OR REPLACE INTO rpc_cache (key, value, size, last_access) VALUES (?, ?, ?, ?)',
+        [key, json, size, nowFn()]
+      );
+      totalBytes += size - (previous ? previous.size : 0);
+      stats.writes += 1;
+    } catch (e) {
+      fail('write', e);
+      return;
+    }
+    if (totalBytes > maxBytes) await evict();
+  }
+
+  /** Drop least-recently-read rows until under EVICT_TARGET of maxBytes. */
+  function evict() {
+    if (evicting) return evicting;
+    evicting = (async () => {
+      try {
+        const target = Math.floor(maxBytes * EVICT_TARGET);
+        while (totalBytes > target) {
+          const rows = await dbAll(handle, 'SELECT key, size FROM rpc_cache ORDER BY last_access ASC LIMIT 100');
+          if (!rows.length) {
+            totalBytes = 0;
+            break;
+          }
+          const victims = [];
+          for (const row of rows) {
+            if (totalBytes <= target) break;
+            victims.push(row.key);
+            totalBytes -= row.size;
+          }
+          await dbRun(handle, `DELETE FROM rpc_cache WHERE key IN (${victims.map(() => '?').join(',')})`, victims);
+          stats.evictions += victims.length;
+        }
+      } catch (e) {
+        fail('evict', e);
+      } finally {
+        evicting = null;
+      }
+    })();
+    return evicting;
+  }
+
+  function getStats() {
+    return { ...stats, bytes: totalBytes, maxBytes };
+  }
+
+  function close() {
+    return new Promise((resolve) => handle.close(() => resolve()));
+  }
+
+  return { ready, get, getMany, set, getStats, close };
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  EVICT_TARGET,
+  initDiskCacheTables,
+  createRpcDiskCache,
+};
@@ -0,0 +1,116 @@
+/**
+ * DigiByte RPC request scheduler (per-network, priority-aware)
+ *
+ * Replaces the old polling limiter (spin on setTimeout until fewer than
+ * maxConcurrent requests were pending) with a real queue. Every RPC waits for
+ * a slot in one of three priority classes:
+ *   - interactive: REST/API handlers answering a user right now (default)
+ *   - realtime:    the live block / transaction ingest pipeline
+ *   - background:  backfills, bulk scans, crawler seeding
+ * Within a class requests are served FIFO. When a slot frees up, the highest
+ * class with a waiter that is still under its own concurrency cap goes next.
+ * Background work is capped below the network total, so a history backfill
+ * can never take every slot and starve the live pipeline; the other classes
+ * may use every slot, as all requests could under the old limiter.
+ *
+ * Each network gets its own scheduler, so a stuck node never holds another
+ * network's slots.
+ */
+
+const PRIORITY_ORDER = ['interactive', 'realtime', 'background'];
+const DEFAULT_PRIORITY = 'interactive';
+
+// Per-class concurrency caps (null = up to maxConcurrent).
+const DEFAULT_CLASS_CAPS = {
+  interactive: null,
+  realtime: null,
+  background: 2,
+};
+
+function normalizePriority(priority) {
+  return PRIORITY_ORDER.includes(priority) ? priority : DEFAULT_PRIORITY;
+}
+
+function createRpcScheduler({
+  maxConcurrent = 4,
+  classCaps = DEFAULT_CLASS_CAPS,
+  nowFn = () => Date.now(),
+} = {}) {
+  const classes = {};
+  for (const p of PRIORITY_ORDER) {
+    classes[p] = {
+      cap: Math.max(1, Math.min(maxConcurrent, classCaps[p] ?? maxConcurrent)),
+      queue: [],
+      inFlight: 0,
+      dispatched: 0,
+      totalWaitMs: 0,
+      maxQueueDepth: 0,
+    };
+  }
+  let inFlight = 0;
+
+  /** Hand free slots to waiters, highest class first, FIFO within a class. */
+  function drain() {
+    while (inFlight < maxConcurrent) {
+      const next = PRIORITY_ORDER.find((p) => classes[p].queue.length > 0 && classes[p].inFlight < classes[p].cap);
+      if (!next) return;
+      const cls = classes[next];
+      const waiter = cls.queue.shift();
+      cls.inFlight += 1;
+      cls.dispatched += 1;
+      cls.totalWaitMs += nowFn() - waiter.enqueuedAt;
+      inFlight += 1;
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        cls.inFlight -= 1;
+        inFlight -= 1;
+        drain();
+      });
+    }
+  }
+
+  /**
+   * Wait for a slot. Resolves with a release function that MUST be called
+   * (once) when the request settles; extra calls are ignored.
+   */
+  function acquire(priority) {
+    const cls = classes[normalizePriority(priority)];
+    return new Promise((resolve) => {
+      cls.queue.push({ resolve, enqueuedAt: nowFn() });
+      cls.maxQueueDepth = Math.max(cls.maxQueueDepth, cls.queue.length);
+      drain();
+    });
+  }
+
+  /** Queue-depth / in-flight metrics for getCacheStats. */
+  function getStats() {
+    const byClass = {};
+    let queued = 0;
+    for (const p of PRIORITY_ORDER) {
+      const c = classes[p];
+      queued += c.queue.length;
+      byClass[p] = {
+        cap: c.cap,
+        inFlight: c.inFlight,
+        queued: c.queue.length,
+        maxQueueDepth: c.maxQueueDepth,
+        dispatched: c.dispatched,
+        avgWaitMs: c.dispatched > 0 ? Math.round(c.totalWaitMs / c.dispatched) : 0,
+      };
+    }
+    return { maxConcurrent, inFlight, queued, byClass };
+  }
+
+  return { acquire, getStats };
+}
+
+module.exports = {
+  PRIORITY_ORDER,
+  DEFAULT_PRIORITY,
+  DEFAULT_CLASS_CAPS,
+  normalizePriority,
+  createRpcScheduler,
+};
@@ -38,62 +38,74 @@ const {
   sendRpcRequest,
   sendTestnetRpcRequest,
   sendMainnetPreRpcRequest,
-  getTransactionData,
+  sendNetworkRpcRequest,
+  sendNetworkRpcBatchRequest,
   getAlgoName,
   classifyBlockVersion,
   detectOracleBundle,
   extractPoolIdentifier,
-  mergeRecentBlocks,
-  getBlocksByTimeRange,
-  fetchPeersFromNode
+  getCoinbaseValue,
+  fetchPeersFromNode,
+  notifyNewTip,
+  initDiskCache
 } = require('./rpc');
 
 // Load application configuration
 const config = require('./config.js');
 
+// Per-network RPC / ZMQ / WebSocket / P2P settings (see networks.js)
+const { getNetwork, listNetworks } = require('./networks.js');
+// Per-network oracle / DigiDollar WebSocket feed
+const { createDigiDollarFeed } = require('./digidollarfeed.js');
+// Block / transaction / mempool WebSocket feeds (mainnet, testnet / regtest, ...)
+const { createNetworkFeed } = require('./networkfeed.js');
+const { POOL_STATS_WINDOWS, createPoolStats } = require('./poolstats.js');
+const { BLOCK_TIME_WINDOWS, createBlockTimes } = require('./blocktimes.js');
+const { ALGO_BALANCE_WINDOWS, createAlgoBalance, initializeAlgoBalanceTables } = require('./algobalance.js');
+const { createDifficultyProjection } = require('./difficulty.js');
+const { createDeploymentTracker } = require('./deployments.js');
+const { parseRawTransaction, transactionFee, createOutputCache } = require('./rawblock.js');
+const { createPrevoutResolver } = require('./prevouts.js');
+const { createBlockIngest } = require('./blockingest.js');
+// Canonical pool names from pools.json (raw coinbase tag + payout address clustering)
+const { identifyPool, getPoolRegistry, reloadPoolRegistry } = require('./poolregistry.js');
+
 // Network crawler (version-handshake reachability probe + 24h version stats)
 const { createCrawler, initializeCrawlerTables } = require('./crawler.js');
 const { createForkTracker, initializeForkTables } = require('./forktracker.js');
 // Historical daily per-algo stats (difficulty/hashrate reconstructed from headers)
 const history = require('./history.js');
+const blockindex = require('./blockindex.js');
+// Token / localhost guard for the operator endpoints
+const { createAdminGuard } = require('./adminauth.js');
 
 // ============================================================================
 // SERVER CONFIGURATION
 // ============================================================================
 
+// WebSocket ports live in the network registry (networks.js)
 const SERVER_CONFIG = {
   port: process.env.PORT || 5001,
-  wsPort: 5002,
-  testnetWsPort: process.env.DGB_TESTNET_WS_PORT || 5003,
-  mainnetPreWsPort: process.env.DGB_MAINNET_PRE_WS_PORT || 5004,
   corsEnabled: true,
   maxRecentBlocks: 240,
   pingInterval: 30000  // 30 seconds WebSocket ping
 };
 
+// RPC scheduler classes (see rpcscheduler.js). API handlers use the default
+// 'interactive' class; live ingest and bulk scans tag their calls so a
+// backfill can never take every RPC slot from the block pipeline.
+const RPC_REALTIME = { priority: 'realtime' };
+const RPC_BACKGROUND = { priority: 'background' };
+
 // ============================================================================
 // ZEROMQ CONFIGURATION
 // ============================================================================
 
+// Mainnet ZMQ endpoints come from the registry; set `subsystems.zmq: false`
+// (or `zmq: null`) on the mainnet entry in config.js to disable ZeroMQ
 const ZMQ_CONFIG = {
-  enabled: true,  // Set to false to disable ZeroMQ
-  endpoints: {
-    rawtx: 'tcp://127.0.0.1:28333',      // Raw transaction data
-    hashtx: 'tcp://127.0.0.1:28335',     // Transaction hashes
-    rawblock: 'tcp://127.0.0.1:28332',   // Raw block data
-    hashblock: 'tcp://127.0.0.1:28334'   // Block hashes
-  }
-};
-
-// ============================================================================
-// TESTNET RPC CONFIGURATION
-// ============================================================================
-
-const TESTNET_RPC_CONFIG = {
-  user: process.env.DGB_TESTNET_RPC_USER || 'user',
-  password: process.env.DGB_TESTNET_RPC_PASSWORD || 'password',
-  url: process.env.DGB_TESTNET_RPC_URL || 'http://127.0.0.1:14026',
-  timeout: 30000
+  enabled: getNetwork('mainnet').subsystems.zmq,
+  endpoints: getNetwork('mainnet').zmq || {}
 };
 
 // ============================================================================
@@ -113,190 +125,118 @@ app.use('/api', rpcRoutes);
 // WEBSOCKET SERVER SETUP
 // ============================================================================
 
+/**
+ * One WebSocket server per registry network, keyed by registry key.
+ * Every network gets the same message types on its own port.
+ */
+const wsServers = Object.fromEntries(
+  listNetworks().map((network) => [network.key, new WebSocket.Server({ port: network.ws.port })])
+);
+
 /**
  * WebSocket server for real-time blockchain updates
  * Provides live block notifications and cached data delivery
  */
-const wss = new WebSocket.Server({ port: SERVER_CONFIG.wsPort });
+const wss = wsServers.mainnet;
 
 /**
  * Testnet WebSocket server for real-time testnet blockchain updates
  */
-const wssTestnet = new WebSocket.Server({ port: SERVER_CONFIG.testnetWsPort });
+const wssTestnet = wsServers.testnet;
 
 /**
  * Modified-mainnet/PRE WebSocket server for the isolated rehearsal node.
  */
-const wssMainnetPre = new WebSocket.Server({ port: SERVER_CONFIG.mainnetPreWsPort });
+const wssMainnetPre = wsServers.mainnetPre;
 
-// Track connected clients for broadcasting
-let connectedClients = 0;
-let testnetConnectedClients = 0;
-let mainnetPreConnectedClients = 0;
+// Connected WebSocket clients keyed by registry network key
+const connectedClients = Object.fromEntries(listNetworks().map((network) => [network.key, 0]));
 
 // ============================================================================
 // DATA STORAGE AND CACHING
 // ============================================================================
 
 /**
- * In-memory storage for recent blocks
- * Maintains the latest N blocks for immediate WebSocket delivery
- */
-const recentBlocks = [];
-
-/**
- * In-memory storage for recent confirmed transactions
- * Maintains the latest confirmed transactions for immediate delivery
- */
-let recentTransactionsCache = [];
-
-/**
- * In-memory storage for current mempool state
- * Maintains current mempool transactions and statistics for immediate delivery
+ * Registry networks with a block / transaction / mempool feed: every one but
+ * the mainnet-PRE rehearsal node, which only keeps its initial data.
+ *
+ * @param {object} [filter] - listNetworks() options
  */
-let mempoolCache = {
-  stats: {
-    size: 0,
-    bytes: 0,
-    usage: 0,
-    maxmempool: 300000000,
-    minfee: 0,
-    avgfee: 0,
-    totalfee: 0,
-    feeDistribution: {
-      '0-10': 0,
-      '10-50': 0,
-      '50-100': 0,
-      '100-500': 0,
-      '500+': 0
-    }
-  },
-  transactions: []
-};
+function listFeedNetworks(filter) {
+  return listNetworks(filter).filter((network) => network.key !== 'mainnetPre');
+}
 
 /**
- * Track mempool transactions with timestamps for 3-minute retention
- * This allows transactions to be analyzed even after they leave the real mempool
+ * Prevout resolvers of the network feeds (see prevouts.js): real input
+ * values, addresses and fees instead of estimates
  */
-const mempoolTransactionHistory = new Map(); // txid -> { transaction, addedAt, removedAt }
+const prevoutResolvers = Object.fromEntries(listFeedNetworks().map((network) => [
+  network.key,
+  createPrevoutResolver({
+    network,
+    sendRpc: (method, params) => sendNetworkRpcRequest(network.key, method, params, false, { ...RPC_BACKGROUND, throwOnError: true })
+  })
+]));
 
 /**
- * Multi-tier caching system:
- * - NodeCache: Short-term cache with automatic expiration
- * - In-memory: Critical data that persists across cache evictions
- * - Disk: Backup persistence for server restarts
+ * Short-lived peer data cache (peers.dat parse, geo-located nodes); block,
+ * transaction and mempool payloads live in networkFeeds
  */
-const cache = new NodeCache({ stdTTL: 60 });
 const peerCache = new NodeCache({ stdTTL: 600 }); // 10-minute peer cache
 
 /**
- * Persistent storage for critical blockchain data
- * Ensures data availability even when RPC calls fail
- */
-let inMemoryInitialData = null;
-
-// ============================================================================
-// TESTNET DATA STORAGE
-// ============================================================================
-
-/**
- * Testnet-specific data stores
- * Kept separate from mainnet to avoid data mixing
- */
-let testnetRecentBlocks = [];
-let testnetInMemoryInitialData = null;
-
-/**
- * In-memory storage for recent confirmed testnet transactions
- * Maintains the latest confirmed transactions for immediate delivery
- */
-let testnetRecentTransactionsCache = [];
-
-/**
- * In-memory storage for current testnet mempool state
- * Maintains current mempool transactions and statistics for immediate delivery
- */
-let testnetMempoolCache = {
-  stats: {
-    size: 0,
-    bytes: 0,
-    usage: 0,
-    maxmempool: 300000000,
-    minfee: 0,
-    avgfee: 0,
-    totalfee: 0,
-    feeDistribution: {
-      '0-10': 0,
-      '10-50': 0,
-      '50-100': 0,
-      '100-500': 0,
-      '500+': 0
-    }
-  },
-  transactions: []
-};
-
-/**
- * Track testnet mempool transactions with timestamps for 3-minute retention
- */
-const testnetMempoolTransactionHistory = new Map();
-
-/**
- * In-memory cache for testnet oracle data (pushed via WebSocket)
- * Combined data from getoracleprice + getalloracleprices + getoracles + getoraclesigners
- */
-let testnetOracleCache = null;
-
-/**
- * In-memory cache for testnet DigiDollar stats data (pushed via WebSocket)
- * Combined data from getdigidollarstats + getoracleprice
- */
-let testnetDDStatsCache = null;
-
-/**
- * In-memory cache for testnet DigiDollar deployment info (pushed via WebSocket)
- * Data from getdigidollardeploymentinfo
+ * In-memory cache for modified-mainnet/PRE initial chain height data.
+ * The PRE chain reports chain=main, so this cache is keyed by target, not chain name.
  */
-let testnetDeploymentCache = null;
+let mainnetPreInitialDataCache = null;
 
 /**
- * In-memory cache for MAINNET oracle data (pushed via WebSocket on port 5002)
- * Combined data from getoracleprice + getalloracleprices + getoracles + getoraclesigners
+ * Oracle / DigiDollar feeds keyed by registry network key. Each caches the
+ * last oracleData / ddStatsData / ddDeploymentData payloads for its
+ * WebSocket clients (see digidollarfeed.js and setupDigiDollarFeeds).
  */
-let mainnetOracleCache = null;
+const ddFeeds = {};
 
 /**
- * In-memory cache for MAINNET DigiDollar stats data (pushed via WebSocket on port 5002)
- * Combined data from getdigidollarstats + getoracleprice
+ * Block / transaction / mempool feeds (networkfeed.js) keyed by registry
+ * network key, one per listFeedNetworks() entry (see setupNetworkFeeds).
  */
-let mainnetDDStatsCache = null;
+const networkFeeds = {};
 
 /**
- * In-memory cache for MAINNET DigiDollar deployment info (pushed via WebSocket on port 5002)
- * Data from getdigidollardeploymentinfo
+ * Pool share services keyed by registry network key, one per network running
+ * the blockIndex subsystem (see poolstats.js). Created in startServer() once
+ * the block index is open.
  */
-let mainnetDeploymentCache = null;
+const poolStatsServices = {};
 
 /**
- * In-memory cache for modified-mainnet/PRE initial chain height data.
- * The PRE chain reports chain=main, so this cache is keyed by target, not chain name.
+ * Block interval analytics keyed by registry network key, one per network
+ * running the history subsystem (see blocktimes.js). Created in
+ * startServer() once history.js is up; fed by recordBlocks().
  */
-let mainnetPreInitialDataCache = null;
+const blockTimesServices = {};
 
 /**
- * In-memory cache for modified-mainnet/PRE oracle data (pushed via WebSocket on port 5004)
+ * Algo share balance monitors keyed by registry network key, one per block
+ * interval service (see algobalance.js). Created in startServer() after
+ * blockTimesServices, whose blocks they count.
  */
-let mainnetPreOracleCache = null;
+const algoBalanceServices = {};
 
 /**
- * In-memory cache for modified-mainnet/PRE DigiDollar stats data (pushed via WebSocket on port 5004)
+ * Next-difficulty projections keyed by registry network key, one per history
+ * tracker (see difficulty.js). Created in startServer() once history.js is up,
+ * whose header source they share.
  */
-let mainnetPreDDStatsCache = null;
+const difficultyServices = {};
 
 /**
- * In-memory cache for modified-mainnet/PRE DigiDollar deployment info (pushed via WebSocket on port 5004)
+ * BIP9 signaling trackers keyed by registry network key, one per network
+ * running the blockIndex subsystem (see deployments.js). Created in
+ * startServer() next to poolStatsServices; they count the index's blocks.
  */
-let mainnetPreDeploymentCache = null;
+const deploymentTrackers = {};
 
 // ============================================================================
 // DATABASE SETUP
@@ -342,6 +282,7 @@ function initializeDatabase() {
   // `nodes` table, which is wiped on every 10-minute peer refresh
   initializeCrawlerTables(db).catch((err) => console.error('Error initializing crawler tables:', err));
   initializeForkTables(db).catch((err) => console.error('Error initializing fork tables:', err));
+  initializeAlgoBalanceTables(db).catch((err) => console.error('Error initializing algo balance tables:', err));
 }
 
 // ============================================================================
@@ -362,735 +303,260 @@ let nodeCrawler = null;
 // Chain-tip / orphan / fork trackers (getchaintips poll; see forktracker.js)
 let forkTracker = null;
 let testnetForkTracker = null;
+// ... and for the other feed networks, keyed by registry key
+const networkForkTrackers = {};
+
+/**
+ * Feed networks without the hand-wired mainnet / testnet routes and
+ * trackers (regtest and networks added through config.js).
+ *
+ * @param {object} [filter] - listNetworks() options
+ */
+function listExtraNetworks(filter) {
+  return listFeedNetworks(filter).filter((network) => network.key !== 'mainnet' && network.key !== 'testnet');
+}
 
 // Historical daily per-algo stats handle (see history.js). Assigned in
 // startServer() after the HTTP server is listening; endpoints below guard null.
 let historyTracker = null;
 
+// Persistent block index (see blockindex.js), opened in startServer();
+// /api/blocks answers 503 until then.
+let blockIndex = null;
+
 // ============================================================================
 // WEBSOCKET CONNECTION MANAGEMENT
 // ============================================================================
 
-/**
- * Handle new WebSocket connections
- * 
- * On connection, immediately sends:
- * 1. Recent blocks for chart display
- * 2. Initial blockchain data for dashboard
- * 3. Geo-located peer data for network map
- */
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
-  connectedClients++;
-  console.log(`Active WebSocket connections: ${connectedClients}`);
-
-  // Send recent blocks immediately
-  console.log(`Sending ${recentBlocks.length} recent blocks to new client`);
-  ws.send(JSON.stringify({ 
-    type: 'recentBlocks', 
-    data: recentBlocks 
-  }));
-  
-  // Send cached confirmed transactions immediately
-  console.log(`Sending ${recentTransactionsCache.length} cached confirmed transactions to new client`);
-  ws.send(JSON.stringify({
-    type: 'recentTransactions',
-    data: recentTransactionsCache
-  }));
-  
-  // Send cached mempool data immediately
-  console.log(`Sending cached mempool data (${mempoolCache.transactions.length} transactions) to new client`);
-  ws.send(JSON.stringify({
-    type: 'mempool',
-    data: mempoolCache
-  }));
-
-  // Send cached initial data
-  sendInitialDataToClient(ws);
-
-  // Send geo-located peer data
-  sendGeoDataToClient(ws);
-
-  // Send crawler-derived 24h node version breakdown
-  if (nodeCrawler && nodeCrawler.getSnapshot()) {
-    ws.send(JSON.stringify({
-      type: 'nodeVersions24h',
-      data: nodeCrawler.getSnapshot()
-    }));
-  }
-
-  // Send cached chain-tips snapshot + current fork-risk alert
-  if (forkTracker && forkTracker.getSnapshot()) {
-    ws.send(JSON.stringify({ type: 'chainTips', data: forkTracker.getSnapshot() }));
-  }
-  if (forkTracker && forkTracker.getAlert()) {
-    ws.send(JSON.stringify({ type: 'forkAlert', data: forkTracker.getAlert() }));
-  }
-
-  // Send cached mainnet oracle data immediately
-  if (mainnetOracleCache) {
-    console.log('Sending cached oracle data to new mainnet client');
-    ws.send(JSON.stringify({
-      type: 'oracleData',
-      data: mainnetOracleCache
-    }));
-  }
-
-  // Send cached mainnet DD stats data immediately
-  if (mainnetDDStatsCache) {
-    console.log('Sending cached DD stats data to new mainnet client');
-    ws.send(JSON.stringify({
-      type: 'ddStatsData',
-      data: mainnetDDStatsCache
-    }));
-  }
-
-  // Send cached mainnet DD deployment data immediately
-  if (mainnetDeploymentCache) {
-    console.log('Sending cached DD deployment data to new mainnet client');
-    ws.send(JSON.stringify({
-      type: 'ddDeploymentData',
-      data: mainnetDeploymentCache
-    }));
-  }
-
-  // Handle incoming messages from client
-  ws.on('message', async (message) => {
-    try {
-      const msg = JSON.parse(message);
-
-      if (msg.type === 'requestMempool') {
-        console.log('Client requested mempool data');
-        await sendMempoolDataToClient(ws);
-      }
-    } catch (error) {
-      console.error('Error handling WebSocket message:', error);
-    }
-  });
-
-  // Setup connection heartbeat
-  const pingTimer = setInterval(() => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.ping();
-    }
-  }, SERVER_CONFIG.pingInterval);
-
-  // Handle client disconnection
-  ws.on('close', () => {
-    console.log('WebSocket client disconnected');
-    connectedClients--;
-    clearInterval(pingTimer);
-  });
-
-  // Handle connection errors
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-    connectedClients--;
-    clearInterval(pingTimer);
-  });
-});
-
 // ============================================================================
-// TESTNET WEBSOCKET CONNECTION HANDLER
+// MODIFIED MAINNET / PRE WEBSOCKET CONNECTION HANDLER
 // ============================================================================
 
 /**
- * Testnet WebSocket connection handler
- * Provides testnet-specific blockchain data to connected clients
+ * Modified-mainnet/PRE WebSocket connection handler.
+ * This isolated rehearsal node reports chain=main over RPC, so every cache and
+ * socket path stays target-scoped as mainnet-pre.
  */
-wssTestnet.on('connection', (ws) => {
-  console.log('Testnet WebSocket client connected');
-  testnetConnectedClients++;
-  console.log(`Active Testnet WebSocket connections: ${testnetConnectedClients}`);
-
-  // Send recent testnet blocks immediately
-  console.log(`Sending ${testnetRecentBlocks.length} recent testnet blocks to new client`);
-  ws.send(JSON.stringify({
-    type: 'recentBlocks',
-    data: testnetRecentBlocks
-  }));
-
-  // Send cached testnet confirmed transactions immediately
-  console.log(`Sending ${testnetRecentTransactionsCache.length} cached testnet confirmed transactions to new client`);
-  ws.send(JSON.stringify({
-    type: 'recentTransactions',
-    data: testnetRecentTransactionsCache
-  }));
-
-  // Send cached testnet mempool data immediately
-  console.log(`Sending cached testnet mempool data (${testnetMempoolCache.transactions.length} transactions) to new client`);
-  ws.send(JSON.stringify({
-    type: 'mempool',
-    data: testnetMempoolCache
-  }));
-
-  // Send cached testnet initial data
-  sendTestnetInitialDataToClient(ws);
-
-  // Send testnet-specific node geo data
-  if (testnetUniqueNodes.length > 0) {
-    console.log(`Sending ${testnetUniqueNodes.length} testnet geo nodes to client`);
-    ws.send(JSON.stringify({
-      type: 'geoData',
-      data: testnetUniqueNodes,
-      addrman: testnetAddrmanInfo
-    }));
-  }
-
-  // Send cached testnet chain-tips snapshot + fork-risk alert
-  if (testnetForkTracker && testnetForkTracker.getSnapshot()) {
-    ws.send(JSON.stringify({ type: 'chainTips', data: testnetForkTracker.getSnapshot() }));
-  }
-  if (testnetForkTracker && testnetForkTracker.getAlert()) {
-    ws.send(JSON.stringify({ type: 'forkAlert', data: testnetForkTracker.getAlert() }));
-  }
-
-  // Send cached oracle data immediately
-  if (testnetOracleCache) {
-    console.log('Sending cached oracle data to new testnet client');
-    ws.send(JSON.stringify({
-      type: 'oracleData',
-      data: testnetOracleCache
-    }));
-  }
+wssMainnetPre.on('connection', (ws) => {
+  console.log('Mainnet-PRE WebSocket client connected');
+  connectedClients.mainnetPre++;
+  console.log(`Active Mainnet-PRE WebSocket connections: ${connectedClients.mainnetPre}`);
 
-  // Send cached DD stats data immediately
-  if (testnetDDStatsCache) {
-    console.log('Sending cached DD stats data to new testnet client');
-    ws.send(JSON.stringify({
-      type: 'ddStatsData',
-      data: testnetDDStatsCache
-    }));
-  }
+  sendMainnetPreInitialDataToClient(ws);
 
-  // Send cached DD deployment data immediately
-  if (testnetDeploymentCache) {
-    console.log('Sending cached DD deployment data to new testnet client');
-    ws.send(JSON.stringify({
-      type: 'ddDeploymentData',
-      data: testnetDeploymentCache
-    }));
-  }
+  sendDigiDollarDataToClient(ws, 'mainnetPre');
 
-  // Setup connection heartbeat
   const pingTimer = setInterval(() => {
     if (ws.readyState === WebSocket.OPEN) {
       ws.ping();
     }
   }, SERVER_CONFIG.pingInterval);
 
-  // Handle client disconnection
   ws.on('close', () => {
-    console.log('Testnet WebSocket client disconnected');
-    testnetConnectedClients--;
+    console.log('Mainnet-PRE WebSocket client disconnected');
+    connectedClients.mainnetPre--;
     clearInterval(pingTimer);
   });
 
-  // Handle connection errors
   ws.on('error', (error) => {
-    console.error('Testnet WebSocket error:', error);
-    testnetConnectedClients--;
+    console.error('Mainnet-PRE WebSocket error:', error);
+    connectedClients.mainnetPre--;
     clearInterval(pingTimer);
   });
 });
 
 // ============================================================================
-// MODIFIED MAINNET / PRE WEBSOCKET CONNECTION HANDLER
+// NETWORK FEED WEBSOCKET CONNECTION HANDLER
 // ============================================================================
 
 /**
- * Modified-mainnet/PRE WebSocket connection handler.
- * This isolated rehearsal node reports chain=main over RPC, so every cache and
- * socket path stays target-scoped as mainnet-pre.
+ * Connection handler of every network with a feed (see setupNetworkFeeds).
+ * On connect the client gets the feed's cached recentBlocks,
+ * recentTransactions, mempool and initialData, then the network's geo /
+ * node-version data, chain tips, oracle / DigiDollar, pool, algo and
+ * deployment payloads; requestMempool is answered from the feed's cache.
+ *
+ * @param {object} network - networks.js entry
  */
-wssMainnetPre.on('connection', (ws) => {
-  console.log('Mainnet-PRE WebSocket client connected');
-  mainnetPreConnectedClients++;
-  console.log(`Active Mainnet-PRE WebSocket connections: ${mainnetPreConnectedClients}`);
+function attachNetworkConnectionHandler(network) {
+  wsServers[network.key].on('connection', (ws) => {
+    connectedClients[network.key]++;
+    console.log(`${network.label} WebSocket client connected (${connectedClients[network.key]} active)`);
+    const feed = networkFeeds[network.key];
 
-  sendMainnetPreInitialDataToClient(ws);
+    for (const message of feed.getMessages()) {
+      ws.send(JSON.stringify(message));
+    }
 
-  if (mainnetPreOracleCache) {
-    console.log('Sending cached oracle data to new mainnet-pre client');
-    ws.send(JSON.stringify({
-      type: 'oracleData',
-      data: mainnetPreOracleCache
-    }));
-  }
+    // Geo-located peers, and the crawler's 24h node version breakdown (mainnet)
+    sendGeoDataToClient(ws, network.key);
+    if (network.key === 'mainnet' && nodeCrawler && nodeCrawler.getSnapshot()) {
+      ws.send(JSON.stringify({ type: 'nodeVersions24h', data: nodeCrawler.getSnapshot() }));
+    }
 
-  if (mainnetPreDDStatsCache) {
-    console.log('Sending cached DD stats data to new mainnet-pre client');
-    ws.send(JSON.stringify({
-      type: 'ddStatsData',
-      data: mainnetPreDDStatsCache
-    }));
-  }
+    // Cached chain-tips snapshot + fork-risk alert
+    const tracker = getForkTracker(network.key);
+    if (tracker && tracker.getSnapshot()) {
+      ws.send(JSON.stringify({ type: 'chainTips', data: tracker.getSnapshot() }));
+    }
+    if (tracker && tracker.getAlert()) {
+      ws.send(JSON.stringify({ type: 'forkAlert', data: tracker.getAlert() }));
+    }
 
-  if (mainnetPreDeploymentCache) {
-    console.log('Sending cached DD deployment data to new mainnet-pre client');
-    ws.send(JSON.stringify({
-      type: 'ddDeploymentData',
-      data: mainnetPreDeploymentCache
-    }));
-  }
+    sendDigiDollarDataToClient(ws, network.key);
+    sendPoolStatsToClient(ws, network.key);
+    sendAlgoBalanceToClient(ws, network.key);
+    sendDeploymentSignalingToClient(ws, network.key);
 
-  const pingTimer = setInterval(() => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.ping();
-    }
-  }, SERVER_CONFIG.pingInterval);
+    ws.on('message', (message) => {
+      try {
+        const msg = JSON.parse(message);
+        if (msg.type === 'requestMempool') {
+          feed.getMessages()
+            .filter((reply) => reply.type === 'mempool')
+            .forEach((reply) => ws.send(JSON.stringify(reply)));
+        }
+      } catch (error) {
+        console.error(`Error handling ${network.label} WebSocket message:`, error);
+      }
+    });
 
-  ws.on('close', () => {
-    console.log('Mainnet-PRE WebSocket client disconnected');
-    mainnetPreConnectedClients--;
-    clearInterval(pingTimer);
-  });
+    const pingTimer = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.ping();
+      }
+    }, SERVER_CONFIG.pingInterval);
 
-  ws.on('error', (error) => {
-    console.error('Mainnet-PRE WebSocket error:', error);
-    mainnetPreConnectedClients--;
-    clearInterval(pingTimer);
+    ws.on('close', () => {
+      connectedClients[network.key]--;
+      clearInterval(pingTimer);
+    });
+
+    ws.on('error', (error) => {
+      console.error(`${network.label} WebSocket error:`, error);
+      connectedClients[network.key]--;
+      clearInterval(pingTimer);
+    });
   });
-});
+}
 
 /**
- * Send testnet initial blockchain data to a specific client
+ * Send a network's cached oracle / DD stats / DD deployment payloads to a
+ * newly connected client (nothing before the first successful fetch).
  *
  * @param {WebSocket} ws - WebSocket connection
+ * @param {string} networkKey - Registry key
  */
-function sendTestnetInitialDataToClient(ws) {
-  if (testnetInMemoryInitialData) {
-    ws.send(JSON.stringify({
-      type: 'initialData',
-      data: testnetInMemoryInitialData
-    }));
+function sendDigiDollarDataToClient(ws, networkKey) {
+  const feed = ddFeeds[networkKey];
+  if (!feed) return;
+  for (const message of feed.getMessages()) {
+    console.log(`Sending cached ${message.type} to new ${getNetwork(networkKey).slug} client`);
+    ws.send(JSON.stringify(message));
   }
 }
 
 /**
- * Send modified-mainnet/PRE initial blockchain data to a specific client.
+ * Send a network's cached poolStats payload to a newly connected client
+ * (nothing before the first refresh).
  *
  * @param {WebSocket} ws - WebSocket connection
+ * @param {string} networkKey - Registry key
  */
-function sendMainnetPreInitialDataToClient(ws) {
-  if (mainnetPreInitialDataCache) {
-    ws.send(JSON.stringify({
-      type: 'initialData',
-      data: mainnetPreInitialDataCache
-    }));
+function sendPoolStatsToClient(ws, networkKey) {
+  const service = poolStatsServices[networkKey];
+  if (!service) return;
+  for (const message of service.getMessages()) {
+    ws.send(JSON.stringify(message));
   }
 }
 
 /**
- * Send initial blockchain data to a specific client
- * Uses in-memory cache first, falls back to NodeCache
+ * Send a network's cached algoBalance snapshot to a newly connected client
+ * (nothing before the first refresh).
  *
  * @param {WebSocket} ws - WebSocket connection
+ * @param {string} networkKey - Registry key
  */
-function sendInitialDataToClient(ws) {
-  if (inMemoryInitialData) {
-    ws.send(JSON.stringify({ 
-      type: 'initialData', 
-      data: inMemoryInitialData 
-    }));
-  } else {
-    const cached = cache.get('initialData');
-    if (cached) {
-      ws.send(JSON.stringify({ 
-        type: 'initialData', 
-        data: cached 
-      }));
-    }
+function sendAlgoBalanceToClient(ws, networkKey) {
+  const service = algoBalanceServices[networkKey];
+  if (!service) return;
+  for (const message of service.getMessages()) {
+    ws.send(JSON.stringify(message));
   }
 }
 
 /**
- * Send geo-located peer data to a specific client
- * Prioritizes cached data for performance
- * 
+ * Send a network's cached deploymentSignaling snapshot to a newly connected
+ * client (nothing before the first refresh).
+ *
  * @param {WebSocket} ws - WebSocket connection
+ * @param {string} networkKey - Registry key
  */
-function sendGeoDataToClient(ws) {
-  const cachedGeoNodes = peerCache.get('geoNodes');
-  if (cachedGeoNodes) {
-    ws.send(JSON.stringify({
-      type: 'geoData',
-      data: cachedGeoNodes,
-      addrman: addrmanInfo
-    }));
-  } else if (uniqueNodes.length > 0) {
-    ws.send(JSON.stringify({
-      type: 'geoData',
-      data: uniqueNodes,
-      addrman: addrmanInfo
-    }));
+function sendDeploymentSignalingToClient(ws, networkKey) {
+  const tracker = deploymentTrackers[networkKey];
+  if (!tracker) return;
+  for (const message of tracker.getMessages()) {
+    ws.send(JSON.stringify(message));
   }
 }
 
 /**
- * Fetch and send mempool data to a specific client
+ * Send modified-mainnet/PRE initial blockchain data to a specific client.
+ *
  * @param {WebSocket} ws - WebSocket connection
  */
-async function sendMempoolDataToClient(ws) {
-  try {
-    // Get mempool statistics
-    const mempoolInfo = await sendRpcRequest('getmempoolinfo');
-    
-    // Get raw mempool transactions (verbose mode)
-    const rawMempool = await sendRpcRequest('getrawmempool', [true]);
-    
-    // Process transactions
-    const transactions = [];
-    const txIds = Object.keys(rawMempool || {});
-    let totalFee = 0;
-    const feeDistribution = {
-      '0-10': 0,
-      '10-50': 0,
-      '50-100': 0,
-      '100-500': 0,
-      '500+': 0
-    };
-    
-    // Limit to 50 transactions for performance to avoid overwhelming the frontend
-    for (const txid of txIds.slice(0, 50)) {
-      const txData = rawMempool[txid];
-      if (!txData) continue;
-      
-      try {
-        // Use the enhanced transaction data fetcher with proper fallback handling
-        const enhancedTxData = await getTransactionData(txid);
-        
-        // Calculate fee rate (satoshis per byte)
-        const feeRate = txData.fee ? Math.round((txData.fee * 100000000) / (txData.vsize || txData.size || 1)) : 0;
-        
-        // Update fee distribution
-        if (feeRate < 10) feeDistribution['0-10']++;
-        else if (feeRate < 50) feeDistribution['10-50']++;
-        else if (feeRate < 100) feeDistribution['50-100']++;
-        else if (feeRate < 500) feeDistribution['100-500']++;
-        else feeDistribution['500+']++;
-        
-        // Determine priority based on fee rate
-        let priority = 'low';
-        if (feeRate > 100) priority = 'high';
-        else if (feeRate > 50) priority = 'medium';
-        
-        // Calculate transaction value
-        let totalValue = 0;
-        let inputs = [];
-        let outputs = [];
-        
-        if (enhancedTxData) {
-          // For gettransaction response
-          if (enhancedTxData.details && Array.isArray(enhancedTxData.details)) {
-            totalValue = enhancedTxData.amount || 0;
-            outputs = enhancedTxData.details.map(detail => ({
-              address: detail.address || '',
-              amount: detail.amount || 0,
-              category: detail.category || ''
-            }));
-          }
-          // For getrawtransaction response
-          else if (enhancedTxData.vout && Array.isArray(enhancedTxData.vout)) {
-            for (const output of enhancedTxData.vout) {
-              if (output.value) {
-                totalValue += output.value;
-                outputs.push({
-                  address: output.scriptPubKey?.address || '',
-                  amount: output.value,
-                  type: output.scriptPubKey?.type || ''
-                });
-              }
-            }
-            
-            // Process inputs if available
-            if (enhancedTxData.vin && Array.isArray(enhancedTxData.vin)) {
-              inputs = enhancedTxData.vin.map(input => ({
-                txid: input.txid || '',
-                vout: input.vout || 0,
-                address: '', // Would need previous tx data
-                amount: 0    // Would need previous tx data
-              }));
-            }
-          }
-        }
-        
-        totalFee += txData.fee || 0;
-        
-        transactions.push({
-          txid: txid,
-          size: txData.vsize || txData.size || 0,
-          vsize: txData.vsize || txData.size || 0,
-          fee: txData.fee || 0,
-          value: Math.abs(totalValue), // Use absolute value
-          time: txData.time || Math.floor(Date.now() / 1000),
-          inputs: inputs,
-          outputs: outputs,
-          fee_rate: feeRate,
-          priority: priority,
-          confirmations: 0,
-          descendantcount: txData.descendantcount || 0,
-          descendantsize: txData.descendantsize || 0,
-          ancestorcount: txData.ancestorcount || 0,
-          ancestorsize: txData.ancestorsize || 0
-        });
-        
-      } catch (txError) {
-        console.error(`Error processing transaction ${txid}:`, txError.message);
-        console.error(`This error may indicate:
-1. Transaction was removed from mempool during processing
-2. DigiByte node requires txindex=1 for confirmed transactions
-3. Network connectivity issues with RPC server`);
-        
-        // Add basic transaction data even if enhanced data fails
-        const feeRate = txData.fee ? Math.round((txData.fee * 100000000) / (txData.vsize || txData.size || 1)) : 0;
-        let priority = 'low';
-        if (feeRate > 100) priority = 'high';
-        else if (feeRate > 50) priority = 'medium';
-        
-        transactions.push({
-          txid: txid,
-          size: txData.vsize || txData.size || 0,
-          vsize: txData.vsize || txData.size || 0,
-          fee: txData.fee || 0,
-          value: 0,
-          time: txData.time || Math.floor(Date.now() / 1000),
-          inputs: [],
-          outputs: [],
-          fee_rate: feeRate,
-          priority: priority,
-          confirmations: 0,
-          descendantcount: txData.descendantcount || 0,
-          descendantsize: txData.descendantsize || 0,
-          ancestorcount: txData.ancestorcount || 0,
-          ancestorsize: txData.ancestorsize || 0
-        });
-      }
-    }
-    
-    // Sort by time descending (newest first)
-    transactions.sort((a, b) => b.time - a.time);
-    
-    // Calculate average fee
-    const avgFee = transactions.length > 0 
-      ? transactions.reduce((sum, tx) => sum + tx.fee, 0) / transactions.length
-      : 0;
-    
-    // Send enhanced data to client
-    ws.send(JSON.stringify({
-      type: 'mempool',
-      data: {
-        stats: {
-          size: mempoolInfo?.size || 0,
-          bytes: mempoolInfo?.bytes || 0,
-          usage: mempoolInfo?.usage || 0,
-          maxmempool: mempoolInfo?.maxmempool || 300000000,
-          minfee: mempoolInfo?.mempoolminfee || mempoolInfo?.minrelaytxfee || 0.00001,
-          avgfee: avgFee,
-          totalfee: totalFee,
-          feeDistribution: feeDistribution
-        },
-        transactions: transactions
-      }
-    }));
-    
-  } catch (error) {
-    console.error('Error fetching mempool data:', error);
-    // Send empty data on error
+function sendMainnetPreInitialDataToClient(ws) {
+  if (mainnetPreInitialDataCache) {
     ws.send(JSON.stringify({
-      type: 'mempool',
-      data: {
-        stats: {
-          size: 0,
-          bytes: 0,
-          usage: 0,
-          maxmempool: 300000000,
-          minfee: 0,
-          avgfee: 0,
-          totalfee: 0,
-          feeDistribution: {
-            '0-10': 0,
-            '10-50': 0,
-            '50-100': 0,
-            '100-500': 0,
-            '500+': 0
-          }
-        },
-        transactions: []
-      }
+      type: 'initialData',
+      data: mainnetPreInitialDataCache
     }));
   }
 }
 
-// ============================================================================
-// COINBASE DATA PROCESSING
-// ============================================================================
-
 /**
- * Decode coinbase transaction data to extract mining pool information
- * 
- * Uses multiple regex patterns to identify common pool identifier formats
- * found in DigiByte mining pool coinbase transactions.
- * 
- * @param {string} coinbaseHex - Hex-encoded coinbase data
- * @returns {object} Decoded pool information
+ * Send a network's geo-located peer data to a specific client (mainnet from
+ * the peer cache, testnet from its last refresh; other networks have none)
+ *
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} networkKey - Registry key
  */
-function decodeCoinbaseData(coinbaseHex) {
-  try {
-    const text = Buffer.from(coinbaseHex, 'hex').toString('utf8');
-
-    // Shared extractor (rpc.js) — printable-tag, domain, and readable-run rules
-    // that never leak binary extranonce bytes into the identifier. Blocks with
-    // no readable tag return 'Unknown' so consumers group by payout address.
-    return {
-      poolIdentifier: extractPoolIdentifier(coinbaseHex),
-      rawText: text.substring(0, 100) // Limit raw text length
-    };
-  } catch (error) {
-    console.error('Error decoding coinbase data:', error);
-    return {
-      poolIdentifier: 'Unknown',
-      rawText: ''
-    };
+function sendGeoDataToClient(ws, networkKey) {
+  let nodes = [];
+  let addrman = null;
+  if (networkKey === 'mainnet') {
+    nodes = peerCache.get('geoNodes') || uniqueNodes;
+    addrman = addrmanInfo;
+  } else if (networkKey === 'testnet') {
+    nodes = testnetUniqueNodes;
+    addrman = testnetAddrmanInfo;
+  }
+  if (nodes.length > 0) {
+    ws.send(JSON.stringify({ type: 'geoData', data: nodes, addrman }));
   }
 }
 
 // ============================================================================
-// BLOCKCHAIN DATA FETCHING
+// COINBASE DATA PROCESSING
 // ============================================================================
 
 /**
- * Fetch and maintain the most recent blocks for real-time display
- * 
- * This function ensures we always have the latest blocks available for
- * immediate WebSocket delivery to new clients. It intelligently requests
- * more blocks than needed to account for potential RPC failures.
- * 
- * @returns {Promise<Array>} Array of recent block objects
+ * Build the recentBlocks / newBlock entry for a verbosity-2 block (shared by
+ * every network's block pipeline). `poolIdentifier` is the raw coinbase tag,
+ * `pool` its canonical name from the pool registry (poolregistry.js).
+ *
+ * @param {object} block - getblock result (verbosity 2)
+ * @returns {object} Block summary for WebSocket clients
  */
-let mainnetRefreshInFlight = false;
-
-async function fetchLatestBlocks() {
-  // A slow node (e.g. mid-IBD) can make one refresh outlast the 60s interval;
-  // overlapping refreshes hammer the RPC and interleave their stages. Skip
-  // the cycle instead — the in-flight refresh will land shortly.
-  if (mainnetRefreshInFlight) {
-    console.log('Recent blocks refresh already in flight — skipping this cycle');
-    return recentBlocks;
-  }
-  mainnetRefreshInFlight = true;
-  try {
-    console.log('Refreshing recent blocks cache...');
+function formatBlockForCache(block) {
+  const coinbaseTx = block.tx[0];
+  const addressOutput = coinbaseTx.vout?.find(output => output?.scriptPubKey?.address);
+  const minerAddress = addressOutput ? addressOutput.scriptPubKey.address : '';
 
-    // Get current blockchain tip
-    const blockchainInfo = await sendRpcRequest('getblockchaininfo');
-    if (!blockchainInfo) {
-      throw new Error('Unable to fetch blockchain info');
-    }
-
-    const latestBlockHeight = blockchainInfo.blocks;
-    console.log(`Current blockchain height: ${latestBlockHeight}`);
-
-    // Snapshot the current cache: blocks delivered by ZMQ/blocknotify while
-    // this refresh runs (or fetched by the previous refresh) must survive a
-    // slightly-stale range fetch — never let the tip regress.
-    const previousBlocks = [...recentBlocks];
-
-    // Request more blocks than needed (10% buffer)
-    const requestedBlocks = Math.ceil(SERVER_CONFIG.maxRecentBlocks * 1.1);
-
-    // Build the refreshed list in a STAGING array. The live cache must keep
-    // serving clients that connect while this (potentially minutes-long on a
-    // busy node) fetch runs — emptying recentBlocks up front left every
-    // on-connect delivery with 0 blocks whenever a refresh was in progress.
-    console.log(`Requesting ${requestedBlocks} blocks from height ${latestBlockHeight}`);
-    const staging = [];
-    const fetchedBlocks = await getBlocksByTimeRange(0, latestBlockHeight, requestedBlocks);
-    staging.push(...fetchedBlocks);
-
-    // If we don't have enough blocks, fetch additional ones individually
-    await fillRemainingBlocks(staging, latestBlockHeight);
-
-    // Merge with the snapshot: dedupe by hash (fresh copy wins), newest first,
-    // capped at the cache size. Only now does the live cache change — one
-    // atomic swap.
-    const merged = mergeRecentBlocks(previousBlocks, staging, SERVER_CONFIG.maxRecentBlocks);
-    recentBlocks.length = 0;
-    recentBlocks.push(...merged);
-
-    console.log(`Block cache updated: ${recentBlocks.length} blocks loaded`);
-    console.log(`Height range: ${recentBlocks[0]?.height || 'none'} to ${recentBlocks[recentBlocks.length-1]?.height || 'none'}`);
-
-    // Push the refreshed list to connected clients whenever the tip moved.
-    // Without ZMQ/blocknotify on the node this refresh is the ONLY source of
-    // new blocks, and clients that connected during cache warm-up would
-    // otherwise stay starved forever (they only get recentBlocks on connect).
-    broadcastRecentBlocksIfChanged();
-
-    return recentBlocks;
-  } catch (error) {
-    console.error('Error fetching latest blocks:', error);
-    return [];
-  } finally {
-    mainnetRefreshInFlight = false;
-  }
-}
-
-/**
- * Fill remaining block slots when batch fetching doesn't provide enough blocks
- * 
- * @param {number} latestHeight - Current blockchain height
- */
-async function fillRemainingBlocks(target, latestHeight) {
-  if (target.length >= SERVER_CONFIG.maxRecentBlocks || latestHeight < SERVER_CONFIG.maxRecentBlocks) {
-    return; // Already have enough blocks or blockchain is too short
-  }
-
-  console.log(`Need ${SERVER_CONFIG.maxRecentBlocks - target.length} more blocks, fetching individually...`);
-
-  // Find the lowest height we already have
-  const lowestHeight = target.reduce((min, block) =>
-    Math.min(min, block.height), Number.MAX_SAFE_INTEGER);
-
-  // Fetch older blocks one by one
-  let currentHeight = lowestHeight - 1;
-  while (target.length < SERVER_CONFIG.maxRecentBlocks && currentHeight > 0) {
-    try {
-      const blockData = await fetchSingleBlockForCache(currentHeight);
-      if (blockData) {
-        target.push(blockData);
-      }
-    } catch (error) {
-      console.error(`Error fetching block at height ${currentHeight}:`, error.message);
-    }
-
-    currentHeight--;
-  }
-}
-
-/**
- * Fetch and process a single block for the cache
- * 
- * @param {number} height - Block height to fetch
- * @returns {Promise<object|null>} Processed block data or null
- */
-async function fetchSingleBlockForCache(height) {
-  console.log(`Fetching individual block at height ${height}`);
-  
-  // Get block hash
-  const hash = await sendRpcRequest('getblockhash', [height]);
-  if (!hash) return null;
-  
-  // Get full block data
-  const block = await sendRpcRequest('getblock', [hash, 2]);
-  if (!block || !block.tx || block.tx.length === 0) return null;
-  
-  // Process mining information
-  const coinbaseTx = block.tx[0];
-  const addressOutput = coinbaseTx.vout?.find(output => output?.scriptPubKey?.address);
-  const minerAddress = addressOutput ? addressOutput.scriptPubKey.address : '';
-  
-  const { poolIdentifier } = decodeCoinbaseData(coinbaseTx.vin[0].coinbase);
+  // Printable-tag, domain and readable-run rules (rpc.js); the full decode
+  // (BIP34 height, extranonce, outputs) is coinbase.js, on block lookups
+  const poolIdentifier = extractPoolIdentifier(coinbaseTx.vin[0].coinbase);
 
   return {
     height: block.height,
@@ -1102,451 +568,230 @@ async function fetchSingleBlockForCache(height) {
     minedTo: minerAddress,
     minerAddress,
     poolIdentifier,
+    pool: identifyPool(poolIdentifier, minerAddress),
+    coinbaseValue: getCoinbaseValue(coinbaseTx),
     ...classifyBlockVersion(block.version),
     ...detectOracleBundle(block),
     version: block.version
   };
 }
 
-// ============================================================================
-// BLOCK NOTIFICATION HANDLING
-// ============================================================================
-
-/**
- * Handle new block notifications from the DigiByte daemon
- * 
- * This endpoint is called by the blocknotify script when a new block
- * is found. It processes the block and broadcasts it to all connected
- * WebSocket clients for real-time updates.
- */
-app.post('/api/blocknotify', async (req, res) => {
-  try {
-    // Validate request
-    if (!req.body?.blockhash) {
-      throw new Error('Missing blockhash in request body');
-    }
-
-    const blockHash = req.body.blockhash;
-    console.log(`New block notification: ${blockHash}`);
-
-    // Fetch complete block data
-    const fullBlock = await sendRpcRequest('getblock', [blockHash, 2]);
-    if (!fullBlock || !fullBlock.tx?.[0]) {
-      console.log('Invalid block data received, skipping notification');
-      return res.sendStatus(200);
-    }
-
-    // Extract mining information
-    const coinbaseTx = fullBlock.tx[0];
-    const addressOutput = coinbaseTx.vout?.find(output => output?.scriptPubKey?.address);
-    const minerAddress = addressOutput ? addressOutput.scriptPubKey.address : '';
-
-    const { poolIdentifier } = decodeCoinbaseData(coinbaseTx.vin[0].coinbase);
-
-    // Create standardized block object
-    const newBlock = {
-      height: fullBlock.height,
-      hash: fullBlock.hash,
-      algo: getAlgoName(fullBlock.pow_algo),
-      txCount: fullBlock.nTx,
-      difficulty: fullBlock.difficulty,
-      timestamp: fullBlock.time,
-      minedTo: minerAddress,
-      minerAddress,
-      poolIdentifier,
-      ...classifyBlockVersion(fullBlock.version),
-      ...detectOracleBundle(fullBlock),
-      version: fullBlock.version
-    };
-
-    // Update recent blocks cache
-    updateRecentBlocksCache(newBlock);
-
-    // Handle transaction lifecycle: move confirmed transactions from mempool to confirmed list
-    await handleTransactionLifecycle(fullBlock);
-
-    // Broadcast to all connected WebSocket clients
-    broadcastNewBlock(newBlock);
-
-    console.log(`Block ${newBlock.height} processed and broadcast to ${connectedClients} clients`);
-    res.sendStatus(200);
-    
-  } catch (error) {
-    console.error('Block notification processing error:', error);
-    res.sendStatus(500);
-  }
-});
-
 /**
- * Update the recent blocks cache with a new block
- * 
- * @param {object} newBlock - New block data
+ * Hand ingested block summaries to the per-network consumers: the block
+ * index (networks running the blockIndex subsystem) and the block interval
+ * analytics. Fire-and-forget: blockindex.js logs its own failures.
+ *
+ * @param {string} networkKey - Registry key
+ * @param {Array} blocks - formatBlockForCache entries
  */
-function updateRecentBlocksCache(newBlock) {
-  // Dedupe: the same block can arrive via both ZMQ rawblock and blocknotify,
-  // or race the 60s cache refresh — keep exactly one entry per hash.
-  const existingIndex = recentBlocks.findIndex(b => b.hash === newBlock.hash);
-  if (existingIndex !== -1) {
-    recentBlocks[existingIndex] = newBlock;
-  } else {
-    recentBlocks.unshift(newBlock);
+function recordBlocks(networkKey, blocks) {
+  if (blockIndex && getNetwork(networkKey).subsystems.blockIndex) {
+    blockIndex.record(networkKey, blocks);
   }
-
-  // Sort by height to ensure proper ordering
-  recentBlocks.sort((a, b) => b.height - a.height);
-
-  // Maintain maximum size
-  recentBlocks.splice(SERVER_CONFIG.maxRecentBlocks);
-}
-
-/**
- * Handle transaction lifecycle when a new block is mined
- * Moves transactions from mempool to confirmed list and broadcasts updates
- * 
- * @param {object} fullBlock - Complete block data with transactions
- */
-async function handleTransactionLifecycle(fullBlock) {
-  try {
-    if (!fullBlock || !fullBlock.tx || fullBlock.tx.length <= 1) return;
-    
-    const confirmedTxIds = fullBlock.tx.slice(1).map(tx => tx.txid || tx.hash); // Skip coinbase
-    const confirmedTransactions = [];
-    
-    console.log(`🔄 Processing ${confirmedTxIds.length} confirmed transactions from block ${fullBlock.height}`);
-    
-    // Check which mempool transactions were confirmed in this block
-    const removedFromMempool = [];
-    mempoolCache.transactions = mempoolCache.transactions.filter(tx => {
-      if (confirmedTxIds.includes(tx.txid)) {
-        // This transaction was confirmed - move it to confirmed list
-        const confirmedTx = {
-          ...tx,
-          blockHeight: fullBlock.height,
-          blockHash: fullBlock.hash,
-          blocktime: fullBlock.time,
-          confirmations: 1
-        };
-        confirmedTransactions.push(confirmedTx);
-        removedFromMempool.push(tx.txid);
-        return false; // Remove from mempool
-      }
-      return true; // Keep in mempool
-    });
-    
-    // Add new confirmed transactions to the confirmed cache
-    if (confirmedTransactions.length > 0) {
-      // Add to beginning of confirmed transactions cache
-      recentTransactionsCache.unshift(...confirmedTransactions);
-      
-      // Keep only the most recent 10
-      recentTransactionsCache = recentTransactionsCache.slice(0, 10);
-      
-      console.log(`✅ Moved ${confirmedTransactions.length} transactions from mempool to confirmed`);
-      
-      // Broadcast the confirmed transactions to WebSocket clients
-      const message = JSON.stringify({
-        type: 'transactionConfirmed',
-        data: {
-          blockHeight: fullBlock.height,
-          blockHash: fullBlock.hash,
-          transactions: confirmedTransactions
-        }
-      });
-      
-      wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          try {
-            client.send(message);
-          } catch (error) {
-            console.error('Error broadcasting confirmed transactions:', error);
-          }
-        }
-      });
-    }
-    
-    // Update mempool stats after removing confirmed transactions
-    if (removedFromMempool.length > 0) {
-      mempoolCache.stats.size = Math.max(0, mempoolCache.stats.size - removedFromMempool.length);
-      
-      // Recalculate total fee
-      mempoolCache.stats.totalfee = mempoolCache.transactions.reduce((sum, tx) => sum + (tx.fee || 0), 0);
-      
-      // Broadcast updated mempool to clients
-      const mempoolMessage = JSON.stringify({
-        type: 'mempool',
-        data: mempoolCache
-      });
-      
-      wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          try {
-            client.send(mempoolMessage);
-          } catch (error) {
-            console.error('Error broadcasting updated mempool:', error);
-          }
-        }
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling transaction lifecycle:', error);
+  if (blockTimesServices[networkKey]) {
+    blockTimesServices[networkKey].addBlocks(blocks);
   }
 }
 
 /**
- * Broadcast new block to all connected WebSocket clients
- * 
- * @param {object} newBlock - New block data
- */
-// Newest hash included in the last recentBlocks broadcast (or connect-time
-// sends happen independently); used to skip redundant rebroadcasts.
-let lastBroadcastTipHash = null;
-
-/**
- * Broadcast the full recentBlocks list to every connected mainnet client when
- * the cache tip has changed since the last broadcast. This keeps pages live
- * even when the node has no ZMQ/blocknotify push configured, and heals
- * clients that connected while the cache was still warming up.
+ * Bring every cached block up to the current pool registry: seed its payout
+ * address clusters from the block index, rewrite the canonical pool of
+ * indexed rows and in-memory recent blocks, then recompute pool statistics.
+ * Runs at startup, after the block index backfill and after a registry
+ * reload.
+ *
+ * @returns {Promise<number>} indexed rows whose pool changed
  */
-function broadcastRecentBlocksIfChanged() {
-  const tipHash = recentBlocks[0]?.hash || null;
-  if (!tipHash || tipHash === lastBroadcastTipHash) return;
-  lastBroadcastTipHash = tipHash;
+async function applyPoolRegistry() {
+  const registry = getPoolRegistry();
+  const relabel = (block) => {
+    block.pool = registry.identify(block.poolIdentifier, block.minerAddress).pool;
+  };
 
-  const message = JSON.stringify({ type: 'recentBlocks', data: recentBlocks });
-  let sent = 0;
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-        sent++;
-      } catch (error) {
-        console.error('Error broadcasting recentBlocks to client:', error);
-      }
+  let relabeled = 0;
+  if (blockIndex) {
+    for (const network of listNetworks({ subsystem: 'blockIndex' })) {
+      // Learn every tagged payout address first, so clustering reaches
+      // Unknown blocks older than the tagged ones
+      const pairs = await blockIndex.listPoolTags(network.key);
+      pairs.forEach(({ tag, address }) => registry.identify(tag, address));
+      relabeled += await blockIndex.relabelPools(network.key, (tag, address) => registry.identify(tag, address).pool);
     }
-  });
-  if (sent > 0) {
-    console.log(`recentBlocks (tip ${recentBlocks[0]?.height}) rebroadcast to ${sent} clients`);
   }
-}
-
-function broadcastNewBlock(newBlock) {
-  const message = JSON.stringify({
-    type: 'newBlock',
-    data: newBlock
-  });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting to WebSocket client:', error);
-      }
-    }
-  });
+  Object.values(networkFeeds).forEach((feed) => feed.getRecentBlocks().forEach(relabel));
 
-  console.log(`New block ${newBlock.height} broadcast to ${wss.clients.size} clients`);
+  await Promise.all(Object.values(poolStatsServices).map((service) => service.refresh()));
+  return relabeled;
 }
 
 // ============================================================================
-// TESTNET BLOCK NOTIFICATION HANDLING
+// POLLED BLOCKS
 // ============================================================================
 
+// Newest polled blocks above the previous tip that go through the ingest
+// (newBlock broadcast, transaction lifecycle); older ones only get indexed
+const POLL_INGEST_LIMIT = 10;
+
 /**
- * Handle new testnet block notifications from the DigiByte testnet daemon
+ * Hand a recent-blocks refresh to the network's ingest. Blocks above the
+ * cache tip from before the refresh are new: the newest POLL_INGEST_LIMIT of
+ * them are ingested oldest first (a no-op for those blocknotify / ZMQ
+ * already delivered). So is any block at a height the ingest remembers
+ * under a different hash — a reorg only the poll saw, which ingesting
+ * disconnects. Everything else — the whole first load included — is only
+ * recorded and marked seen.
  *
- * This endpoint is called by the testnet blocknotify script when a new block
- * is found. It processes the block and broadcasts it to all connected
- * testnet WebSocket clients for real-time updates.
+ * @param {string} networkKey - Registry key
+ * @param {Array} previousBlocks - recentBlocks before the refresh
+ * @param {Array} staging - freshly fetched recentBlocks entries
  */
-app.post('/api/testnet/blocknotify', async (req, res) => {
-  try {
-    // Validate request
-    if (!req.body?.blockhash) {
-      throw new Error('Missing blockhash in request body');
-    }
-
-    const blockHash = req.body.blockhash;
-    console.log(`Testnet: New block notification: ${blockHash}`);
-
-    // Fetch complete block data
-    const fullBlock = await sendTestnetRpcRequest('getblock', [blockHash, 2]);
-    if (!fullBlock || !fullBlock.tx?.[0]) {
-      console.log('Testnet: Invalid block data received, skipping notification');
-      return res.sendStatus(200);
-    }
-
-    // Extract mining information
-    const coinbaseTx = fullBlock.tx[0];
-    const addressOutput = coinbaseTx.vout?.find(output => output?.scriptPubKey?.address);
-    const minerAddress = addressOutput ? addressOutput.scriptPubKey.address : '';
-
-    const { poolIdentifier } = decodeCoinbaseData(coinbaseTx.vin[0].coinbase);
-
-    // Create standardized block object
-    const newBlock = {
-      height: fullBlock.height,
-      hash: fullBlock.hash,
-      algo: getAlgoName(fullBlock.pow_algo),
-      txCount: fullBlock.nTx,
-      difficulty: fullBlock.difficulty,
-      timestamp: fullBlock.time,
-      minedTo: minerAddress,
-      minerAddress,
-      poolIdentifier,
-      ...classifyBlockVersion(fullBlock.version),
-      ...detectOracleBundle(fullBlock),
-      version: fullBlock.version
-    };
-
-    // Update testnet recent blocks cache
-    updateTestnetRecentBlocksCache(newBlock);
-
-    // Broadcast to all connected testnet WebSocket clients
-    broadcastTestnetNewBlock(newBlock);
+async function ingestPolledBlocks(networkKey, previousBlocks, staging) {
+  const ingest = blockIngests[networkKey];
+  const previousTip = previousBlocks.length ? previousBlocks[0].height : null;
+  const fresh = previousTip === null ? [] : staging
+    .filter(block => block.height > previousTip && !ingest.has(block.hash))
+    .sort((a, b) => b.height - a.height)
+    .slice(0, POLL_INGEST_LIMIT)
+    .reverse();
 
-    console.log(`Testnet: Block ${newBlock.height} processed and broadcast to ${testnetConnectedClients} clients`);
-    res.sendStatus(200);
-
-  } catch (error) {
-    console.error('Testnet: Block notification processing error:', error);
-    res.sendStatus(500);
+  const rest = staging.filter(block => !fresh.includes(block));
+  const replacing = ingest.markSeen(rest);
+  recordBlocks(networkKey, rest.filter(block => !replacing.includes(block)));
+  const pending = [...replacing, ...fresh].sort((a, b) => a.height - b.height);
+  for (const block of pending) {
+    await ingest.ingestHash(block.hash, 'poll');
   }
-});
+}
 
 // ============================================================================
-// INITIAL DATA MANAGEMENT
+// BLOCK INGEST
 // ============================================================================
 
 /**
- * Fetch and cache essential blockchain data for dashboard display
- * 
- * This function gathers critical blockchain metrics that rarely change
- * and caches them for quick access. It gracefully handles failures of
- * expensive operations like gettxoutsetinfo.
- * 
- * @returns {Promise<object>} Initial data package
+ * Block ingest pipelines keyed by registry network key (see blockingest.js),
+ * one per feed network. blocknotify, ZMQ rawblock and the recent-blocks
+ * refresh all hand new blocks to these; the caches, broadcasters, fork
+ * trackers and history subscribe to their events, so every source triggers
+ * the same downstream work.
  */
-async function fetchInitialData() {
-  try {
-    console.log('Fetching initial blockchain data...');
-    
-    // Get core blockchain information (rarely fails)
-    const blockchainInfo = await sendRpcRequest('getblockchaininfo');
-    if (!blockchainInfo) {
-      throw new Error('Critical: Unable to fetch basic blockchain info');
-    }
-    
-    // Get transaction statistics
-    const chainTxStats = await sendRpcRequest('getchaintxstats');
-    
-    // Get current block reward
-    const blockRewardResponse = await sendRpcRequest('getblockreward');
-    const blockReward = parseFloat(blockRewardResponse?.blockreward || '0');
+const blockIngests = {};
 
-    // Get deployment info (softforks) - replaces deprecated softforks in getblockchaininfo
-    let deploymentInfo = null;
-    try {
-      deploymentInfo = await sendRpcRequest('getdeploymentinfo');
-      console.log('Deployment info loaded:', Object.keys(deploymentInfo?.deployments || {}).length, 'deployments');
-    } catch (e) {
-      console.log('getdeploymentinfo failed:', e.message);
-    }
+/** The fork tracker of a network, once startServer() has created it. */
+function getForkTracker(networkKey) {
+  if (networkKey === 'mainnet') return forkTracker;
+  if (networkKey === 'testnet') return testnetForkTracker;
+  return networkForkTrackers[networkKey] || null;
+}
 
-    // Attempt to get UTXO set info (may timeout)
-    let txOutsetInfo = await fetchUTXOSetInfo(blockchainInfo);
+/**
+ * Create the ingest of one network and subscribe the consumers every
+ * network shares: the RPC tip cache, the block index / interval analytics,
+ * the fork tracker (polled right away instead of on its next tick) and
+ * history (incremental catch-up).
+ *
+ * @param {object} network - networks.js entry
+ * @returns {object} the blockingest.js handle
+ */
+function createNetworkBlockIngest(network) {
+  const ingest = createBlockIngest({
+    network,
+    sendRpc: (method, params) => sendNetworkRpcRequest(network.key, method, params, false, RPC_REALTIME),
+    formatBlock: formatBlockForCache
+  });
 
-    // Prepare complete data package
-    const initialData = {
-      blockchainInfo,
-      chainTxStats,
-      txOutsetInfo,
-      blockReward,
-      deploymentInfo
-    };
+  ingest.on('block:connected', ({ block, summary }) => {
+    notifyNewTip(network.key, block);
+    recordBlocks(network.key, [summary]);
+  });
 
-    // Cache in multiple locations for redundancy
-    cache.set('initialData', initialData);
-    inMemoryInitialData = initialData;
+  const pollForkTracker = () => {
+    const tracker = getForkTracker(network.key);
+    if (tracker) tracker.pollOnce().catch(err => console.error(`${network.label} fork tracker poll failed:`, err.message));
+  };
+  ingest.on('block:connected', pollForkTracker);
+  ingest.on('block:disconnected', pollForkTracker);
 
-    // Broadcast to existing WebSocket clients
-    broadcastInitialData(initialData);
-    
-    console.log('Initial data fetch and cache update complete');
-    return initialData;
-    
-  } catch (error) {
-    console.error('Error fetching initial data:', error);
-    
-    // Return existing in-memory data rather than failing completely
-    return inMemoryInitialData;
-  }
+  ingest.on('block:connected', () => {
+    const tracker = historyTracker && historyTracker.trackers[network.key];
+    if (tracker) tracker.onBlock();
+  });
+
+  ingest.on('block:disconnected', ({ blocks, forkHeight, replacedBy }) => {
+    console.log(`${network.label}: ${blocks.length} block(s) above ${forkHeight} disconnected, replaced by ${replacedBy}`);
+  });
+
+  return ingest;
 }
 
 /**
- * Fetch and cache essential TESTNET blockchain data
- * Similar to fetchInitialData but uses testnet RPC
+ * Build every feed network's ingest and wire its feed: newBlock on
+ * block:connected, the confirmed-transaction cache and transactionConfirmed /
+ * confirmedTransactions broadcasts on tx:confirmed, the reorg on
+ * block:disconnected.
  */
-async function fetchTestnetInitialData() {
-  try {
-    console.log('Fetching testnet initial data...');
-
-    // Get core blockchain information
-    const blockchainInfo = await sendTestnetRpcRequest('getblockchaininfo');
-    if (!blockchainInfo) {
-      console.log('Testnet: Unable to fetch blockchain info (testnet may be offline)');
-      return null;
-    }
-
-    // Get transaction statistics
-    const chainTxStats = await sendTestnetRpcRequest('getchaintxstats');
-
-    // Get current block reward
-    const blockRewardResponse = await sendTestnetRpcRequest('getblockreward');
-    const blockReward = parseFloat(blockRewardResponse?.blockreward || '0');
+function setupBlockIngests() {
+  for (const network of listFeedNetworks()) {
+    const { key } = network;
+    const ingest = createNetworkBlockIngest(network);
+    ingest.on('block:connected', ({ summary }) => {
+      networkFeeds[key].addBlock(summary);
+    });
+    ingest.on('tx:confirmed', ({ block }) => {
+      networkFeeds[key].confirmTransactions(block);
+      networkFeeds[key].broadcastConfirmedTransactions(block)
+        .catch(error => console.error(`Error broadcasting ${key} confirmed transactions:`, error.message));
+    });
+    ingest.on('block:disconnected', (event) => {
+      networkFeeds[key].disconnectBlocks(event);
+    });
+    blockIngests[key] = ingest;
+  }
+  // Outputs a later ZMQ rawtx may spend (fee without getmempoolentry)
+  blockIngests.mainnet.on('block:connected', ({ block }) => {
+    block.tx.forEach(tx => {
+      recentOutputs.add(tx);
+      rememberTxid(tx.txid);
+    });
+  });
+}
 
-    // Get UTXO set info
-    let txOutsetInfo = null;
-    try {
-      txOutsetInfo = await sendTestnetRpcRequest('gettxoutsetinfo');
-    } catch (e) {
-      console.log('Testnet: gettxoutsetinfo failed, using estimated data');
-      txOutsetInfo = { total_amount: 0, _estimated: true };
-    }
+setupBlockIngests();
 
-    // Get deployment info (softforks) - replaces deprecated softforks in getblockchaininfo
-    let deploymentInfo = null;
+/**
+ * POST /api<prefix>/blocknotify for every network with an ingest, e.g.
+ * `-blocknotify="blocknotify.sh %s regtest"` on a local regtest node so each
+ * mined block reaches the dashboard immediately.
+ *
+ * @param {object} network - networks.js entry
+ */
+function registerBlockNotifyRoute(network) {
+  app.post(`/api${network.routePrefix}/blocknotify`, async (req, res) => {
     try {
-      deploymentInfo = await sendTestnetRpcRequest('getdeploymentinfo');
-      console.log('Testnet deployment info loaded:', Object.keys(deploymentInfo?.deployments || {}).length, 'deployments');
-    } catch (e) {
-      console.log('Testnet: getdeploymentinfo failed:', e.message);
-    }
+      if (!req.body?.blockhash) {
+        throw new Error('Missing blockhash in request body');
+      }
 
-    // Prepare complete data package
-    const initialData = {
-      blockchainInfo,
-      chainTxStats,
-      txOutsetInfo,
-      blockReward,
-      deploymentInfo
-    };
+      const blockHash = req.body.blockhash;
+      console.log(`${network.label}: New block notification: ${blockHash}`);
 
-    // Store in memory
-    testnetInMemoryInitialData = initialData;
+      const summary = await blockIngests[network.key].ingestHash(blockHash, 'blocknotify');
+      if (summary) {
+        console.log(`${network.label}: Block ${summary.height} ingested from blocknotify`);
+      }
+      res.sendStatus(200);
 
-    // Broadcast to testnet WebSocket clients
-    broadcastTestnetInitialData(initialData);
+    } catch (error) {
+      console.error(`${network.label}: Block notification processing error:`, error);
+      res.sendStatus(500);
+    }
+  });
+}
 
-    console.log(`Testnet initial data loaded: height=${blockchainInfo.blocks}`);
-    return initialData;
+Object.keys(blockIngests).forEach((key) => registerBlockNotifyRoute(getNetwork(key)));
 
-  } catch (error) {
-    console.error('Error fetching testnet initial data:', error.message);
-    return testnetInMemoryInitialData;
-  }
-}
+// ============================================================================
+// INITIAL DATA MANAGEMENT
+// ============================================================================
 
 /**
  * Fetch and cache essential modified-mainnet/PRE blockchain data.
@@ -1599,20 +844,6 @@ async function fetchMainnetPreInitialData() {
   }
 }
 
-/**
- * Broadcast initial data to all connected testnet WebSocket clients
- */
-function broadcastTestnetInitialData(initialData) {
-  wssTestnet.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({
-        type: 'initialData',
-        data: initialData
-      }));
-    }
-  });
-}
-
 /**
  * Broadcast initial data to all connected modified-mainnet/PRE WebSocket clients
  */
@@ -1634,1842 +865,661 @@ function broadcastMainnetPreInitialData(initialData) {
 }
 
 // ============================================================================
-// TESTNET BLOCK FETCHING AND CACHING
+// ORACLE & DIGIDOLLAR DATA BROADCASTING
 // ============================================================================
 
 /**
- * Fetch and maintain the most recent testnet blocks for real-time display
- *
- * This function ensures we always have the latest testnet blocks available for
- * immediate WebSocket delivery to new clients.
+ * Send a message to every open client of one network's WebSocket server.
  *
- * @returns {Promise<Array>} Array of recent testnet block objects
+ * @param {string} networkKey - Registry key
+ * @param {object} message - { type, data }
  */
-async function fetchTestnetLatestBlocks() {
-  try {
-    console.log('Refreshing testnet recent blocks cache...');
-
-    // Get current testnet blockchain tip
-    const blockchainInfo = await sendTestnetRpcRequest('getblockchaininfo');
-    if (!blockchainInfo) {
-      console.log('Testnet: Unable to fetch blockchain info (testnet may be offline)');
-      return testnetRecentBlocks;
-    }
+function broadcastToNetwork(networkKey, message) {
+  const server = wsServers[networkKey];
+  if (!server) return;
 
-    const latestBlockHeight = blockchainInfo.blocks;
-    console.log(`Testnet current blockchain height: ${latestBlockHeight}`);
-
-    // Snapshot the current cache so blocknotify-delivered blocks survive a
-    // slightly-stale refresh (same merge semantics as mainnet).
-    const previousBlocks = [...testnetRecentBlocks];
-
-    // Fetch blocks individually for testnet (simpler approach) into a STAGING
-    // array — the live cache keeps serving connecting clients while this
-    // (per-block, potentially slow) refresh runs.
-    const blocksToFetch = Math.min(SERVER_CONFIG.maxRecentBlocks, latestBlockHeight);
-    const staging = [];
-
-    for (let i = 0; i < blocksToFetch; i++) {
-      const height = latestBlockHeight - i;
+  const payload = JSON.stringify(message);
+  server.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
       try {
-        const blockData = await fetchSingleTestnetBlockForCache(height);
-        if (blockData) {
-          staging.push(blockData);
-        }
+        client.send(payload);
       } catch (error) {
-        console.error(`Testnet: Error fetching block at height ${height}:`, error.message);
+        console.error(`Error broadcasting ${message.type} to ${getNetwork(networkKey).slug} client:`, error);
       }
     }
+  });
+}
 
-    // Merge with the snapshot: dedupe by hash, newest first, capped — one
-    // atomic swap of the live cache.
-    const merged = mergeRecentBlocks(previousBlocks, staging, SERVER_CONFIG.maxRecentBlocks);
-    testnetRecentBlocks.length = 0;
-    testnetRecentBlocks.push(...merged);
-
-    console.log(`Testnet block cache updated: ${testnetRecentBlocks.length} blocks loaded`);
-    if (testnetRecentBlocks.length > 0) {
-      console.log(`Testnet height range: ${testnetRecentBlocks[0]?.height || 'none'} to ${testnetRecentBlocks[testnetRecentBlocks.length-1]?.height || 'none'}`);
-    }
-
-    // Keep testnet pages live even without blocknotify, and heal clients that
-    // connected during warm-up.
-    broadcastTestnetRecentBlocksIfChanged();
-
-    return testnetRecentBlocks;
-  } catch (error) {
-    console.error('Testnet: Error fetching latest blocks:', error);
-    return testnetRecentBlocks;
+/**
+ * Create the oracle / DigiDollar feed of every registry network running the
+ * digidollar subsystem. Each polls its own node and broadcasts oracleData,
+ * ddStatsData and ddDeploymentData on its own WebSocket server.
+ */
+function setupDigiDollarFeeds() {
+  for (const network of listNetworks({ subsystem: 'digidollar' })) {
+    ddFeeds[network.key] = createDigiDollarFeed({
+      network,
+      sendRpc: (method, params, skipCache) => sendNetworkRpcRequest(network.key, method, params, skipCache),
+      broadcast: (message) => broadcastToNetwork(network.key, message)
+    });
   }
 }
 
+setupDigiDollarFeeds();
+
 /**
- * Fetch and process a single testnet block for the cache
- *
- * @param {number} height - Block height to fetch
- * @returns {Promise<object|null>} Processed block data or null
+ * Create the block / transaction / mempool feed of every feed network.
+ * Polling starts in startServer() for enabled networks; the block ingests
+ * push new blocks in between. Networks mined on demand (`blocksPerDay:
+ * null`) also refresh their chain summary and mempool on each block.
  */
-async function fetchSingleTestnetBlockForCache(height) {
-  // Get block hash
-  const hash = await sendTestnetRpcRequest('getblockhash', [height]);
-  if (!hash) return null;
-
-  // Get full block data
-  const block = await sendTestnetRpcRequest('getblock', [hash, 2]);
-  if (!block || !block.tx || block.tx.length === 0) return null;
+function setupNetworkFeeds() {
+  for (const network of listFeedNetworks()) {
+    const { key } = network;
+    networkFeeds[key] = createNetworkFeed({
+      network,
+      sendRpc: (method, params, skipCache) => sendNetworkRpcRequest(key, method, params, skipCache),
+      sendRpcBatch: (calls, skipCache) => sendNetworkRpcBatchRequest(key, calls, skipCache),
+      broadcast: (message) => broadcastToNetwork(key, message),
+      formatBlock: formatBlockForCache,
+      resolver: prevoutResolvers[key],
+      fetchTxOutsetInfo: key === 'mainnet' ? fetchUTXOSetInfo : null,
+      onBlocksFetched: (previousBlocks, fetched) => ingestPolledBlocks(key, previousBlocks, fetched),
+      refreshOnBlock: network.blocksPerDay === null,
+      maxRecentBlocks: SERVER_CONFIG.maxRecentBlocks
+    });
+  }
+}
 
-  // Process mining information
-  const coinbaseTx = block.tx[0];
-  const addressOutput = coinbaseTx.vout?.find(output => output?.scriptPubKey?.address);
-  const minerAddress = addressOutput ? addressOutput.scriptPubKey.address : '';
-
-  const { poolIdentifier } = decodeCoinbaseData(coinbaseTx.vin[0].coinbase);
-
-  return {
-    height: block.height,
-    hash: block.hash,
-    algo: getAlgoName(block.pow_algo),
-    txCount: block.nTx,
-    difficulty: block.difficulty,
-    timestamp: block.time,
-    minedTo: minerAddress,
-    minerAddress,
-    poolIdentifier,
-    ...classifyBlockVersion(block.version),
-    ...detectOracleBundle(block),
-    version: block.version
-  };
-}
-
-/**
- * Update the testnet recent blocks cache with a new block
- *
- * @param {object} newBlock - New block data
- */
-function updateTestnetRecentBlocksCache(newBlock) {
-  // Check if block already exists
-  const existingIndex = testnetRecentBlocks.findIndex(b => b.height === newBlock.height);
-  if (existingIndex !== -1) {
-    // Replace existing block
-    testnetRecentBlocks[existingIndex] = newBlock;
-  } else {
-    // Add to front of array
-    testnetRecentBlocks.unshift(newBlock);
-  }
-
-  // Sort by height to ensure proper ordering
-  testnetRecentBlocks.sort((a, b) => b.height - a.height);
-
-  // Maintain maximum size
-  testnetRecentBlocks.splice(SERVER_CONFIG.maxRecentBlocks);
-}
+setupNetworkFeeds();
+Object.keys(networkFeeds).forEach((key) => attachNetworkConnectionHandler(getNetwork(key)));
 
 /**
- * Broadcast new testnet block to all connected testnet WebSocket clients
- *
- * @param {object} newBlock - New block data
+ * Fetch UTXO set information with fallback handling
+ * 
+ * @param {object} blockchainInfo - Current blockchain info
+ * @returns {Promise<object>} UTXO set data
  */
-// Newest hash included in the last testnet recentBlocks broadcast.
-let lastTestnetBroadcastTipHash = null;
-
-/** Testnet twin of broadcastRecentBlocksIfChanged(). */
-function broadcastTestnetRecentBlocksIfChanged() {
-  const tipHash = testnetRecentBlocks[0]?.hash || null;
-  if (!tipHash || tipHash === lastTestnetBroadcastTipHash) return;
-  lastTestnetBroadcastTipHash = tipHash;
-
-  const message = JSON.stringify({ type: 'recentBlocks', data: testnetRecentBlocks });
-  let sent = 0;
-  wssTestnet.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-        sent++;
-      } catch (error) {
-        console.error('Testnet: Error broadcasting recentBlocks to client:', error);
+async function fetchUTXOSetInfo(blockchainInfo) {
+  try {
+    console.log('Fetching UTXO set info (may take time)...');
+    const utxoData = await sendRpcRequest('gettxoutsetinfo');
+    console.log('Successfully fetched UTXO set info');
+    return utxoData;
+    
+  } catch (error) {
+    console.error('Failed to fetch fresh UTXO data:', error.message);
+    
+    // Try to get cached version
+    const { rpcCache } = require('./rpc');
+    const cacheKey = `rpc:gettxoutsetinfo:${crypto.createHash('md5').update(JSON.stringify([])).digest('hex')}`;
+    let cachedData = rpcCache?.get(cacheKey, true); // Get even if expired
+    
+    if (cachedData) {
+      console.log('Using cached UTXO data');
+      if (cachedData._estimated && blockchainInfo) {
+        cachedData.height = blockchainInfo.blocks;
       }
+      return cachedData;
     }
-  });
-  if (sent > 0) {
-    console.log(`Testnet recentBlocks (tip ${testnetRecentBlocks[0]?.height}) rebroadcast to ${sent} clients`);
+    
+    // Create placeholder data
+    console.log('Creating placeholder UTXO data');
+    return {
+      height: blockchainInfo.blocks,
+      bestblock: "",
+      transactions: 0,
+      txouts: 0, 
+      bogosize: 0,
+      hash_serialized_2: "",
+      disk_size: 0,
+      total_amount: 0,
+      _estimated: true
+    };
   }
 }
 
-function broadcastTestnetNewBlock(newBlock) {
-  const message = JSON.stringify({
-    type: 'newBlock',
-    data: newBlock
-  });
-
-  wssTestnet.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting to testnet WebSocket client:', error);
-      }
-    }
-  });
-
-  console.log(`Testnet: New block ${newBlock.height} broadcast to ${wssTestnet.clients.size} clients`);
-}
-
 // ============================================================================
-// TESTNET ORACLE & DIGIDOLLAR DATA BROADCASTING
+// PEER NETWORK MONITORING
 // ============================================================================
 
 /**
- * Fetch oracle data from testnet RPC and update cache
- * Calls getoracleprice, getalloracleprices, getoracles, and getoraclesigners in parallel
+ * Endpoint to fetch and process peer network data
+ * 
+ * This endpoint parses the peers.dat file to extract unique IP addresses,
+ * enhances them with geolocation data, and caches the results for performance.
+ * The data is used for the network visualization map.
  */
-async function fetchTestnetOracleData() {
-  try {
-    const [price, allPrices, oracles, oracleSigners] = await Promise.all([
-      sendTestnetRpcRequest('getoracleprice', [], true),
-      sendTestnetRpcRequest('getalloracleprices', [], true),
-      sendTestnetRpcRequest('getoracles', [], true),
-      sendTestnetRpcRequest('getoraclesigners', [100], true).catch((error) => {
-        console.warn('Warning fetching testnet oracle bundle signers:', error.message);
-        return null;
-      })
-    ]);
+// Guard: only one mainnet peer refresh runs at a time. Startup phase 3, the
+// periodic refresh and an API hit can all ask at once; without this, two
+// transactional DB rewrites collide on the SQLite connection and deadlock.
+let mainnetPeerRefreshPromise = null;
 
-    if (price && allPrices) {
-      testnetOracleCache = {
-        price: price,
-        allPrices: allPrices,
-        oracles: oracles || [],
-        oracleSigners: oracleSigners || { bundle_count: 0, bundles: [] }
-      };
-      console.log(`Testnet oracle data cached: price=$${price.price_usd}, ${(oracles || []).length} oracles, ${(oracleSigners && oracleSigners.bundle_count) || 0} signer bundles`);
-      return testnetOracleCache;
-    }
+app.get('/api/getpeers', async (req, res) => {
+  // Check for cached peer data first
+  const cachedPeers = peerCache.get('peerData');
+  if (cachedPeers) {
+    const timeRemaining = Math.floor((peerCache.getTtl('peerData') - Date.now()) / 1000);
+    console.log(`Serving cached peer data (expires in ${timeRemaining}s)`);
+    return res.json(cachedPeers);
+  }
+
+  try {
+    const peerData = await refreshMainnetPeerData();
+    res.json(peerData);
   } catch (error) {
-    console.error('Error fetching testnet oracle data:', error.message);
+    console.error(`Error fetching peer data from node: ${error.message}`);
+    res.status(500).json({ error: 'Error fetching peer data from node' });
   }
-  return null;
+});
+
+/**
+ * Geo-locate a peer-data address list into map-ready node records.
+ *
+ * @param {object} peerData - output of fetchPeersFromNode
+ * @returns {Array<{ip:string,country:string,city:string,lat:number,lon:number}>}
+ */
+function geolocatePeerAddresses(peerData) {
+  const allIPs = [...peerData.uniqueIPv4Addresses, ...peerData.uniqueIPv6Addresses];
+  return allIPs.map((ip) => {
+    const geoInfo = geoip.lookup(ip);
+    return {
+      ip,
+      country: geoInfo?.country || 'Unknown',
+      city: geoInfo?.city || 'Unknown',
+      lat: geoInfo?.ll?.[0] || 0,
+      lon: geoInfo?.ll?.[1] || 0
+    };
+  });
 }
 
 /**
- * Fetch DigiDollar stats from testnet RPC and update cache
- * Calls getdigidollarstats and getoracleprice in parallel
+ * Rewrite the mainnet nodes table inside a single transaction.
+ * Without the transaction each of the ~7,800 rows is its own fsync, which
+ * makes the write take minutes; one transaction makes it near-instant.
+ *
+ * @param {Array} geoData - geo-located node records
+ * @returns {Promise<void>}
  */
-async function fetchTestnetDDStatsData() {
-  try {
-    const [stats, oraclePrice] = await Promise.all([
-      sendTestnetRpcRequest('getdigidollarstats', [], true),
-      sendTestnetRpcRequest('getoracleprice', [], true)
-    ]);
+function persistMainnetNodes(geoData) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run('DELETE FROM nodes');
 
-    if (stats) {
-      testnetDDStatsCache = {
-        stats: stats,
-        oraclePrice: oraclePrice || {}
-      };
-      console.log(`Testnet DD stats cached: health=${stats.health_percentage}%, supply=${stats.total_dd_supply}`);
-      return testnetDDStatsCache;
-    }
-  } catch (error) {
-    console.error('Error fetching testnet DD stats data:', error.message);
-  }
-  return null;
+      const insertStatement = db.prepare(
+        'INSERT INTO nodes (ip, country, city, lat, lon) VALUES (?, ?, ?, ?, ?)'
+      );
+      geoData.forEach((node) => {
+        insertStatement.run(node.ip, node.country, node.city, node.lat, node.lon);
+      });
+      insertStatement.finalize();
+
+      db.run('COMMIT', (commitError) => {
+        if (commitError) {
+          console.error('Error writing nodes table:', commitError);
+          db.run('ROLLBACK');
+          return reject(commitError);
+        }
+        resolve();
+      });
+    });
+  });
 }
 
 /**
- * Fetch DigiDollar deployment info from testnet RPC and update cache
- * Calls getdigidollardeploymentinfo
+ * Fetch mainnet peer data from the node, geo-locate it, persist it, cache it
+ * and broadcast it. Concurrency-guarded so simultaneous callers share one run.
+ *
+ * @returns {Promise<object>} the peer data
  */
-async function fetchTestnetDeploymentData() {
-  try {
-    const deploymentInfo = await sendTestnetRpcRequest('getdigidollardeploymentinfo', [], true);
+function refreshMainnetPeerData() {
+  if (mainnetPeerRefreshPromise) {
+    console.log('Mainnet peer refresh already in progress - joining it');
+    return mainnetPeerRefreshPromise;
+  }
 
-    if (deploymentInfo) {
-      testnetDeploymentCache = deploymentInfo;
-      console.log(`Testnet DD deployment data cached: status=${deploymentInfo.status || 'unknown'}`);
-      return testnetDeploymentCache;
+  mainnetPeerRefreshPromise = (async () => {
+    console.log('Fetching fresh peer data from node RPC...');
+    const peerData = await fetchPeersFromNode(sendRpcRequest);
+    if (!peerData.addrman) {
+      throw new Error('address-manager RPC (getaddrmaninfo) returned no data');
     }
-  } catch (error) {
-    console.warn('Warning fetching testnet DD deployment data:', error.message);
-  }
-  return null;
+    console.log(
+      `Fetched peer data via RPC: ${peerData.totalUniqueIPv4Peers} IPv4, ` +
+      `${peerData.totalUniqueIPv6Peers} IPv6, addrman total ${peerData.addrman.total}`
+    );
+
+    const geoData = geolocatePeerAddresses(peerData);
+    console.log(`Geo-located ${geoData.length} IP addresses`);
+
+    await persistMainnetNodes(geoData);
+    console.log(`Updated database with ${geoData.length} peer nodes`);
+
+    uniqueNodes = geoData;
+    addrmanInfo = peerData.addrman;
+    peerCache.set('peerData', peerData, 600);    // 10 minutes
+    peerCache.set('geoNodes', uniqueNodes, 600); // 10 minutes
+    broadcastGeoData(uniqueNodes, addrmanInfo);
+
+    return peerData;
+  })();
+
+  mainnetPeerRefreshPromise.finally(() => { mainnetPeerRefreshPromise = null; });
+  return mainnetPeerRefreshPromise;
 }
 
 /**
- * Broadcast oracle data to all connected testnet WebSocket clients
+ * Broadcast geo-located peer data to all WebSocket clients
+ * 
+ * @param {Array} geoNodes - Geo-located node data
  */
-function broadcastTestnetOracleData() {
-  if (!testnetOracleCache) return;
-
+function broadcastGeoData(geoNodes, addrman) {
   const message = JSON.stringify({
-    type: 'oracleData',
-    data: testnetOracleCache
+    type: 'geoData',
+    data: geoNodes,
+    addrman: addrman || null
   });
 
-  wssTestnet.clients.forEach((client) => {
+  wss.clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
       try {
         client.send(message);
       } catch (error) {
-        console.error('Error broadcasting oracle data to testnet client:', error);
+        console.error('Error broadcasting geo data to client:', error);
       }
     }
   });
 }
 
 /**
- * Broadcast DD stats data to all connected testnet WebSocket clients
+ * Broadcast the crawler's rolling 24h node-version snapshot to all clients
+ *
+ * @param {object} snapshot - aggregateVersions() payload from crawler.js
  */
-function broadcastTestnetDDStats() {
-  if (!testnetDDStatsCache) return;
-
+function broadcastNodeVersions(snapshot) {
   const message = JSON.stringify({
-    type: 'ddStatsData',
-    data: testnetDDStatsCache
+    type: 'nodeVersions24h',
+    data: snapshot
   });
 
-  wssTestnet.clients.forEach((client) => {
+  wss.clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
       try {
         client.send(message);
       } catch (error) {
-        console.error('Error broadcasting DD stats to testnet client:', error);
+        console.error('Error broadcasting node versions to client:', error);
       }
     }
   });
 }
 
 /**
- * Broadcast DD deployment data to all connected testnet WebSocket clients
+ * REST twin of the nodeVersions24h WebSocket message
+ *
+ * Registered before the visit-tracking middleware so frontend polling does
+ * not pollute visit analytics.
  */
-function broadcastTestnetDeploymentData() {
-  if (!testnetDeploymentCache) return;
-
-  const message = JSON.stringify({
-    type: 'ddDeploymentData',
-    data: testnetDeploymentCache
-  });
+app.get('/api/nodes/versions24h', (req, res) => {
+  const snapshot = nodeCrawler && nodeCrawler.getSnapshot();
+  if (snapshot) {
+    return res.json(snapshot);
+  }
+  res.status(503).json({ error: 'Crawler data not yet available' });
+});
 
-  wssTestnet.clients.forEach((client) => {
+/**
+ * Broadcast the chain-tips snapshot / fork-risk alert to WebSocket clients.
+ * Fork alerts fire only on risk-level transitions (debounced in forktracker).
+ */
+function broadcastChainTips(snapshot, target = wss) {
+  const message = JSON.stringify({ type: 'chainTips', data: snapshot });
+  target.clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting DD deployment data to testnet client:', error);
-      }
+      try { client.send(message); } catch (error) { console.error('Error broadcasting chain tips:', error); }
     }
   });
 }
 
-/**
- * Fetch and broadcast oracle + DD stats data to all testnet clients
- * Called on a 15-second interval
- */
-async function refreshAndBroadcastOracleData() {
-  try {
-    await Promise.all([
-      fetchTestnetOracleData(),
-      fetchTestnetDDStatsData(),
-      fetchTestnetDeploymentData()
-    ]);
-    broadcastTestnetOracleData();
-    broadcastTestnetDDStats();
-    broadcastTestnetDeploymentData();
-  } catch (error) {
-    console.error('Error in oracle/DD stats refresh cycle:', error.message);
-  }
+function broadcastForkAlert(alert, target = wss) {
+  const message = JSON.stringify({ type: 'forkAlert', data: alert });
+  target.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      try { client.send(message); } catch (error) { console.error('Error broadcasting fork alert:', error); }
+    }
+  });
 }
 
-// ============================================================================
-// MAINNET ORACLE / DIGIDOLLAR DATA (mirrors the testnet helpers above, but
-// uses the mainnet RPC client + the mainnet WebSocket server on port 5002)
-// ============================================================================
+// REST twins (registered before the visit-tracking middleware — see above)
+app.get('/api/chaintips', (req, res) => {
+  const snapshot = forkTracker && forkTracker.getSnapshot();
+  if (snapshot) return res.json(snapshot);
+  res.status(503).json({ error: 'Chain-tips data not yet available' });
+});
 
-/**
- * Fetch oracle data from the MAINNET RPC node and update the mainnet cache.
- * Calls getoracleprice, getalloracleprices, getoracles, and getoraclesigners.
- * Pre-activation these RPCs return "DigiDollar is not yet active"; in that case
- * the cache simply stays null and clients fall back to the deployment data.
- */
-async function fetchMainnetOracleData() {
-  try {
-    const [price, allPrices, oracles, oracleSigners] = await Promise.all([
-      sendRpcRequest('getoracleprice', [], true),
-      sendRpcRequest('getalloracleprices', [], true),
-      sendRpcRequest('getoracles', [], true),
-      sendRpcRequest('getoraclesigners', [100], true).catch((error) => {
-        console.warn('Warning fetching mainnet oracle bundle signers:', error.message);
-        return null;
-      })
-    ]);
+app.get('/api/testnet/chaintips', (req, res) => {
+  const snapshot = testnetForkTracker && testnetForkTracker.getSnapshot();
+  if (snapshot) return res.json(snapshot);
+  res.status(503).json({ error: 'Chain-tips data not yet available' });
+});
 
-    if (price && allPrices) {
-      mainnetOracleCache = {
-        price: price,
-        allPrices: allPrices,
-        oracles: oracles || [],
-        oracleSigners: oracleSigners || { bundle_count: 0, bundles: [] }
-      };
-      console.log(`Mainnet oracle data cached: price=$${price.price_usd}, ${(oracles || []).length} oracles, ${(oracleSigners && oracleSigners.bundle_count) || 0} signer bundles`);
-      return mainnetOracleCache;
-    }
-  } catch (error) {
-    // Expected pre-activation: "DigiDollar is not yet active on this blockchain"
-    console.warn('Mainnet oracle data unavailable (likely pre-activation):', error.message);
-  }
-  return null;
-}
+listExtraNetworks({ subsystem: 'forkTracker' }).forEach((network) => {
+  app.get(`/api${network.routePrefix}/chaintips`, (req, res) => {
+    const tracker = networkForkTrackers[network.key];
+    const snapshot = tracker && tracker.getSnapshot();
+    if (snapshot) return res.json(snapshot);
+    res.status(503).json({ error: 'Chain-tips data not yet available' });
+  });
+});
 
-/**
- * Fetch DigiDollar stats from the MAINNET RPC node and update the mainnet cache.
- * Calls getdigidollarstats and getoracleprice in parallel.
- */
-async function fetchMainnetDDStatsData() {
+// Historical per-algo difficulty / hashrate (reconstructed from headers; see
+// history.js). Daily: ?days=30 clamped [1,1095] (~3y depth), hashrate over
+// 86400s, final (today) entry partial. Hourly: ?hours=24 clamped [1,48],
+// hashrate over 3600s, final (current hour) entry partial. Every network
+// running the history subsystem.
+async function handleHistoryDaily(network, req, res) {
+  if (!historyTracker) {
+    return res.status(503).json({ error: 'Historical data not yet available' });
+  }
   try {
-    const [stats, oraclePrice] = await Promise.all([
-      sendRpcRequest('getdigidollarstats', [], true),
-      sendRpcRequest('getoracleprice', [], true)
-    ]);
-
-    if (stats) {
-      mainnetDDStatsCache = {
-        stats: stats,
-        oraclePrice: oraclePrice || {}
-      };
-      console.log(`Mainnet DD stats cached: health=${stats.health_percentage}%, supply=${stats.total_dd_supply}`);
-      return mainnetDDStatsCache;
-    }
+    const days = history.clampDays(req.query.days);
+    const data = await historyTracker.getDaily(network, days);
+    res.json(data);
   } catch (error) {
-    // Expected pre-activation
-    console.warn('Mainnet DD stats unavailable (likely pre-activation):', error.message);
+    console.error(`Error in /api${getNetwork(network).routePrefix}/history/daily:`, error);
+    res.status(500).json({ error: 'Error building daily history', details: error.message });
   }
-  return null;
 }
 
-/**
- * Fetch DigiDollar deployment info from the MAINNET RPC node and update the
- * mainnet cache. getdigidollardeploymentinfo works pre-activation, so this is
- * what drives the mainnet Activation page countdown before block 600.
- */
-async function fetchMainnetDeploymentData() {
+async function handleHistoryHourly(network, req, res) {
+  if (!historyTracker) {
+    return res.status(503).json({ error: 'Historical data not yet available' });
+  }
   try {
-    const deploymentInfo = await sendRpcRequest('getdigidollardeploymentinfo', [], true);
-
-    if (deploymentInfo) {
-      mainnetDeploymentCache = deploymentInfo;
-      console.log(`Mainnet DD deployment data cached: status=${deploymentInfo.status || 'unknown'}`);
-      return mainnetDeploymentCache;
-    }
+    const hours = history.clampHours(req.query.hours);
+    const data = await historyTracker.getHourly(network, hours);
+    res.json(data);
   } catch (error) {
-    console.warn('Warning fetching mainnet DD deployment data:', error.message);
+    console.error(`Error in /api${getNetwork(network).routePrefix}/history/hourly:`, error);
+    res.status(500).json({ error: 'Error building hourly history', details: error.message });
   }
-  return null;
-}
-
-/**
- * Broadcast oracle data to all connected MAINNET WebSocket clients (port 5002)
- */
-function broadcastMainnetOracleData() {
-  if (!mainnetOracleCache) return;
-
-  const message = JSON.stringify({
-    type: 'oracleData',
-    data: mainnetOracleCache
-  });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting oracle data to mainnet client:', error);
-      }
-    }
-  });
-}
-
-/**
- * Broadcast DD stats data to all connected MAINNET WebSocket clients (port 5002)
- */
-function broadcastMainnetDDStats() {
-  if (!mainnetDDStatsCache) return;
-
-  const message = JSON.stringify({
-    type: 'ddStatsData',
-    data: mainnetDDStatsCache
-  });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting DD stats to mainnet client:', error);
-      }
-    }
-  });
 }
 
-/**
- * Broadcast DD deployment data to all connected MAINNET WebSocket clients (port 5002)
- */
-function broadcastMainnetDeploymentData() {
-  if (!mainnetDeploymentCache) return;
+app.get('/api/history/daily', (req, res) => handleHistoryDaily('mainnet', req, res));
+app.get('/api/testnet/history/daily', (req, res) => handleHistoryDaily('testnet', req, res));
+app.get('/api/history/hourly', (req, res) => handleHistoryHourly('mainnet', req, res));
+app.get('/api/testnet/history/hourly', (req, res) => handleHistoryHourly('testnet', req, res));
 
-  const message = JSON.stringify({
-    type: 'ddDeploymentData',
-    data: mainnetDeploymentCache
-  });
+listExtraNetworks({ subsystem: 'history' }).forEach((network) => {
+  app.get(`/api${network.routePrefix}/history/daily`, (req, res) => handleHistoryDaily(network.key, req, res));
+  app.get(`/api${network.routePrefix}/history/hourly`, (req, res) => handleHistoryHourly(network.key, req, res));
+});
 
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting DD deployment data to mainnet client:', error);
-      }
-    }
-  });
+// Indexed blocks (see blockindex.js), newest first: ?algo=&pool=&from=&to=
+// filters (from/to as unix seconds or ISO dates), ?limit= (default 50, max
+// 500) and ?cursor= (a previous page's nextCursor). Every network running the
+// blockIndex subsystem.
+async function handleBlocksQuery(network, req, res) {
+  if (!blockIndex) {
+    return res.status(503).json({ error: 'Block index not yet available' });
+  }
+  const { filters, error } = blockindex.parseBlockQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid block query', details: error });
+  }
+  try {
+    const page = await blockIndex.query(network, filters);
+    res.json({ network: getNetwork(network).slug, ...page });
+  } catch (error) {
+    console.error(`Error in /api${getNetwork(network).routePrefix}/blocks:`, error);
+    res.status(500).json({ error: 'Error querying block index', details: error.message });
+  }
 }
 
-/**
- * Fetch and broadcast oracle + DD stats + deployment data to all mainnet
- * clients. Called on a 15-second interval (mirrors the testnet cycle).
- */
-async function refreshAndBroadcastMainnetOracleData() {
+// Payout address leaderboard from the block index: addresses ranked by blocks
+// found, with their coinbase value, blocks per algo and pool. ?window=24h /
+// 7d (default) / 30d / all, ?algo=, ?limit= (default 50, max 500) and
+// ?cursor= (a previous page's nextCursor).
+async function handleMiners(network, req, res) {
+  if (!blockIndex) {
+    return res.status(503).json({ error: 'Block index not yet available' });
+  }
+  const { filters, error } = blockindex.parseMinerQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid miner query', details: error });
+  }
   try {
-    await Promise.all([
-      fetchMainnetOracleData(),
-      fetchMainnetDDStatsData(),
-      fetchMainnetDeploymentData()
-    ]);
-    broadcastMainnetOracleData();
-    broadcastMainnetDDStats();
-    broadcastMainnetDeploymentData();
+    const page = await blockIndex.miners(network, filters);
+    res.json({ network: getNetwork(network).slug, window: filters.window, algo: filters.algo, since: filters.since, ...page });
   } catch (error) {
-    console.error('Error in mainnet oracle/DD stats refresh cycle:', error.message);
+    console.error(`Error in /api${getNetwork(network).routePrefix}/miners:`, error);
+    res.status(500).json({ error: 'Error querying miner leaderboard', details: error.message });
   }
 }
 
-// ============================================================================
-// MODIFIED MAINNET / PRE ORACLE / DIGIDOLLAR DATA
-// ============================================================================
-
-/**
- * Fetch oracle data from the modified-mainnet/PRE RPC node and update cache.
- */
-async function fetchMainnetPreOracleData() {
+// Per-pool, per-algo block shares and hashrate estimates over 1h / 24h / 7d /
+// 30d (see poolstats.js); ?window=24h returns one window. Every network
+// running the blockIndex subsystem.
+async function handlePoolStats(network, req, res) {
+  const service = poolStatsServices[network];
+  if (!service) {
+    return res.status(503).json({ error: 'Pool statistics not yet available' });
+  }
+  const { window } = req.query;
+  if (window !== undefined && !POOL_STATS_WINDOWS[window]) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      details: `Expected one of: ${Object.keys(POOL_STATS_WINDOWS).join(', ')}`
+    });
+  }
   try {
-    const [price, allPrices, oracles, oracleSigners] = await Promise.all([
-      sendMainnetPreRpcRequest('getoracleprice', [], true),
-      sendMainnetPreRpcRequest('getalloracleprices', [], true),
-      sendMainnetPreRpcRequest('getoracles', [], true),
-      sendMainnetPreRpcRequest('getoraclesigners', [100], true).catch((error) => {
-        console.warn('Warning fetching mainnet-pre oracle bundle signers:', error.message);
-        return null;
-      })
-    ]);
-
-    if (price && allPrices) {
-      mainnetPreOracleCache = {
-        price: price,
-        allPrices: allPrices,
-        oracles: oracles || [],
-        oracleSigners: oracleSigners || { bundle_count: 0, bundles: [] }
-      };
-      console.log(`Mainnet-PRE oracle data cached: price=$${price.price_usd}, ${(oracles || []).length} oracles, ${(oracleSigners && oracleSigners.bundle_count) || 0} signer bundles`);
-      return mainnetPreOracleCache;
+    const stats = service.getStats() || await service.refresh();
+    if (!stats) {
+      return res.status(503).json({ error: 'Pool statistics not yet available' });
     }
+    res.json(window ? { ...stats, windows: { [window]: stats.windows[window] } } : stats);
   } catch (error) {
-    console.warn('Mainnet-PRE oracle data unavailable (likely pre-activation):', error.message);
+    console.error(`Error in /api${getNetwork(network).routePrefix}/pools:`, error);
+    res.status(500).json({ error: 'Error building pool statistics', details: error.message });
   }
-  return null;
 }
 
-/**
- * Fetch DigiDollar stats from the modified-mainnet/PRE RPC node and update cache.
- */
-async function fetchMainnetPreDDStatsData() {
+// Per-algo block interval distributions (median / p90 / max / mean) over
+// 1h / 6h / 24h, plus slow gaps and stalled algos (see blocktimes.js);
+// ?window=1h returns one window. Every network running the history subsystem.
+function handleBlockTimes(network, req, res) {
+  const service = blockTimesServices[network];
+  if (!service) {
+    return res.status(503).json({ error: 'Block time statistics not yet available' });
+  }
+  const { window } = req.query;
+  if (window !== undefined && !BLOCK_TIME_WINDOWS[window]) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      details: `Expected one of: ${Object.keys(BLOCK_TIME_WINDOWS).join(', ')}`
+    });
+  }
   try {
-    const [stats, oraclePrice] = await Promise.all([
-      sendMainnetPreRpcRequest('getdigidollarstats', [], true),
-      sendMainnetPreRpcRequest('getoracleprice', [], true)
-    ]);
-
-    if (stats) {
-      mainnetPreDDStatsCache = {
-        stats: stats,
-        oraclePrice: oraclePrice || {}
-      };
-      console.log(`Mainnet-PRE DD stats cached: health=${stats.health_percentage}%, supply=${stats.total_dd_supply}`);
-      return mainnetPreDDStatsCache;
-    }
+    res.json(service.getStats(window || null));
   } catch (error) {
-    console.warn('Mainnet-PRE DD stats unavailable (likely pre-activation):', error.message);
+    console.error(`Error in /api${getNetwork(network).routePrefix}/blocktimes:`, error);
+    res.status(500).json({ error: 'Error building block time statistics', details: error.message });
   }
-  return null;
 }
 
-/**
- * Fetch DigiDollar deployment info from the modified-mainnet/PRE RPC node.
- */
-async function fetchMainnetPreDeploymentData() {
+// Each algo's share of the blocks against the 1/5 MultiShield target over
+// 1h / 6h / 24h (blocks) and 7d / 30d (daily history), plus open dominant /
+// starved alerts (see algobalance.js); ?window=1h returns one window.
+async function handleAlgoBalance(network, req, res) {
+  const service = algoBalanceServices[network];
+  if (!service) {
+    return res.status(503).json({ error: 'Algo balance not yet available' });
+  }
+  const { window } = req.query;
+  if (window !== undefined && !ALGO_BALANCE_WINDOWS[window]) {
+    return res.status(400).json({
+      error: 'Invalid window',
+      details: `Expected one of: ${Object.keys(ALGO_BALANCE_WINDOWS).join(', ')}`
+    });
+  }
   try {
-    const deploymentInfo = await sendMainnetPreRpcRequest('getdigidollardeploymentinfo', [], true);
-
-    if (deploymentInfo) {
-      mainnetPreDeploymentCache = deploymentInfo;
-      console.log(`Mainnet-PRE DD deployment data cached: status=${deploymentInfo.status || 'unknown'}`);
-      return mainnetPreDeploymentCache;
+    const snapshot = service.getSnapshot() || await service.refresh();
+    if (!snapshot) {
+      return res.status(503).json({ error: 'Algo balance not yet available' });
     }
+    res.json(window ? { ...snapshot, windows: { [window]: snapshot.windows[window] } } : snapshot);
   } catch (error) {
-    console.warn('Warning fetching mainnet-pre DD deployment data:', error.message);
+    console.error(`Error in /api${getNetwork(network).routePrefix}/algobalance:`, error);
+    res.status(500).json({ error: 'Error building algo balance', details: error.message });
   }
-  return null;
 }
 
-function broadcastMainnetPreOracleData() {
-  if (!mainnetPreOracleCache) return;
-
-  const message = JSON.stringify({
-    type: 'oracleData',
-    data: mainnetPreOracleCache
-  });
-
-  wssMainnetPre.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting oracle data to mainnet-pre client:', error);
-      }
-    }
-  });
+// Daily algo shares and the balance alerts of the last ?days=30 days (clamped
+// like /history/daily); alerts still open are always included.
+async function handleAlgoBalanceHistory(network, req, res) {
+  const service = algoBalanceServices[network];
+  if (!service) {
+    return res.status(503).json({ error: 'Algo balance not yet available' });
+  }
+  try {
+    res.json(await service.getHistory(history.clampDays(req.query.days)));
+  } catch (error) {
+    console.error(`Error in /api${getNetwork(network).routePrefix}/algobalance/history:`, error);
+    res.status(500).json({ error: 'Error building algo balance history', details: error.message });
+  }
 }
 
-function broadcastMainnetPreDDStats() {
-  if (!mainnetPreDDStatsCache) return;
-
-  const message = JSON.stringify({
-    type: 'ddStatsData',
-    data: mainnetPreDDStatsCache
-  });
+// Projected next difficulty per algo (MultiShield retarget replayed on the
+// latest headers) with its direction, and the model's back-tested error on
+// the last 100 blocks (see difficulty.js).
+function handleDifficultyProjection(network, req, res) {
+  const service = difficultyServices[network];
+  const projection = service && service.getProjection();
+  if (!projection) {
+    return res.status(503).json({ error: 'Difficulty projection not yet available' });
+  }
+  res.json(projection);
+}
 
-  wssMainnetPre.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting DD stats to mainnet-pre client:', error);
-      }
+// Signaling progress of every started BIP9 deployment over its current
+// period: signaling count against the threshold with a projection, by algo
+// and pool, and how many signals came from version-rolled blocks (see
+// deployments.js). Every network running the blockIndex subsystem.
+async function handleDeploymentSignaling(network, req, res) {
+  const tracker = deploymentTrackers[network];
+  if (!tracker) {
+    return res.status(503).json({ error: 'Deployment signaling not yet available' });
+  }
+  try {
+    const snapshot = tracker.getSnapshot() || await tracker.refresh();
+    if (!snapshot) {
+      return res.status(503).json({ error: 'Deployment signaling not yet available' });
     }
-  });
+    res.json(snapshot);
+  } catch (error) {
+    console.error(`Error in /api${getNetwork(network).routePrefix}/deployments/signaling:`, error);
+    res.status(500).json({ error: 'Error building deployment signaling', details: error.message });
+  }
 }
 
-function broadcastMainnetPreDeploymentData() {
-  if (!mainnetPreDeploymentCache) return;
+listNetworks({ subsystem: 'history' }).forEach((network) => {
+  app.get(`/api${network.routePrefix}/difficulty/projection`, (req, res) => handleDifficultyProjection(network.key, req, res));
+  app.get(`/api${network.routePrefix}/blocktimes`, (req, res) => handleBlockTimes(network.key, req, res));
+  app.get(`/api${network.routePrefix}/algobalance`, (req, res) => handleAlgoBalance(network.key, req, res));
+  app.get(`/api${network.routePrefix}/algobalance/history`, (req, res) => handleAlgoBalanceHistory(network.key, req, res));
+});
 
-  const message = JSON.stringify({
-    type: 'ddDeploymentData',
-    data: mainnetPreDeploymentCache
-  });
+listNetworks({ subsystem: 'blockIndex' }).forEach((network) => {
+  app.get(`/api${network.routePrefix}/blocks`, (req, res) => handleBlocksQuery(network.key, req, res));
+  app.get(`/api${network.routePrefix}/pools`, (req, res) => handlePoolStats(network.key, req, res));
+  app.get(`/api${network.routePrefix}/miners`, (req, res) => handleMiners(network.key, req, res));
+  app.get(`/api${network.routePrefix}/deployments/signaling`, (req, res) => handleDeploymentSignaling(network.key, req, res));
+});
 
-  wssMainnetPre.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting DD deployment data to mainnet-pre client:', error);
-      }
-    }
-  });
-}
+// ============================================================================
+// TESTNET PEER NETWORK MONITORING
+// ============================================================================
 
 /**
- * Fetch and broadcast oracle + DD stats + deployment data to PRE clients.
+ * Endpoint to fetch and process testnet peer network data
+ *
+ * This endpoint parses the testnet peers.dat file to extract unique IP addresses,
+ * enhances them with geolocation data, and stores them separately from mainnet.
  */
-async function refreshAndBroadcastMainnetPreOracleData() {
+// Guard: only one testnet peer refresh runs at a time (see mainnet note).
+let testnetPeerRefreshPromise = null;
+
+app.get('/api/testnet/getpeers', async (req, res) => {
+  // Check for cached testnet peer data first
+  const cachedPeers = peerCache.get('testnetPeerData');
+  if (cachedPeers) {
+    const timeRemaining = Math.floor((peerCache.getTtl('testnetPeerData') - Date.now()) / 1000);
+    console.log(`Testnet: Serving cached peer data (expires in ${timeRemaining}s)`);
+    return res.json(cachedPeers);
+  }
+
   try {
-    await Promise.all([
-      fetchMainnetPreOracleData(),
-      fetchMainnetPreDDStatsData(),
-      fetchMainnetPreDeploymentData()
-    ]);
-    broadcastMainnetPreOracleData();
-    broadcastMainnetPreDDStats();
-    broadcastMainnetPreDeploymentData();
+    const peerData = await refreshTestnetPeerDataFromNode();
+    res.json(peerData);
   } catch (error) {
-    console.error('Error in mainnet-pre oracle/DD stats refresh cycle:', error.message);
+    console.error(`Testnet: Error fetching peer data from node: ${error.message}`);
+    res.status(500).json({ error: 'Error fetching testnet peer data from node' });
   }
-}
+});
 
 /**
- * Fetch UTXO set information with fallback handling
- * 
- * @param {object} blockchainInfo - Current blockchain info
- * @returns {Promise<object>} UTXO set data
+ * Fetch testnet peer data from the node, geo-locate it, cache it and
+ * broadcast it. Testnet nodes are kept in memory only (no SQLite table).
+ * Concurrency-guarded like the mainnet refresh.
+ *
+ * @returns {Promise<object>} the peer data
  */
-async function fetchUTXOSetInfo(blockchainInfo) {
-  try {
-    console.log('Fetching UTXO set info (may take time)...');
-    const utxoData = await sendRpcRequest('gettxoutsetinfo');
-    console.log('Successfully fetched UTXO set info');
-    return utxoData;
-    
-  } catch (error) {
-    console.error('Failed to fetch fresh UTXO data:', error.message);
-    
-    // Try to get cached version
-    const { rpcCache } = require('./rpc');
-    const cacheKey = `rpc:gettxoutsetinfo:${crypto.createHash('md5').update(JSON.stringify([])).digest('hex')}`;
-    let cachedData = rpcCache?.get(cacheKey, true); // Get even if expired
-    
-    if (cachedData) {
-      console.log('Using cached UTXO data');
-      if (cachedData._estimated && blockchainInfo) {
-        cachedData.height = blockchainInfo.blocks;
-      }
-      return cachedData;
-    }
-    
-    // Create placeholder data
-    console.log('Creating placeholder UTXO data');
-    return {
-      height: blockchainInfo.blocks,
-      bestblock: "",
-      transactions: 0,
-      txouts: 0, 
-      bogosize: 0,
-      hash_serialized_2: "",
-      disk_size: 0,
-      total_amount: 0,
-      _estimated: true
-    };
-  }
-}
-
-/**
- * Broadcast initial data to all connected WebSocket clients
- * 
- * @param {object} initialData - Initial blockchain data
- */
-function broadcastInitialData(initialData) {
-  const message = JSON.stringify({ 
-    type: 'initialData', 
-    data: initialData 
-  });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting initial data to client:', error);
-      }
-    }
-  });
-}
-
-// ============================================================================
-// PEER NETWORK MONITORING
-// ============================================================================
-
-/**
- * Endpoint to fetch and process peer network data
- * 
- * This endpoint parses the peers.dat file to extract unique IP addresses,
- * enhances them with geolocation data, and caches the results for performance.
- * The data is used for the network visualization map.
- */
-// Guard: only one mainnet peer refresh runs at a time. Startup phase 3, the
-// periodic refresh and an API hit can all ask at once; without this, two
-// transactional DB rewrites collide on the SQLite connection and deadlock.
-let mainnetPeerRefreshPromise = null;
-
-app.get('/api/getpeers', async (req, res) => {
-  // Check for cached peer data first
-  const cachedPeers = peerCache.get('peerData');
-  if (cachedPeers) {
-    const timeRemaining = Math.floor((peerCache.getTtl('peerData') - Date.now()) / 1000);
-    console.log(`Serving cached peer data (expires in ${timeRemaining}s)`);
-    return res.json(cachedPeers);
-  }
-
-  try {
-    const peerData = await refreshMainnetPeerData();
-    res.json(peerData);
-  } catch (error) {
-    console.error(`Error fetching peer data from node: ${error.message}`);
-    res.status(500).json({ error: 'Error fetching peer data from node' });
-  }
-});
-
-/**
- * Geo-locate a peer-data address list into map-ready node records.
- *
- * @param {object} peerData - output of fetchPeersFromNode
- * @returns {Array<{ip:string,country:string,city:string,lat:number,lon:number}>}
- */
-function geolocatePeerAddresses(peerData) {
-  const allIPs = [...peerData.uniqueIPv4Addresses, ...peerData.uniqueIPv6Addresses];
-  return allIPs.map((ip) => {
-    const geoInfo = geoip.lookup(ip);
-    return {
-      ip,
-      country: geoInfo?.country || 'Unknown',
-      city: geoInfo?.city || 'Unknown',
-      lat: geoInfo?.ll?.[0] || 0,
-      lon: geoInfo?.ll?.[1] || 0
-    };
-  });
-}
-
-/**
- * Rewrite the mainnet nodes table inside a single transaction.
- * Without the transaction each of the ~7,800 rows is its own fsync, which
- * makes the write take minutes; one transaction makes it near-instant.
- *
- * @param {Array} geoData - geo-located node records
- * @returns {Promise<void>}
- */
-function persistMainnetNodes(geoData) {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-      db.run('DELETE FROM nodes');
-
-      const insertStatement = db.prepare(
-        'INSERT INTO nodes (ip, country, city, lat, lon) VALUES (?, ?, ?, ?, ?)'
-      );
-      geoData.forEach((node) => {
-        insertStatement.run(node.ip, node.country, node.city, node.lat, node.lon);
-      });
-      insertStatement.finalize();
-
-      db.run('COMMIT', (commitError) => {
-        if (commitError) {
-          console.error('Error writing nodes table:', commitError);
-          db.run('ROLLBACK');
-          return reject(commitError);
-        }
-        resolve();
-      });
-    });
-  });
-}
-
-/**
- * Fetch mainnet peer data from the node, geo-locate it, persist it, cache it
- * and broadcast it. Concurrency-guarded so simultaneous callers share one run.
- *
- * @returns {Promise<object>} the peer data
- */
-function refreshMainnetPeerData() {
-  if (mainnetPeerRefreshPromise) {
-    console.log('Mainnet peer refresh already in progress - joining it');
-    return mainnetPeerRefreshPromise;
-  }
-
-  mainnetPeerRefreshPromise = (async () => {
-    console.log('Fetching fresh peer data from node RPC...');
-    const peerData = await fetchPeersFromNode(sendRpcRequest);
-    if (!peerData.addrman) {
-      throw new Error('address-manager RPC (getaddrmaninfo) returned no data');
-    }
-    console.log(
-      `Fetched peer data via RPC: ${peerData.totalUniqueIPv4Peers} IPv4, ` +
-      `${peerData.totalUniqueIPv6Peers} IPv6, addrman total ${peerData.addrman.total}`
-    );
-
-    const geoData = geolocatePeerAddresses(peerData);
-    console.log(`Geo-located ${geoData.length} IP addresses`);
-
-    await persistMainnetNodes(geoData);
-    console.log(`Updated database with ${geoData.length} peer nodes`);
-
-    uniqueNodes = geoData;
-    addrmanInfo = peerData.addrman;
-    peerCache.set('peerData', peerData, 600);    // 10 minutes
-    peerCache.set('geoNodes', uniqueNodes, 600); // 10 minutes
-    broadcastGeoData(uniqueNodes, addrmanInfo);
-
-    return peerData;
-  })();
-
-  mainnetPeerRefreshPromise.finally(() => { mainnetPeerRefreshPromise = null; });
-  return mainnetPeerRefreshPromise;
-}
-
-/**
- * Broadcast geo-located peer data to all WebSocket clients
- * 
- * @param {Array} geoNodes - Geo-located node data
- */
-function broadcastGeoData(geoNodes, addrman) {
-  const message = JSON.stringify({
-    type: 'geoData',
-    data: geoNodes,
-    addrman: addrman || null
-  });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting geo data to client:', error);
-      }
-    }
-  });
-}
-
-/**
- * Broadcast the crawler's rolling 24h node-version snapshot to all clients
- *
- * @param {object} snapshot - aggregateVersions() payload from crawler.js
- */
-function broadcastNodeVersions(snapshot) {
-  const message = JSON.stringify({
-    type: 'nodeVersions24h',
-    data: snapshot
-  });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting node versions to client:', error);
-      }
-    }
-  });
-}
-
-/**
- * REST twin of the nodeVersions24h WebSocket message
- *
- * Registered before the visit-tracking middleware so frontend polling does
- * not pollute visit analytics.
- */
-app.get('/api/nodes/versions24h', (req, res) => {
-  const snapshot = nodeCrawler && nodeCrawler.getSnapshot();
-  if (snapshot) {
-    return res.json(snapshot);
-  }
-  res.status(503).json({ error: 'Crawler data not yet available' });
-});
-
-/**
- * Broadcast the chain-tips snapshot / fork-risk alert to WebSocket clients.
- * Fork alerts fire only on risk-level transitions (debounced in forktracker).
- */
-function broadcastChainTips(snapshot, target = wss) {
-  const message = JSON.stringify({ type: 'chainTips', data: snapshot });
-  target.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try { client.send(message); } catch (error) { console.error('Error broadcasting chain tips:', error); }
-    }
-  });
-}
-
-function broadcastForkAlert(alert, target = wss) {
-  const message = JSON.stringify({ type: 'forkAlert', data: alert });
-  target.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try { client.send(message); } catch (error) { console.error('Error broadcasting fork alert:', error); }
-    }
-  });
-}
-
-// REST twins (registered before the visit-tracking middleware — see above)
-app.get('/api/chaintips', (req, res) => {
-  const snapshot = forkTracker && forkTracker.getSnapshot();
-  if (snapshot) return res.json(snapshot);
-  res.status(503).json({ error: 'Chain-tips data not yet available' });
-});
-
-app.get('/api/testnet/chaintips', (req, res) => {
-  const snapshot = testnetForkTracker && testnetForkTracker.getSnapshot();
-  if (snapshot) return res.json(snapshot);
-  res.status(503).json({ error: 'Chain-tips data not yet available' });
-});
-
-// Historical per-algo difficulty / hashrate (reconstructed from headers; see
-// history.js). Daily: ?days=30 clamped [1,1095] (~3y depth), hashrate over
-// 86400s, final (today) entry partial. Hourly: ?hours=24 clamped [1,48],
-// hashrate over 3600s, final (current hour) entry partial. Mainnet + testnet.
-async function handleHistoryDaily(network, req, res) {
-  if (!historyTracker) {
-    return res.status(503).json({ error: 'Historical data not yet available' });
-  }
-  try {
-    const days = history.clampDays(req.query.days);
-    const data = await historyTracker.getDaily(network, days);
-    res.json(data);
-  } catch (error) {
-    console.error(`Error in /api/${network === 'testnet' ? 'testnet/' : ''}history/daily:`, error);
-    res.status(500).json({ error: 'Error building daily history', details: error.message });
-  }
-}
-
-async function handleHistoryHourly(network, req, res) {
-  if (!historyTracker) {
-    return res.status(503).json({ error: 'Historical data not yet available' });
-  }
-  try {
-    const hours = history.clampHours(req.query.hours);
-    const data = await historyTracker.getHourly(network, hours);
-    res.json(data);
-  } catch (error) {
-    console.error(`Error in /api/${network === 'testnet' ? 'testnet/' : ''}history/hourly:`, error);
-    res.status(500).json({ error: 'Error building hourly history', details: error.message });
-  }
-}
-
-app.get('/api/history/daily', (req, res) => handleHistoryDaily('mainnet', req, res));
-app.get('/api/testnet/history/daily', (req, res) => handleHistoryDaily('testnet', req, res));
-app.get('/api/history/hourly', (req, res) => handleHistoryHourly('mainnet', req, res));
-app.get('/api/testnet/history/hourly', (req, res) => handleHistoryHourly('testnet', req, res));
-
-// ============================================================================
-// TESTNET PEER NETWORK MONITORING
-// ============================================================================
-
-/**
- * Endpoint to fetch and process testnet peer network data
- *
- * This endpoint parses the testnet peers.dat file to extract unique IP addresses,
- * enhances them with geolocation data, and stores them separately from mainnet.
- */
-// Guard: only one testnet peer refresh runs at a time (see mainnet note).
-let testnetPeerRefreshPromise = null;
-
-app.get('/api/testnet/getpeers', async (req, res) => {
-  // Check for cached testnet peer data first
-  const cachedPeers = peerCache.get('testnetPeerData');
-  if (cachedPeers) {
-    const timeRemaining = Math.floor((peerCache.getTtl('testnetPeerData') - Date.now()) / 1000);
-    console.log(`Testnet: Serving cached peer data (expires in ${timeRemaining}s)`);
-    return res.json(cachedPeers);
-  }
-
-  try {
-    const peerData = await refreshTestnetPeerDataFromNode();
-    res.json(peerData);
-  } catch (error) {
-    console.error(`Testnet: Error fetching peer data from node: ${error.message}`);
-    res.status(500).json({ error: 'Error fetching testnet peer data from node' });
-  }
-});
-
-/**
- * Fetch testnet peer data from the node, geo-locate it, cache it and
- * broadcast it. Testnet nodes are kept in memory only (no SQLite table).
- * Concurrency-guarded like the mainnet refresh.
- *
- * @returns {Promise<object>} the peer data
- */
-function refreshTestnetPeerDataFromNode() {
-  if (testnetPeerRefreshPromise) {
-    console.log('Testnet: peer refresh already in progress - joining it');
-    return testnetPeerRefreshPromise;
-  }
-
-  testnetPeerRefreshPromise = (async () => {
-    console.log('Testnet: Fetching fresh peer data from node RPC...');
-    const peerData = await fetchPeersFromNode(sendTestnetRpcRequest);
-    if (!peerData.addrman) {
-      throw new Error('address-manager RPC (getaddrmaninfo) returned no data');
-    }
-    console.log(
-      `Testnet: Fetched peer data via RPC: ${peerData.totalUniqueIPv4Peers} IPv4, ` +
-      `${peerData.totalUniqueIPv6Peers} IPv6, addrman total ${peerData.addrman.total}`
-    );
-
-    const geoData = geolocatePeerAddresses(peerData);
-    console.log(`Testnet: Geo-located ${geoData.length} IP addresses`);
-
-    testnetUniqueNodes = geoData;
-    testnetAddrmanInfo = peerData.addrman;
-    peerCache.set('testnetPeerData', peerData, 600);    // 10 minutes
-    peerCache.set('testnetGeoNodes', testnetUniqueNodes, 600);
-    broadcastTestnetGeoData(testnetUniqueNodes, testnetAddrmanInfo);
-
-    return peerData;
-  })();
-
-  // Reset the concurrency guard when done. The trailing .catch swallows the
-  // rejection on THIS branch so a testnet-offline failure (e.g. getaddrmaninfo
-  // unavailable) can't surface as an unhandled promise rejection and crash the
-  // whole (mainnet) server. Real consumers still observe the rejection via the
-  // returned promise (the /api/testnet/getpeers handler + Phase 3.5 try/catch).
-  testnetPeerRefreshPromise.finally(() => { testnetPeerRefreshPromise = null; }).catch(() => {});
-  return testnetPeerRefreshPromise;
-}
-
-/**
- * Broadcast geo-located peer data to all testnet WebSocket clients
- */
-function broadcastTestnetGeoData(geoNodes, addrman) {
-  const message = JSON.stringify({
-    type: 'geoData',
-    data: geoNodes,
-    addrman: addrman || null
-  });
-
-  wssTestnet.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting testnet geo data:', error);
-      }
-    }
-  });
-}
-
-/**
- * Refresh testnet peer data from peers.dat
- */
-async function refreshTestnetPeerData() {
-  const maxRetries = 3;
-  const retryDelay = 5000;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Testnet: Peer data fetch attempt ${attempt}/${maxRetries}`);
-
-      // Verify server is ready
-      const healthCheck = await axios.get(`http://localhost:${SERVER_CONFIG.port}/health`)
-        .catch(() => null);
-
-      if (!healthCheck) {
-        console.log(`Testnet: Server not ready, waiting ${retryDelay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        continue;
-      }
-
-      // Fetch testnet peer data from our own endpoint (60s timeout to prevent blocking startup)
-      const response = await axios.get(`http://localhost:${SERVER_CONFIG.port}/api/testnet/getpeers`, { timeout: 60000 });
-
-      if (response.data && (response.data.uniqueIPv4Addresses || response.data.uniqueIPv6Addresses)) {
-        const ipv4Count = response.data.uniqueIPv4Addresses?.length || 0;
-        const ipv6Count = response.data.uniqueIPv6Addresses?.length || 0;
-        console.log(`Testnet: Successfully fetched peer data: ${ipv4Count} IPv4 + ${ipv6Count} IPv6`);
-        return response.data;
-      } else {
-        throw new Error("Invalid testnet peer data response format");
-      }
-    } catch (error) {
-      console.log(`Testnet: Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-
-      if (attempt === maxRetries) {
-        console.error('Testnet: Max retries reached for peer fetch');
-        if (peerCache.has('testnetPeerData')) {
-          console.log('Testnet: Using previously cached peer data as fallback');
-          return peerCache.get('testnetPeerData');
-        }
-        throw new Error('Failed to fetch testnet peer data after multiple attempts');
-      }
-
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-  }
-}
-
-/**
- * Update the cached confirmed transactions
- * This function populates the recentTransactionsCache for immediate delivery
- */
-async function updateConfirmedTransactionsCache() {
-  try {
-    console.log('🔄 Updating confirmed transactions cache...');
-    console.log(`   Recent blocks available: ${recentBlocks.length}`);
-    
-    const transactions = [];
-    const maxBlocksToCheck = 50; // Check up to 50 blocks to find transactions
-    const blocksToCheck = Math.min(maxBlocksToCheck, recentBlocks.length);
-    
-    let totalTxsFound = 0;
-    let blocksWithTxs = 0;
-    
-    for (let i = 0; i < blocksToCheck && transactions.length < 15; i++) {
-      const block = recentBlocks[i];
-      if (!block || !block.hash) {
-        console.log(`   Block ${i} is invalid, skipping...`);
-        continue;
-      }
-      
-      try {
-        const fullBlock = await sendRpcRequest('getblock', [block.hash, 2]);
-        if (!fullBlock || !fullBlock.tx) {
-          console.log(`   ⚠️  Block ${block.height} - Failed to get block data`);
-          continue;
-        }
-        
-        const nonCoinbaseTxs = fullBlock.tx.length - 1;
-        totalTxsFound += nonCoinbaseTxs;
-        
-        if (nonCoinbaseTxs > 0) {
-          blocksWithTxs++;
-          console.log(`   📦 Block ${fullBlock.height}: ${nonCoinbaseTxs} non-coinbase transactions`);
-        } else {
-          console.log(`   📦 Block ${fullBlock.height}: Only coinbase transaction (empty block)`);
-          continue;
-        }
-        
-        // Process all non-coinbase transactions (skip index 0 which is coinbase)
-        for (let j = 1; j < fullBlock.tx.length && transactions.length < 15; j++) {
-          const tx = fullBlock.tx[j];
-          if (!tx || !tx.txid) {
-            console.log(`      ⚠️  Transaction ${j} in block ${fullBlock.height} is invalid`);
-            continue;
-          }
-          
-          try {
-            let totalValue = 0;
-            let inputs = [];
-            let outputs = [];
-            
-            if (tx.vout && Array.isArray(tx.vout)) {
-              for (const output of tx.vout) {
-                if (output.value) {
-                  totalValue += output.value;
-                  outputs.push({
-                    address: output.scriptPubKey?.address || 'Unknown',
-                    amount: output.value,
-                    type: output.scriptPubKey?.type || ''
-                  });
-                }
-              }
-            }
-            
-            if (tx.vin && Array.isArray(tx.vin)) {
-              inputs = tx.vin.map(input => ({
-                txid: input.txid || '',
-                vout: input.vout !== undefined ? input.vout : -1,
-                address: '',
-                amount: 0
-              }));
-            }
-            
-            // More realistic fee estimation based on transaction size
-            const txSize = tx.vsize || tx.size || (inputs.length * 148 + outputs.length * 34 + 10);
-            const estimatedFee = Math.max(0.00001, txSize * 0.00000050); // ~50 sat/byte
-            const feeRate = Math.round((estimatedFee * 100000000) / txSize);
-            
-            let priority = 'low';
-            if (feeRate > 100) priority = 'high';
-            else if (feeRate > 50) priority = 'medium';
-            
-            const confirmations = recentBlocks[0] ? (recentBlocks[0].height - fullBlock.height + 1) : 1;
-            
-            const txData = {
-              txid: tx.txid,
-              blockHeight: fullBlock.height,
-              blockHash: fullBlock.hash,
-              blocktime: fullBlock.time,
-              time: fullBlock.time,
-              value: totalValue,
-              size: txSize,
-              vsize: tx.vsize || txSize,
-              fee: estimatedFee,
-              fee_rate: feeRate,
-              priority: priority,
-              inputs: inputs,
-              outputs: outputs,
-              confirmations: confirmations
-            };
-            
-            transactions.push(txData);
-            console.log(`      ✅ Processed tx ${tx.txid.substring(0, 8)}... value: ${totalValue.toFixed(4)} DGB, ${inputs.length} inputs, ${outputs.length} outputs`);
-            
-          } catch (txError) {
-            console.error(`Error processing transaction ${tx.txid}:`, txError.message);
-          }
-        }
-        
-      } catch (blockError) {
-        console.error(`Error processing block ${block.hash}:`, blockError.message);
-      }
-    }
-    
-    // Summary of search results
-    console.log(`   📊 Search Summary:`);
-    console.log(`      Blocks checked: ${blocksToCheck}`);
-    console.log(`      Blocks with transactions: ${blocksWithTxs}`);
-    console.log(`      Total transactions found: ${totalTxsFound}`);
-    console.log(`      Transactions processed: ${transactions.length}`);
-    
-    transactions.sort((a, b) => {
-      if (a.blockHeight !== b.blockHeight) {
-        return b.blockHeight - a.blockHeight;
-      }
-      return b.time - a.time;
-    });
-    
-    recentTransactionsCache = transactions.slice(0, 10);
-    console.log(`✅ Confirmed transactions cache updated: ${recentTransactionsCache.length} transactions`);
-    
-    if (recentTransactionsCache.length > 0) {
-      console.log(`   Latest: ${recentTransactionsCache[0].txid.substring(0, 8)}... (Block ${recentTransactionsCache[0].blockHeight})`);
-      console.log(`   Value: ${recentTransactionsCache[0].value.toFixed(8)} DGB`);
-      
-      // Broadcast updated confirmed transactions to all clients
-      const message = JSON.stringify({
-        type: 'recentTransactions',
-        data: recentTransactionsCache
-      });
-      
-      wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          try {
-            client.send(message);
-          } catch (error) {
-            console.error('Error broadcasting updated confirmed transactions:', error);
-          }
-        }
-      });
-    } else {
-      console.log(`   ⚠️  No confirmed transactions found in last ${blocksToCheck} blocks`);
-      console.log(`   💡 This could mean:`);
-      console.log(`      - Recent blocks only contain coinbase transactions`);
-      console.log(`      - Network has low transaction volume`);
-      console.log(`      - RPC connection issues`);
-    }
-    
-  } catch (error) {
-    console.error('❌ Error updating confirmed transactions cache:', error);
-    // Keep existing cache on error
-  }
-}
-
-/**
- * Update the cached mempool state
- * This function populates the mempoolCache for immediate delivery
- */
-async function updateMempoolCache() {
-  try {
-    console.log('🔄 Updating mempool cache...');
-    
-    const mempoolInfo = await sendRpcRequest('getmempoolinfo');
-    const rawMempool = await sendRpcRequest('getrawmempool', [true]);
-    
-    console.log(`   📊 Mempool info: ${mempoolInfo?.size || 0} transactions, ${(mempoolInfo?.bytes / 1048576).toFixed(2) || 0} MB`);
-    
-    const transactions = [];
-    const txIds = Object.keys(rawMempool || {});
-    let totalFee = 0;
-    const feeDistribution = {
-      '0-10': 0,
-      '10-50': 0,
-      '50-100': 0,
-      '100-500': 0,
-      '500+': 0
-    };
-    
-    for (const txid of txIds.slice(0, 50)) {
-      const txData = rawMempool[txid];
-      if (!txData) continue;
-      
-      try {
-        const enhancedTxData = await getTransactionData(txid);
-        const feeRate = txData.fee ? Math.round((txData.fee * 100000000) / (txData.vsize || txData.size || 1)) : 0;
-        
-        if (feeRate < 10) feeDistribution['0-10']++;
-        else if (feeRate < 50) feeDistribution['10-50']++;
-        else if (feeRate < 100) feeDistribution['50-100']++;
-        else if (feeRate < 500) feeDistribution['100-500']++;
-        else feeDistribution['500+']++;
-        
-        let priority = 'low';
-        if (feeRate > 100) priority = 'high';
-        else if (feeRate > 50) priority = 'medium';
-        
-        let totalValue = 0;
-        let inputs = [];
-        let outputs = [];
-        
-        if (enhancedTxData && enhancedTxData.vout && Array.isArray(enhancedTxData.vout)) {
-          for (const output of enhancedTxData.vout) {
-            if (output.value) {
-              totalValue += output.value;
-              outputs.push({
-                address: output.scriptPubKey?.address || '',
-                amount: output.value,
-                type: output.scriptPubKey?.type || ''
-              });
-            }
-          }
-          
-          if (enhancedTxData.vin && Array.isArray(enhancedTxData.vin)) {
-            inputs = enhancedTxData.vin.map(input => ({
-              txid: input.txid || '',
-              vout: input.vout || 0,
-              address: '',
-              amount: 0
-            }));
-          }
-        }
-        
-        totalFee += txData.fee || 0;
-        
-        transactions.push({
-          txid: txid,
-          size: txData.vsize || txData.size || 0,
-          vsize: txData.vsize || txData.size || 0,
-          fee: txData.fee || 0,
-          value: Math.abs(totalValue),
-          time: txData.time || Math.floor(Date.now() / 1000),
-          inputs: inputs,
-          outputs: outputs,
-          fee_rate: feeRate,
-          priority: priority,
-          confirmations: 0,
-          descendantcount: txData.descendantcount || 0,
-          descendantsize: txData.descendantsize || 0,
-          ancestorcount: txData.ancestorcount || 0,
-          ancestorsize: txData.ancestorsize || 0
-        });
-        
-      } catch (txError) {
-        console.error(`Error processing mempool transaction ${txid}:`, txError.message);
-      }
-    }
-    
-    // Update transaction history for 2-minute retention
-    const currentTime = Date.now();
-    const currentTxIds = new Set(txIds);
-    
-    // Mark removed transactions
-    for (const [txid, history] of mempoolTransactionHistory.entries()) {
-      if (!currentTxIds.has(txid) && !history.removedAt) {
-        history.removedAt = currentTime;
-        console.log(`   📤 Transaction ${txid.substring(0, 8)}... left mempool`);
-      }
-    }
-    
-    // Add new transactions to history
-    transactions.forEach(tx => {
-      if (!mempoolTransactionHistory.has(tx.txid)) {
-        mempoolTransactionHistory.set(tx.txid, {
-          transaction: tx,
-          addedAt: currentTime,
-          removedAt: null
-        });
-        console.log(`   📥 New transaction ${tx.txid.substring(0, 8)}... added to history`);
-      }
-    });
-    
-    // Clean up transactions older than 3 minutes
-    const threeMinutesAgo = currentTime - (3 * 60 * 1000);
-    for (const [txid, history] of mempoolTransactionHistory.entries()) {
-      if (history.removedAt && history.removedAt < threeMinutesAgo) {
-        mempoolTransactionHistory.delete(txid);
-        console.log(`   🗑️  Transaction ${txid.substring(0, 8)}... removed from history (>3 min old)`);
-      }
-    }
-    
-    // Include recent transactions in the displayed list
-    const displayTransactions = [];
-    for (const [txid, history] of mempoolTransactionHistory.entries()) {
-      if (!history.removedAt || (currentTime - history.removedAt) < 3 * 60 * 1000) {
-        displayTransactions.push({
-          ...history.transaction,
-          inMempool: !history.removedAt,
-          removedAt: history.removedAt
-        });
-      }
-    }
-    
-    displayTransactions.sort((a, b) => b.time - a.time);
-    
-    const avgFee = transactions.length > 0 
-      ? transactions.reduce((sum, tx) => sum + tx.fee, 0) / transactions.length
-      : 0;
-    
-    mempoolCache = {
-      stats: {
-        size: mempoolInfo?.size || 0,
-        bytes: mempoolInfo?.bytes || 0,
-        usage: mempoolInfo?.usage || 0,
-        maxmempool: mempoolInfo?.maxmempool || 300000000,
-        minfee: mempoolInfo?.mempoolminfee || mempoolInfo?.minrelaytxfee || 0.00001,
-        avgfee: avgFee,
-        totalfee: totalFee,
-        feeDistribution: feeDistribution
-      },
-      transactions: displayTransactions
-    };
-    
-    console.log(`✅ Mempool cache updated: ${transactions.length} active, ${displayTransactions.length} total (with history)`);
-    
-    // Broadcast updated mempool to all clients
-    const message = JSON.stringify({
-      type: 'mempool',
-      data: mempoolCache
-    });
-    
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        try {
-          client.send(message);
-        } catch (error) {
-          console.error('Error broadcasting updated mempool:', error);
-        }
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Error updating mempool cache:', error);
-    // Keep existing cache on error
-  }
-}
-
-// ============================================================================
-// TESTNET TRANSACTION CACHE FUNCTIONS
-// ============================================================================
-
-/**
- * Update the cached testnet confirmed transactions
- * This function populates the testnetRecentTransactionsCache for immediate delivery
- */
-async function updateTestnetConfirmedTransactionsCache() {
-  const { sendTestnetRpcRequest } = require('./rpc');
-
-  try {
-    console.log('🔄 Updating testnet confirmed transactions cache...');
-    console.log(`   Testnet recent blocks available: ${testnetRecentBlocks.length}`);
-
-    const transactions = [];
-    const maxBlocksToCheck = 50; // Check up to 50 blocks to find transactions
-    const blocksToCheck = Math.min(maxBlocksToCheck, testnetRecentBlocks.length);
-
-    let totalTxsFound = 0;
-    let blocksWithTxs = 0;
-
-    for (let i = 0; i < blocksToCheck && transactions.length < 15; i++) {
-      const block = testnetRecentBlocks[i];
-      if (!block || !block.hash) {
-        console.log(`   Testnet block ${i} is invalid, skipping...`);
-        continue;
-      }
-
-      try {
-        const fullBlock = await sendTestnetRpcRequest('getblock', [block.hash, 2]);
-        if (!fullBlock || !fullBlock.tx) {
-          console.log(`   ⚠️  Testnet block ${block.height} - Failed to get block data`);
-          continue;
-        }
-
-        const nonCoinbaseTxs = fullBlock.tx.length - 1;
-        totalTxsFound += nonCoinbaseTxs;
-
-        if (nonCoinbaseTxs > 0) {
-          blocksWithTxs++;
-          console.log(`   📦 Testnet block ${fullBlock.height}: ${nonCoinbaseTxs} non-coinbase transactions`);
-        } else {
-          console.log(`   📦 Testnet block ${fullBlock.height}: Only coinbase transaction (empty block)`);
-          continue;
-        }
-
-        // Process all non-coinbase transactions (skip index 0 which is coinbase)
-        for (let j = 1; j < fullBlock.tx.length && transactions.length < 15; j++) {
-          const tx = fullBlock.tx[j];
-          if (!tx || !tx.txid) {
-            console.log(`      ⚠️  Testnet transaction ${j} in block ${fullBlock.height} is invalid`);
-            continue;
-          }
-
-          try {
-            let totalValue = 0;
-            let inputs = [];
-            let outputs = [];
-
-            if (tx.vout && Array.isArray(tx.vout)) {
-              for (const output of tx.vout) {
-                if (output.value) {
-                  totalValue += output.value;
-                  outputs.push({
-                    address: output.scriptPubKey?.address || 'Unknown',
-                    amount: output.value,
-                    type: output.scriptPubKey?.type || ''
-                  });
-                }
-              }
-            }
-
-            if (tx.vin && Array.isArray(tx.vin)) {
-              inputs = tx.vin.map(input => ({
-                txid: input.txid || '',
-                vout: input.vout !== undefined ? input.vout : -1,
-                address: '',
-                amount: 0
-              }));
-            }
-
-            // More realistic fee estimation based on transaction size
-            const txSize = tx.vsize || tx.size || (inputs.length * 148 + outputs.length * 34 + 10);
-            const estimatedFee = Math.max(0.00001, txSize * 0.00000050); // ~50 sat/byte
-            const feeRate = Math.round((estimatedFee * 100000000) / txSize);
-
-            let priority = 'low';
-            if (feeRate > 100) priority = 'high';
-            else if (feeRate > 50) priority = 'medium';
-
-            const confirmations = testnetRecentBlocks[0] ? (testnetRecentBlocks[0].height - fullBlock.height + 1) : 1;
-
-            const txData = {
-              txid: tx.txid,
-              blockHeight: fullBlock.height,
-              blockHash: fullBlock.hash,
-              blocktime: fullBlock.time,
-              time: fullBlock.time,
-              value: totalValue,
-              size: txSize,
-              vsize: tx.vsize || txSize,
-              fee: estimatedFee,
-              fee_rate: feeRate,
-              priority: priority,
-              inputs: inputs,
-              outputs: outputs,
-              confirmations: confirmations
-            };
-
-            transactions.push(txData);
-            console.log(`      ✅ Processed testnet tx ${tx.txid.substring(0, 8)}... value: ${totalValue.toFixed(4)} DGB, ${inputs.length} inputs, ${outputs.length} outputs`);
-
-          } catch (txError) {
-            console.error(`Error processing testnet transaction ${tx.txid}:`, txError.message);
-          }
-        }
-
-      } catch (blockError) {
-        console.error(`Error processing testnet block ${block.hash}:`, blockError.message);
-      }
-    }
-
-    // Summary of search results
-    console.log(`   📊 Testnet Search Summary:`);
-    console.log(`      Blocks checked: ${blocksToCheck}`);
-    console.log(`      Blocks with transactions: ${blocksWithTxs}`);
-    console.log(`      Total transactions found: ${totalTxsFound}`);
-    console.log(`      Transactions processed: ${transactions.length}`);
-
-    transactions.sort((a, b) => {
-      if (a.blockHeight !== b.blockHeight) {
-        return b.blockHeight - a.blockHeight;
-      }
-      return b.time - a.time;
-    });
-
-    testnetRecentTransactionsCache = transactions.slice(0, 10);
-    console.log(`✅ Testnet confirmed transactions cache updated: ${testnetRecentTransactionsCache.length} transactions`);
-
-    if (testnetRecentTransactionsCache.length > 0) {
-      console.log(`   Latest: ${testnetRecentTransactionsCache[0].txid.substring(0, 8)}... (Block ${testnetRecentTransactionsCache[0].blockHeight})`);
-      console.log(`   Value: ${testnetRecentTransactionsCache[0].value.toFixed(8)} DGB`);
-
-      // Broadcast updated confirmed transactions to all testnet clients
-      broadcastTestnetRecentTransactions();
-    } else {
-      console.log(`   ⚠️  No confirmed testnet transactions found in last ${blocksToCheck} blocks`);
-      console.log(`   💡 This could mean:`);
-      console.log(`      - Recent testnet blocks only contain coinbase transactions`);
-      console.log(`      - Testnet has low transaction volume`);
-      console.log(`      - RPC connection issues`);
-    }
-
-  } catch (error) {
-    console.error('❌ Error updating testnet confirmed transactions cache:', error);
-    // Keep existing cache on error
+function refreshTestnetPeerDataFromNode() {
+  if (testnetPeerRefreshPromise) {
+    console.log('Testnet: peer refresh already in progress - joining it');
+    return testnetPeerRefreshPromise;
   }
-}
-
-/**
- * Update the cached testnet mempool state
- * This function populates the testnetMempoolCache for immediate delivery
- */
-async function updateTestnetMempoolCache() {
-  const { sendTestnetRpcRequest } = require('./rpc');
-
-  try {
-    console.log('🔄 Updating testnet mempool cache...');
-
-    const mempoolInfo = await sendTestnetRpcRequest('getmempoolinfo');
-    const rawMempool = await sendTestnetRpcRequest('getrawmempool', [true]);
-
-    console.log(`   📊 Testnet mempool info: ${mempoolInfo?.size || 0} transactions, ${((mempoolInfo?.bytes || 0) / 1048576).toFixed(2)} MB`);
-
-    const transactions = [];
-    const txIds = Object.keys(rawMempool || {});
-    let totalFee = 0;
-    const feeDistribution = {
-      '0-10': 0,
-      '10-50': 0,
-      '50-100': 0,
-      '100-500': 0,
-      '500+': 0
-    };
-
-    for (const txid of txIds.slice(0, 50)) {
-      const txData = rawMempool[txid];
-      if (!txData) continue;
-
-      try {
-        // Get enhanced transaction data for testnet
-        let enhancedTxData = null;
-        try {
-          enhancedTxData = await sendTestnetRpcRequest('getrawtransaction', [txid, true]);
-        } catch (e) {
-          // Transaction may have been confirmed or dropped
-        }
-
-        const feeRate = txData.fee ? Math.round((txData.fee * 100000000) / (txData.vsize || txData.size || 1)) : 0;
-
-        if (feeRate < 10) feeDistribution['0-10']++;
-        else if (feeRate < 50) feeDistribution['10-50']++;
-        else if (feeRate < 100) feeDistribution['50-100']++;
-        else if (feeRate < 500) feeDistribution['100-500']++;
-        else feeDistribution['500+']++;
-
-        let priority = 'low';
-        if (feeRate > 100) priority = 'high';
-        else if (feeRate > 50) priority = 'medium';
-
-        let totalValue = 0;
-        let inputs = [];
-        let outputs = [];
-
-        if (enhancedTxData && enhancedTxData.vout && Array.isArray(enhancedTxData.vout)) {
-          for (const output of enhancedTxData.vout) {
-            if (output.value) {
-              totalValue += output.value;
-              outputs.push({
-                address: output.scriptPubKey?.address || '',
-                amount: output.value,
-                type: output.scriptPubKey?.type || ''
-              });
-            }
-          }
-
-          if (enhancedTxData.vin && Array.isArray(enhancedTxData.vin)) {
-            inputs = enhancedTxData.vin.map(input => ({
-              txid: input.txid || '',
-              vout: input.vout || 0,
-              address: '',
-              amount: 0
-            }));
-          }
-        }
-
-        totalFee += txData.fee || 0;
-
-        transactions.push({
-          txid: txid,
-          size: txData.vsize || txData.size || 0,
-          vsize: txData.vsize || txData.size || 0,
-          fee: txData.fee || 0,
-          value: Math.abs(totalValue),
-          time: txData.time || Math.floor(Date.now() / 1000),
-          inputs: inputs,
-          outputs: outputs,
-          fee_rate: feeRate,
-          priority: priority,
-          confirmations: 0,
-          descendantcount: txData.descendantcount || 0,
-          descendantsize: txData.descendantsize || 0,
-          ancestorcount: txData.ancestorcount || 0,
-          ancestorsize: txData.ancestorsize || 0
-        });
-
-      } catch (txError) {
-        console.error(`Error processing testnet mempool transaction ${txid}:`, txError.message);
-      }
-    }
 
-    // Update transaction history for 3-minute retention
-    const currentTime = Date.now();
-    const currentTxIds = new Set(txIds);
-
-    // Mark removed transactions
-    for (const [txid, history] of testnetMempoolTransactionHistory.entries()) {
-      if (!currentTxIds.has(txid) && !history.removedAt) {
-        history.removedAt = currentTime;
-        console.log(`   📤 Testnet transaction ${txid.substring(0, 8)}... left mempool`);
-      }
-    }
-
-    // Add new transactions to history
-    transactions.forEach(tx => {
-      if (!testnetMempoolTransactionHistory.has(tx.txid)) {
-        testnetMempoolTransactionHistory.set(tx.txid, {
-          transaction: tx,
-          addedAt: currentTime,
-          removedAt: null
-        });
-        console.log(`   📥 New testnet transaction ${tx.txid.substring(0, 8)}... added to history`);
-      }
-    });
-
-    // Clean up transactions older than 3 minutes
-    const threeMinutesAgo = currentTime - (3 * 60 * 1000);
-    for (const [txid, history] of testnetMempoolTransactionHistory.entries()) {
-      if (history.removedAt && history.removedAt < threeMinutesAgo) {
-        testnetMempoolTransactionHistory.delete(txid);
-        console.log(`   🗑️  Testnet transaction ${txid.substring(0, 8)}... removed from history (>3 min old)`);
-      }
-    }
-
-    // Include recent transactions in the displayed list
-    const displayTransactions = [];
-    for (const [txid, history] of testnetMempoolTransactionHistory.entries()) {
-      if (!history.removedAt || (currentTime - history.removedAt) < 3 * 60 * 1000) {
-        displayTransactions.push({
-          ...history.transaction,
-          inMempool: !history.removedAt,
-          removedAt: history.removedAt
-        });
-      }
+  testnetPeerRefreshPromise = (async () => {
+    console.log('Testnet: Fetching fresh peer data from node RPC...');
+    const peerData = await fetchPeersFromNode(sendTestnetRpcRequest);
+    if (!peerData.addrman) {
+      throw new Error('address-manager RPC (getaddrmaninfo) returned no data');
     }
+    console.log(
+      `Testnet: Fetched peer data via RPC: ${peerData.totalUniqueIPv4Peers} IPv4, ` +
+      `${peerData.totalUniqueIPv6Peers} IPv6, addrman total ${peerData.addrman.total}`
+    );
 
-    displayTransactions.sort((a, b) => b.time - a.time);
-
-    const avgFee = transactions.length > 0
-      ? transactions.reduce((sum, tx) => sum + tx.fee, 0) / transactions.length
-      : 0;
-
-    testnetMempoolCache = {
-      stats: {
-        size: mempoolInfo?.size || 0,
-        bytes: mempoolInfo?.bytes || 0,
-        usage: mempoolInfo?.usage || 0,
-        maxmempool: mempoolInfo?.maxmempool || 300000000,
-        minfee: mempoolInfo?.mempoolminfee || mempoolInfo?.minrelaytxfee || 0.00001,
-        avgfee: avgFee,
-        totalfee: totalFee,
-        feeDistribution: feeDistribution
-      },
-      transactions: displayTransactions
-    };
+    const geoData = geolocatePeerAddresses(peerData);
+    console.log(`Testnet: Geo-located ${geoData.length} IP addresses`);
 
-    console.log(`✅ Testnet mempool cache updated: ${transactions.length} active, ${displayTransactions.length} total (with history)`);
+    testnetUniqueNodes = geoData;
+    testnetAddrmanInfo = peerData.addrman;
+    peerCache.set('testnetPeerData', peerData, 600);    // 10 minutes
+    peerCache.set('testnetGeoNodes', testnetUniqueNodes, 600);
+    broadcastTestnetGeoData(testnetUniqueNodes, testnetAddrmanInfo);
 
-    // Broadcast updated mempool to all testnet clients
-    broadcastTestnetMempool();
+    return peerData;
+  })();
 
-  } catch (error) {
-    console.error('❌ Error updating testnet mempool cache:', error);
-    // Keep existing cache on error
-  }
+  // Reset the concurrency guard when done. The trailing .catch swallows the
+  // rejection on THIS branch so a testnet-offline failure (e.g. getaddrmaninfo
+  // unavailable) can't surface as an unhandled promise rejection and crash the
+  // whole (mainnet) server. Real consumers still observe the rejection via the
+  // returned promise (the /api/testnet/getpeers handler + Phase 3.5 try/catch).
+  testnetPeerRefreshPromise.finally(() => { testnetPeerRefreshPromise = null; }).catch(() => {});
+  return testnetPeerRefreshPromise;
 }
 
 /**
- * Broadcast recent transactions to all connected testnet WebSocket clients
+ * Broadcast geo-located peer data to all testnet WebSocket clients
  */
-function broadcastTestnetRecentTransactions() {
+function broadcastTestnetGeoData(geoNodes, addrman) {
   const message = JSON.stringify({
-    type: 'recentTransactions',
-    data: testnetRecentTransactionsCache
+    type: 'geoData',
+    data: geoNodes,
+    addrman: addrman || null
   });
 
   wssTestnet.clients.forEach((client) => {
@@ -3477,188 +1527,58 @@ function broadcastTestnetRecentTransactions() {
       try {
         client.send(message);
       } catch (error) {
-        console.error('Error broadcasting testnet confirmed transactions:', error);
+        console.error('Error broadcasting testnet geo data:', error);
       }
     }
   });
 }
 
 /**
- * Broadcast mempool data to all connected testnet WebSocket clients
+ * Refresh testnet peer data from peers.dat
  */
-function broadcastTestnetMempool() {
-  const message = JSON.stringify({
-    type: 'mempool',
-    data: testnetMempoolCache
-  });
+async function refreshTestnetPeerData() {
+  const maxRetries = 3;
+  const retryDelay = 5000;
 
-  wssTestnet.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(message);
-      } catch (error) {
-        console.error('Error broadcasting testnet mempool:', error);
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`Testnet: Peer data fetch attempt ${attempt}/${maxRetries}`);
+
+      // Verify server is ready
+      const healthCheck = await axios.get(`http://localhost:${SERVER_CONFIG.port}/health`)
+        .catch(() => null);
+
+      if (!healthCheck) {
+        console.log(`Testnet: Server not ready, waiting ${retryDelay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        continue;
       }
-    }
-  });
-}
 
-/**
- * Fetch and send recent confirmed transactions to a specific client
- * DEPRECATED: Now using cached data sent immediately on connection
- * @param {WebSocket} ws - WebSocket connection
- */
-async function sendRecentTransactionsToClient(ws) {
-  try {
-    console.log('Fetching 10 most recent confirmed transactions...');
+      // Fetch testnet peer data from our own endpoint (60s timeout to prevent blocking startup)
+      const response = await axios.get(`http://localhost:${SERVER_CONFIG.port}/api/testnet/getpeers`, { timeout: 60000 });
 
-    const transactions = [];
-    const blocksToCheck = Math.min(3, recentBlocks.length); // Check last 3 blocks only
+      if (response.data && (response.data.uniqueIPv4Addresses || response.data.uniqueIPv6Addresses)) {
+        const ipv4Count = response.data.uniqueIPv4Addresses?.length || 0;
+        const ipv6Count = response.data.uniqueIPv6Addresses?.length || 0;
+        console.log(`Testnet: Successfully fetched peer data: ${ipv4Count} IPv4 + ${ipv6Count} IPv6`);
+        return response.data;
+      } else {
+        throw new Error("Invalid testnet peer data response format");
+      }
+    } catch (error) {
+      console.log(`Testnet: Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
 
-    for (let i = 0; i < blocksToCheck && transactions.length < 10; i++) {
-      const block = recentBlocks[i];
-      if (!block || !block.hash) continue;
-      
-      try {
-        // Get full block data with transactions
-        const fullBlock = await sendRpcRequest('getblock', [block.hash, 2]);
-        if (!fullBlock || !fullBlock.tx || fullBlock.tx.length <= 1) continue;
-        
-        console.log(`Processing block ${fullBlock.height} with ${fullBlock.tx.length} transactions`);
-        
-        // Process transactions (skip coinbase, limit to prevent overload)
-        const txsToProcess = Math.min(fullBlock.tx.length - 1, 10);
-        
-        for (let j = 1; j <= txsToProcess && transactions.length < 10; j++) {
-          const tx = fullBlock.tx[j];
-          if (!tx || !tx.txid) continue;
-          
-          try {
-            // Use simpler data extraction from block data
-            let totalValue = 0;
-            let inputs = [];
-            let outputs = [];
-            
-            // Process outputs from block data
-            if (tx.vout && Array.isArray(tx.vout)) {
-              for (const output of tx.vout) {
-                if (output.value) {
-                  totalValue += output.value;
-                  outputs.push({
-                    address: output.scriptPubKey?.address || 'Unknown',
-                    amount: output.value,
-                    type: output.scriptPubKey?.type || ''
-                  });
-                }
-              }
-            }
-            
-            // Process inputs from block data (basic info only)
-            if (tx.vin && Array.isArray(tx.vin)) {
-              inputs = tx.vin.map(input => ({
-                txid: input.txid || '',
-                vout: input.vout !== undefined ? input.vout : -1,
-                address: '', // Cannot determine without additional RPC call
-                amount: 0    // Cannot determine without additional RPC call
-              }));
-            }
-            
-            // Estimate fee (simple calculation)
-            const estimatedFee = 0.0001 * (inputs.length || 1);
-            const txSize = tx.vsize || tx.size || 250; // Default size estimate
-            const feeRate = Math.round((estimatedFee * 100000000) / txSize);
-            
-            // Determine priority based on estimated fee rate
-            let priority = 'low';
-            if (feeRate > 100) priority = 'high';
-            else if (feeRate > 50) priority = 'medium';
-            
-            // Calculate confirmations
-            const confirmations = recentBlocks[0] ? (recentBlocks[0].height - fullBlock.height + 1) : 1;
-            
-            transactions.push({
-              txid: tx.txid,
-              blockHeight: fullBlock.height,
-              blockHash: fullBlock.hash,
-              blocktime: fullBlock.time,
-              time: fullBlock.time,
-              value: totalValue,
-              size: txSize,
-              vsize: tx.vsize || txSize,
-              fee: estimatedFee,
-              fee_rate: feeRate,
-              priority: priority,
-              inputs: inputs,
-              outputs: outputs,
-              confirmations: confirmations
-            });
-            
-            console.log(`Added transaction ${tx.txid.substring(0, 8)}... (${totalValue.toFixed(2)} DGB)`);
-            
-          } catch (txError) {
-            console.error(`Error processing transaction ${tx.txid}:`, txError.message);
-            // Continue with next transaction rather than failing completely
-          }
+      if (attempt === maxRetries) {
+        console.error('Testnet: Max retries reached for peer fetch');
+        if (peerCache.has('testnetPeerData')) {
+          console.log('Testnet: Using previously cached peer data as fallback');
+          return peerCache.get('testnetPeerData');
         }
-        
-      } catch (blockError) {
-        console.error(`Error processing block ${block.hash}:`, blockError.message);
-        // Continue with next block rather than failing completely
-      }
-    }
-    
-    // Sort by most recent first (by block height, then by position in block)
-    transactions.sort((a, b) => {
-      if (a.blockHeight !== b.blockHeight) {
-        return b.blockHeight - a.blockHeight;
+        throw new Error('Failed to fetch testnet peer data after multiple attempts');
       }
-      return b.time - a.time;
-    });
-    
-    // Limit to exactly 10 most recent transactions
-    const recentTransactions = transactions.slice(0, 10);
-    
-    // Send to client
-    ws.send(JSON.stringify({
-      type: 'recentTransactions',
-      data: recentTransactions
-    }));
-    
-    console.log(`✅ Sent ${recentTransactions.length} recent confirmed transactions to client`);
-    
-    if (recentTransactions.length > 0) {
-      console.log(`   Latest: ${recentTransactions[0].txid.substring(0, 8)}... (Block ${recentTransactions[0].blockHeight})`);
-      console.log(`   Oldest: ${recentTransactions[recentTransactions.length-1].txid.substring(0, 8)}... (Block ${recentTransactions[recentTransactions.length-1].blockHeight})`);
+
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
     }
-    
-  } catch (error) {
-    console.error('❌ Error fetching recent transactions:', error);
-    
-    // Send placeholder data instead of empty array to provide user feedback
-    const placeholderTransactions = recentBlocks.slice(0, 3).map((block, index) => ({
-      txid: `placeholder-${block.height}-${index}`,
-      blockHeight: block.height,
-      blockHash: block.hash,
-      blocktime: block.timestamp,
-      time: block.timestamp,
-      value: 0,
-      size: 250,
-      vsize: 250,
-      fee: 0.0001,
-      fee_rate: 40,
-      priority: 'medium',
-      inputs: [],
-      outputs: [],
-      confirmations: recentBlocks[0] ? (recentBlocks[0].height - block.height + 1) : 1,
-      placeholder: true // Mark as placeholder for frontend
-    }));
-    
-    ws.send(JSON.stringify({
-      type: 'recentTransactions',
-      data: placeholderTransactions
-    }));
-    
-    console.log(`⚠️  Sent ${placeholderTransactions.length} placeholder transactions due to error`);
   }
 }
 
@@ -3859,14 +1779,13 @@ app.get('/api/cachestatus', (req, res) => {
     peer: peerCacheInfo,
     rpc: rpcCacheInfo,
     initialData: {
-      inMemory: !!inMemoryInitialData,
-      inCache: cache.has('initialData')
+      inMemory: !!networkFeeds.mainnet.getInitialData()
     },
     blocks: {
-      count: recentBlocks.length,
-      latest: recentBlocks.length > 0 ? recentBlocks[0].height : null
+      count: networkFeeds.mainnet.getRecentBlocks().length,
+      latest: networkFeeds.mainnet.getRecentBlocks()[0]?.height ?? null
     },
-    connections: connectedClients
+    connections: connectedClients.mainnet
   };
 
   res.json(cacheStatus);
@@ -3905,6 +1824,41 @@ app.post('/api/refresh-peers', async (req, res) => {
   }
 });
 
+/**
+ * Pool registry contents (pools.json) and payout address cluster sizes
+ */
+app.get('/api/pools/registry', (req, res) => {
+  res.json(getPoolRegistry().describe());
+});
+
+/**
+ * Pool registry reload endpoint
+ * Allows administrators to apply an edited pools.json without a restart;
+ * needs DGB_ADMIN_TOKEN as a bearer token, or a direct localhost request
+ * when no token is set (adminauth.js)
+ */
+app.post('/api/pools/registry/reload', createAdminGuard(), async (req, res) => {
+  try {
+    console.log('Manual pool registry reload requested');
+    const registry = reloadPoolRegistry();
+    const relabeled = await applyPoolRegistry();
+
+    res.json({
+      success: true,
+      message: 'Pool registry reloaded successfully',
+      version: registry.version,
+      poolCount: registry.describe().pools.length,
+      relabeled
+    });
+  } catch (error) {
+    console.error('Error during pool registry reload:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Health check endpoint for monitoring systems
  */
@@ -3923,7 +1877,7 @@ app.get('/health', (req, res) => {
 async function saveCacheToDisk() {
   try {
     const backupData = {
-      initialData: inMemoryInitialData,
+      initialData: networkFeeds.mainnet.getInitialData(),
       timestamp: Date.now()
     };
     
@@ -4045,6 +1999,29 @@ let zmqSubHashTx = null;
 let zmqSubRawBlock = null;
 let zmqSubHashBlock = null;
 
+/**
+ * Outputs of recent rawtx / rawblock transactions, so the fee of a
+ * transaction spending them needs no getmempoolentry call
+ */
+const recentOutputs = createOutputCache();
+
+/**
+ * Txids of recent mainnet block transactions and of rawtx announcements
+ * already broadcast. Core publishes rawtx again for every transaction of a
+ * connected block; those are not new and need no getmempoolentry call.
+ */
+const RECENT_TXIDS_LIMIT = 20000;
+const recentTxids = new Set();
+
+function rememberTxid(txid) {
+  recentTxids.delete(txid);
+  recentTxids.add(txid);
+  while (recentTxids.size > RECENT_TXIDS_LIMIT) recentTxids.delete(recentTxids.values().next().value);
+}
+
+// RPC_INVALID_ADDRESS_OR_KEY: "Transaction not in mempool"
+const RPC_NOT_IN_MEMPOOL = -5;
+
 /**
  * Initialize ZeroMQ subscribers for real-time transaction monitoring
  * Connects to DigiByte node's ZMQ endpoints if enabled in config
@@ -4104,72 +2081,69 @@ async function initializeZeroMQ() {
 
 /**
  * Handle incoming raw transaction data from ZeroMQ
- * Processes and broadcasts new transactions to WebSocket clients
+ * Decodes the payload in-process (rawblock.js) and broadcasts newTransaction;
+ * the fee comes from recently seen prevouts, else one getmempoolentry call.
+ * Coinbases and txids already seen (recentTxids) are block transactions
+ * being re-announced and are skipped.
  */
 async function handleRawTransactions() {
   for await (const [topic, message] of zmqSubRawTx) {
     try {
-      // Parse the raw transaction
-      const txHex = message.toString('hex');
-      
-      // Get transaction details via RPC (since we have the hash)
-      // For now, we'll need to decode the raw transaction
-      const txid = crypto.createHash('sha256')
-        .update(crypto.createHash('sha256').update(message).digest())
-        .digest()
-        .reverse()
-        .toString('hex');
-      
-      // Get full transaction details using enhanced transaction fetcher
-      const txData = await getTransactionData(txid);
-      
-      if (txData) {
-        // Calculate transaction value
-        let totalValue = 0;
-        if (txData.vout && Array.isArray(txData.vout)) {
-          for (const output of txData.vout) {
-            if (output.value) {
-              totalValue += output.value;
-            }
+      const tx = parseRawTransaction(message, { chain: 'main' });
+      recentOutputs.add(tx);
+      if (tx.vin[0]?.coinbase || recentTxids.has(tx.txid)) continue;
+      rememberTxid(tx.txid);
+
+      let fee = transactionFee(tx, { prevout: recentOutputs.prevout });
+      if (fee.feeSource === null) {
+        // null when the transaction was mined before we asked (fee stays unknown)
+        const mempoolEntry = await sendRpcRequest('getmempoolentry', [tx.txid], false, { quietErrorCodes: [RPC_NOT_IN_MEMPOOL] });
+        fee = transactionFee(tx, { mempoolEntry });
+      }
+
+      const totalValue = tx.vout.reduce((sum, output) => sum + Math.round(output.value * 1e8), 0) / 1e8;
+
+      const newTransaction = {
+        txid: tx.txid,
+        wtxid: tx.hash,
+        value: totalValue,
+        size: tx.vsize,
+        vsize: tx.vsize,
+        weight: tx.weight,
+        fee: fee.fee,
+        feeRate: fee.feeRate,
+        feeSource: fee.feeSource,
+        time: Math.floor(Date.now() / 1000),
+        inputs: tx.vin.length,
+        outputs: tx.vout.length,
+        vout: tx.vout.map(output => ({
+          n: output.n,
+          value: output.value,
+          type: output.scriptPubKey.type,
+          address: output.scriptPubKey.address || null
+        })),
+        confirmations: 0,
+        inMempool: true
+      };
+
+      // Broadcast to all WebSocket clients
+      const wsMessage = JSON.stringify({
+        type: 'newTransaction',
+        data: newTransaction
+      });
+
+      wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) {
+          try {
+            client.send(wsMessage);
+          } catch (error) {
+            console.error('Error broadcasting new transaction:', error);
           }
         }
-        
-        // Calculate fee (would need input values for accurate fee)
-        const estimatedFee = 0.0001 * (txData.vin ? txData.vin.length : 1);
-        const txSize = txData.vsize || txData.size || message.length / 2;
-        
-        const newTransaction = {
-          txid: txid,
-          value: totalValue,
-          size: txSize,
-          fee: estimatedFee,
-          feeRate: txSize > 0 ? Math.round((estimatedFee * 100000000) / txSize) : 0,
-          time: txData.time || Math.floor(Date.now() / 1000),
-          inputs: txData.vin ? txData.vin.length : 0,
-          outputs: txData.vout ? txData.vout.length : 0,
-          confirmations: 0,
-          inMempool: true
-        };
-        
-        // Broadcast to all WebSocket clients
-        const wsMessage = JSON.stringify({
-          type: 'newTransaction',
-          data: newTransaction
-        });
-        
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(wsMessage);
-            } catch (error) {
-              console.error('Error broadcasting new transaction:', error);
-            }
-          }
-        });
-        
-        console.log(`New transaction broadcast: ${txid}`);
-      }
-      
+      });
+
+      console.log(`New transaction broadcast: ${tx.txid}`);
+
     } catch (error) {
       console.error('Error processing raw transaction:', error);
     }
@@ -4200,100 +2174,15 @@ async function handleHashTransactions() {
 
 /**
  * Handle incoming raw blocks from ZeroMQ
- * Processes blocks to extract confirmed transactions
+ * Hands the serialized block to the mainnet ingest (parsed in-process)
  */
 async function handleRawBlocks() {
   for await (const [topic, message] of zmqSubRawBlock) {
     try {
-      // Calculate block hash
-      const blockHash = crypto.createHash('sha256')
-        .update(crypto.createHash('sha256').update(message.slice(0, 80)).digest())
-        .digest()
-        .reverse()
-        .toString('hex');
-      
-      console.log(`New block via ZeroMQ: ${blockHash}`);
-      
-      // Process the block using existing block notification logic
-      const fullBlock = await sendRpcRequest('getblock', [blockHash, 2]);
-      if (fullBlock && fullBlock.tx) {
-        // Update recent blocks cache
-        const coinbaseTx = fullBlock.tx[0];
-        const addressOutput = coinbaseTx.vout?.find(output => output?.scriptPubKey?.address);
-        const minerAddress = addressOutput ? addressOutput.scriptPubKey.address : '';
-        
-        const { poolIdentifier } = decodeCoinbaseData(coinbaseTx.vin[0].coinbase);
-
-        const newBlock = {
-          height: fullBlock.height,
-          hash: fullBlock.hash,
-          algo: getAlgoName(fullBlock.pow_algo),
-          txCount: fullBlock.nTx,
-          difficulty: fullBlock.difficulty,
-          timestamp: fullBlock.time,
-          minedTo: minerAddress,
-          minerAddress,
-          poolIdentifier,
-          ...classifyBlockVersion(fullBlock.version),
-          ...detectOracleBundle(fullBlock),
-          version: fullBlock.version
-        };
-
-        updateRecentBlocksCache(newBlock);
-        broadcastNewBlock(newBlock);
-        
-        // Send recent transactions from this block
-        const blockTransactions = [];
-        for (let i = 1; i < Math.min(fullBlock.tx.length, 20); i++) {
-          const tx = fullBlock.tx[i];
-          if (!tx) continue;
-          
-          let totalValue = 0;
-          if (tx.vout && Array.isArray(tx.vout)) {
-            for (const output of tx.vout) {
-              if (output.value) {
-                totalValue += output.value;
-              }
-            }
-          }
-          
-          const txSize = tx.vsize || tx.size || 0;
-          const estimatedFee = 0.0001 * (tx.vin ? tx.vin.length : 1);
-          
-          blockTransactions.push({
-            txid: tx.txid || tx.hash,
-            blockHeight: fullBlock.height,
-            blockHash: fullBlock.hash,
-            time: tx.time || fullBlock.time,
-            value: totalValue,
-            size: txSize,
-            fee: estimatedFee,
-            feeRate: txSize > 0 ? Math.round((estimatedFee * 100000000) / txSize) : 0,
-            inputs: tx.vin ? tx.vin.length : 0,
-            outputs: tx.vout ? tx.vout.length : 0,
-            confirmations: 1
-          });
-        }
-        
-        // Broadcast confirmed transactions
-        if (blockTransactions.length > 0) {
-          const wsMessage = JSON.stringify({
-            type: 'confirmedTransactions',
-            data: blockTransactions
-          });
-          
-          wss.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(wsMessage);
-              } catch (error) {
-                console.error('Error broadcasting confirmed transactions:', error);
-              }
-            }
-          });
-        }
+      const summary = await blockIngests.mainnet.ingestRaw(message, 'zmq');
+      if (summary) {
+        console.log(`New block via ZeroMQ: ${summary.height} ${summary.hash}`);
       }
-      
     } catch (error) {
       console.error('Error processing raw block from ZeroMQ:', error);
     }
@@ -4348,72 +2237,86 @@ async function startServer() {
     const diskCache = await loadCacheFromDisk();
     if (diskCache && diskCache.initialData) {
       console.log('✓ Restored initial data from disk cache');
-      inMemoryInitialData = diskCache.initialData;
+      networkFeeds.mainnet.setInitialData(diskCache.initialData);
     } else {
       console.log('- No usable disk cache found');
     }
 
+    // Optional on-disk tier for immutable RPC results (blocks by hash, deep
+    // block hashes) so a cold start doesn't re-download recent blocks
+    const rpcDiskCache = await initDiskCache();
+    if (rpcDiskCache) {
+      const { bytes } = rpcDiskCache.getStats();
+      console.log(`✓ RPC disk cache opened (${(bytes / 1024 / 1024).toFixed(1)} MB stored)`);
+    }
+
+    // Persistent block index, opened before the first block fetch so every
+    // ingest path writes to it. DGB_BLOCK_INDEX_DISABLED=1 turns it off.
+    if (process.env.DGB_BLOCK_INDEX_DISABLED !== '1') {
+      const dbFile = process.env.DGB_BLOCK_INDEX_FILE || 'blocks.db';
+      blockIndex = blockindex.createBlockIndex({ dbFile, log: console.log });
+      console.log(`✓ Block index opened (${dbFile})`);
+    }
+    const poolRegistry = getPoolRegistry().describe();
+    console.log(`✓ Pool registry v${poolRegistry.version} loaded (${poolRegistry.pools.length} pools)`);
+
     // Phase 1: Start the HTTP server
     console.log('\nPhase 1: Starting HTTP server...');
     const server = app.listen(SERVER_CONFIG.port, () => {
       console.log(`✓ HTTP server listening on port ${SERVER_CONFIG.port}`);
-      console.log(`✓ WebSocket server listening on port ${SERVER_CONFIG.wsPort}`);
-      console.log(`✓ Testnet WebSocket server listening on port ${SERVER_CONFIG.testnetWsPort}`);
-      console.log(`✓ Mainnet-PRE WebSocket server listening on port ${SERVER_CONFIG.mainnetPreWsPort}`);
+      for (const network of listNetworks()) {
+        console.log(`✓ ${network.label} WebSocket server listening on port ${network.ws.port}`);
+      }
     });
 
+    // Registry `enabled` flags (networks.js). The mainnet-PRE rehearsal node
+    // was decommissioned 2026-06-30, so it stays off unless
+    // DGB_MAINNET_PRE_ENABLED=true — otherwise every poll loop would log
+    // ECONNREFUSED against 14046.
+    const TESTNET_ENABLED = getNetwork('testnet').enabled;
+    const MAINNET_PRE_ENABLED = getNetwork('mainnetPre').enabled;
+    // Enabled feed networks (mainnet always; regtest with
+    // DGB_REGTEST_ENABLED=true, networks added in config.js)
+    const feedNetworks = listFeedNetworks()
+      .filter((network) => network.enabled || network.key === 'mainnet');
+
     // Phase 2: Initialize essential blockchain data
     console.log('\nPhase 2: Loading essential blockchain data...');
     await Promise.all([
-      fetchLatestBlocks().then(() => console.log('✓ Recent blocks loaded')),
-      fetchInitialData().then(() => console.log('✓ Initial blockchain data cached')),
-      fetchTestnetInitialData().then(() => console.log('✓ Testnet initial data cached')),
-      // mainnet-PRE node decommissioned 2026-06-30 — skip its initial fetch unless re-enabled
-      // (avoids a one-time ECONNREFUSED 14046 at boot). See DGB_MAINNET_PRE_ENABLED below.
-      (process.env.DGB_MAINNET_PRE_ENABLED === 'true'
-        ? fetchMainnetPreInitialData().then(() => console.log('✓ Mainnet-PRE initial data cached'))
-        : Promise.resolve()),
-      fetchTestnetLatestBlocks().then(() => console.log('✓ Testnet recent blocks loaded'))
+      ...feedNetworks.map((network) => Promise.all([
+        networkFeeds[network.key].refreshInitialData(),
+        networkFeeds[network.key].refreshBlocks()
+      ]).then(() => console.log(`✓ ${network.label} initial data and recent blocks loaded`))),
+      ...(MAINNET_PRE_ENABLED ? [
+        fetchMainnetPreInitialData().then(() => console.log('✓ Mainnet-PRE initial data cached'))
+      ] : [])
     ]);
 
     // Phase 2.5: Initialize transaction caches for instant TxsPage loading
     console.log('\nPhase 2.5: Loading transaction caches...');
     await Promise.all([
-      updateConfirmedTransactionsCache().then(() => console.log('✓ Confirmed transactions cache loaded')),
-      updateMempoolCache().then(() => console.log('✓ Mempool cache loaded')),
-      updateTestnetConfirmedTransactionsCache().then(() => console.log('✓ Testnet confirmed transactions cache loaded')),
-      updateTestnetMempoolCache().then(() => console.log('✓ Testnet mempool cache loaded'))
+      ...feedNetworks.map((network) => Promise.all([
+        networkFeeds[network.key].refreshTransactions(),
+        networkFeeds[network.key].refreshMempool()
+      ]).then(() => console.log(`✓ ${network.label} confirmed transactions and mempool caches loaded`)))
     ]);
 
-    // Phase 2.7: Start oracle/DD stats refresh (independent of peer data)
+    // Phase 2.7: Start oracle/DD stats refresh (independent of peer data),
+    // one 15s cycle per enabled network running the digidollar subsystem
     console.log('\nPhase 2.7: Starting oracle and DigiDollar stats...');
-    // The mainnet-PRE rehearsal node was decommissioned 2026-06-30; its poll loop is
-    // disabled by default to avoid recurring ECONNREFUSED log spam against 14046.
-    // Set DGB_MAINNET_PRE_ENABLED=true (and restart the PRE node) to re-enable it.
-    const MAINNET_PRE_ENABLED = process.env.DGB_MAINNET_PRE_ENABLED === 'true';
-    setInterval(() => {
-      refreshAndBroadcastOracleData().catch(err =>
-        console.error('Scheduled testnet oracle/DD stats refresh failed:', err));
-    }, 15000);
-    setInterval(() => {
-      refreshAndBroadcastMainnetOracleData().catch(err =>
-        console.error('Scheduled mainnet oracle/DD stats refresh failed:', err));
-    }, 15000);
-    if (MAINNET_PRE_ENABLED) {
+    // (mainnet always polls, see networks.js)
+    const ddNetworks = listNetworks({ subsystem: 'digidollar' })
+      .filter((network) => network.enabled || network.key === 'mainnet');
+    for (const network of ddNetworks) {
+      const feed = ddFeeds[network.key];
       setInterval(() => {
-        refreshAndBroadcastMainnetPreOracleData().catch(err =>
-          console.error('Scheduled mainnet-pre oracle/DD stats refresh failed:', err));
+        feed.refresh().catch(err =>
+          console.error(`Scheduled ${network.slug} oracle/DD stats refresh failed:`, err));
       }, 15000);
+      feed.refresh().catch(err =>
+        console.error(`Initial ${network.slug} oracle/DD stats fetch failed:`, err));
     }
-    refreshAndBroadcastOracleData().catch(err =>
-      console.error('Initial testnet oracle/DD stats fetch failed:', err));
-    refreshAndBroadcastMainnetOracleData().catch(err =>
-      console.error('Initial mainnet oracle/DD stats fetch failed:', err));
-    if (MAINNET_PRE_ENABLED) {
-      refreshAndBroadcastMainnetPreOracleData().catch(err =>
-        console.error('Initial mainnet-pre oracle/DD stats fetch failed:', err));
-    }
-    console.log(`✓ Oracle/DD stats intervals started for mainnet, testnet${MAINNET_PRE_ENABLED ? ', and mainnet-pre' : ' (mainnet-pre disabled — node decommissioned)'} (every 15s)`);
+    console.log(`✓ Oracle/DD stats intervals started for ${ddNetworks.map((n) => n.slug).join(', ') || 'no networks'}${MAINNET_PRE_ENABLED ? '' : ' (mainnet-pre disabled — node decommissioned)'} (every 15s)`);
 
     // Phase 3: Load peer network data
     console.log('\nPhase 3: Loading peer network data...');
@@ -4427,12 +2330,16 @@ async function startServer() {
 
     // Phase 3.5: Load testnet peer network data
     console.log('\nPhase 3.5: Loading testnet peer network data...');
-    try {
-      await refreshTestnetPeerData();
-      console.log(`✓ Testnet peer data loaded: ${testnetUniqueNodes.length} nodes`);
-    } catch (peerError) {
-      console.error('⚠ Error loading testnet peer data:', peerError.message);
-      console.log('  Continuing without testnet peer data - will retry in background');
+    if (TESTNET_ENABLED) {
+      try {
+        await refreshTestnetPeerData();
+        console.log(`✓ Testnet peer data loaded: ${testnetUniqueNodes.length} nodes`);
+      } catch (peerError) {
+        console.error('⚠ Error loading testnet peer data:', peerError.message);
+        console.log('  Continuing without testnet peer data - will retry in background');
+      }
+    } else {
+      console.log('- Testnet disabled in the network registry');
     }
 
     // Phase 4: Initialize ZeroMQ for real-time transaction monitoring
@@ -4448,58 +2355,34 @@ async function startServer() {
     // Phase 5: Setup periodic maintenance tasks
     console.log('\nPhase 5: Setting up periodic maintenance...');
     
-    // Blockchain data updates (every minute)
-    setInterval(() => {
-      fetchLatestBlocks().catch(err =>
-        console.error('Scheduled blocks update failed:', err));
-    }, 60000);
-
-    setInterval(() => {
-      fetchInitialData().catch(err =>
-        console.error('Scheduled data update failed:', err));
-    }, 60000);
-
-    // Testnet blockchain data updates (every 60 seconds)
-    setInterval(() => {
-      fetchTestnetLatestBlocks().catch(err =>
-        console.error('Scheduled testnet blocks update failed:', err));
-    }, 60000);
+    // Network feeds: blocks + initial data every 60s, confirmed
+    // transactions + mempool every 30s for responsiveness
+    for (const network of feedNetworks) {
+      const feed = networkFeeds[network.key];
+      setInterval(() => {
+        feed.refreshBlocks().catch(err =>
+          console.error(`Scheduled ${network.slug} blocks update failed:`, err));
+        feed.refreshInitialData().catch(err =>
+          console.error(`Scheduled ${network.slug} data update failed:`, err));
+      }, 60000);
 
-    setInterval(() => {
-      fetchTestnetInitialData().catch(err =>
-        console.error('Scheduled testnet data update failed:', err));
-    }, 60000);
+      setInterval(() => {
+        feed.refreshTransactions().catch(err =>
+          console.error(`Scheduled ${network.slug} confirmed transactions cache update failed:`, err));
+        feed.refreshMempool().catch(err =>
+          console.error(`Scheduled ${network.slug} mempool cache update failed:`, err));
+      }, 30000);
+    }
 
     // Modified-mainnet/PRE blockchain data updates (every 60 seconds) — disabled
-    // while the PRE node is decommissioned (see DGB_MAINNET_PRE_ENABLED above).
+    // while the PRE node is decommissioned (see MAINNET_PRE_ENABLED above).
     if (MAINNET_PRE_ENABLED) {
       setInterval(() => {
         fetchMainnetPreInitialData().catch(err =>
           console.error('Scheduled mainnet-pre data update failed:', err));
       }, 60000);
     }
-    
-    // Transaction cache updates (every 30 seconds for responsiveness)
-    setInterval(() => {
-      updateConfirmedTransactionsCache().catch(err =>
-        console.error('Scheduled confirmed transactions cache update failed:', err));
-    }, 30000);
-
-    setInterval(() => {
-      updateMempoolCache().catch(err =>
-        console.error('Scheduled mempool cache update failed:', err));
-    }, 30000);
-
-    // Testnet transaction cache updates (every 30 seconds)
-    setInterval(() => {
-      updateTestnetConfirmedTransactionsCache().catch(err =>
-        console.error('Scheduled testnet confirmed transactions cache update failed:', err));
-    }, 30000);
 
-    setInterval(() => {
-      updateTestnetMempoolCache().catch(err =>
-        console.error('Scheduled testnet mempool cache update failed:', err));
-    }, 30000);
 
     // Peer data updates (every 10 minutes)
     setInterval(() => {
@@ -4527,7 +2410,7 @@ async function startServer() {
     // Phase 5.5: Network crawler — enumerates reachable nodes via version
     // handshakes for the rolling 24h version breakdown on the Nodes page.
     // Seeds: peers.dat parse cache, node addrman (getnodeaddresses), live peers.
-    if (process.env.DGB_CRAWLER_ENABLED !== '0') {
+    if (process.env.DGB_CRAWLER_ENABLED !== '0' && getNetwork('mainnet').subsystems.crawler) {
       const parseHostPort = (addr) => {
         const v6 = addr.match(/^\[(.+)\]:(\d+)$/);
         if (v6) return { ip: v6[1], port: Number(v6[2]) };
@@ -4539,7 +2422,7 @@ async function startServer() {
         db,
         network: 'mainnet',
         options: {
-          startHeight: inMemoryInitialData?.blockchainInfo?.blocks || 0,
+          startHeight: networkFeeds.mainnet.getInitialData()?.blockchainInfo?.blocks || 0,
         },
         seedProviders: [
           // peers.dat pipeline output (kept as an independent discovery method)
@@ -4553,12 +2436,12 @@ async function startServer() {
           },
           // full addrman of the local node
           async () => {
-            const addrs = await sendRpcRequest('getnodeaddresses', [0], true);
+            const addrs = await sendRpcRequest('getnodeaddresses', [0], true, RPC_BACKGROUND);
             return (addrs || []).map((a) => ({ ip: a.address, port: a.port }));
           },
           // currently connected peers
           async () => {
-            const peers = await sendRpcRequest('getpeerinfo', [], true);
+            const peers = await sendRpcRequest('getpeerinfo', [], true, RPC_BACKGROUND);
             return (peers || []).map((p) => parseHostPort(p.addr));
           },
         ],
@@ -4574,36 +2457,56 @@ async function startServer() {
       nodeCrawler.start();
       console.log('✓ Network crawler started (mainnet)');
     } else {
-      console.log('- Network crawler disabled (DGB_CRAWLER_ENABLED=0)');
+      console.log('- Network crawler disabled (DGB_CRAWLER_ENABLED=0 or mainnet subsystems.crawler off)');
     }
 
     // Phase 5.6: Chain-tip / orphan / fork tracker — polls getchaintips ~20s,
     // detects reorgs/orphans, grades fork risk, and drives the site-wide banner.
     if (process.env.DGB_FORK_TRACKER_ENABLED !== '0') {
-      forkTracker = createForkTracker({
-        db,
-        network: 'mainnet',
-        sendRpc: sendRpcRequest,
-        getRecentBlocks: () => recentBlocks,
-        onSnapshot: (snap) => broadcastChainTips(snap, wss),
-        onAlert: (alert) => broadcastForkAlert(alert, wss),
-        options: { nowFn: () => Date.now() },
-        log: console.log,
-      });
-      forkTracker.start(20000);
-      console.log('✓ Fork tracker started (mainnet)');
+      if (getNetwork('mainnet').subsystems.forkTracker) {
+        forkTracker = createForkTracker({
+          db,
+          network: 'mainnet',
+          sendRpc: (method, params, skipCache) => sendRpcRequest(method, params, skipCache, RPC_REALTIME),
+          getRecentBlocks: () => networkFeeds.mainnet.getRecentBlocks(),
+          onSnapshot: (snap) => broadcastChainTips(snap, wss),
+          onAlert: (alert) => broadcastForkAlert(alert, wss),
+          options: { nowFn: () => Date.now() },
+          log: console.log,
+        });
+        forkTracker.start(20000);
+        console.log('✓ Fork tracker started (mainnet)');
+      }
 
-      testnetForkTracker = createForkTracker({
-        db,
-        network: 'testnet',
-        sendRpc: sendTestnetRpcRequest,
-        getRecentBlocks: () => testnetRecentBlocks,
-        onSnapshot: (snap) => broadcastChainTips(snap, wssTestnet),
-        onAlert: (alert) => broadcastForkAlert(alert, wssTestnet),
-        options: { nowFn: () => Date.now() },
-        log: () => {}, // testnet node may be offline in some deployments; stay quiet
-      });
-      testnetForkTracker.start(30000);
+      const testnet = getNetwork('testnet');
+      if (testnet.enabled && testnet.subsystems.forkTracker) {
+        testnetForkTracker = createForkTracker({
+          db,
+          network: 'testnet',
+          sendRpc: (method, params, skipCache) => sendTestnetRpcRequest(method, params, skipCache, RPC_REALTIME),
+          getRecentBlocks: () => networkFeeds.testnet.getRecentBlocks(),
+          onSnapshot: (snap) => broadcastChainTips(snap, wssTestnet),
+          onAlert: (alert) => broadcastForkAlert(alert, wssTestnet),
+          options: { nowFn: () => Date.now() },
+          log: () => {}, // testnet node may be offline in some deployments; stay quiet
+        });
+        testnetForkTracker.start(30000);
+      }
+
+      for (const network of listExtraNetworks({ subsystem: 'forkTracker', enabledOnly: true })) {
+        networkForkTrackers[network.key] = createForkTracker({
+          db,
+          network: network.key,
+          sendRpc: (method, params, skipCache) => sendNetworkRpcRequest(network.key, method, params, skipCache, RPC_REALTIME),
+          getRecentBlocks: () => networkFeeds[network.key].getRecentBlocks(),
+          onSnapshot: (snap) => broadcastChainTips(snap, wsServers[network.key]),
+          onAlert: (alert) => broadcastForkAlert(alert, wsServers[network.key]),
+          options: { nowFn: () => Date.now() },
+          log: console.log,
+        });
+        networkForkTrackers[network.key].start(20000);
+        console.log(`✓ Fork tracker started (${network.slug})`);
+      }
     } else {
       console.log('- Fork tracker disabled (DGB_FORK_TRACKER_ENABLED=0)');
     }
@@ -4614,29 +2517,157 @@ async function startServer() {
     // `node server.js` runs it; set DGB_HISTORY_DISABLED=1 to turn it off.
     // Non-blocking: the deep daily backfill is smart (walks only the missing
     // range, resumable) and runs in the background; testnet is guarded so an
-    // offline testnet node stays silent/non-fatal.
+    // offline testnet node stays silent/non-fatal. One tracker per enabled
+    // network running the history subsystem (mainnet always).
     if (process.env.DGB_HISTORY_DISABLED !== '1') {
+      const historyNetworks = listNetworks({ subsystem: 'history' })
+        .filter((network) => network.enabled || network.key === 'mainnet');
       historyTracker = history.init({
-        sendRpc: sendRpcRequest,
-        sendTestnetRpc: sendTestnetRpcRequest,
+        networks: historyNetworks.map((network) => ({
+          network: network.key,
+          sendRpc: (method, params, skipCache) => sendNetworkRpcRequest(network.key, method, params, skipCache, RPC_BACKGROUND),
+          sendRpcBatch: (calls, skipCache) => sendNetworkRpcBatchRequest(network.key, calls, skipCache, RPC_BACKGROUND),
+          blocksPerDay: network.blocksPerDay,
+          quiet: network.key === 'testnet',
+        })),
         log: console.log,
       });
-      console.log('✓ Historical stats started (daily ~3y + hourly 48h; mainnet + testnet backfill in background)');
+      console.log(`✓ Historical stats started (daily ~3y + hourly 48h; ${historyNetworks.map((n) => n.slug).join(' + ')} backfill in background)`);
     } else {
       console.log('- Historical stats disabled (DGB_HISTORY_DISABLED=1)');
     }
 
+    // Block interval analytics: seeded with the last day of headers through
+    // history.js (ingest-only while history is disabled), then fed every
+    // ingested block by recordBlocks(); the 60s refresh fills any missed heights.
+    const blockTimeNetworks = listNetworks({ subsystem: 'history' })
+      .filter((network) => network.enabled || network.key === 'mainnet');
+    for (const network of blockTimeNetworks) {
+      const tracker = historyTracker && historyTracker.trackers[network.key];
+      const service = createBlockTimes({
+        network,
+        sendRpc: (method, params) => sendNetworkRpcRequest(network.key, method, params, true, RPC_BACKGROUND),
+        fetchHeaders: tracker ? (from, to) => tracker.fetchHeadersRange(from, to) : null
+      });
+      blockTimesServices[network.key] = service;
+      if (networkFeeds[network.key]) service.addBlocks(networkFeeds[network.key].getRecentBlocks());
+      setInterval(() => {
+        service.refresh().catch(err => console.error(`Scheduled ${network.slug} block times refresh failed:`, err));
+      }, 60000);
+      service.refresh().catch(err => console.error(`Initial ${network.slug} block times refresh failed:`, err));
+    }
+    console.log(`✓ Block interval analytics started for ${blockTimeNetworks.map((n) => n.slug).join(', ')} (every 60s)`);
+
+    // Algo share balance: counts the block interval services' blocks (plus
+    // daily history for 7d / 30d), broadcasts algoBalance and alerts every 60s
+    for (const network of blockTimeNetworks) {
+      const service = createAlgoBalance({
+        network,
+        db,
+        getBlocks: () => blockTimesServices[network.key].getBlocks(),
+        getDaily: historyTracker ? (days) => historyTracker.getDaily(network.key, days) : null,
+        broadcast: (message) => broadcastToNetwork(network.key, message)
+      });
+      algoBalanceServices[network.key] = service;
+      setInterval(() => {
+        service.refresh().catch(err => console.error(`Scheduled ${network.slug} algo balance refresh failed:`, err));
+      }, 60000);
+      service.refresh().catch(err => console.error(`Initial ${network.slug} algo balance refresh failed:`, err));
+    }
+    console.log(`✓ Algo balance monitor started for ${blockTimeNetworks.map((n) => n.slug).join(', ')} (every 60s)`);
+
+    // Next-difficulty projection: replays the retarget on headers read
+    // through history.js (none while history is disabled)
+    const projectionNetworks = blockTimeNetworks.filter((network) => historyTracker && historyTracker.trackers[network.key]);
+    for (const network of projectionNetworks) {
+      const tracker = historyTracker.trackers[network.key];
+      const service = createDifficultyProjection({
+        network,
+        sendRpc: (method, params) => sendNetworkRpcRequest(network.key, method, params, true, RPC_BACKGROUND),
+        fetchHeaders: (from, to) => tracker.fetchHeadersRange(from, to)
+      });
+      difficultyServices[network.key] = service;
+      setInterval(() => {
+        service.refresh().catch(err => console.error(`Scheduled ${network.slug} difficulty projection failed:`, err));
+      }, 60000);
+      service.refresh().catch(err => console.error(`Initial ${network.slug} difficulty projection failed:`, err));
+    }
+    if (projectionNetworks.length > 0) {
+      console.log(`✓ Difficulty projection started for ${projectionNetworks.map((n) => n.slug).join(', ')} (every 60s)`);
+    }
+
+    // Phase 5.8: Block index backfill — walks the last
+    // DGB_BLOCK_INDEX_BACKFILL_DAYS (default 30) of blocks that no ingest path
+    // has indexed yet (regtest: from genesis), reading headers and coinbases
+    // in batches of 100 blocks. Networks run one after another in the
+    // background at background RPC priority; a restart only walks what is
+    // still missing.
+    if (blockIndex) {
+      const backfillDays = Number.parseInt(process.env.DGB_BLOCK_INDEX_BACKFILL_DAYS, 10) || blockindex.DEFAULT_BACKFILL_DAYS;
+      const indexNetworks = listNetworks({ subsystem: 'blockIndex' })
+        .filter((network) => network.enabled || network.key === 'mainnet');
+      (async () => {
+        await applyPoolRegistry().catch(err => console.error('Error applying pool registry:', err.message));
+        for (const network of indexNetworks) {
+          await blockIndex.backfill({
+            network: network.key,
+            sendRpc: (method, params) => sendNetworkRpcRequest(network.key, method, params, false, RPC_BACKGROUND),
+            sendRpcBatch: (calls) => sendNetworkRpcBatchRequest(network.key, calls, false, RPC_BACKGROUND),
+            formatBlock: formatBlockForCache,
+            depth: network.blocksPerDay === null ? null : backfillDays * network.blocksPerDay,
+          });
+        }
+        // The backfill walks newest first, so addresses it learned late
+        // still have to reach the Unknown blocks it wrote before them
+        await applyPoolRegistry().catch(err => console.error('Error applying pool registry:', err.message));
+      })();
+      console.log(`✓ Block index backfill started (${backfillDays} days; ${indexNetworks.map((n) => n.slug).join(' + ')})`);
+
+      // Pool shares from the index, recomputed and broadcast as poolStats every 60s
+      for (const network of indexNetworks) {
+        const service = createPoolStats({
+          network,
+          blockIndex,
+          broadcast: (message) => broadcastToNetwork(network.key, message)
+        });
+        poolStatsServices[network.key] = service;
+        setInterval(() => {
+          service.refresh().catch(err => console.error(`Scheduled ${network.slug} pool stats refresh failed:`, err));
+        }, 60000);
+        service.refresh().catch(err => console.error(`Initial ${network.slug} pool stats failed:`, err));
+      }
+      console.log(`✓ Pool statistics started for ${indexNetworks.map((n) => n.slug).join(', ')} (every 60s)`);
+
+      // BIP9 signaling of the current period, counted from the index against
+      // getdeploymentinfo and broadcast as deploymentSignaling every 60s
+      for (const network of indexNetworks) {
+        const tracker = createDeploymentTracker({
+          network,
+          blockIndex,
+          sendRpc: (method, params) => sendNetworkRpcRequest(network.key, method, params, true, RPC_BACKGROUND),
+          broadcast: (message) => broadcastToNetwork(network.key, message)
+        });
+        deploymentTrackers[network.key] = tracker;
+        setInterval(() => {
+          tracker.refresh().catch(err => console.error(`Scheduled ${network.slug} deployment signaling refresh failed:`, err));
+        }, 60000);
+        tracker.refresh().catch(err => console.error(`Initial ${network.slug} deployment signaling failed:`, err));
+      }
+      console.log(`✓ Deployment signaling started for ${indexNetworks.map((n) => n.slug).join(', ')} (every 60s)`);
+    }
+
     // Final status report
     console.log('\n' + '='.repeat(60));
     console.log('  SERVER STARTUP COMPLETE');
     console.log('='.repeat(60));
-    console.log(`Blockchain height: ${inMemoryInitialData?.blockchainInfo?.blocks || 'Unknown'}`);
-    console.log(`Recent blocks: ${recentBlocks.length}/${SERVER_CONFIG.maxRecentBlocks}`);
-    console.log(`Latest block: ${recentBlocks[0]?.height || 'None'}`);
+    const mainnetBlocks = networkFeeds.mainnet.getRecentBlocks();
+    console.log(`Blockchain height: ${networkFeeds.mainnet.getInitialData()?.blockchainInfo?.blocks || 'Unknown'}`);
+    console.log(`Recent blocks: ${mainnetBlocks.length}/${SERVER_CONFIG.maxRecentBlocks}`);
+    console.log(`Latest block: ${mainnetBlocks[0]?.height || 'None'}`);
     console.log(`Peer nodes: ${uniqueNodes.length}`);
-    console.log(`WebSocket clients: ${connectedClients}`);
-    console.log(`Testnet WebSocket clients: ${testnetConnectedClients}`);
-    console.log(`Mainnet-PRE WebSocket clients: ${mainnetPreConnectedClients}`);
+    for (const [key, count] of Object.entries(connectedClients)) {
+      console.log(`${getNetwork(key).label} WebSocket clients: ${count}`);
+    }
     console.log('='.repeat(60));
     
   } catch (error) {
@@ -4660,6 +2691,19 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
+// SIGHUP re-reads pools.json (same as POST /api/pools/registry/reload)
+process.on('SIGHUP', () => {
+  console.log('\nReceived SIGHUP, reloading pool registry...');
+  try {
+    const registry = reloadPoolRegistry();
+    applyPoolRegistry()
+      .then((relabeled) => console.log(`✓ Pool registry v${registry.version} applied (${relabeled} indexed blocks relabeled)`))
+      .catch(err => console.error('Error applying pool registry:', err.message));
+  } catch (error) {
+    console.error('Error reloading pool registry:', error.message);
+  }
+});
+
 process.on('SIGTERM', () => {
   console.log('\nReceived SIGTERM, shutting down gracefully...');
   cleanupZeroMQ();
@@ -141,6 +141,24 @@ class MockRpcServer {
  */
 function mockAxiosPost(mockRpcServer) {
   return vi.fn(async (url, data) => {
+    // JSON-RPC batch: answer each entry independently, like the node does
+    if (Array.isArray(data)) {
+      const items = await Promise.all(data.map(async (entry) => {
+        try {
+          const result = await mockRpcServer.getResponse(entry.method, entry.params || []);
+          return { result, error: null, id: entry.id };
+        } catch (error) {
+          // Connection-level failures (string codes) fail the whole POST
+          if (typeof error.code === 'string') {
+            throw error;
+          }
+          const rpcError = error.code ? error : { code: -1, message: error.message };
+          return { result: null, error: rpcError, id: entry.id };
+        }
+      }));
+      return { data: items };
+    }
+
     const { method, params = [] } = data;
     
     try {
@@ -0,0 +1,78 @@
+// Algo balance alert persistence: alerts raised by the service land in
+// algo_balance_alerts, an open alert survives a restart, and the history
+// endpoint's payload combines daily shares with the stored alerts.
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import sqlite3 from 'sqlite3';
+import {
+  initializeAlgoBalanceTables,
+  getAlertHistory,
+  createAlgoBalance,
+} from '../../algobalance.js';
+
+const NOW = 1760000000;
+const mainnet = { key: 'mainnet', slug: 'mainnet', blocksPerDay: 5760 };
+
+// One block every 12s over the hour before NOW; `dominant` takes every other block
+function hourOfBlocks(dominant) {
+  const algos = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo'];
+  const others = algos.filter((a) => a !== dominant);
+  return Array.from({ length: 300 }, (_, i) => ({
+    height: i + 1,
+    time: NOW - 3600 + i * 12,
+    algo: dominant ? (i % 2 === 0 ? dominant : others[((i - 1) / 2) % others.length]) : algos[i % algos.length],
+  }));
+}
+
+describe('algo balance alert store', () => {
+  let db;
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await initializeAlgoBalanceTables(db);
+  });
+  afterEach(() => new Promise((r) => db.close(r)));
+
+  const service = (getBlocks, nowSec) => createAlgoBalance({
+    network: mainnet,
+    db,
+    getBlocks,
+    getDaily: async () => ({
+      data: [{ date: '2026-10-19', partial: true, perAlgo: { Odo: { blocks: 300 }, Qubit: { blocks: 100 } } }],
+    }),
+    broadcast: vi.fn(),
+    nowFn: () => nowSec * 1000,
+  });
+
+  it('records an alert and resumes it after a restart', async () => {
+    await service(() => hourOfBlocks('Odo'), NOW).refresh();
+    let rows = await getAlertHistory(db, 'mainnet', NOW - 86400);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ algo: 'Odo', kind: 'dominant', started_at: NOW, ended_at: null, peak_share: 0.5 });
+
+    // A fresh service (restart) picks the open alert up and closes it once Odo is back in line
+    const restarted = service(() => hourOfBlocks(null), NOW + 600);
+    await restarted.refresh();
+    expect(restarted.getSnapshot().alerts).toEqual([]);
+    rows = await getAlertHistory(db, 'mainnet', NOW - 86400);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ started_at: NOW, ended_at: NOW + 600, share: 0.2, peak_share: 0.5 });
+  });
+
+  it('builds the history payload from daily rows and stored alerts', async () => {
+    const balance = service(() => hourOfBlocks('Odo'), NOW);
+    await balance.refresh();
+
+    const history = await balance.getHistory(30);
+    expect(history).toMatchObject({ network: 'mainnet', days: 30, target: 0.2 });
+    expect(history.daily).toEqual([{
+      date: '2026-10-19',
+      partial: true,
+      totalBlocks: 400,
+      shares: { SHA256D: 0, Scrypt: 0, Skein: 0, Qubit: 0.25, Odo: 0.75 },
+      maxDeviation: 0.55,
+    }]);
+    expect(history.alerts).toEqual([{
+      algo: 'Odo', kind: 'dominant', window: '1h', threshold: 0.35, share: 0.5,
+      peakShare: 0.5, startedAt: NOW, updatedAt: NOW, endedAt: null,
+    }]);
+  });
+});
@@ -0,0 +1,212 @@
+// Block index against an in-memory sqlite: upserts from the ingest paths,
+// filtered cursor pagination and the resumable backfill against a fake node.
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import sqlite3 from 'sqlite3';
+import { createBlockIndex } from '../../blockindex.js';
+
+const ALGOS = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo'];
+const summary = (height, extra = {}) => ({
+  height,
+  hash: `h${height}`,
+  algo: ALGOS[height % ALGOS.length],
+  txCount: 1,
+  difficulty: height,
+  timestamp: 1760000000 + height * 15,
+  minerAddress: 'dgb1qminer',
+  poolIdentifier: height % 2 ? 'DigiHash' : 'Unknown',
+  version: 536870912,
+  coinbaseValue: 277.5,
+  ...extra,
+});
+
+describe('createBlockIndex', () => {
+  let db;
+  let index;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    index = createBlockIndex({ db });
+  });
+  afterEach(() => new Promise((r) => db.close(r)));
+
+  it('replaces a block at the same height and keeps networks apart', async () => {
+    await index.record('mainnet', [summary(1), summary(2)]);
+    await index.record('mainnet', [summary(2, { hash: 'h2-reorg' })]);
+    await index.record('testnet', [summary(2)]);
+
+    const { blocks } = await index.query('mainnet', {});
+    expect(blocks.map((b) => b.hash)).toEqual(['h2-reorg', 'h1']);
+    expect(await index.getRange('testnet')).toEqual({ low: 2, high: 2, oldestTime: 1760000030, count: 1 });
+  });
+
+  it('filters by algo, pool and time and pages with the cursor', async () => {
+    await index.record('mainnet', Array.from({ length: 50 }, (_, i) => summary(i + 1)));
+
+    const first = await index.query('mainnet', { algo: 'Odo', limit: 4 });
+    expect(first.blocks.map((b) => b.height)).toEqual([49, 44, 39, 34]);
+    expect(first.nextCursor).toBe('34');
+    const second = await index.query('mainnet', { algo: 'Odo', limit: 4, cursor: Number(first.nextCursor) });
+    expect(second.blocks.map((b) => b.height)).toEqual([29, 24, 19, 14]);
+    const last = await index.query('mainnet', { algo: 'Odo', limit: 4, cursor: 14 });
+    expect(last).toEqual({ blocks: expect.any(Array), nextCursor: null });
+    expect(last.blocks.map((b) => b.height)).toEqual([9, 4]);
+
+    const pool = await index.query('mainnet', { pool: 'digihash', from: 1760000000 + 10 * 15, to: 1760000000 + 20 * 15 });
+    expect(pool.blocks.map((b) => b.height)).toEqual([19, 17, 15, 13, 11]);
+    expect(pool.blocks[0]).toMatchObject({ poolIdentifier: 'DigiHash', minedTo: 'dgb1qminer', taprootSignaling: false });
+  });
+
+  it('counts blocks and difficulty per pool and algo since a time', async () => {
+    await index.record('mainnet', Array.from({ length: 10 }, (_, i) => summary(i + 1)));
+
+    const rows = await index.countByPool('mainnet', 1760000000 + 6 * 15);
+    expect(rows).toEqual(expect.arrayContaining([
+      { pool: 'DigiHash', algo: 'Odo', blocks: 1, sum_difficulty: 9 },
+      { pool: 'Unknown', algo: 'SHA256D', blocks: 1, sum_difficulty: 10 },
+    ]));
+    expect(rows.reduce((sum, r) => sum + r.blocks, 0)).toBe(5);
+  });
+
+  it('groups and filters by the canonical pool and relabels rows in place', async () => {
+    await index.record('mainnet', [
+      summary(1, { poolIdentifier: 'digihash.co', pool: 'DigiHash' }),
+      summary(2, { poolIdentifier: 'Unknown', pool: 'Unknown' }),
+      summary(3, { poolIdentifier: 'DigiHash', pool: 'DigiHash' }),
+      summary(4, { poolIdentifier: 'Unknown', minerAddress: 'dgb1qother' }),
+    ]);
+    expect(await index.listPoolTags('mainnet')).toEqual(expect.arrayContaining([
+      { tag: 'digihash.co', address: 'dgb1qminer' },
+      { tag: 'Unknown', address: 'dgb1qother' },
+    ]));
+
+    // dgb1qminer now clusters to DigiHash
+    const nameOf = (tag, address) => (address === 'dgb1qminer' ? 'DigiHash' : tag);
+    expect(await index.relabelPools('mainnet', nameOf)).toBe(2);
+    expect(await index.relabelPools('mainnet', nameOf)).toBe(0);
+
+    const { blocks } = await index.query('mainnet', { pool: 'digihash' });
+    expect(blocks.map((b) => [b.height, b.poolIdentifier, b.pool])).toEqual([
+      [3, 'DigiHash', 'DigiHash'], [2, 'Unknown', 'DigiHash'], [1, 'digihash.co', 'DigiHash'],
+    ]);
+    const rows = await index.countByPool('mainnet', 0);
+    expect(rows.map((r) => [r.pool, r.blocks]).sort()).toEqual([
+      ['DigiHash', 1], ['DigiHash', 1], ['DigiHash', 1], ['Unknown', 1],
+    ]);
+  });
+
+  it('counts BIP9 signals per algo and pool under the top mask', async () => {
+    await index.record('mainnet', [
+      summary(1, { version: 0x20800000, pool: 'DigiHash' }),
+      summary(2, { version: 0x20800000, versionRolled: true }),
+      summary(3, { version: 0x20800004, pool: 'DigiHash' }),
+      // bit 23 set, but outside the 001 top bits: not a signal
+      summary(4, { version: 0x40800000 }),
+      summary(6, { version: 0x20800000, pool: 'DigiHash' }),
+      summary(7, { version: 0x20800000 }),
+    ]);
+
+    const rows = await index.countSignals('mainnet', { from: 1, to: 6, bit: 23 });
+    expect(rows).toEqual(expect.arrayContaining([
+      { algo: 'Scrypt', pool: 'DigiHash', blocks: 2, signaling: 2, rolled: 0 },
+      { algo: 'Skein', pool: 'Unknown', blocks: 1, signaling: 1, rolled: 1 },
+      { algo: 'Qubit', pool: 'DigiHash', blocks: 1, signaling: 1, rolled: 0 },
+      { algo: 'Odo', pool: 'Unknown', blocks: 1, signaling: 0, rolled: 0 },
+    ]));
+    expect(rows).toHaveLength(4);
+    const bit2 = await index.countSignals('mainnet', { from: 1, to: 6, bit: 2 });
+    expect(bit2.reduce((sum, r) => sum + r.signaling, 0)).toBe(1);
+  });
+
+  it('ranks payout addresses by blocks and coinbase value, paged by offset', async () => {
+    await index.record('mainnet', [
+      summary(1, { minerAddress: 'dgb1qa', pool: 'DigiHash', poolIdentifier: 'digihash.co' }),
+      summary(2, { minerAddress: 'dgb1qa', pool: 'DigiHash', poolIdentifier: 'DigiHash' }),
+      summary(3, { minerAddress: 'dgb1qa', pool: 'DigiHash', poolIdentifier: 'DigiHash' }),
+      summary(4, { minerAddress: 'dgb1qb', poolIdentifier: 'Unknown', coinbaseValue: 300 }),
+      summary(5, { minerAddress: 'dgb1qb', poolIdentifier: 'Unknown', coinbaseValue: 300 }),
+      summary(6, { minerAddress: 'dgb1qc', coinbaseValue: 300 }),
+      summary(7, { minerAddress: 'dgb1qd' }),
+      // no payout address: left out
+      summary(8, { minerAddress: '' }),
+    ]);
+
+    const first = await index.miners('mainnet', { limit: 2 });
+    expect(first).toMatchObject({ totalBlocks: 7, totalMiners: 4, totalCoinbaseValue: 2010, nextCursor: '2' });
+    expect(first.miners).toEqual([
+      {
+        rank: 1, address: 'dgb1qa', pool: 'DigiHash', poolIdentifier: 'DigiHash', blocks: 3, share: 3 / 7,
+        coinbaseValue: 832.5, byAlgo: { Scrypt: 1, Skein: 1, Qubit: 1 }, firstHeight: 1, lastHeight: 3, lastBlockTime: 1760000045,
+      },
+      expect.objectContaining({ rank: 2, address: 'dgb1qb', pool: 'Unknown', blocks: 2, coinbaseValue: 600 }),
+    ]);
+
+    // Equal block counts rank by coinbase value
+    const second = await index.miners('mainnet', { cursor: 2, limit: 2 });
+    expect(second.miners.map((m) => [m.rank, m.address])).toEqual([[3, 'dgb1qc'], [4, 'dgb1qd']]);
+    expect(second.nextCursor).toBeNull();
+
+    const odo = await index.miners('mainnet', { algo: 'Odo', since: 1760000000 + 4 * 15 });
+    expect(odo.miners.map((m) => [m.address, m.blocks, m.share])).toEqual([['dgb1qb', 1, 1]]);
+  });
+
+  // Node with blocks 0..tip; the genesis coinbase is only returned inside its block
+  function fakeNode(tip, failAt = null) {
+    const node = { failAt };
+    const coinbase = (height) => ({ txid: `cb${height}`, vin: [{ coinbase: '00' }] });
+    const answer = ({ method, params }) => {
+      const height = Number(String(params[0]).replace(/^\D+/, ''));
+      if (method === 'getblockhash') return params[0] === node.failAt ? null : `h${params[0]}`;
+      if (method === 'getblock' && params[1] === 1) return { height, hash: `h${height}`, tx: [`cb${height}`] };
+      if (method === 'getblock') return { height, hash: `h${height}`, tx: [coinbase(height)] };
+      if (method === 'getrawtransaction') return height === 0 ? null : coinbase(height);
+      throw new Error(`unexpected ${method}`);
+    };
+    node.sendRpc = vi.fn(async (method) => (method === 'getblockcount' ? tip : null));
+    node.sendRpcBatch = vi.fn(async (calls) => calls.map((call) => {
+      const result = answer(call);
+      return { result, error: result ? null : 'not found' };
+    }));
+    return node;
+  }
+  const formatBlock = (block) => summary(block.height, { txCount: block.tx.length });
+  const batchCalls = (node) => node.sendRpcBatch.mock.calls
+    .map(([calls]) => `${calls[0].method} ${calls[0].params[1] ?? '-'} x${calls.length}`);
+
+  it('backfills only the missing heights and resumes after a failure', async () => {
+    const log = vi.fn();
+    index = createBlockIndex({ db, log });
+    const node = fakeNode(9, 3);
+    const run = () => index.backfill({ network: 'regtest', sendRpc: node.sendRpc, sendRpcBatch: node.sendRpcBatch, formatBlock, depth: null });
+
+    // tip already ingested by the recent-blocks refresh
+    await index.record('regtest', [summary(9)]);
+    expect(await run()).toBe(0);
+    expect(log).toHaveBeenCalledWith('[blockindex:regtest] backfill aborted after 0 blocks: no block data at height 3');
+
+    node.failAt = null;
+    node.sendRpcBatch.mockClear();
+    expect(await run()).toBe(9);
+    expect(await index.getRange('regtest')).toEqual({ low: 0, high: 9, oldestTime: 1760000000, count: 10 });
+    // header + coinbase batches; only the genesis coinbase needs its block
+    expect(batchCalls(node)).toEqual(['getblockhash - x9', 'getblock 1 x9', 'getrawtransaction true x9', 'getblock 2 x1']);
+
+    node.sendRpc.mockClear();
+    node.sendRpcBatch.mockClear();
+    expect(await run()).toBe(0);
+    expect(node.sendRpc.mock.calls.map(([m]) => m)).toEqual(['getblockcount']);
+    expect(node.sendRpcBatch).not.toHaveBeenCalled();
+
+    // A row indexed before coinbase values were kept is walked again
+    await index.record('regtest', [summary(4, { coinbaseValue: undefined })]);
+    expect(await run()).toBe(1);
+    expect((await index.query('regtest', { limit: 10 })).blocks.find((b) => b.height === 4).coinbaseValue).toBe(277.5);
+  });
+
+  it('walks a long gap in chunks of 100 heights', async () => {
+    const node = fakeNode(249);
+    expect(await index.backfill({ network: 'mainnet', sendRpc: node.sendRpc, sendRpcBatch: node.sendRpcBatch, formatBlock, depth: 250 })).toBe(250);
+    expect(batchCalls(node).filter((call) => call.startsWith('getblockhash'))).toEqual(['getblockhash - x100', 'getblockhash - x100', 'getblockhash - x50']);
+    expect(node.sendRpcBatch.mock.calls[0][0][0].params).toEqual([249]);
+    expect((await index.getRange('mainnet')).count).toBe(250);
+  });
+});
@@ -133,6 +133,40 @@ describe('incrementalOnce', () => {
     expect(meta.last_height).toBe(21);
   });
 
+  it('runs one pass at a time and leaves ingest-triggered passes until start()', async () => {
+    const chain = makeChain(19);
+    const t = createHistoryTracker({ db, network: 'mainnet', sendRpc: chain.sendRpc, days: 30, nowFn });
+    await t.backfill();
+    chain.state.tip = 21;
+
+    expect(await t.onBlock()).toBe(false);
+    const [first, second] = [t.incrementalOnce(), t.incrementalOnce()];
+    expect(second).toBe(first);
+    await first;
+
+    const row = await dbGet(db, 'SELECT * FROM daily_algo_stats WHERE day=? AND algo=?', ['2026-07-05', 'SHA256D']);
+    expect(row.block_count).toBe(6); // added once, not twice
+  });
+
+  it('measures intervals across ticks from the carried-over headers', async () => {
+    const chain = makeChain(19);
+    const t = createHistoryTracker({ db, network: 'mainnet', sendRpc: chain.sendRpc, days: 30, nowFn });
+    await t.backfill();
+    chain.state.tip = 20;
+    await t.incrementalOnce(); // refetches context below height 20
+    chain.state.tip = 22;
+    await t.incrementalOnce(); // carries heights up to 20 over
+
+    // day05 SHA256D: heights 12..22 step 2 each follow the previous one by 2h;
+    // height 10 follows height 8 (day04 08:00) by 16h
+    const row = await dbGet(db, 'SELECT * FROM daily_algo_stats WHERE day=? AND algo=?', ['2026-07-05', 'SHA256D']);
+    expect(row.block_count).toBe(7);
+    expect(row.interval_count).toBe(7);
+    expect(row.sum_interval).toBe(57600 + 6 * 7200);
+    expect(row.max_interval).toBe(57600);
+    expect(row.slow_blocks).toBe(7); // every gap is far past 600s
+  });
+
   it('is a no-op when there are no new blocks', async () => {
     const chain = makeChain(19);
     const t = createHistoryTracker({ db, network: 'mainnet', sendRpc: chain.sendRpc, days: 30, nowFn });
@@ -387,3 +421,130 @@ describe('offline node resilience', () => {
     await new Promise((r) => db.close(r));
   });
 });
+
+describe('batch header transport', () => {
+  let db;
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await initHistoryTables(db);
+  });
+  afterEach(() => new Promise((r) => db.close(r)));
+
+  // Batch wrapper over makeChain: one call per JSON-RPC array, per-entry results.
+  function batchedChain(tip) {
+    const chain = makeChain(tip);
+    const batches = [];
+    const sendRpcBatch = async (calls) => {
+      batches.push(calls.map((c) => c.method));
+      return Promise.all(calls.map(async (c) => {
+        const result = await chain.sendRpc(c.method, c.params);
+        return result == null ? { result: null, error: 'not found' } : { result, error: null };
+      }));
+    };
+    const sendRpc = async (method, params) => {
+      if (method !== 'getblockchaininfo') throw new Error(`unexpected single call ${method}`);
+      return chain.sendRpc(method, params);
+    };
+    return { batches, sendRpc, sendRpcBatch };
+  }
+
+  it('walks headers through the batch transport and folds identical rows', async () => {
+    const { batches, sendRpc, sendRpcBatch } = batchedChain(19);
+    const t = createHistoryTracker({ db, network: 'mainnet', sendRpc, sendRpcBatch, days: 30, nowFn });
+    await t.backfill();
+
+    // 20 heights fit in one chunk: one getblockhash batch + one getblockheader batch.
+    expect(batches).toHaveLength(2);
+    expect(batches[0].every((m) => m === 'getblockhash')).toBe(true);
+    expect(batches[1].every((m) => m === 'getblockheader')).toBe(true);
+
+    const row = await dbGet(db, 'SELECT * FROM daily_algo_stats WHERE network=? AND day=? AND algo=?', ['mainnet', '2026-07-04', 'SHA256D']);
+    expect(row.block_count).toBe(5);
+    expect(row.sum_difficulty).toBe(25);
+  });
+
+  it('drops entries whose batch result is an error', async () => {
+    const { sendRpc, sendRpcBatch } = batchedChain(19);
+    const t = createHistoryTracker({ db, network: 'mainnet', sendRpc, sendRpcBatch, days: 30, nowFn });
+    const headers = await t.fetchHeadersRange(15, 25); // 20..25 are beyond the tip
+    expect(headers.map((h) => h.height)).toEqual([15, 16, 17, 18, 19]);
+  });
+
+  it('asks again for the heights whose batch entries failed', async () => {
+    const { batches, sendRpc, sendRpcBatch } = batchedChain(19);
+    // As the batch transport reports it: a failed request errors every entry,
+    // a node error only its own entry
+    let requestFailures = 1;
+    let headerFailures = 1;
+    const flaky = async (calls) => {
+      if (requestFailures-- > 0) return calls.map(() => ({ result: null, error: 'socket hang up' }));
+      const results = await sendRpcBatch(calls);
+      if (calls[0].method === 'getblockheader' && headerFailures-- > 0) {
+        results[3] = { result: null, error: 'Mainnet RPC Error: {"code":-28,"message":"Loading block index..."}' };
+      }
+      return results;
+    };
+    const t = createHistoryTracker({ db, network: 'mainnet', sendRpc, sendRpcBatch: flaky, days: 30, nowFn });
+    expect(await t.backfill()).toBe(true);
+    // hashes + headers, then the one failed header again (hash, header)
+    expect(batches.map((b) => b.length)).toEqual([20, 20, 1, 1]);
+    const meta = await dbGet(db, 'SELECT * FROM history_meta WHERE network=?', ['mainnet']);
+    expect(meta.backfill_low_height).toBe(0);
+    const row = await dbGet(db, 'SELECT * FROM daily_algo_stats WHERE network=? AND day=? AND algo=?', ['mainnet', '2026-07-04', 'SHA256D']);
+    expect(row.block_count).toBe(5);
+  });
+
+  it('stops the deep walk before the low-water mark passes a chunk that keeps failing', async () => {
+    const { sendRpc, sendRpcBatch } = batchedChain(19);
+    const down = async (calls) => calls.map(() => ({ result: null, error: 'connect ECONNREFUSED 127.0.0.1:14044' }));
+    const t = createHistoryTracker({ db, network: 'mainnet', sendRpc, sendRpcBatch: down, days: 30, nowFn });
+    expect(await t.backfill()).toBe(false);
+    let meta = await dbGet(db, 'SELECT * FROM history_meta WHERE network=?', ['mainnet']);
+    expect(meta.backfill_low_height).toBe(20);
+    expect(await dbAll(db, 'SELECT * FROM daily_algo_stats')).toHaveLength(0);
+
+    // Node back: the next run walks the chunk it stopped at
+    const resumed = createHistoryTracker({ db, network: 'mainnet', sendRpc, sendRpcBatch, days: 30, nowFn });
+    expect(await resumed.backfill()).toBe(true);
+    meta = await dbGet(db, 'SELECT * FROM history_meta WHERE network=?', ['mainnet']);
+    expect(meta.backfill_low_height).toBe(0);
+    const row = await dbGet(db, 'SELECT * FROM daily_algo_stats WHERE network=? AND day=? AND algo=?', ['mainnet', '2026-07-04', 'SHA256D']);
+    expect(row.block_count).toBe(5);
+  });
+});
+
+describe('on-demand block spacing (regtest)', () => {
+  let db;
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await initHistoryTables(db);
+  });
+  afterEach(() => new Promise((r) => db.close(r)));
+
+  // 1000 blocks mined in one burst a minute ago (generatetoaddress 1000)
+  const burst = async (method, params) => {
+    if (method === 'getblockchaininfo') return { blocks: 999 };
+    if (method === 'getblockhash') return `h${params[0]}`;
+    if (method === 'getblockheader') return { time: NOW_SEC - 60, difficulty: 1, pow_algo: 'sha256d' };
+    return null;
+  };
+  const hourCount = async () =>
+    (await dbGet(db, 'SELECT block_count FROM hourly_algo_stats WHERE network=?', ['regtest'])).block_count;
+
+  it('sizes windows by the 15s spacing by default, missing part of a burst', async () => {
+    const t = createHistoryTracker({ db, network: 'regtest', sendRpc: burst, days: 30, nowFn });
+    await t.refreshHourlyTo(999, 2);
+    expect(await hourCount()).toBe(721); // tip plus 3 × 240 blocks below it
+  });
+
+  it('walks from genesis when blocksPerDay is null', async () => {
+    const t = createHistoryTracker({ db, network: 'regtest', sendRpc: burst, blocksPerDay: null, days: 30, nowFn });
+    await t.refreshHourlyTo(999, 2);
+    expect(await hourCount()).toBe(1000);
+
+    await t.backfill();
+    const day = await dbGet(db, 'SELECT block_count FROM daily_algo_stats WHERE network=?', ['regtest']);
+    expect(day.block_count).toBe(1000);
+    expect((await t.getMeta()).backfill_low_height).toBe(0);
+  });
+});
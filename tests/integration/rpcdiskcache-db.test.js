@@ -0,0 +1,82 @@
+// RPC disk cache tier against an in-memory sqlite: round-trips, batched
+// lookups, size accounting and least-recently-read eviction.
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import sqlite3 from 'sqlite3';
+import { createRpcDiskCache } from '../../rpcdiskcache.js';
+
+const dbAll = (db, sql, p = []) => new Promise((res, rej) => db.all(sql, p, (e, r) => (e ? rej(e) : res(r))));
+
+describe('createRpcDiskCache', () => {
+  let db;
+  let now;
+  const open = (opts = {}) => createRpcDiskCache({ db, nowFn: () => now, ...opts });
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    now = 1000;
+  });
+  afterEach(() => new Promise((r) => db.close(r)));
+
+  it('stores JSON values and reads them back', async () => {
+    const cache = open();
+    const block = { hash: 'aa', height: 5, tx: [{ txid: 't1' }] };
+    await cache.set('rpc:getblock:1', block);
+
+    expect(await cache.get('rpc:getblock:1')).toEqual(block);
+    expect(await cache.get('rpc:getblock:missing')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, writes: 1 });
+  });
+
+  it('looks up many keys at once and returns only the hits', async () => {
+    const cache = open();
+    await cache.set('a', 'hash-a');
+    await cache.set('c', 'hash-c');
+
+    const found = await cache.getMany(['a', 'b', 'c']);
+    expect([...found.entries()]).toEqual(expect.arrayContaining([['a', 'hash-a'], ['c', 'hash-c']]));
+    expect(found.has('b')).toBe(false);
+  });
+
+  it('tracks stored bytes across replacements and restarts', async () => {
+    const cache = open();
+    await cache.set('k', 'x'.repeat(10));
+    await cache.set('k', 'x'.repeat(20));
+    expect(cache.getStats().bytes).toBe(22); // JSON string quotes included
+
+    const reopened = open();
+    await reopened.ready;
+    expect(reopened.getStats().bytes).toBe(22);
+  });
+
+  it('counts a key written twice at once only once', async () => {
+    const cache = open();
+    await Promise.all([cache.set('k', 'x'.repeat(10)), cache.set('k', 'x'.repeat(10)), cache.set('k', 'x'.repeat(20))]);
+    expect(cache.getStats()).toMatchObject({ bytes: 22, writes: 3 });
+    expect(await cache.get('k')).toBe('x'.repeat(20));
+  });
+
+  it('evicts the least recently read rows once over budget', async () => {
+    const cache = open({ maxBytes: 100 });
+    for (const key of ['old', 'mid', 'new']) {
+      now += 1;
+      await cache.set(key, 'x'.repeat(28)); // 30 bytes each
+    }
+    now += 1;
+    await cache.get('old'); // reading refreshes recency
+    await new Promise((r) => setImmediate(r));
+
+    now += 1;
+    await cache.set('newest', 'x'.repeat(28)); // 120 bytes > 100 → evict to <= 90
+
+    const keys = (await dbAll(db, 'SELECT key FROM rpc_cache')).map((r) => r.key).sort();
+    expect(keys).toEqual(['new', 'newest', 'old']);
+    expect(cache.getStats()).toMatchObject({ bytes: 90, evictions: 1 });
+  });
+
+  it('ignores empty values and values larger than the whole budget', async () => {
+    const cache = open({ maxBytes: 10 });
+    await cache.set('null', null);
+    await cache.set('huge', 'x'.repeat(50));
+    expect(cache.getStats().writes).toBe(0);
+  });
+});
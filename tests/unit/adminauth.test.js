@@ -0,0 +1,43 @@
+// Admin guard: bearer token when DGB_ADMIN_TOKEN is set, else direct
+// localhost connections only (proxied requests refused).
+import { describe, it, expect } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createAdminGuard, isDirectLocalRequest } from '../../adminauth.js';
+
+function app(options) {
+  const server = express();
+  server.post('/reload', createAdminGuard(options), (req, res) => res.json({ success: true }));
+  return server;
+}
+
+describe('createAdminGuard', () => {
+  it('lets direct localhost requests through when no token is set', async () => {
+    await request(app({ token: '' })).post('/reload').expect(200, { success: true });
+  });
+
+  it('refuses requests relayed by a proxy when no token is set', async () => {
+    const res = await request(app({ token: '' })).post('/reload').set('X-Forwarded-For', '203.0.113.7').expect(403);
+    expect(res.body.success).toBe(false);
+    await request(app({ token: '' })).post('/reload').set('Forwarded', 'for=203.0.113.7').expect(403);
+  });
+
+  it('requires the bearer token once one is set, even from localhost', async () => {
+    const server = app({ token: 's3cret' });
+    await request(server).post('/reload').expect(401);
+    await request(server).post('/reload').set('Authorization', 'Bearer wrong').expect(401);
+    await request(server).post('/reload').set('Authorization', 'Bearer s3cret').expect(200);
+    await request(server).post('/reload').set('Authorization', 'Bearer s3cret').set('X-Forwarded-For', '203.0.113.7').expect(200);
+  });
+});
+
+describe('isDirectLocalRequest', () => {
+  const req = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+  it('accepts IPv4 and IPv6 loopback only', () => {
+    expect(isDirectLocalRequest(req('127.0.0.1'))).toBe(true);
+    expect(isDirectLocalRequest(req('::1'))).toBe(true);
+    expect(isDirectLocalRequest(req('::ffff:127.0.0.1'))).toBe(true);
+    expect(isDirectLocalRequest(req('192.168.1.10'))).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+// Algo share balance: per-window shares and deviation from the 20% target,
+// dominant / starved alerts with clear hysteresis, and the service's
+// algoBalance / algoBalanceAlert broadcasts.
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ACTIVE_ALGOS,
+  countBlocks,
+  countDays,
+  buildShareStats,
+  evaluateAlerts,
+  createAlgoBalance,
+} from '../../algobalance.js';
+
+const NOW = 1760000000;
+
+// `perAlgo` blocks spread evenly over the hour before `to`, interleaved
+function hourOfBlocks(perAlgo, to = NOW) {
+  const algos = Object.entries(perAlgo).flatMap(([algo, n]) => Array.from({ length: n }, (_, i) => ({ algo, i, n })));
+  algos.sort((a, b) => a.i / a.n - b.i / b.n);
+  return algos.map((b, i) => ({ height: i + 1, time: to - 3600 + Math.floor((i * 3600) / algos.length), algo: b.algo }));
+}
+
+const hourWindow = (perAlgo, { complete = true } = {}) =>
+  buildShareStats(perAlgo, { seconds: 3600, from: NOW - 3600, to: NOW, complete });
+
+describe('share statistics', () => {
+  it('counts blocks in the window and daily rows', () => {
+    const blocks = [{ time: NOW - 10, algo: 'Odo' }, { time: NOW - 5000, algo: 'Odo' }, { time: NOW - 20, algo: 'Scrypt' }];
+    expect(countBlocks(blocks, NOW - 3600)).toEqual({ Odo: 1, Scrypt: 1 });
+    expect(countDays([
+      { date: '2026-10-18', perAlgo: { Odo: { blocks: 10 }, Qubit: { blocks: 5 } } },
+      { date: '2026-10-19', perAlgo: { Odo: { blocks: 2 } } },
+    ])).toEqual({ Odo: 12, Qubit: 5 });
+  });
+
+  it('reports every balanced algo with its deviation from the target', () => {
+    const stats = hourWindow({ Odo: 50, Scrypt: 30, SHA256D: 20, 'Myriad-Groestl': 0 });
+    expect(Object.keys(stats.algos)).toEqual(['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo', 'Myriad-Groestl']);
+    expect(stats.totalBlocks).toBe(100);
+    expect(stats.algos.Odo).toEqual({ blocks: 50, share: 0.5, deviation: expect.closeTo(0.3, 10) });
+    expect(stats.algos.Skein).toEqual({ blocks: 0, share: 0, deviation: -0.2 });
+    expect(stats.algos['Myriad-Groestl'].deviation).toBeNull();
+    expect(hourWindow({}).algos.Odo.share).toBeNull();
+  });
+});
+
+describe('evaluateAlerts', () => {
+  const balanced = { SHA256D: 48, Scrypt: 48, Skein: 48, Qubit: 48, Odo: 48 };
+
+  it('raises dominant and starved alerts from a complete hour', () => {
+    const window = hourWindow({ ...balanced, Odo: 100, Skein: 4 });
+    const { alerts, raised } = evaluateAlerts(window, [], { now: NOW });
+    expect(raised.map((a) => [a.algo, a.kind])).toEqual([['Skein', 'starved'], ['Odo', 'dominant']]);
+    expect(alerts.find((a) => a.algo === 'Odo')).toMatchObject({
+      window: '1h', target: 0.2, threshold: 0.35, startedAt: NOW, endedAt: null,
+    });
+  });
+
+  it('holds alerts until the share is back past the clear margin', () => {
+    const { alerts } = evaluateAlerts(hourWindow({ ...balanced, Odo: 120 }), [], { now: NOW });
+    expect(alerts[0].share).toBeCloseTo(120 / 312, 10);
+
+    // 34%: below the threshold but within the 2% margin
+    const held = evaluateAlerts(hourWindow({ ...balanced, Odo: 99 }), alerts, { now: NOW + 60 });
+    expect(held.cleared).toEqual([]);
+    expect(held.alerts[0]).toMatchObject({ startedAt: NOW, updatedAt: NOW + 60, peakShare: 120 / 312 });
+
+    const recovered = evaluateAlerts(hourWindow(balanced), held.alerts, { now: NOW + 120 });
+    expect(recovered.alerts).toEqual([]);
+    expect(recovered.cleared[0]).toMatchObject({ algo: 'Odo', share: 0.2, endedAt: NOW + 120 });
+  });
+
+  it('ignores incomplete or thin windows', () => {
+    expect(evaluateAlerts(hourWindow({ Odo: 100 }, { complete: false }), [], { now: NOW }).raised).toEqual([]);
+    expect(evaluateAlerts(hourWindow({ Odo: 30 }), [], { now: NOW }).raised).toEqual([]);
+  });
+});
+
+describe('createAlgoBalance', () => {
+  const mainnet = { key: 'mainnet', slug: 'mainnet', blocksPerDay: 5760 };
+  const daily = (days) => ({
+    data: Array.from({ length: days + 1 }, (_, i) => ({
+      date: new Date((NOW - (days - i) * 86400) * 1000).toISOString().slice(0, 10),
+      partial: i === days,
+      perAlgo: Object.fromEntries(ACTIVE_ALGOS.map((algo) => [algo, { blocks: 1152 }])),
+    })),
+  });
+
+  it('broadcasts snapshots with block and daily windows, and alert changes', async () => {
+    const broadcast = vi.fn();
+    let blocks = hourOfBlocks({ SHA256D: 40, Scrypt: 40, Skein: 40, Qubit: 40, Odo: 120 });
+    const service = createAlgoBalance({
+      network: mainnet,
+      getBlocks: () => blocks,
+      getDaily: async (days) => daily(days),
+      broadcast,
+      nowFn: () => NOW * 1000,
+    });
+
+    const snapshot = await service.refresh();
+    expect(Object.keys(snapshot.windows)).toEqual(['1h', '6h', '24h', '7d', '30d']);
+    expect(snapshot.windows['1h']).toMatchObject({ complete: true, totalBlocks: 280 });
+    expect(snapshot.windows['6h'].complete).toBe(false);
+    expect(snapshot.windows['7d']).toMatchObject({ complete: true, totalBlocks: 7 * 5760 });
+    expect(snapshot.alerts.map((a) => a.algo)).toEqual(['Odo']);
+    expect(broadcast.mock.calls.map(([m]) => m.type)).toEqual(['algoBalanceAlert', 'algoBalance']);
+    expect(broadcast.mock.calls[0][0].data).toMatchObject({ network: 'mainnet', algo: 'Odo', kind: 'dominant' });
+    expect(service.getMessages()).toEqual([{ type: 'algoBalance', data: snapshot }]);
+
+    blocks = hourOfBlocks({ SHA256D: 56, Scrypt: 56, Skein: 56, Qubit: 56, Odo: 56 });
+    broadcast.mockClear();
+    await service.refresh();
+    expect(service.getSnapshot().alerts).toEqual([]);
+    expect(broadcast.mock.calls[0][0]).toMatchObject({ type: 'algoBalanceAlert', data: { algo: 'Odo', endedAt: NOW } });
+  });
+
+  it('never alerts without a fixed block spacing', async () => {
+    const broadcast = vi.fn();
+    const service = createAlgoBalance({
+      network: { key: 'regtest', slug: 'regtest', blocksPerDay: null },
+      getBlocks: () => hourOfBlocks({ Scrypt: 100 }),
+      broadcast,
+      nowFn: () => NOW * 1000,
+    });
+
+    const snapshot = await service.refresh();
+    expect(snapshot.windows['1h'].algos.Scrypt.share).toBe(1);
+    expect(snapshot.windows['7d']).toBeUndefined();
+    expect(snapshot.alerts).toEqual([]);
+    expect(broadcast).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the last snapshot when history cannot be read', async () => {
+    const logger = { error: vi.fn() };
+    let fail = false;
+    const service = createAlgoBalance({
+      network: mainnet,
+      getBlocks: () => [],
+      getDaily: async (days) => { if (fail) throw new Error('SQLITE_BUSY'); return daily(days); },
+      broadcast: vi.fn(),
+      nowFn: () => NOW * 1000,
+      logger,
+    });
+
+    const first = await service.refresh();
+    fail = true;
+    expect(await service.refresh()).toBe(first);
+    expect(logger.error).toHaveBeenCalledWith('Error computing mainnet algo balance:', 'SQLITE_BUSY');
+  });
+});
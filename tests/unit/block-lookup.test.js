@@ -0,0 +1,225 @@
+// Block / transaction lookup routes: normalized block shape, height and hash
+// lookups on every network, and the txindex-aware transaction fallbacks.
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+
+vi.mock('axios');
+
+const BLOCK_HASH = 'b'.repeat(64);
+const TXID = 'c'.repeat(64);
+const MEMPOOL_TXID = 'd'.repeat(64);
+const WALLET_TXID = 'e'.repeat(64);
+const NEXT_HASH = '1'.repeat(64);
+
+const coinbase = {
+  txid: 'f'.repeat(64),
+  hash: 'f'.repeat(64),
+  vin: [{ coinbase: '03a08601' + Buffer.from('/DigiHash/').toString('hex'), sequence: 4294967295 }],
+  vout: [{ n: 0, value: 277.5, scriptPubKey: { address: 'dgb1qminer', type: 'witness_v0_keyhash' } }],
+};
+const spend = {
+  txid: TXID,
+  hash: '9'.repeat(64),
+  version: 2,
+  size: 222,
+  vsize: 141,
+  weight: 561,
+  locktime: 0,
+  fee: 0.0001,
+  vin: [{ txid: 'a'.repeat(64), vout: 1, sequence: 4294967293 }],
+  vout: [
+    { n: 0, value: 1.5, scriptPubKey: { address: 'dgb1qdest', type: 'witness_v0_keyhash' } },
+    { n: 1, value: 0.25, scriptPubKey: { address: 'dgb1qchange', type: 'witness_v0_keyhash' } },
+  ],
+};
+const block = {
+  hash: BLOCK_HASH,
+  height: 20000000,
+  version: 0x20000004,
+  pow_algo: 'sha256d',
+  nTx: 2,
+  difficulty: 1234.5,
+  time: 1760000000,
+  confirmations: 3,
+  previousblockhash: 'a'.repeat(64),
+  tx: [coinbase, spend],
+};
+
+function reply(body, result, error = null) {
+  return Promise.resolve({ data: { result, error, id: body.id } });
+}
+
+describe('block and transaction lookup routes', () => {
+  let app;
+  let rpcModule;
+  let txindex;
+  let tip;
+  let activeHash;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete require.cache[require.resolve('../../rpc.js')];
+    txindex = false;
+    tip = block.height + 2;
+    activeHash = BLOCK_HASH;
+
+    axios.post = vi.fn((url, body) => {
+      const [first] = body.params;
+      switch (body.method) {
+        case 'getblockcount':
+          return reply(body, tip);
+        case 'getblockhash':
+          if (first === block.height) return reply(body, activeHash);
+          if (first > block.height && first <= tip) return reply(body, first === block.height + 1 ? NEXT_HASH : '2'.repeat(64));
+          return reply(body, null, { code: -8, message: 'Block height out of range' });
+        case 'getblock':
+          return first === BLOCK_HASH
+            ? reply(body, { ...block, network: url })
+            : reply(body, null, { code: -5, message: 'Block not found' });
+        case 'getblockheader':
+          return reply(body, { hash: first, height: block.height, time: block.time });
+        case 'getrawtransaction':
+          if (first === MEMPOOL_TXID) return reply(body, { ...spend, txid: MEMPOOL_TXID });
+          if (first === TXID && (txindex || body.params[2] === BLOCK_HASH)) {
+            return reply(body, { ...spend, blockhash: BLOCK_HASH, confirmations: 3, blocktime: block.time });
+          }
+          return reply(body, null, { code: -5, message: 'No such mempool or blockchain transaction' });
+        case 'gettransaction':
+          return first === WALLET_TXID
+            ? reply(body, { txid: WALLET_TXID, hex: '0200', blockhash: BLOCK_HASH, confirmations: 3, blocktime: block.time })
+            : reply(body, null, { code: -5, message: 'Invalid or non-wallet transaction id' });
+        case 'decoderawtransaction':
+          return reply(body, { ...spend, txid: WALLET_TXID });
+        case 'getindexinfo':
+          return reply(body, txindex ? { txindex: { synced: true, best_block_height: 1 } } : {});
+        default:
+          return reply(body, null, { code: -32601, message: 'Method not found' });
+      }
+    });
+
+    rpcModule = require('../../rpc.js');
+    rpcModule.rpcCache.flushAll();
+
+    app = express();
+    app.use('/api', rpcModule.router);
+  });
+
+  test('looks up a mainnet block by height with the block pipeline fields', async () => {
+    const res = await request(app).get(`/api/block/${block.height}`).expect(200);
+
+    expect(res.body).toMatchObject({
+      network: 'mainnet',
+      height: block.height,
+      hash: BLOCK_HASH,
+      algo: 'SHA256D',
+      txCount: 2,
+      poolIdentifier: 'DigiHash',
+      pool: 'DigiHash',
+      minerAddress: 'dgb1qminer',
+      taprootSignaling: true,
+      digidollarSignaling: false,
+      hasOracleBundle: false,
+      confirmations: 3,
+      previousblockhash: 'a'.repeat(64),
+      nextblockhash: NEXT_HASH,
+    });
+    // The fixture's height push (100000) disagrees with the block
+    expect(res.body.coinbase).toMatchObject({
+      scriptSig: { tags: ['/DigiHash/'] },
+      bip34: { height: 100000, matches: false },
+      witnessCommitment: null,
+      value: { total: 277.5, payout: 277.5 },
+    });
+    expect(res.body.transactions).toHaveLength(2);
+    expect(res.body.transactions[0]).toMatchObject({ coinbase: true, fee: null, blockHeight: block.height });
+    expect(res.body.transactions[1]).toMatchObject({
+      txid: TXID,
+      wtxid: '9'.repeat(64),
+      coinbase: false,
+      vsize: 141,
+      fee: 0.0001,
+      totalValue: 1.75,
+      blockhash: BLOCK_HASH,
+      outputs: [
+        { n: 0, value: 1.5, address: 'dgb1qdest', type: 'witness_v0_keyhash' },
+        { n: 1, value: 0.25, address: 'dgb1qchange', type: 'witness_v0_keyhash' },
+      ],
+    });
+  });
+
+  test('serves every network under its own prefix', async () => {
+    const res = await request(app).get(`/api/testnet/block/${BLOCK_HASH.toUpperCase()}`).expect(200);
+    expect(res.body.network).toBe('testnet');
+    const blockCall = axios.post.mock.calls.find(([, body]) => body.method === 'getblock');
+    expect(blockCall[0]).toBe('http://127.0.0.1:14026');
+    expect(blockCall[1].params).toEqual([BLOCK_HASH, 2]);
+
+    await request(app).get(`/api/regtest/block/${block.height}`).expect(200);
+  });
+
+  test('counts confirmations from the current tip, not the cached block', async () => {
+    // getblock is cached after the first lookup; the tip keeps moving
+    await request(app).get(`/api/block/${BLOCK_HASH}`).expect(200);
+    tip += 5;
+    rpcModule.notifyNewTip('mainnet', { height: tip, hash: 'tip' });
+    const later = await request(app).get(`/api/block/${BLOCK_HASH}`).expect(200);
+    expect(later.body).toMatchObject({ confirmations: 8, nextblockhash: NEXT_HASH });
+    expect(axios.post.mock.calls.filter(([, body]) => body.method === 'getblock')).toHaveLength(1);
+
+    // Reorged out: another block is active at its height
+    activeHash = '3'.repeat(64);
+    rpcModule.notifyNewTip('mainnet', { height: tip, hash: 'othertip' });
+    const orphaned = await request(app).get(`/api/block/${BLOCK_HASH}`).expect(200);
+    expect(orphaned.body).toMatchObject({ confirmations: -1, nextblockhash: null });
+
+    txindex = true;
+    const tx = await request(app).get(`/api/tx/${TXID}`).expect(200);
+    expect(tx.body.confirmations).toBe(-1);
+  });
+
+  test('answers 400 for malformed ids and 404 for unknown blocks', async () => {
+    const bad = await request(app).get('/api/block/notahash').expect(400);
+    expect(bad.body.error).toBe('Invalid block identifier');
+
+    const height = await request(app).get('/api/block/999999999').expect(404);
+    expect(height.body).toEqual({ error: 'Block not found', details: 'Block height out of range' });
+    await request(app).get(`/api/block/${'0'.repeat(64)}`).expect(404);
+    await request(app).get('/api/tx/xyz').expect(400);
+  });
+
+  test('finds mempool transactions and confirmed ones through txindex', async () => {
+    const mempool = await request(app).get(`/api/tx/${MEMPOOL_TXID}`).expect(200);
+    expect(mempool.body).toMatchObject({ txid: MEMPOOL_TXID, source: 'mempool', confirmations: 0, blockhash: null });
+
+    txindex = true;
+    const confirmed = await request(app).get(`/api/testnet/tx/${TXID}`).expect(200);
+    expect(confirmed.body).toMatchObject({
+      network: 'testnet',
+      txid: TXID,
+      source: 'txindex',
+      blockhash: BLOCK_HASH,
+      blockHeight: block.height,
+      confirmations: 3,
+      fee: 0.0001,
+    });
+  });
+
+  test('says when a lookup needs txindex and uses the fallbacks without it', async () => {
+    const missing = await request(app).get(`/api/tx/${TXID}`).expect(404);
+    expect(missing.body).toMatchObject({ error: 'Transaction not found', txindex: false, txindexRequired: true });
+    expect(missing.body.details).toContain('txindex=1');
+
+    const inBlock = await request(app).get(`/api/tx/${TXID}?blockhash=${BLOCK_HASH}`).expect(200);
+    expect(inBlock.body).toMatchObject({ source: 'block', blockHeight: block.height });
+
+    const wallet = await request(app).get(`/api/tx/${WALLET_TXID}`).expect(200);
+    expect(wallet.body).toMatchObject({ txid: WALLET_TXID, source: 'wallet', blockhash: BLOCK_HASH, confirmations: 3 });
+  });
+
+  test('reports a missing transaction on a txindex node as not found', async () => {
+    txindex = true;
+    const res = await request(app).get(`/api/tx/${'0'.repeat(64)}`).expect(404);
+    expect(res.body).toMatchObject({ txindex: true, txindexRequired: false });
+  });
+});
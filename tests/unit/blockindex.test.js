@@ -0,0 +1,77 @@
+// Block index pure helpers: backfill gap detection, /api/blocks and
+// /api/miners query validation and the row <-> recentBlocks entry mapping.
+import { describe, it, expect } from 'vitest';
+import { computeIndexGaps, parseBlockQuery, parseMinerQuery, rowFromBlock, blockFromRow, MAX_PAGE_SIZE } from '../../blockindex.js';
+
+describe('computeIndexGaps', () => {
+  it('walks the whole window when nothing is indexed yet', () => {
+    expect(computeIndexGaps({ tip: 1000, depth: 100, indexed: [] })).toEqual([{ start: 901, end: 1000 }]);
+    expect(computeIndexGaps({ tip: 5, depth: 100, indexed: [] })).toEqual([{ start: 0, end: 5 }]);
+  });
+
+  it('reports every hole newest first, including below tip-side ingest rows', () => {
+    // recent blocks ingested at the tip, an older backfill that stopped early
+    const indexed = [905, 906, 907, 990, 991, 992, 993, 994, 995, 996, 997, 998, 999, 1000];
+    expect(computeIndexGaps({ tip: 1000, depth: 100, indexed })).toEqual([
+      { start: 908, end: 989 },
+      { start: 901, end: 904 },
+    ]);
+  });
+
+  it('walks to genesis without a depth and skips a covered window', () => {
+    expect(computeIndexGaps({ tip: 3, depth: null, indexed: [2] })).toEqual([{ start: 3, end: 3 }, { start: 0, end: 1 }]);
+    expect(computeIndexGaps({ tip: 2, depth: null, indexed: [0, 1, 2, 3] })).toEqual([]);
+  });
+});
+
+describe('parseBlockQuery', () => {
+  it('normalizes algo names and parses times, cursor and limit', () => {
+    const { filters } = parseBlockQuery({ algo: 'odo', pool: 'DigiHash', from: '2025-10-12', to: '1760300000', cursor: '123', limit: '10' });
+    expect(filters).toEqual({ algo: 'Odo', pool: 'DigiHash', from: 1760227200, to: 1760300000, cursor: 123, limit: 10 });
+    expect(parseBlockQuery({ algo: 'MYRIAD-GROESTL' }).filters.algo).toBe('Myriad-Groestl');
+    expect(parseBlockQuery({ limit: '100000' }).filters.limit).toBe(MAX_PAGE_SIZE);
+    expect(parseBlockQuery({}).filters).toMatchObject({ algo: null, cursor: null, limit: 50 });
+  });
+
+  it('rejects unknown algos and malformed values', () => {
+    expect(parseBlockQuery({ algo: 'x11' }).error).toContain('algo must be one of');
+    expect(parseBlockQuery({ from: 'yesterday' }).error).toContain('from must be');
+    expect(parseBlockQuery({ cursor: 'abc' }).error).toContain('cursor');
+    expect(parseBlockQuery({ limit: '0' }).error).toContain('limit');
+  });
+});
+
+describe('parseMinerQuery', () => {
+  const NOW = 1760000000;
+
+  it('turns the window into a start time and validates the page', () => {
+    expect(parseMinerQuery({}, NOW).filters).toEqual({ window: '7d', since: NOW - 7 * 86400, algo: null, cursor: null, limit: 50 });
+    expect(parseMinerQuery({ window: '24h', algo: 'sha256d', cursor: '50', limit: '25' }, NOW).filters).toEqual({
+      window: '24h', since: NOW - 86400, algo: 'SHA256D', cursor: 50, limit: 25,
+    });
+    expect(parseMinerQuery({ window: 'all' }, NOW).filters.since).toBeNull();
+    expect(parseMinerQuery({ window: '1y' }).error).toContain('window must be one of: 24h, 7d, 30d, all');
+    expect(parseMinerQuery({ window: 'toString' }).error).toContain('window');
+    expect(parseMinerQuery({ cursor: '-1' }).error).toContain('cursor');
+  });
+});
+
+describe('row mapping', () => {
+  it('round-trips a recentBlocks entry', () => {
+    const block = {
+      height: 7, hash: 'h7', algo: 'Odo', txCount: 3, difficulty: 12.5, timestamp: 1760000000,
+      minedTo: 'dgb1qminer', minerAddress: 'dgb1qminer', poolIdentifier: 'digihash.co', pool: 'DigiHash',
+      taprootSignaling: true, digidollarSignaling: false, algolockSignaling: false, versionRolled: true,
+      hasOracleBundle: true, oracleSignerCount: 5, oraclePriceUsd: 0.012, oracleEpoch: 42, version: 536870916,
+      coinbaseValue: 277.37412345,
+    };
+    const columns = ['network', 'height', 'hash', 'algo', 'pool', 'pool_name', 'miner_address', 'tx_count', 'difficulty', 'time', 'version',
+      'taproot_signaling', 'digidollar_signaling', 'algolock_signaling', 'version_rolled',
+      'has_oracle_bundle', 'oracle_signer_count', 'oracle_price_usd', 'oracle_epoch', 'coinbase_value'];
+    const values = rowFromBlock('mainnet', block);
+    const row = Object.fromEntries(columns.map((c, i) => [c, values[i]]));
+
+    expect(row).toMatchObject({ network: 'mainnet', pool: 'digihash.co', pool_name: 'DigiHash', taproot_signaling: 1, has_oracle_bundle: 1 });
+    expect(blockFromRow(row)).toEqual(block);
+  });
+});
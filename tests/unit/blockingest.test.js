@@ -0,0 +1,170 @@
+// Block ingest pipeline: dedupe by hash across sources, ordered typed
+// events, raw blocks parsed without RPC and reorgs walked back to the fork.
+import { describe, it, expect, vi } from 'vitest';
+import { createBlockIngest } from '../../blockingest.js';
+
+const network = { key: 'mainnet', label: 'Mainnet' };
+const formatBlock = (block) => ({ height: block.height, hash: block.hash });
+const quiet = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const block = (height, hash, txids = [], previousblockhash = undefined) => ({
+  height,
+  hash,
+  previousblockhash,
+  tx: [{ txid: `cb-${hash}`, vin: [{ coinbase: '00' }], vout: [] }, ...txids.map((txid) => ({ txid, vin: [], vout: [] }))],
+});
+
+// Header (version 0x20000002: scrypt) + one coinbase pushing height 300
+const RAW_BLOCK = '02000020' + 'aa'.repeat(32) + 'bb'.repeat(32) + '00e1f568' + 'ffff001d' + '01000000'
+  + '01' + '01000000' + '01' + '00'.repeat(32) + 'ffffffff' + '03022c01' + 'ffffffff'
+  + '01' + '00f2052a01000000' + '01' + '51' + '00000000';
+
+function setup(blocks = {}) {
+  const sendRpc = vi.fn(async (method, [hash]) => blocks[hash] || null);
+  const ingest = createBlockIngest({ network, sendRpc, formatBlock, logger: quiet });
+  const events = [];
+  ingest.on('block:connected', ({ summary, source }) => events.push(['connected', summary.height, source]));
+  ingest.on('tx:confirmed', ({ transactions }) => events.push(['confirmed', transactions.map((tx) => tx.txid)]));
+  ingest.on('block:disconnected', ({ blocks: gone, forkHeight, replacedBy }) => events.push(['disconnected', gone, forkHeight, replacedBy]));
+  return { ingest, sendRpc, events };
+}
+
+describe('createBlockIngest', () => {
+  it('processes each block once whichever source delivers it', async () => {
+    const { ingest, sendRpc, events } = setup({ b1: block(1, 'b1', ['t1']) });
+
+    const [first, second] = await Promise.all([ingest.ingestHash('b1', 'blocknotify'), ingest.ingestHash('b1', 'poll')]);
+    expect(first).toEqual({ height: 1, hash: 'b1' });
+    expect(second).toBeNull();
+    expect(await ingest.ingestBlock(block(1, 'b1', ['t1']), 'zmq')).toBeNull();
+
+    expect(sendRpc).toHaveBeenCalledTimes(1);
+    expect(events).toEqual([['connected', 1, 'blocknotify'], ['confirmed', ['t1']]]);
+    expect(ingest.getTip()).toEqual({ hash: 'b1', height: 1 });
+  });
+
+  it('parses raw blocks in-process and falls back to getblock by header hash', async () => {
+    const { ingest, sendRpc, events } = setup();
+    const summary = await ingest.ingestRaw(Buffer.from(RAW_BLOCK, 'hex'), 'zmq');
+    expect(summary.height).toBe(300);
+    expect(sendRpc).not.toHaveBeenCalled();
+    // coinbase only: no tx:confirmed
+    expect(events).toEqual([['connected', 300, 'zmq']]);
+
+    // the same header again is a duplicate; an unparseable payload (another
+    // header plus junk) is fetched by its header hash
+    expect(await ingest.ingestRaw(Buffer.from(`${RAW_BLOCK.slice(0, 160)}ff`, 'hex'), 'zmq')).toBeNull();
+    expect(sendRpc).not.toHaveBeenCalled();
+    await ingest.ingestRaw(Buffer.from(`${RAW_BLOCK.slice(0, 152)}02000000ff`, 'hex'), 'zmq');
+    expect(sendRpc).toHaveBeenCalledWith('getblock', [expect.not.stringMatching(summary.hash), 2]);
+  });
+
+  it('walks a reorg back to the fork point and connects the new branch oldest first', async () => {
+    const { ingest, sendRpc, events } = setup({
+      b10: block(10, 'b10', [], 'a9'),
+      b11: block(11, 'b11', ['t1'], 'b10'),
+    });
+    ingest.markSeen([{ hash: 'a9', height: 9 }]);
+    await ingest.ingestBlock(block(10, 'a10', ['t1'], 'a9'), 'zmq');
+    await ingest.ingestBlock(block(11, 'a11', [], 'a10'), 'zmq');
+    events.length = 0;
+
+    await ingest.ingestBlock(block(12, 'b12', [], 'b11'), 'blocknotify');
+    expect(events).toEqual([
+      ['disconnected', [{ hash: 'a11', height: 11, txids: [] }, { hash: 'a10', height: 10, txids: ['t1'] }], 9, 'b12'],
+      ['connected', 10, 'blocknotify'],
+      ['connected', 11, 'blocknotify'],
+      ['confirmed', ['t1']],
+      ['connected', 12, 'blocknotify'],
+    ]);
+    expect(sendRpc.mock.calls.map(([method, [hash]]) => `${method} ${hash}`))
+      .toEqual(['getblockheader b11', 'getblockheader b10', 'getblock b10', 'getblock b11']);
+    expect(ingest.getTip()).toEqual({ hash: 'b12', height: 12 });
+    expect(ingest.has('a11')).toBe(false);
+    // marked-seen blocks are never re-emitted
+    expect(await ingest.ingestBlock(block(9, 'a9'), 'poll')).toBeNull();
+  });
+
+  it('fetches and connects the blocks missing between the tip and a new block', async () => {
+    const { ingest, sendRpc, events } = setup({
+      a11: block(11, 'a11', ['t1'], 'a10'),
+      a12: block(12, 'a12', [], 'a11'),
+    });
+    await ingest.ingestBlock(block(10, 'a10', [], 'a9'), 'zmq');
+    events.length = 0;
+
+    // 11 and 12 were never delivered
+    await ingest.ingestBlock(block(13, 'a13', ['t3'], 'a12'), 'zmq');
+    expect(events).toEqual([
+      ['connected', 11, 'zmq'],
+      ['confirmed', ['t1']],
+      ['connected', 12, 'zmq'],
+      ['connected', 13, 'zmq'],
+      ['confirmed', ['t3']],
+    ]);
+    expect(sendRpc.mock.calls.map(([method, [hash]]) => `${method} ${hash}`))
+      .toEqual(['getblockheader a12', 'getblockheader a11', 'getblock a11', 'getblock a12']);
+    expect(ingest.getTip()).toEqual({ hash: 'a13', height: 13 });
+  });
+
+  it('replaces a competing block at the same height without walking back', async () => {
+    const { ingest, sendRpc, events } = setup();
+    await ingest.ingestBlock(block(10, 'a10', ['t1'], 'a9'), 'poll');
+    events.length = 0;
+
+    await ingest.ingestBlock(block(10, 'b10', [], 'a9'), 'poll');
+    expect(events).toEqual([
+      ['disconnected', [{ hash: 'a10', height: 10, txids: ['t1'] }], 9, 'b10'],
+      ['connected', 10, 'poll'],
+    ]);
+    expect(sendRpc).not.toHaveBeenCalled();
+    expect(ingest.getTip()).toEqual({ hash: 'b10', height: 10 });
+  });
+
+  it('refuses to mark a block seen over a different remembered block, so the poll can ingest the reorg', async () => {
+    const { ingest, sendRpc, events } = setup({
+      b10: block(10, 'b10', [], 'a9'),
+      b11: block(11, 'b11', ['t2'], 'b10'),
+    });
+    ingest.markSeen([{ hash: 'a9', height: 9 }]);
+    await ingest.ingestBlock(block(10, 'a10', ['t1'], 'a9'), 'zmq');
+    await ingest.ingestBlock(block(11, 'a11', [], 'a10'), 'zmq');
+    events.length = 0;
+
+    // a refresh that returns the other branch at heights already connected
+    const polled = [{ hash: 'b11', height: 11 }, { hash: 'b10', height: 10 }, { hash: 'a9', height: 9 }, { hash: 'a8', height: 8 }];
+    const replacing = ingest.markSeen(polled);
+    expect(replacing.map(({ hash }) => hash)).toEqual(['b11', 'b10']);
+    expect(ingest.has('b10')).toBe(false);
+    expect(ingest.has('a8')).toBe(true);
+    expect(events).toEqual([]);
+
+    for (const { hash } of [...replacing].sort((a, b) => a.height - b.height)) {
+      await ingest.ingestHash(hash, 'poll');
+    }
+    expect(events).toEqual([
+      ['disconnected', [{ hash: 'a11', height: 11, txids: [] }, { hash: 'a10', height: 10, txids: ['t1'] }], 9, 'b10'],
+      ['connected', 10, 'poll'],
+      ['connected', 11, 'poll'],
+      ['confirmed', ['t2']],
+    ]);
+    expect(sendRpc.mock.calls.map(([method, [hash]]) => `${method} ${hash}`)).toEqual(['getblock b10', 'getblock b11']);
+    expect(ingest.getTip()).toEqual({ hash: 'b11', height: 11 });
+  });
+
+  it('keeps notifying the other subscribers when one throws', async () => {
+    const { ingest, events } = setup();
+    const unsubscribe = ingest.on('block:connected', () => { throw new Error('boom'); });
+    ingest.on('block:connected', () => events.push(['after']));
+
+    await ingest.ingestBlock(block(1, 'b1'), 'poll');
+    expect(events).toEqual([['connected', 1, 'poll'], ['after']]);
+    expect(quiet.error).toHaveBeenCalledWith('Mainnet block:connected subscriber failed:', 'boom');
+
+    unsubscribe();
+    await ingest.ingestBlock(block(2, 'b2'), 'poll');
+    expect(quiet.error).toHaveBeenCalledTimes(1);
+    expect(() => ingest.on('block:mined', () => {})).toThrow(/Unknown block ingest event/);
+    expect(await ingest.ingestBlock({ hash: 'bad' }, 'poll')).toBeNull();
+  });
+});
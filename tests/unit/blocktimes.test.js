@@ -0,0 +1,107 @@
+// Block interval analytics: per-algo intervals across known heights, window
+// percentiles, slow-gap and stalled-algo flags, and header refresh of holes.
+import { describe, it, expect, vi } from 'vitest';
+import {
+  algoTargetSpacing,
+  slowGapThreshold,
+  blockIntervals,
+  percentile,
+  buildWindowStats,
+  createBlockTimes,
+} from '../../blocktimes.js';
+
+const NOW = 1760000000;
+const block = (height, time, algo) => ({ height, time, algo });
+
+describe('blockIntervals', () => {
+  it('measures each block against the previous block of its algo', () => {
+    const out = blockIntervals([
+      block(3, 150, 'Odo'), block(1, 0, 'Odo'), block(2, 40, 'Scrypt'), block(4, 160, 'Scrypt'),
+    ]);
+    expect(out).toEqual([
+      { height: 3, time: 150, algo: 'Odo', interval: 150 },
+      { height: 4, time: 160, algo: 'Scrypt', interval: 120 },
+    ]);
+  });
+
+  it('restarts every algo after a missing height', () => {
+    expect(blockIntervals([block(1, 0, 'Odo'), block(3, 900, 'Odo'), block(4, 960, 'Odo')]))
+      .toEqual([{ height: 4, time: 960, algo: 'Odo', interval: 60 }]);
+  });
+});
+
+describe('window statistics', () => {
+  it('derives the per-algo target and slow threshold from the block spacing', () => {
+    expect(algoTargetSpacing(5760)).toBe(75);
+    expect(slowGapThreshold(5760)).toBe(600);
+    expect(slowGapThreshold(null)).toBeNull();
+  });
+
+  it('uses nearest-rank percentiles', () => {
+    const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    expect(percentile(values, 50)).toBe(50);
+    expect(percentile(values, 90)).toBe(90);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('counts blocks and intervals whose later block falls in the window', () => {
+    const blocks = [block(1, NOW - 4000, 'Odo'), block(2, NOW - 3000, 'Odo'), block(3, NOW - 100, 'Odo')];
+    const stats = buildWindowStats(blocks, blockIntervals(blocks), { seconds: 3600, to: NOW, oldestTime: NOW - 4000 });
+    expect(stats).toMatchObject({ from: NOW - 3600, complete: true });
+    expect(stats.algos.Odo).toEqual({ blocks: 2, intervals: 2, median: 1000, p90: 2900, max: 2900, mean: 1950 });
+  });
+});
+
+describe('createBlockTimes', () => {
+  const mainnet = { key: 'mainnet', slug: 'mainnet', blocksPerDay: 5760 };
+
+  it('flags slow intervals and stalled algos', () => {
+    const service = createBlockTimes({ network: mainnet, sendRpc: vi.fn(), nowFn: () => NOW * 1000 });
+    service.addBlocks([
+      { height: 1, timestamp: NOW - 2000, algo: 'Odo' },
+      { height: 2, timestamp: NOW - 1900, algo: 'Scrypt' },
+      { height: 3, timestamp: NOW - 1000, algo: 'Odo' },
+      { height: 4, timestamp: NOW - 30, algo: 'Scrypt' },
+    ]);
+
+    const stats = service.getStats('1h');
+    expect(Object.keys(stats.windows)).toEqual(['1h']);
+    expect(stats).toMatchObject({ network: 'mainnet', targetSpacing: 75, slowThreshold: 600 });
+    expect(stats.slowGaps).toEqual([
+      { height: 4, time: NOW - 30, algo: 'Scrypt', interval: 1870 },
+      { height: 3, time: NOW - 1000, algo: 'Odo', interval: 1000 },
+    ]);
+    expect(stats.current.Odo).toEqual({ height: 3, time: NOW - 1000, sinceLast: 1000, stalled: true });
+    expect(stats.current.Scrypt.stalled).toBe(false);
+  });
+
+  it('fetches only the heights it does not hold yet', async () => {
+    const sendRpc = vi.fn(async () => 6000);
+    const fetchHeaders = vi.fn(async (from, to) => {
+      const out = [];
+      for (let h = from; h <= to; h++) out.push({ height: h, time: NOW - (6000 - h) * 15, algo: 'SHA256D' });
+      return out;
+    });
+    const service = createBlockTimes({ network: mainnet, sendRpc, fetchHeaders, nowFn: () => NOW * 1000 });
+
+    service.addBlocks([{ height: 5990, timestamp: NOW - 150, algo: 'SHA256D' }]);
+    await service.refresh();
+    expect(fetchHeaders.mock.calls).toEqual([[1, 5989], [5991, 6000]]);
+
+    fetchHeaders.mockClear();
+    await service.refresh();
+    expect(fetchHeaders).not.toHaveBeenCalled();
+    expect(service.getStats().windows['24h'].complete).toBe(true);
+  });
+
+  it('keeps its blocks when the node is unreachable', async () => {
+    const logger = { error: vi.fn() };
+    const sendRpc = vi.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const service = createBlockTimes({ network: mainnet, sendRpc, fetchHeaders: vi.fn(), nowFn: () => NOW * 1000, logger });
+    service.addBlocks([{ height: 1, timestamp: NOW - 10, algo: 'Odo' }]);
+
+    await service.refresh();
+    expect(service.getStats().current.Odo.height).toBe(1);
+    expect(logger.error).toHaveBeenCalledWith('Error refreshing mainnet block times:', 'connect ECONNREFUSED');
+  });
+});
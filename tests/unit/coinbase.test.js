@@ -0,0 +1,72 @@
+// Coinbase decoding: the BIP34 height push, readable tags vs extranonce
+// bytes, and output classification with the value split by kind.
+import { describe, it, expect } from 'vitest';
+import { decodeScriptNum, decodeScriptSig, classifyOutput, decodeCoinbase } from '../../coinbase.js';
+
+const hex = (text) => Buffer.from(text).toString('hex');
+const COMMITMENT = 'ab'.repeat(32);
+
+describe('decodeScriptSig', () => {
+  it('reads the height push and splits tags from extranonce bytes', () => {
+    // height 23000000, an 8-byte extranonce push, a tag push, then raw bytes with a second tag
+    const script = '04c0f35e01' + '08deadbeef00112233' + '0a' + hex('/DigiHash/') + 'ff' + hex('Mined by solo') + '00ff';
+    expect(decodeScriptSig(script)).toEqual({
+      size: script.length / 2,
+      height: 23000000,
+      tags: ['/DigiHash/', 'Mined by solo'],
+      extranonce: 'deadbeef00112233ff00ff',
+      extranonceSize: 11,
+    });
+  });
+
+  it('decodes small and malformed heights', () => {
+    expect(decodeScriptSig('51').height).toBe(1);
+    expect(decodeScriptSig('00').height).toBe(0);
+    expect(decodeScriptNum(Buffer.from('8000', 'hex'))).toBe(128);
+    expect(decodeScriptNum(Buffer.from('81', 'hex'))).toBeNull();
+    // a push running past the end is not a height
+    expect(decodeScriptSig('05aabb')).toMatchObject({ height: null, extranonce: '05aabb' });
+  });
+});
+
+describe('classifyOutput', () => {
+  it('tells payouts, commitments, oracle bundles and OP_RETURN data apart', () => {
+    expect(classifyOutput({ n: 0, value: 277.5, scriptPubKey: { address: 'dgb1qminer', type: 'witness_v0_keyhash' } }, 0))
+      .toEqual({ index: 0, value: 277.5, type: 'witness_v0_keyhash', kind: 'payout', address: 'dgb1qminer' });
+    expect(classifyOutput({ value: 0, scriptPubKey: { hex: `6a24aa21a9ed${COMMITMENT}`, type: 'nulldata' } }, 1))
+      .toMatchObject({ index: 1, kind: 'witnessCommitment', commitment: COMMITMENT });
+    expect(classifyOutput({ value: 0, scriptPubKey: { hex: '6abf0103', type: 'nonstandard' } }, 2).kind).toBe('oracleBundle');
+    expect(classifyOutput({ value: 0, scriptPubKey: { hex: `6a0b${hex('hello world')}`, type: 'nulldata' } }, 3))
+      .toMatchObject({ kind: 'opReturn', data: hex('hello world'), text: 'hello world' });
+    expect(classifyOutput({ value: 1, scriptPubKey: { hex: '51', type: 'nonstandard' } }, 4)).toMatchObject({ kind: 'other', hex: '51' });
+  });
+});
+
+describe('decodeCoinbase', () => {
+  const coinbaseTx = {
+    vin: [{ coinbase: '04c0f35e01' + '0a' + hex('/DigiHash/'), sequence: 4294967295, txinwitness: ['00'.repeat(32)] }],
+    vout: [
+      { n: 0, value: 250.12345678, scriptPubKey: { address: 'dgb1qminer' } },
+      { n: 1, value: 27.5, scriptPubKey: { address: 'dgb1qdev' } },
+      { n: 2, value: 0, scriptPubKey: { hex: `6a24aa21a9ed${COMMITMENT}` } },
+      { n: 3, value: 0, scriptPubKey: { hex: '6abf0103' } },
+    ],
+  };
+
+  it('checks the BIP34 height against the block and totals the outputs by kind', () => {
+    const decoded = decodeCoinbase(coinbaseTx, 23000000);
+    expect(decoded).toMatchObject({
+      scriptSig: { tags: ['/DigiHash/'], extranonce: '', extranonceSize: 0 },
+      sequence: 4294967295,
+      bip34: { height: 23000000, matches: true },
+      witnessReservedValue: '00'.repeat(32),
+      witnessCommitment: COMMITMENT,
+      value: { total: 277.62345678, payout: 277.62345678, witnessCommitment: 0, oracleBundle: 0 },
+    });
+    expect(decoded.outputs.map((o) => o.kind)).toEqual(['payout', 'payout', 'witnessCommitment', 'oracleBundle']);
+
+    expect(decodeCoinbase(coinbaseTx, 23000001).bip34).toEqual({ height: 23000000, matches: false });
+    expect(decodeCoinbase(coinbaseTx).bip34.matches).toBeNull();
+    expect(decodeCoinbase({ vin: [{ txid: 'a'.repeat(64), vout: 0 }] })).toBeNull();
+  });
+});
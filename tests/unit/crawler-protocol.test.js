@@ -32,6 +32,11 @@ describe('network constants', () => {
     expect(NETWORKS.testnet.port).toBe(12033);
     expect(NETWORKS.mainnet.protocolVersion).toBe(70019);
   });
+
+  it('carries the regtest magic/port', () => {
+    expect(NETWORKS.regtest.magic.toString('hex')).toBe('fabfb5da');
+    expect(NETWORKS.regtest.port).toBe(18444);
+  });
 });
 
 describe('sha256d', () => {
@@ -0,0 +1,138 @@
+// BIP9 deployment signaling: period alignment, threshold projection, the
+// per-algo / per-pool breakdown and the tracker's deploymentSignaling
+// broadcasts from getdeploymentinfo plus the block index.
+import { describe, it, expect, vi } from 'vitest';
+import {
+  periodBounds,
+  projectSignaling,
+  buildDeploymentProgress,
+  createDeploymentTracker,
+} from '../../deployments.js';
+
+const started = (statistics, extra = {}) => ({
+  type: 'bip9',
+  active: false,
+  bip9: { bit: 23, start_time: 1750000000, timeout: 1790000000, min_activation_height: 0, status: 'started', since: 4032, statistics, ...extra },
+});
+
+describe('periodBounds', () => {
+  it('follows getdeploymentinfo: the period the next block falls in', () => {
+    expect(periodBounds(4100, 2016)).toEqual({ start: 4032, end: 6047, elapsed: 69, remaining: 1947 });
+    expect(periodBounds(4032, 2016)).toMatchObject({ start: 4032, elapsed: 1 });
+    // The last block of a period: the next one starts a fresh period
+    expect(periodBounds(6047, 2016)).toEqual({ start: 6048, end: 8063, elapsed: 0, remaining: 2016 });
+  });
+});
+
+describe('projectSignaling', () => {
+  it('extrapolates the rate so far over the rest of the period', () => {
+    expect(projectSignaling({ count: 80, elapsed: 100, period: 200, threshold: 140 })).toEqual({
+      ratio: 0.8,
+      needed: 60,
+      requiredRatio: 0.6,
+      projectedCount: 160,
+      projectedRatio: 0.8,
+      reached: false,
+      possible: true,
+      onTrack: true,
+    });
+    expect(projectSignaling({ count: 50, elapsed: 100, period: 200, threshold: 140 })).toMatchObject({
+      projectedCount: 100, possible: true, onTrack: false,
+    });
+    expect(projectSignaling({ count: 30, elapsed: 190, period: 200, threshold: 140 }).possible).toBe(false);
+    expect(projectSignaling({ count: 150, elapsed: 190, period: 200, threshold: 140 })).toMatchObject({
+      needed: 0, requiredRatio: null, reached: true,
+    });
+  });
+});
+
+describe('buildDeploymentProgress', () => {
+  const rows = [
+    { algo: 'Odo', pool: 'Unknown', blocks: 10, signaling: 0, rolled: 0 },
+    { algo: 'SHA256D', pool: 'DigiHash', blocks: 20, signaling: 18, rolled: 6 },
+    { algo: 'Scrypt', pool: 'DigiHash', blocks: 15, signaling: 15, rolled: 0 },
+    { algo: 'SHA256D', pool: 'Unknown', blocks: 24, signaling: 4, rolled: 4 },
+  ];
+
+  it('breaks the period down by algo and pool', () => {
+    const progress = buildDeploymentProgress('digidollar', started({ period: 2016, threshold: 1411, elapsed: 69, count: 40, possible: true }), {
+      height: 4100, tipTime: 1760000000, rows, blocksPerDay: 5760,
+    });
+    expect(progress).toMatchObject({
+      name: 'digidollar',
+      bit: 23,
+      status: 'started',
+      periodStart: 4032,
+      periodEnd: 6047,
+      elapsed: 69,
+      indexedBlocks: 69,
+      complete: true,
+      signaling: 37,
+      versionRolled: 10,
+      nodeCount: 40,
+      count: 40,
+      countSource: 'node',
+      estimatedPeriodEnd: 1760000000 + 1947 * 15,
+    });
+    expect(Object.keys(progress.byAlgo)).toEqual(['SHA256D', 'Scrypt', 'Odo']);
+    expect(progress.byAlgo.SHA256D).toEqual({ blocks: 44, signaling: 22, versionRolled: 10 });
+    expect(progress.byPool.map((p) => [p.pool, p.signaling])).toEqual([['DigiHash', 33], ['Unknown', 4]]);
+  });
+
+  it('falls back to the index count and skips deployments not started', () => {
+    const progress = buildDeploymentProgress('digidollar', started({ period: 2016, threshold: 1411 }), {
+      height: 4100, rows: rows.slice(0, 2), blocksPerDay: null,
+    });
+    expect(progress).toMatchObject({ count: 18, countSource: 'index', complete: false, estimatedPeriodEnd: null });
+
+    const locked = buildDeploymentProgress('taproot', { type: 'bip9', active: true, bip9: { bit: 2, status: 'active', since: 8064 } }, { height: 9000 });
+    expect(locked).toEqual({
+      name: 'taproot', bit: 2, status: 'active', since: 8064, startTime: null, timeout: null, minActivationHeight: null, active: true, period: null,
+    });
+  });
+});
+
+describe('createDeploymentTracker', () => {
+  const mainnet = { key: 'mainnet', slug: 'mainnet', blocksPerDay: 5760 };
+
+  it('counts every started deployment and broadcasts deploymentSignaling', async () => {
+    const sendRpc = vi.fn(async (method) => (method === 'getdeploymentinfo'
+      ? {
+        hash: 'tip',
+        height: 4100,
+        deployments: {
+          csv: { type: 'buried', active: true, height: 1 },
+          taproot: { type: 'bip9', active: true, bip9: { bit: 2, status: 'active', since: 2016 } },
+          digidollar: started({ period: 2016, threshold: 1411, elapsed: 69, count: 12 }),
+        },
+      }
+      : { time: 1760000000 }));
+    const blockIndex = { countSignals: vi.fn(async () => [{ algo: 'Odo', pool: 'DigiHash', blocks: 69, signaling: 12, rolled: 0 }]) };
+    const broadcast = vi.fn();
+    const tracker = createDeploymentTracker({ network: mainnet, blockIndex, sendRpc, broadcast, nowFn: () => 1760000005000 });
+
+    const snapshot = await tracker.refresh();
+    expect(sendRpc).toHaveBeenCalledWith('getblockheader', ['tip']);
+    expect(blockIndex.countSignals.mock.calls).toEqual([['mainnet', { from: 4032, to: 4100, bit: 23 }]]);
+    expect(snapshot).toMatchObject({ network: 'mainnet', generatedAt: 1760000005, height: 4100 });
+    expect(snapshot.deployments.map((d) => [d.name, d.period])).toEqual([['taproot', null], ['digidollar', 2016]]);
+    expect(snapshot.deployments[1]).toMatchObject({ count: 12, signaling: 12, complete: true });
+    expect(broadcast).toHaveBeenCalledWith({ type: 'deploymentSignaling', data: snapshot });
+    expect(tracker.getMessages()).toEqual([{ type: 'deploymentSignaling', data: snapshot }]);
+  });
+
+  it('keeps the last snapshot when the node is unreachable', async () => {
+    const logger = { error: vi.fn() };
+    const tracker = createDeploymentTracker({
+      network: mainnet,
+      blockIndex: { countSignals: vi.fn() },
+      sendRpc: vi.fn().mockRejectedValue(new Error('connect ECONNREFUSED')),
+      broadcast: vi.fn(),
+      logger,
+    });
+
+    expect(await tracker.refresh()).toBeNull();
+    expect(tracker.getMessages()).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith('Error computing mainnet deployment signaling:', 'connect ECONNREFUSED');
+  });
+});
@@ -0,0 +1,129 @@
+// Next-difficulty projection: compact target encoding, the MultiShield V4
+// retarget replay, its back-test and the service's incremental header fetch.
+import { describe, it, expect, vi } from 'vitest';
+import {
+  bitsToTarget,
+  targetToBits,
+  bitsToDifficulty,
+  retargetParams,
+  nextWorkRequired,
+  backtest,
+  createDifficultyProjection,
+} from '../../difficulty.js';
+
+const MAINNET = retargetParams(5760);
+const ALGOS = ['SHA256D', 'Scrypt', 'Skein', 'Qubit', 'Odo'];
+
+// A chain whose every block from height 51 on carries the bits the model
+// projects for it, with irregular algo order and block times.
+function buildChain(tip) {
+  const headers = new Map();
+  const times = [];
+  for (let height = 0; height <= tip; height++) {
+    const algo = ALGOS[(height * 7 + (height % 3)) % ALGOS.length];
+    const time = 1760000000 + height * 15 + ((height * 37) % 23) - 11;
+    times.push(time);
+    const mediantime = times.slice(-11).sort((a, b) => a - b)[Math.floor(Math.min(11, times.length) / 2)];
+    const header = { height, time, mediantime, algo, bits: '1b0404cb' };
+    if (height > MAINNET.averagingBlocks) {
+      const next = nextWorkRequired(headers, height - 1, algo, MAINNET);
+      if (next) header.bits = next.bits.toString(16).padStart(8, '0');
+    }
+    header.difficulty = bitsToDifficulty(header.bits);
+    headers.set(height, header);
+  }
+  return headers;
+}
+
+describe('compact targets', () => {
+  it('round-trips bits the way the node encodes them', () => {
+    expect(bitsToTarget('1d00ffff')).toBe(0xffffn << 208n);
+    expect(bitsToDifficulty('1d00ffff')).toBe(1);
+    expect(targetToBits(0xffffn << 208n)).toBe(0x1d00ffff);
+    expect(targetToBits(bitsToTarget('1a0c5b2f'))).toBe(0x1a0c5b2f);
+    // a leading byte with the sign bit set moves up one byte
+    expect(targetToBits(0x80n)).toBe(0x02008000);
+  });
+
+  it('derives the averaging window from the block spacing', () => {
+    expect(MAINNET).toEqual({ averagingBlocks: 50, targetTimespan: 750, minTimespan: 690, maxTimespan: 870, localAdjustment: 4 });
+    expect(retargetParams(null)).toBeNull();
+  });
+});
+
+describe('nextWorkRequired', () => {
+  it('dampens the timespan and applies one local step per block', () => {
+    const headers = new Map([
+      [50, { height: 50, mediantime: 1000, algo: 'Qubit', bits: '1b0404cb' }],
+      [98, { height: 98, mediantime: 2100, algo: 'Odo', bits: '1d00ffff' }],
+      [99, { height: 99, mediantime: 2120, algo: 'Scrypt', bits: '1b0404cb' }],
+      [100, { height: 100, mediantime: 2150, algo: 'Skein', bits: '1b0404cb' }],
+    ]);
+
+    // 1150s -> 750 + 400/4 = 850; Odo mined 2 blocks ago -> two 4% steps harder
+    const next = nextWorkRequired(headers, 100, 'Odo', MAINNET);
+    expect(next).toMatchObject({ prevHeight: 98, adjustments: 2, timespan: 850 });
+    expect(next.difficulty).toBeCloseTo((750 / 850) * 1.04 * 1.04, 4);
+
+    // Slow blocks are capped at 16% easier before the local step
+    headers.get(100).mediantime = 9000;
+    expect(nextWorkRequired(headers, 100, 'Odo', MAINNET).timespan).toBe(870);
+    expect(nextWorkRequired(headers, 100, 'SHA256D', MAINNET)).toBeNull();
+  });
+
+  it('reproduces every block of a chain built by the consensus rule', () => {
+    const headers = buildChain(400);
+    const heights = Array.from({ length: 100 }, (_, i) => 301 + i);
+    const result = backtest(headers, heights, MAINNET);
+    expect(result).toMatchObject({ blocks: 100, exact: 100, meanAbsError: 0, maxAbsError: 0 });
+    expect(Object.keys(result.perAlgo)).toEqual(ALGOS);
+
+    // A block the model did not produce shows up as error
+    headers.get(400).bits = '1b0304cb';
+    expect(backtest(headers, heights, MAINNET).exact).toBe(99);
+  });
+});
+
+describe('createDifficultyProjection', () => {
+  const mainnet = { key: 'mainnet', slug: 'mainnet', blocksPerDay: 5760 };
+
+  it('projects every algo from the tip and re-reads only the newest heights', async () => {
+    const chain = buildChain(600);
+    let tip = 599;
+    const sendRpc = vi.fn(async () => tip);
+    const fetchHeaders = vi.fn(async (from, to) => {
+      const out = [];
+      for (let h = from; h <= to; h++) out.push(chain.get(h));
+      return out;
+    });
+    const service = createDifficultyProjection({ network: mainnet, sendRpc, fetchHeaders, nowFn: () => 1760010000000 });
+
+    const projection = await service.refresh();
+    expect(fetchHeaders.mock.calls).toEqual([[250, 599]]);
+    expect(projection.tip.height).toBe(599);
+    expect(projection.backtest).toMatchObject({ blocks: 100, exact: 100 });
+
+    const next = projection.algos[chain.get(600).algo];
+    expect(next.nextBits).toBe(chain.get(600).bits);
+    expect(next.nextDifficulty).toBe(chain.get(600).difficulty);
+
+    tip = 600;
+    fetchHeaders.mockClear();
+    await service.refresh();
+    expect(fetchHeaders.mock.calls).toEqual([[595, 600]]);
+    expect(service.getProjection().tip.height).toBe(600);
+  });
+
+  it('keeps the last projection when the node is unreachable', async () => {
+    const logger = { error: vi.fn() };
+    const service = createDifficultyProjection({
+      network: mainnet,
+      sendRpc: vi.fn().mockRejectedValue(new Error('connect ECONNREFUSED')),
+      fetchHeaders: vi.fn(),
+      logger,
+    });
+
+    expect(await service.refresh()).toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Error refreshing mainnet difficulty projection:', 'connect ECONNREFUSED');
+  });
+});
@@ -12,6 +12,7 @@ describe('DigiDollar Oracle/Testnet Configuration', () => {
     const filesToCheck = [
       'server.js',
       'rpc.js',
+      'networks.js',
       'config.js',
       'config.template.js'
     ];
@@ -30,6 +31,7 @@ describe('DigiDollar Oracle/Testnet Configuration', () => {
     const filesToCheck = [
       'server.js',
       'rpc.js',
+      'networks.js',
       'config.js',
       'config.template.js',
       'README.md',
@@ -48,31 +50,32 @@ describe('DigiDollar Oracle/Testnet Configuration', () => {
   });
 
   test('oracle broadcast path remains RPC-relay based (no hardcoded threshold constants)', () => {
-    const serverContents = readProjectFile('server.js');
+    const feedContents = readProjectFile('digidollarfeed.js');
     const rpcContents = readProjectFile('rpc.js');
-
-    // Ensure server still relies on RPC methods that return oracle state
-    expect(serverContents).toContain("sendTestnetRpcRequest('getoracleprice'");
-    expect(serverContents).toContain("sendTestnetRpcRequest('getalloracleprices'");
-    expect(serverContents).toContain("sendTestnetRpcRequest('getoracles'");
-    expect(serverContents).toContain("sendTestnetRpcRequest('getoraclesigners'");
-    expect(serverContents).toContain("sendTestnetRpcRequest('getdigidollardeploymentinfo'");
-    expect(rpcContents).toContain("registerDigiDollarRoutes('/testnet', sendTestnetRpcRequest, 'testnet')");
+    const { getNetwork } = require('../../networks.js');
+
+    // Ensure the per-network feed (testnet included) still relies on RPC
+    // methods that return oracle state
+    expect(getNetwork('testnet').subsystems.digidollar).toBe(true);
+    expect(feedContents).toContain("sendRpc('getoracleprice'");
+    expect(feedContents).toContain("sendRpc('getalloracleprices'");
+    expect(feedContents).toContain("sendRpc('getoracles'");
+    expect(feedContents).toContain("sendRpc('getoraclesigners'");
+    expect(feedContents).toContain("sendRpc('getdigidollardeploymentinfo'");
+    expect(rpcContents).toContain('registerDigiDollarRoutes(');
     expect(rpcContents).toContain("getoraclesigners");
     expect(rpcContents).toContain("getprotectionstatus");
   });
 
   test('testnet defaults match current testnet26 ports and peer path', () => {
-    const serverContents = readProjectFile('server.js');
-    const rpcContents = readProjectFile('rpc.js');
+    const networksContents = readProjectFile('networks.js');
     const templateContents = readProjectFile('config.template.js');
     const docsContents = [
       readProjectFile('README.md'),
       readProjectFile('ARCHITECTURE.md')
     ].join('\n');
 
-    expect(serverContents).toContain("http://127.0.0.1:14026");
-    expect(rpcContents).toContain("http://127.0.0.1:14026");
+    expect(networksContents).toContain("http://127.0.0.1:14026");
     expect(templateContents).toContain("testnet26/peers.dat");
     expect(docsContents).toContain("14026");
     expect(docsContents).not.toContain("14022");
@@ -0,0 +1,104 @@
+// DigiDollar feed: payload shapes, message types, keeping the last good
+// payload on failure and pre-activation logging.
+import { describe, it, expect, vi } from 'vitest';
+import { createDigiDollarFeed, DD_MESSAGE_TYPES } from '../../digidollarfeed.js';
+
+const RESULTS = {
+  getoracleprice: { price_usd: 0.01 },
+  getalloracleprices: [{ oracle_id: 1 }],
+  getoracles: [{ oracle_id: 1 }, { oracle_id: 2 }],
+  getoraclesigners: { bundle_count: 3, bundles: [] },
+  getdigidollarstats: { health_percentage: 150, total_dd_supply: 1000 },
+  getdigidollardeploymentinfo: { status: 'active' },
+};
+
+function setup({ network = {}, sendRpc } = {}) {
+  const broadcast = vi.fn();
+  const logger = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+  const rpc = sendRpc || vi.fn(async (method) => RESULTS[method]);
+  const feed = createDigiDollarFeed({
+    network: { label: 'Testnet', slug: 'testnet', ddPreActivation: false, ...network },
+    sendRpc: rpc,
+    broadcast,
+    logger,
+  });
+  return { feed, broadcast, logger, rpc };
+}
+
+describe('createDigiDollarFeed', () => {
+  it('fetches and broadcasts the three message types', async () => {
+    const { feed, broadcast, rpc } = setup();
+    await feed.refresh();
+
+    expect(broadcast.mock.calls.map(([m]) => m.type)).toEqual([
+      DD_MESSAGE_TYPES.oracle,
+      DD_MESSAGE_TYPES.stats,
+      DD_MESSAGE_TYPES.deployment,
+    ]);
+    expect(broadcast.mock.calls[0][0].data).toEqual({
+      price: RESULTS.getoracleprice,
+      allPrices: RESULTS.getalloracleprices,
+      oracles: RESULTS.getoracles,
+      oracleSigners: RESULTS.getoraclesigners,
+    });
+    expect(broadcast.mock.calls[1][0].data).toEqual({
+      stats: RESULTS.getdigidollarstats,
+      oraclePrice: RESULTS.getoracleprice,
+    });
+    expect(broadcast.mock.calls[2][0].data).toEqual(RESULTS.getdigidollardeploymentinfo);
+    // Always fresh from the node
+    expect(rpc).toHaveBeenCalledWith('getoraclesigners', [100], true);
+  });
+
+  it('sends nothing before the first successful fetch', async () => {
+    const { feed, broadcast } = setup({ sendRpc: vi.fn().mockRejectedValue(new Error('down')) });
+    expect(feed.getMessages()).toEqual([]);
+    await feed.refresh();
+    expect(broadcast).not.toHaveBeenCalled();
+  });
+
+  it('keeps the last good payload when a later fetch fails', async () => {
+    let fail = false;
+    const { feed } = setup({
+      sendRpc: vi.fn(async (method) => {
+        if (fail && method !== 'getdigidollardeploymentinfo') throw new Error('timeout');
+        return RESULTS[method];
+      }),
+    });
+    await feed.refresh();
+    fail = true;
+    await feed.refresh();
+
+    expect(feed.getMessages().map((m) => m.type)).toEqual(['oracleData', 'ddStatsData', 'ddDeploymentData']);
+  });
+
+  it('falls back to empty signer data when getoraclesigners fails', async () => {
+    const { feed, logger } = setup({
+      sendRpc: vi.fn(async (method) => {
+        if (method === 'getoraclesigners') throw new Error('unknown method');
+        return RESULTS[method];
+      }),
+    });
+    const data = await feed.fetchOracleData();
+
+    expect(data.oracleSigners).toEqual({ bundle_count: 0, bundles: [] });
+    expect(logger.warn).toHaveBeenCalledWith('Warning fetching testnet oracle bundle signers:', 'unknown method');
+  });
+
+  it('logs inactive DigiDollar as a warning on pre-activation networks', async () => {
+    const inactive = vi.fn(async (method) => {
+      if (method === 'getdigidollardeploymentinfo') return { status: 'defined' };
+      throw new Error('DigiDollar is not yet active on this blockchain');
+    });
+
+    const pre = setup({ network: { label: 'Mainnet', slug: 'mainnet', ddPreActivation: true }, sendRpc: inactive });
+    await pre.feed.refresh();
+    expect(pre.logger.error).not.toHaveBeenCalled();
+    expect(pre.logger.warn).toHaveBeenCalledWith('Mainnet oracle data unavailable (likely pre-activation):', expect.any(String));
+    expect(pre.broadcast.mock.calls.map(([m]) => m.type)).toEqual(['ddDeploymentData']);
+
+    const active = setup({ sendRpc: inactive });
+    await active.feed.refresh();
+    expect(active.logger.error).toHaveBeenCalledWith('Error fetching testnet oracle data:', expect.any(String));
+  });
+});
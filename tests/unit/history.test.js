@@ -118,6 +118,31 @@ describe('foldHeaders — per-algo sum / min / max / last / count', () => {
   });
 });
 
+describe('foldHeaders — block intervals', () => {
+  const base = Date.UTC(2026, 6, 5, 1, 0, 0) / 1000;
+
+  it('counts each block\'s interval since the previous block of its algo', () => {
+    const out = foldHeaders(
+      [hdr(10, base + 75, 1, 'SHA256D'), hdr(11, base + 80, 1, 'Scrypt'), hdr(12, base + 775, 1, 'SHA256D')],
+      { context: [hdr(8, base, 1, 'SHA256D'), hdr(9, base + 20, 1, 'Scrypt')], slowInterval: 600 }
+    );
+    const sha = out.find((r) => r.algo === 'SHA256D');
+    expect(sha).toMatchObject({ block_count: 2, interval_count: 2, sum_interval: 775, max_interval: 700, slow_blocks: 1 });
+    expect(out.find((r) => r.algo === 'Scrypt')).toMatchObject({ block_count: 1, interval_count: 1, sum_interval: 60 });
+  });
+
+  it('skips intervals with no known predecessor or across a missing height', () => {
+    const out = foldHeaders([hdr(10, base, 1, 'Odo'), hdr(12, base + 90, 1, 'Odo')], { slowInterval: 600 });
+    expect(out[0]).toMatchObject({ block_count: 2, interval_count: 0, sum_interval: 0, max_interval: null, slow_blocks: 0 });
+  });
+
+  it('derives avgInterval / maxInterval / slowBlocks in the response', () => {
+    const rows = [{ day: '2026-07-04', algo: 'Odo', block_count: 4, sum_difficulty: 4, interval_count: 3, sum_interval: 300, max_interval: 150, slow_blocks: 0 }];
+    const res = buildDailyResponse({ network: 'mainnet', days: 30, rows, now: base });
+    expect(res.data[0].perAlgo.Odo).toMatchObject({ avgInterval: 100, maxInterval: 150, slowBlocks: 0 });
+  });
+});
+
 describe('buildDailyResponse — derivation math + shape', () => {
   const NOW = Math.floor(Date.UTC(2026, 6, 5, 18, 0, 0) / 1000); // "today" = 2026-07-05
   const rows = [
@@ -155,7 +180,10 @@ describe('buildDailyResponse — derivation math + shape', () => {
     expect(res.algos).toEqual(['SHA256D', 'Scrypt']); // canonical order, distinct present
     expect(Object.keys(res.data[0].perAlgo).sort()).toEqual(['SHA256D', 'Scrypt']);
     const keys = Object.keys(res.data[0].perAlgo.SHA256D).sort();
-    expect(keys).toEqual(['avgDifficulty', 'blocks', 'hashrate', 'lastDifficulty', 'maxDifficulty', 'minDifficulty']);
+    expect(keys).toEqual([
+      'avgDifficulty', 'avgInterval', 'blocks', 'hashrate', 'lastDifficulty', 'maxDifficulty', 'maxInterval',
+      'minDifficulty', 'slowBlocks',
+    ]);
   });
 
   it('handles no rows without throwing', () => {
@@ -274,7 +302,10 @@ describe('buildHourlyResponse — derivation math + shape', () => {
     expect(res.data[0].date).toBeUndefined();
     expect(typeof res.data[0].hour).toBe('string');
     const keys = Object.keys(res.data[0].perAlgo.SHA256D).sort();
-    expect(keys).toEqual(['avgDifficulty', 'blocks', 'hashrate', 'lastDifficulty', 'maxDifficulty', 'minDifficulty']);
+    expect(keys).toEqual([
+      'avgDifficulty', 'avgInterval', 'blocks', 'hashrate', 'lastDifficulty', 'maxDifficulty', 'maxInterval',
+      'minDifficulty', 'slowBlocks',
+    ]);
   });
 });
 
@@ -317,4 +348,10 @@ describe('computeBackfillGap', () => {
     expect(computeBackfillGap({ tip: 100, days: DAYS, currentLow: null })).toEqual({ start: 0, end: 100 });
     expect(computeBackfillGap({ tip: 100, days: DAYS, currentLow: 0 })).toBeNull();
   });
+
+  it('walks from genesis when blocks have no fixed spacing (regtest)', () => {
+    expect(computeBackfillGap({ tip: TIP, days: 1, currentLow: null, blocksPerDay: null })).toEqual({ start: 0, end: TIP });
+    expect(computeBackfillGap({ tip: TIP, days: 1, currentLow: 0, blocksPerDay: null })).toBeNull();
+    expect(computeBackfillGap({ tip: TIP, days: 1, currentLow: 5, blocksPerDay: null })).toEqual({ start: 0, end: 4 });
+  });
 });
@@ -9,6 +9,9 @@ const path = require('path');
  * assert the *mainnet* side (port 5002, mainnet RPC) is wired symmetrically so
  * the mainnet Activation / Oracles / DD Stats pages receive live data.
  *
+ * Since the network registry (networks.js) every network shares one feed
+ * implementation (digidollarfeed.js); these check the per-network wiring.
+ *
  * They are deliberately static-analysis style (matching
  * digidollar-oracle-config.test.js) so they run without a live node.
  */
@@ -20,42 +23,52 @@ describe('Mainnet DigiDollar/Oracle wiring', () => {
   }
 
   let serverContents;
+  let feedContents;
   beforeAll(() => {
     serverContents = readProjectFile('server.js');
+    feedContents = readProjectFile('digidollarfeed.js');
   });
 
-  test('declares in-memory mainnet caches for oracle, DD stats and deployment', () => {
-    expect(serverContents).toContain('mainnetOracleCache');
-    expect(serverContents).toContain('mainnetDDStatsCache');
-    expect(serverContents).toContain('mainnetDeploymentCache');
+  test('creates one oracle/DD feed per registry network running DigiDollar', () => {
+    const { listNetworks } = require('../../networks.js');
+    const keys = listNetworks({ subsystem: 'digidollar' }).map((n) => n.key);
+    expect(keys).toEqual(expect.arrayContaining(['mainnet', 'testnet', 'mainnetPre']));
+
+    const setup = serverContents.slice(
+      serverContents.indexOf('function setupDigiDollarFeeds'),
+      serverContents.indexOf('setupDigiDollarFeeds();')
+    );
+    expect(setup).toContain("listNetworks({ subsystem: 'digidollar' })");
+    expect(setup).toContain('createDigiDollarFeed');
+    // Each feed talks to its own node (mainnet -> mainnet RPC, not testnet)
+    expect(setup).toContain('sendNetworkRpcRequest(network.key, method, params, skipCache)');
+    expect(setup).toContain('broadcastToNetwork(network.key, message)');
   });
 
-  test('fetches mainnet oracle/DD/deployment data via the MAINNET RPC client', () => {
-    // Mainnet uses sendRpcRequest (not sendTestnetRpcRequest)
-    expect(serverContents).toContain("sendRpcRequest('getoracleprice'");
-    expect(serverContents).toContain("sendRpcRequest('getalloracleprices'");
-    expect(serverContents).toContain("sendRpcRequest('getoracles'");
-    expect(serverContents).toContain("sendRpcRequest('getoraclesigners'");
-    expect(serverContents).toContain("sendRpcRequest('getdigidollarstats'");
-    expect(serverContents).toContain("sendRpcRequest('getdigidollardeploymentinfo'");
+  test('fetches oracle/DD/deployment data with the DigiDollar RPCs', () => {
+    expect(feedContents).toContain("sendRpc('getoracleprice'");
+    expect(feedContents).toContain("sendRpc('getalloracleprices'");
+    expect(feedContents).toContain("sendRpc('getoracles'");
+    expect(feedContents).toContain("sendRpc('getoraclesigners'");
+    expect(feedContents).toContain("sendRpc('getdigidollarstats'");
+    expect(feedContents).toContain("sendRpc('getdigidollardeploymentinfo'");
   });
 
   test('defines modified-mainnet/PRE RPC and WebSocket wiring', () => {
     const rpcContents = readProjectFile('rpc.js');
+    const networksContents = readProjectFile('networks.js');
 
-    expect(rpcContents).toContain('MAINNET_PRE_RPC_CONFIG');
-    expect(rpcContents).toContain("http://127.0.0.1:14046");
+    expect(networksContents).toContain('DGB_MAINNET_PRE_RPC_URL');
+    expect(networksContents).toContain("http://127.0.0.1:14046");
+    expect(networksContents).toContain('DGB_MAINNET_PRE_WS_PORT');
     expect(rpcContents).toContain('sendMainnetPreRpcRequest');
 
-    expect(serverContents).toContain('mainnetPreWsPort');
-    expect(serverContents).toContain('wssMainnetPre');
-    expect(serverContents).toContain('mainnetPreOracleCache');
-    expect(serverContents).toContain('mainnetPreDDStatsCache');
-    expect(serverContents).toContain('mainnetPreDeploymentCache');
-    expect(serverContents).toContain('refreshAndBroadcastMainnetPreOracleData');
+    expect(serverContents).toContain('const wssMainnetPre = wsServers.mainnetPre');
+    expect(serverContents).toContain("sendDigiDollarDataToClient(ws, 'mainnetPre')");
+    expect(serverContents).toContain("getNetwork('mainnetPre').enabled");
   });
 
-  test('registers DigiDollar RPC endpoints for mainnet, testnet and mainnet-pre', () => {
+  test('registers DigiDollar RPC endpoints for every DigiDollar network', () => {
     const rpcContents = readProjectFile('rpc.js');
     const endpoints = [
       'getdigidollardeploymentinfo',
@@ -71,51 +84,46 @@ describe('Mainnet DigiDollar/Oracle wiring', () => {
     for (const endpoint of endpoints) {
       expect(rpcContents).toContain(`'/${endpoint}'`);
     }
-    expect(rpcContents).toContain("registerDigiDollarRoutes('', sendRpcRequest, 'mainnet')");
-    expect(rpcContents).toContain("registerDigiDollarRoutes('/testnet', sendTestnetRpcRequest, 'testnet')");
-    expect(rpcContents).toContain("registerDigiDollarRoutes('/mainnet-pre', sendMainnetPreRpcRequest, 'mainnet-pre')");
+    const registration = rpcContents.slice(rpcContents.indexOf("for (const network of listNetworks({ subsystem: 'digidollar' }))"));
+    expect(registration).toContain('registerDigiDollarRoutes(');
+    expect(registration).toContain('network.routePrefix');
   });
 
-  test('defines mainnet fetch + broadcast functions', () => {
-    expect(serverContents).toContain('function fetchMainnetOracleData');
-    expect(serverContents).toContain('function fetchMainnetDDStatsData');
-    expect(serverContents).toContain('function fetchMainnetDeploymentData');
-    expect(serverContents).toContain('function broadcastMainnetOracleData');
-    expect(serverContents).toContain('function broadcastMainnetDDStats');
-    expect(serverContents).toContain('function broadcastMainnetDeploymentData');
-    expect(serverContents).toContain('function refreshAndBroadcastMainnetOracleData');
+  test('defines the fetch + broadcast steps of the feed', () => {
+    expect(feedContents).toContain('async function fetchOracleData');
+    expect(feedContents).toContain('async function fetchStatsData');
+    expect(feedContents).toContain('async function fetchDeploymentData');
+    expect(feedContents).toContain('async function refresh');
+    expect(serverContents).toContain('function broadcastToNetwork');
   });
 
-  test('broadcasts the DD message types to mainnet (wss) clients', () => {
-    // The broadcast helpers must target the mainnet wss, not wssTestnet.
+  test('broadcasts the DD message types on the network\'s own WebSocket server', () => {
+    expect(feedContents).toContain("oracle: 'oracleData'");
+    expect(feedContents).toContain("stats: 'ddStatsData'");
+    expect(feedContents).toContain("deployment: 'ddDeploymentData'");
+
     const broadcastBlock = serverContents.slice(
-      serverContents.indexOf('function broadcastMainnetOracleData'),
-      serverContents.indexOf('function refreshAndBroadcastMainnetOracleData')
+      serverContents.indexOf('function broadcastToNetwork'),
+      serverContents.indexOf('function setupDigiDollarFeeds')
     );
-    expect(broadcastBlock).toContain('wss.clients');
+    expect(broadcastBlock).toContain('wsServers[networkKey]');
     expect(broadcastBlock).not.toContain('wssTestnet.clients');
-    expect(broadcastBlock).toContain("type: 'oracleData'");
-    expect(broadcastBlock).toContain("type: 'ddStatsData'");
-    expect(broadcastBlock).toContain("type: 'ddDeploymentData'");
   });
 
   test('pushes cached DD data to new mainnet WebSocket clients on connect', () => {
-    // The mainnet connection handler block (wss.on('connection') ... before the
-    // testnet handler) must send the three DD message types from cache.
-    const mainnetHandler = serverContents.slice(
-      serverContents.indexOf("wss.on('connection'"),
-      serverContents.indexOf("wssTestnet.on('connection'")
+    // Mainnet and testnet share one connection handler, which must replay the
+    // network's DD feed from cache.
+    const handler = serverContents.slice(
+      serverContents.indexOf('function attachNetworkConnectionHandler'),
+      serverContents.indexOf('function sendGeoDataToClient')
     );
-    expect(mainnetHandler).toContain('mainnetOracleCache');
-    expect(mainnetHandler).toContain('mainnetDDStatsCache');
-    expect(mainnetHandler).toContain('mainnetDeploymentCache');
-    expect(mainnetHandler).toContain("type: 'oracleData'");
-    expect(mainnetHandler).toContain("type: 'ddStatsData'");
-    expect(mainnetHandler).toContain("type: 'ddDeploymentData'");
+    expect(handler).toContain('sendDigiDollarDataToClient(ws, network.key)');
+    expect(serverContents).toContain('attachNetworkConnectionHandler(getNetwork(key))');
   });
 
-  test('starts periodic mainnet and mainnet-pre oracle/DD refresh intervals', () => {
-    expect(serverContents).toContain('refreshAndBroadcastMainnetOracleData()');
-    expect(serverContents).toContain('refreshAndBroadcastMainnetPreOracleData()');
+  test('starts periodic oracle/DD refresh intervals per network', () => {
+    const phase = serverContents.slice(serverContents.indexOf('Phase 2.7'));
+    expect(phase).toContain("listNetworks({ subsystem: 'digidollar' })");
+    expect(phase).toContain('feed.refresh()');
   });
 });
@@ -0,0 +1,242 @@
+// Network feed: batched recentBlocks refresh (re-mined blocks replace old
+// ones), prevout-priced confirmed transactions, mempool history,
+// tx:confirmed / reorg handling and replay to new clients.
+import { describe, it, expect, vi } from 'vitest';
+import { createNetworkFeed } from '../../networkfeed.js';
+
+const out = (value) => ({ value, scriptPubKey: { address: 'dgb1qdest', type: 'witness_v0_keyhash' } });
+const tx = (txid, value) => ({ txid, vsize: 200, vin: [{ txid: 'prev', vout: 0, prevout: out(value + 0.0002) }], vout: [out(value)] });
+const coinbase = { txid: 'cb', vin: [{ coinbase: '00' }], vout: [out(277)] };
+
+function makeNode() {
+  const chain = [];
+  let mempool = { m1: { vsize: 200, fees: { base: 0.0001 }, time: 1700000100 } };
+  const mine = (txs = [], tag = '') => {
+    const height = chain.length;
+    const block = { height, hash: `h${height}${tag}`, time: 1700000000 + height, tx: [coinbase, ...txs] };
+    chain[height] = block;
+    return block;
+  };
+  const answer = (method, params) => {
+    if (method === 'getblockchaininfo') return { chain: 'main', blocks: chain.length - 1 };
+    if (method === 'getblockhash') return chain[params[0]]?.hash ?? null;
+    if (method === 'getblock') return chain.find((b) => b && b.hash === params[0]) ?? null;
+    if (method === 'getblockreward') return { blockreward: '277.00000000' };
+    if (method === 'gettxoutsetinfo') return { total_amount: 17000000000 };
+    if (method === 'getmempoolinfo') return { size: Object.keys(mempool).length, bytes: 200 };
+    if (method === 'getrawmempool') return mempool;
+    if (method === 'getrawtransaction') return tx(params[0], 5);
+    return null;
+  };
+  const sendRpc = vi.fn(async (method, params = []) => answer(method, params));
+  const sendRpcBatch = vi.fn(async (calls) => calls.map(({ method, params }) => ({ result: answer(method, params), error: null })));
+  return { chain, mine, sendRpc, sendRpcBatch, setMempool: (entries) => { mempool = entries; } };
+}
+
+function setup(node, options = {}) {
+  const broadcast = vi.fn();
+  const logger = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+  const resolver = {
+    getBlock: vi.fn(async (hash) => node.chain.find((b) => b && b.hash === hash) ?? null),
+    resolveBlock: vi.fn(async (block) => block),
+  };
+  const feed = createNetworkFeed({
+    network: { label: 'Mainnet', slug: 'mainnet' },
+    sendRpc: node.sendRpc,
+    sendRpcBatch: node.sendRpcBatch,
+    broadcast,
+    formatBlock: (b) => ({ height: b.height, hash: b.hash }),
+    resolver,
+    maxRecentBlocks: 3,
+    logger,
+    ...options,
+  });
+  return { feed, broadcast, logger, resolver };
+}
+
+const types = (broadcast) => broadcast.mock.calls.map(([m]) => m.type);
+
+describe('createNetworkFeed', () => {
+  it('batches the block refresh and only fetches blocks it does not have', async () => {
+    const node = makeNode();
+    [0, 1, 2, 3].forEach(() => node.mine());
+    const onBlocksFetched = vi.fn();
+    const { feed, broadcast } = setup(node, { onBlocksFetched });
+
+    await feed.refreshBlocks();
+    expect(feed.getRecentBlocks().map((b) => b.height)).toEqual([3, 2, 1]);
+    expect(node.sendRpcBatch.mock.calls.map(([calls]) => calls.length)).toEqual([3, 3]);
+    expect(onBlocksFetched).toHaveBeenCalledWith([], expect.any(Array));
+    expect(types(broadcast)).toEqual(['recentBlocks']);
+
+    node.mine();
+    await feed.refreshBlocks();
+    expect(feed.getRecentBlocks().map((b) => b.height)).toEqual([4, 3, 2]);
+    expect(node.sendRpcBatch.mock.calls[3][0]).toEqual([{ method: 'getblock', params: ['h4', 2] }]);
+    expect(onBlocksFetched.mock.calls[1][0].map((b) => b.height)).toEqual([3, 2, 1]);
+
+    // Same tip: nothing new to broadcast
+    await feed.refreshBlocks();
+    expect(types(broadcast)).toEqual(['recentBlocks', 'recentBlocks']);
+  });
+
+  it('skips a refresh while the previous one is still running', async () => {
+    const node = makeNode();
+    node.mine();
+    let release;
+    const { feed } = setup(node, { onBlocksFetched: () => new Promise((resolve) => { release = resolve; }) });
+
+    const first = feed.refreshBlocks();
+    await vi.waitFor(() => expect(release).toBeTypeOf('function'));
+    await feed.refreshBlocks();
+    release();
+    await first;
+
+    expect(node.sendRpc.mock.calls.filter(([method]) => method === 'getblockchaininfo')).toHaveLength(1);
+  });
+
+  it('replaces a block at a cached height and drops blocks above a tip that went backwards', async () => {
+    const node = makeNode();
+    [0, 1, 2].forEach(() => node.mine());
+    const { feed } = setup(node);
+    await feed.refreshBlocks();
+
+    // invalidateblock h1, then one block on the other branch
+    node.chain.length = 1;
+    feed.addBlock({ height: 1, hash: 'h1b' });
+    node.mine([], 'b');
+    await feed.refreshBlocks();
+
+    expect(feed.getRecentBlocks().map((b) => b.hash)).toEqual(['h1b', 'h0']);
+  });
+
+  it('collects recent transactions priced from their prevouts', async () => {
+    const node = makeNode();
+    node.mine();
+    node.mine([tx('a', 1)]);
+    node.mine([tx('b', 2), tx('c', 3)]);
+    const { feed, broadcast } = setup(node);
+    await feed.refreshBlocks();
+
+    const confirmed = await feed.refreshTransactions();
+    expect(confirmed.map((t) => [t.txid, t.confirmations])).toEqual([['b', 1], ['c', 1], ['a', 2]]);
+    expect(confirmed[0]).toMatchObject({ fee: 0.0002, fee_rate: 100, feeSource: 'prevouts', inputsResolved: true });
+    expect(broadcast).toHaveBeenLastCalledWith({ type: 'recentTransactions', data: confirmed });
+  });
+
+  it('keeps transactions that left the mempool listed for three minutes', async () => {
+    vi.useFakeTimers();
+    try {
+      const node = makeNode();
+      const { feed } = setup(node);
+
+      let mempool = await feed.refreshMempool();
+      expect(mempool.stats).toMatchObject({ size: 1, totalfee: 0.0001 });
+      expect(mempool.stats.feeDistribution['50-100']).toBe(1);
+      expect(mempool.transactions[0]).toMatchObject({ txid: 'm1', fee_rate: 50, priority: 'low', value: 5, inMempool: true });
+
+      node.setMempool({});
+      mempool = await feed.refreshMempool();
+      expect(mempool.transactions).toMatchObject([{ txid: 'm1', inMempool: false }]);
+
+      vi.advanceTimersByTime(3 * 60 * 1000);
+      mempool = await feed.refreshMempool();
+      expect(mempool.transactions).toEqual([]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('moves confirmed mempool transactions and announces the block transactions', async () => {
+    const node = makeNode();
+    node.setMempool({ a: { vsize: 200, fees: { base: 0.0002 }, time: 1 }, m1: { vsize: 200, fees: { base: 0.0001 }, time: 2 } });
+    const { feed, broadcast, resolver } = setup(node);
+    await feed.refreshMempool();
+    broadcast.mockClear();
+
+    const block = node.mine([tx('a', 1)]);
+    feed.confirmTransactions(block);
+    await feed.broadcastConfirmedTransactions(block);
+
+    expect(types(broadcast)).toEqual(['transactionConfirmed', 'mempool', 'confirmedTransactions']);
+    expect(broadcast.mock.calls[0][0].data.transactions).toMatchObject([{ txid: 'a', blockHash: 'h0', confirmations: 1 }]);
+    expect(feed.getMempool().transactions.map((t) => t.txid)).toEqual(['m1']);
+    expect(feed.getMempool().stats).toMatchObject({ size: 1, totalfee: 0.0001 });
+    expect(resolver.resolveBlock).toHaveBeenCalledWith(block, 19);
+    expect(broadcast.mock.calls[2][0].data).toMatchObject([{ txid: 'a', fee: 0.0002, feeRate: 100, inputsResolved: true }]);
+  });
+
+  it('returns reorged transactions to the mempool and announces the disconnect', async () => {
+    const node = makeNode();
+    node.mine();
+    node.mine([tx('a', 1)]);
+    const { feed, broadcast } = setup(node);
+    await feed.refreshBlocks();
+    await feed.refreshTransactions();
+    broadcast.mockClear();
+
+    feed.disconnectBlocks({ blocks: [{ hash: 'h1', height: 1, txids: ['a'] }], forkHeight: 0, replacedBy: 'h1b' });
+
+    expect(feed.getRecentBlocks().map((b) => b.hash)).toEqual(['h0']);
+    expect(broadcast.mock.calls[0][0]).toEqual({
+      type: 'blocksDisconnected',
+      data: { forkHeight: 0, replacedBy: 'h1b', blocks: [{ hash: 'h1', height: 1 }], transactions: ['a'] },
+    });
+    expect(broadcast.mock.calls[1][0]).toEqual({ type: 'recentTransactions', data: [] });
+    expect(broadcast.mock.calls[2][0].data.transactions).toMatchObject([{ txid: 'a', confirmations: 0 }]);
+    await vi.waitFor(() => expect(types(broadcast).filter((type) => type === 'mempool')).toHaveLength(2));
+
+    // The replacement tip is broadcast in full even at an already-sent hash
+    node.chain.length = 1;
+    node.mine([], 'b');
+    await feed.refreshBlocks();
+    expect(types(broadcast)).toContain('recentBlocks');
+  });
+
+  it('refreshes chain data after each block on a network mined on demand', async () => {
+    const node = makeNode();
+    node.mine();
+    const { feed, broadcast } = setup(node, { refreshOnBlock: true });
+
+    feed.addBlock({ height: 1, hash: 'h1' });
+    expect(broadcast.mock.calls[0][0]).toEqual({ type: 'newBlock', data: { height: 1, hash: 'h1' } });
+    await vi.waitFor(() => {
+      expect(types(broadcast)).toEqual(expect.arrayContaining(['initialData', 'mempool']));
+    });
+  });
+
+  it('builds initialData on a node without the optional RPCs', async () => {
+    const node = makeNode();
+    node.mine();
+    node.sendRpc.mockImplementation(async (method) => {
+      if (method === 'getblockchaininfo') return { chain: 'regtest', blocks: 0 };
+      if (method === 'getblockreward') return { blockreward: '72000.00000000' };
+      throw new Error(`Method not found: ${method}`);
+    });
+    const { feed, logger } = setup(node);
+
+    const initialData = await feed.refreshInitialData();
+    expect(initialData).toMatchObject({ blockReward: 72000, chainTxStats: null, deploymentInfo: null });
+    expect(initialData.txOutsetInfo).toEqual({ height: 0, total_amount: 0, _estimated: true });
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  it('replays every cached payload and keeps them when the node goes away', async () => {
+    const node = makeNode();
+    node.mine();
+    const { feed, logger } = setup(node);
+    expect(feed.getMessages().map((m) => m.type)).toEqual(['recentBlocks', 'recentTransactions', 'mempool']);
+
+    await feed.refreshBlocks();
+    const initialData = await feed.refreshInitialData();
+    expect(initialData).toMatchObject({ blockReward: 277, chainTxStats: null, txOutsetInfo: { total_amount: 17000000000 } });
+
+    node.sendRpc.mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:14022'));
+    await feed.refreshBlocks();
+    await feed.refreshInitialData();
+
+    expect(feed.getRecentBlocks()).toHaveLength(1);
+    expect(feed.getMessages().map((m) => m.type)).toEqual(['recentBlocks', 'recentTransactions', 'mempool', 'initialData']);
+    expect(logger.error).toHaveBeenCalledWith('Mainnet: Error fetching latest blocks:', 'connect ECONNREFUSED 127.0.0.1:14022');
+  });
+});
@@ -0,0 +1,129 @@
+// Network registry: built-in entries from the historical env vars, config.js
+// overrides, added networks and validation fallbacks.
+import { describe, it, expect, vi } from 'vitest';
+import { createNetworkRegistry } from '../../networks.js';
+
+describe('createNetworkRegistry', () => {
+  it('keeps the built-in networks, routes and ports', () => {
+    const registry = createNetworkRegistry();
+    const list = registry.listNetworks();
+
+    expect(list.map((n) => n.key)).toEqual(['mainnet', 'testnet', 'mainnetPre', 'regtest']);
+    expect(list.map((n) => n.routePrefix)).toEqual(['', '/testnet', '/mainnet-pre', '/regtest']);
+    expect(list.map((n) => n.ws.port)).toEqual([5002, 5003, 5004, 5005]);
+    expect(list.map((n) => n.rpc.url)).toEqual([
+      'http://127.0.0.1:14044',
+      'http://127.0.0.1:14026',
+      'http://127.0.0.1:14046',
+      'http://127.0.0.1:18443',
+    ]);
+    expect(registry.getNetwork('mainnet').zmq.rawblock).toBe('tcp://127.0.0.1:28332');
+    expect(registry.getNetwork('testnet').p2p).toEqual({ magic: 'fec6b9e7', port: 12033, protocolVersion: 70019 });
+    expect(registry.findNetworkBySlug('mainnet-pre').key).toBe('mainnetPre');
+  });
+
+  it('reads the historical env vars', () => {
+    const registry = createNetworkRegistry({
+      env: {
+        DGB_RPC_URL: 'http://node:14044',
+        DGB_RPC_BACKENDS: 'http://u:p@backup:14044',
+        DGB_TESTNET_WS_PORT: '6003',
+        DGB_PRE_RPC_URL: 'http://pre:14046',
+        DGB_MAINNET_PRE_ENABLED: 'true',
+      },
+    });
+
+    expect(registry.getNetwork('mainnet').rpc.url).toBe('http://node:14044');
+    expect(registry.getNetwork('mainnet').rpc.backends).toEqual([{ url: 'http://backup:14044', user: 'u', password: 'p' }]);
+    expect(registry.getNetwork('testnet').ws.port).toBe(6003);
+    expect(registry.getNetwork('mainnetPre').rpc.url).toBe('http://pre:14046');
+    expect(registry.getNetwork('mainnetPre').enabled).toBe(true);
+  });
+
+  it('leaves mainnet-pre and regtest polling off unless enabled', () => {
+    const registry = createNetworkRegistry();
+    expect(registry.getNetwork('mainnetPre').enabled).toBe(false);
+    expect(registry.getNetwork('regtest').enabled).toBe(false);
+    expect(registry.listNetworks({ enabledOnly: true }).map((n) => n.key)).toEqual(['mainnet', 'testnet']);
+  });
+
+  it('defines regtest with on-demand block spacing', () => {
+    const registry = createNetworkRegistry({
+      env: { DGB_REGTEST_ENABLED: 'true', DGB_REGTEST_RPC_URL: 'http://127.0.0.1:19443', DGB_REGTEST_WS_PORT: '6005' },
+    });
+    const regtest = registry.getNetwork('regtest');
+
+    expect(regtest).toMatchObject({ slug: 'regtest', rpcId: 'dgb_regtest_rpc', cachePrefix: 'regtest:', enabled: true, blocksPerDay: null });
+    expect(regtest.rpc.url).toBe('http://127.0.0.1:19443');
+    expect(regtest.ws.port).toBe(6005);
+    expect(regtest.p2p).toEqual({ magic: 'fabfb5da', port: 18444, protocolVersion: 70019 });
+    expect(regtest.subsystems).toEqual({ crawler: false, forkTracker: true, history: true, blockIndex: true, digidollar: true, zmq: false });
+    expect(registry.getNetwork('mainnet').blocksPerDay).toBe(5760);
+  });
+
+  it('merges config overrides over built-in entries', () => {
+    const registry = createNetworkRegistry({
+      overrides: {
+        mainnet: { rpc: { url: 'http://elsewhere:14044' }, subsystems: { crawler: false } },
+        testnet: false,
+      },
+    });
+    const mainnet = registry.getNetwork('mainnet');
+
+    expect(mainnet.rpc.url).toBe('http://elsewhere:14044');
+    expect(mainnet.rpc.user).toBe('user');
+    expect(mainnet.subsystems).toMatchObject({ crawler: false, forkTracker: true, zmq: true });
+    // false only switches polling off; routes and the WebSocket stay
+    expect(registry.getNetwork('testnet').enabled).toBe(false);
+  });
+
+  it('adds networks defined only in config', () => {
+    const registry = createNetworkRegistry({
+      overrides: {
+        signet: {
+          rpc: { url: 'http://127.0.0.1:38443' },
+          ws: { port: 5010 },
+          p2p: { magic: '0A03CF40', port: 38443 },
+          subsystems: { digidollar: true },
+        },
+      },
+    });
+    const signet = registry.getNetwork('signet');
+
+    expect(signet).toMatchObject({
+      slug: 'signet',
+      label: 'signet',
+      routePrefix: '/signet',
+      cachePrefix: 'signet:',
+      rpcId: 'dgb_signet_rpc',
+      zmq: null,
+      blocksPerDay: 5760,
+      enabled: true,
+    });
+    expect(signet.p2p.magic).toBe('0a03cf40');
+    expect(signet.subsystems).toEqual({ crawler: false, forkTracker: false, history: false, blockIndex: false, digidollar: true, zmq: false });
+    expect(registry.listNetworks({ subsystem: 'digidollar' }).map((n) => n.key)).toContain('signet');
+    expect(registry.listNetworks({ subsystem: 'crawler' }).map((n) => n.key)).toEqual(['mainnet']);
+  });
+
+  it('skips invalid added networks and keeps built-in defaults on a bad override', () => {
+    const log = vi.fn();
+    const registry = createNetworkRegistry({
+      log,
+      overrides: {
+        testnet: { ws: { port: 5002 } },            // clashes with mainnet
+        broken: { ws: { port: 5011 } },             // no rpc.url
+        badmagic: { rpc: { url: 'http://x' }, ws: { port: 5012 }, p2p: { magic: 'zz' } },
+        dupe: { rpc: { url: 'http://x' }, ws: { port: 5004 } },
+        spacing: { rpc: { url: 'http://x' }, ws: { port: 5013 }, blocksPerDay: 0 },
+      },
+    });
+
+    expect(registry.getNetwork('testnet').ws.port).toBe(5003);
+    expect(registry.getNetwork('broken')).toBeNull();
+    expect(registry.getNetwork('badmagic')).toBeNull();
+    expect(registry.getNetwork('dupe')).toBeNull();
+    expect(registry.getNetwork('spacing')).toBeNull();
+    expect(log).toHaveBeenCalledTimes(5);
+  });
+});
@@ -0,0 +1,94 @@
+// Pool registry: file validation, tag / domain / address matching, payout
+// address clustering of Unknown blocks and reloading the shared instance.
+import { describe, it, expect, afterEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_REGISTRY_FILE,
+  parsePoolRegistry,
+  loadPoolRegistryFile,
+  createPoolRegistry,
+  getPoolRegistry,
+  reloadPoolRegistry,
+  identifyPool,
+} from '../../poolregistry.js';
+
+const definition = {
+  version: 2,
+  updated: '2026-10-19',
+  pools: [
+    { name: 'DigiHash', website: 'https://digihash.co', tags: ['DigiHash'], domains: ['digihash.co'], addresses: ['dgb1qdigihash'] },
+    { name: 'Solo Pool', website: 'https://solopool.org', domains: ['solopool.org'], solo: true },
+    { name: 'M2Pool', domains: ['m2pool.com'] },
+  ],
+};
+
+describe('parsePoolRegistry', () => {
+  it('normalizes entries and rejects invalid files', () => {
+    const parsed = parsePoolRegistry(definition);
+    expect(parsed.version).toBe(2);
+    expect(parsed.pools[2]).toEqual({ name: 'M2Pool', website: null, tags: [], domains: ['m2pool.com'], addresses: [], solo: false });
+
+    expect(() => parsePoolRegistry({ pools: [] })).toThrow('version must be a positive integer');
+    expect(() => parsePoolRegistry({ version: 1, pools: [{ name: 'A' }, { name: 'a' }] })).toThrow('pool "a" is listed twice');
+    expect(() => parsePoolRegistry({ version: 1, pools: [{ name: 'A', tags: 'A' }] })).toThrow('tags must be an array');
+  });
+
+  it('accepts the shipped pools.json', () => {
+    const registry = loadPoolRegistryFile(DEFAULT_REGISTRY_FILE);
+    expect(registry.version).toBeGreaterThanOrEqual(1);
+    expect(registry.pools.map((p) => p.name)).toContain('DigiHash');
+  });
+});
+
+describe('createPoolRegistry', () => {
+  it('maps raw tags, domains and listed addresses to canonical pools', () => {
+    const registry = createPoolRegistry(definition);
+
+    expect(registry.identify('DigiHash', 'dgb1qa')).toEqual({ pool: 'DigiHash', website: 'https://digihash.co', source: 'tag' });
+    expect(registry.identify('Mined by digihash', 'dgb1qa').source).toBe('tag');
+    expect(registry.identify('stratum.m2pool.com', 'dgb1qb')).toEqual({ pool: 'M2Pool', website: null, source: 'domain' });
+    expect(registry.identify('Unknown', 'dgb1qdigihash').source).toBe('address');
+    expect(registry.identify('HashedMax', 'dgb1qc')).toEqual({ pool: 'HashedMax', website: null, source: 'coinbase' });
+    expect(registry.identify('Unknown', 'dgb1qnever')).toEqual({ pool: 'Unknown', website: null, source: null });
+  });
+
+  it('links Unknown blocks to a pool through a shared payout address', () => {
+    const registry = createPoolRegistry(definition);
+    expect(registry.identify('Unknown', 'dgb1qshared').pool).toBe('Unknown');
+
+    registry.identify('digihash.co', 'dgb1qshared');
+    expect(registry.identify('Unknown', 'dgb1qshared')).toEqual({ pool: 'DigiHash', website: 'https://digihash.co', source: 'cluster' });
+    // a raw tag always wins over the cluster
+    expect(registry.identify('HashedMax', 'dgb1qshared').pool).toBe('HashedMax');
+  });
+
+  it('never clusters solo-pool or ambiguous addresses', () => {
+    const registry = createPoolRegistry(definition);
+    registry.identify('solopool.org', 'dgb1qsolominer');
+    registry.identify('DigiHash', 'dgb1qboth');
+    registry.identify('m2pool.com', 'dgb1qboth');
+
+    expect(registry.identify('Unknown', 'dgb1qsolominer').pool).toBe('Unknown');
+    expect(registry.identify('Unknown', 'dgb1qboth').pool).toBe('Unknown');
+    expect(registry.describe().clusters).toEqual({ addresses: 0, ambiguous: 1 });
+  });
+});
+
+describe('reloadPoolRegistry', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pools-'));
+  const file = path.join(dir, 'pools.json');
+  afterEach(() => reloadPoolRegistry(DEFAULT_REGISTRY_FILE));
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('swaps the shared registry and keeps the old one on an invalid file', () => {
+    fs.writeFileSync(file, JSON.stringify({ version: 7, pools: [{ name: 'Renamed', tags: ['DigiHash'] }] }));
+    expect(reloadPoolRegistry(file).version).toBe(7);
+    expect(identifyPool('DigiHash', 'dgb1qa')).toBe('Renamed');
+
+    fs.writeFileSync(file, '{ "version": 8, "pools": [');
+    expect(() => reloadPoolRegistry(file)).toThrow();
+    expect(getPoolRegistry().version).toBe(7);
+  });
+});
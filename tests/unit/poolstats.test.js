@@ -0,0 +1,74 @@
+// Pool statistics: per-pool, per-algo shares, history.js hashrate formula,
+// window completeness and the poolStats message.
+import { describe, it, expect, vi } from 'vitest';
+import { buildWindowStats, createPoolStats, POOL_STATS_WINDOWS } from '../../poolstats.js';
+
+const POW32 = Math.pow(2, 32);
+const ROWS = [
+  { pool: 'DigiHash', algo: 'Odo', blocks: 3, sum_difficulty: 300 },
+  { pool: 'Unknown', algo: 'Odo', blocks: 1, sum_difficulty: 100 },
+  { pool: 'DigiHash', algo: 'SHA256D', blocks: 2, sum_difficulty: 2000 },
+  { pool: 'ViaBTC', algo: 'SHA256D', blocks: 2, sum_difficulty: 2000 },
+];
+
+describe('buildWindowStats', () => {
+  it('splits blocks per pool and algo and estimates hashrate from the share', () => {
+    const stats = buildWindowStats(ROWS, { seconds: 3600, to: 10000, oldestTime: 5000 });
+
+    expect(stats).toMatchObject({ seconds: 3600, from: 6400, to: 10000, complete: true, totalBlocks: 8 });
+    expect(Object.keys(stats.algos)).toEqual(['SHA256D', 'Odo']);
+    expect(stats.algos.Odo).toEqual({ blocks: 4, networkHashrate: (POW32 * 400) / 3600 });
+
+    expect(stats.pools.map((p) => [p.pool, p.blocks])).toEqual([['DigiHash', 5], ['ViaBTC', 2], ['Unknown', 1]]);
+    const digihash = stats.pools[0];
+    expect(digihash.share).toBe(5 / 8);
+    expect(digihash.algos.Odo).toEqual({ blocks: 3, share: 0.75, hashrate: 0.75 * (POW32 * 400) / 3600 });
+    expect(digihash.algos.SHA256D.share).toBe(0.5);
+  });
+
+  it('flags a window the index does not reach back to yet', () => {
+    expect(buildWindowStats(ROWS, { seconds: 3600, to: 10000, oldestTime: 7000 }).complete).toBe(false);
+    expect(buildWindowStats([], { seconds: 3600, to: 10000, oldestTime: null })).toMatchObject({
+      complete: false, totalBlocks: 0, algos: {}, pools: [],
+    });
+  });
+});
+
+describe('createPoolStats', () => {
+  const network = { key: 'mainnet', slug: 'mainnet', label: 'Mainnet' };
+
+  it('computes every window and broadcasts poolStats', async () => {
+    const blockIndex = {
+      getRange: vi.fn(async () => ({ oldestTime: 0 })),
+      countByPool: vi.fn(async () => ROWS),
+    };
+    const broadcast = vi.fn();
+    const service = createPoolStats({ network, blockIndex, broadcast, nowFn: () => 100000000 * 1000 });
+
+    expect(service.getMessages()).toEqual([]);
+    const stats = await service.refresh();
+
+    expect(Object.keys(stats.windows)).toEqual(['1h', '24h', '7d', '30d']);
+    expect(blockIndex.countByPool).toHaveBeenCalledWith('mainnet', 100000000 - POOL_STATS_WINDOWS['30d']);
+    expect(broadcast).toHaveBeenCalledWith({ type: 'poolStats', data: stats });
+    expect(service.getMessages()).toEqual([{ type: 'poolStats', data: stats }]);
+  });
+
+  it('keeps the last stats when the index cannot be read', async () => {
+    const logger = { log: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    let fail = false;
+    const blockIndex = {
+      getRange: vi.fn(async () => {
+        if (fail) throw new Error('SQLITE_BUSY');
+        return { oldestTime: 0 };
+      }),
+      countByPool: vi.fn(async () => ROWS),
+    };
+    const service = createPoolStats({ network, blockIndex, broadcast: vi.fn(), logger });
+    const first = await service.refresh();
+    fail = true;
+
+    expect(await service.refresh()).toBe(first);
+    expect(logger.error).toHaveBeenCalledWith('Error computing mainnet pool stats:', 'SQLITE_BUSY');
+  });
+});
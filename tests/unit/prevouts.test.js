@@ -0,0 +1,114 @@
+// Confirmed-transaction fees: getblock verbosity 3 when the node has it,
+// cached getrawtransaction prevouts otherwise, unresolved inputs flagged.
+import { describe, it, expect, vi } from 'vitest';
+import { createPrevoutResolver, describeConfirmedTransaction } from '../../prevouts.js';
+
+const network = { label: 'Mainnet' };
+const quiet = () => ({ log: vi.fn(), warn: vi.fn(), error: vi.fn() });
+const out = (value, address) => ({ value, scriptPubKey: { address, type: 'witness_v0_keyhash' } });
+
+const funding = { txid: 'f1', vout: [out(10, 'dgb1qalice'), out(5, 'dgb1qbob')] };
+const coinbase = { txid: 'cb', vin: [{ coinbase: '00' }], vout: [out(277.5, 'dgb1qminer')] };
+// spends f1:0 and its in-block parent p1:0
+const parent = { txid: 'p1', vsize: 100, vin: [{ txid: 'f1', vout: 1 }], vout: [out(4.999, 'dgb1qcarol')] };
+const spend = { txid: 's1', size: 250, vsize: 200, vin: [{ txid: 'f1', vout: 0 }, { txid: 'p1', vout: 0 }], vout: [out(14.99, 'dgb1qdave')] };
+const BLOCK2 = { height: 10, hash: 'b10', time: 1700000000, tx: [coinbase, parent, spend] };
+
+const withPrevouts = (tx, prevouts) => ({ ...tx, vin: tx.vin.map((input, i) => ({ ...input, prevout: prevouts[i] })) });
+const BLOCK3 = {
+  ...BLOCK2,
+  tx: [coinbase, withPrevouts(parent, [out(5, 'dgb1qbob')]), withPrevouts(spend, [out(10, 'dgb1qalice'), out(4.999, 'dgb1qcarol')])],
+};
+
+const rpcError = (message) => Object.assign(new Error(message), { rpcError: { code: -8, message } });
+
+describe('describeConfirmedTransaction', () => {
+  it('prices resolved inputs and flags missing ones', () => {
+    const entry = describeConfirmedTransaction(BLOCK3.tx[2], BLOCK3);
+    expect(entry).toMatchObject({
+      txid: 's1',
+      blockHeight: 10,
+      value: 14.99,
+      inputValue: 14.999,
+      size: 250,
+      vsize: 200,
+      fee: 0.009,
+      fee_rate: 4500,
+      feeSource: 'prevouts',
+      priority: 'high',
+      inputsResolved: true,
+      unresolvedInputs: 0,
+    });
+    expect(entry.inputs[0]).toEqual({ txid: 'f1', vout: 0, address: 'dgb1qalice', amount: 10, type: 'witness_v0_keyhash' });
+
+    const bare = describeConfirmedTransaction(spend, BLOCK2);
+    expect(bare).toMatchObject({ fee: null, fee_rate: null, feeSource: null, priority: null, inputValue: null, inputsResolved: false, unresolvedInputs: 2 });
+    expect(bare.inputs[1]).toMatchObject({ txid: 'p1', address: '', amount: null });
+  });
+});
+
+describe('createPrevoutResolver', () => {
+  it('uses getblock verbosity 3 when the node supports it', async () => {
+    const sendRpc = vi.fn(async () => BLOCK3);
+    const resolver = createPrevoutResolver({ network, sendRpc, logger: quiet() });
+
+    expect(await resolver.getBlock('b10')).toBe(BLOCK3);
+    expect(await resolver.resolveBlock(BLOCK2)).toBe(BLOCK3);
+    expect(sendRpc.mock.calls.map(([method, params]) => [method, params[1]])).toEqual([['getblock', 3], ['getblock', 3]]);
+    expect(resolver.getStatus().verbosity3).toBe(true);
+  });
+
+  it('keeps using verbosity 3 after an error about one block', async () => {
+    const logger = quiet();
+    const sendRpc = vi.fn(async (method, params) => {
+      if (params[0] === 'gone') throw Object.assign(new Error('Block not found'), { rpcError: { code: -5, message: 'Block not found' } });
+      return BLOCK3;
+    });
+    const resolver = createPrevoutResolver({ network, sendRpc, logger });
+
+    expect(await resolver.getBlock('gone')).toBeNull();
+    expect(resolver.getStatus().verbosity3).toBeNull();
+    expect(await resolver.getBlock('b10')).toBe(BLOCK3);
+    expect(sendRpc.mock.calls.map(([, params]) => params)).toEqual([['gone', 3], ['gone', 2], ['b10', 3]]);
+    expect(resolver.getStatus().verbosity3).toBe(true);
+  });
+
+  it('falls back to cached getrawtransaction prevouts on an older node', async () => {
+    const sendRpc = vi.fn(async (method, params) => {
+      if (method === 'getblock' && params[1] === 3) throw rpcError('Verbosity must be 0, 1 or 2');
+      if (method === 'getblock') return BLOCK2;
+      if (method === 'getrawtransaction') return params[0] === 'f1' ? funding : null;
+      return null;
+    });
+    const resolver = createPrevoutResolver({ network, sendRpc, logger: quiet() });
+
+    const block = await resolver.getBlock('b10');
+    expect(block.tx[2].vin.map((input) => input.prevout.value)).toEqual([10, 4.999]);
+    expect(describeConfirmedTransaction(block.tx[1], block)).toMatchObject({ fee: 0.001, feeSource: 'prevouts' });
+    // the input block is not modified
+    expect(BLOCK2.tx[2].vin[0].prevout).toBeUndefined();
+
+    // verbosity 3 is not asked again and f1 comes from the cache; p1 from the block itself
+    await resolver.resolveBlock(BLOCK2);
+    expect(sendRpc.mock.calls.map(([method, params]) => `${method} ${params[0]} ${params[1]}`))
+      .toEqual(['getblock b10 3', 'getblock b10 2', 'getrawtransaction f1 true']);
+    expect(resolver.getStatus()).toEqual({ verbosity3: false, txindex: true, cachedTransactions: 4 });
+  });
+
+  it('leaves inputs unresolved without txindex and stops asking for them', async () => {
+    const logger = quiet();
+    const sendRpc = vi.fn(async (method) => {
+      if (method === 'getblock') return BLOCK2; // verbosity 3 ignored: no prevouts
+      throw rpcError('No such mempool transaction. Use -txindex or provide a block hash to enable blockchain transaction queries.');
+    });
+    const resolver = createPrevoutResolver({ network, sendRpc, logger });
+
+    const first = await resolver.resolveBlock({ ...BLOCK2, tx: [coinbase, { ...spend, vin: [{ txid: 'x1', vout: 0 }] }] });
+    expect(describeConfirmedTransaction(first.tx[1], first).inputsResolved).toBe(false);
+    await resolver.resolveBlock({ ...BLOCK2, tx: [coinbase, { ...spend, vin: [{ txid: 'x2', vout: 0 }] }] });
+
+    expect(sendRpc.mock.calls.filter(([method]) => method === 'getrawtransaction')).toHaveLength(1);
+    expect(resolver.getStatus()).toMatchObject({ verbosity3: false, txindex: false });
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,170 @@
+// Native block deserialization for the ZMQ rawblock feed: hashes, BIP144
+// segwit sizes, the DigiByte algo nibble, the BIP34 height and output
+// script types / addresses as the node reports them, plus rawtx fees.
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import {
+  base58Check,
+  segwitAddress,
+  describeScript,
+  parseTransaction,
+  parseRawTransaction,
+  parseBlock,
+  transactionFee,
+  createOutputCache,
+} from '../../rawblock.js';
+
+// Bitcoin's genesis block: a pre-segwit, pre-BIP34 known vector
+const GENESIS = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+
+const hashHex = (hex) => {
+  const once = crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest();
+  return crypto.createHash('sha256').update(once).digest().reverse().toString('hex');
+};
+const u64 = (sats) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(sats));
+  return buf.toString('hex');
+};
+
+// Segwit coinbase: height 23000000 + /DigiHash/ tag, a p2wpkh payout and the witness commitment
+const KEYHASH = '11'.repeat(20);
+const COMMITMENT = 'ab'.repeat(32);
+const scriptSig = '04c0f35e01' + '0a' + Buffer.from('/DigiHash/').toString('hex');
+const inputs = '01' + '00'.repeat(32) + 'ffffffff' + (scriptSig.length / 2).toString(16).padStart(2, '0') + scriptSig + 'ffffffff';
+const outputs = '02'
+  + u64(27750000000) + '16' + '0014' + KEYHASH
+  + u64(0) + '26' + '6a24aa21a9ed' + COMMITMENT;
+const witness = '01' + '20' + '00'.repeat(32);
+const COINBASE_STRIPPED = '01000000' + inputs + outputs + '00000000';
+const COINBASE_FULL = '01000000' + '0001' + inputs + outputs + witness + '00000000';
+
+// Legacy spend of the coinbase's first output: 277.4 DGB to a p2pkh address
+const spend = (prevTxid) => '01000000' + '01' + Buffer.from(prevTxid, 'hex').reverse().toString('hex') + '00000000' + '00' + 'ffffffff'
+  + '01' + u64(27740000000) + '19' + `76a914${KEYHASH}88ac` + '00000000';
+
+// sha256d-mined (algo nibble 0x200) version with the top BIP9 bits
+const HEADER = '02020020' + 'aa'.repeat(32) + 'bb'.repeat(32) + '00e1f568' + 'ffff001d' + '01000000';
+
+describe('address encoding', () => {
+  it('matches the BIP173 / BIP350 and base58 vectors', () => {
+    expect(segwitAddress('bc', 0, Buffer.from('751e76e8199196d454941c45d1b3a323f1433bd6', 'hex')))
+      .toBe('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+    expect(segwitAddress('bc', 1, Buffer.from('79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex')))
+      .toBe('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0');
+    expect(base58Check(0, Buffer.alloc(20))).toBe('1111111111111111111114oLvT2');
+    expect(base58Check(30, Buffer.alloc(20))).toMatch(/^D/);
+    expect(base58Check(63, Buffer.alloc(20))).toMatch(/^S/);
+  });
+
+  it('names output scripts like the node', () => {
+    const script = (hex) => Buffer.from(hex, 'hex');
+    expect(describeScript(script(`76a914${KEYHASH}88ac`)).type).toBe('pubkeyhash');
+    expect(describeScript(script(`a914${KEYHASH}87`)).address).toMatch(/^S/);
+    expect(describeScript(script(`0014${KEYHASH}`))).toMatchObject({ type: 'witness_v0_keyhash', address: expect.stringMatching(/^dgb1q/) });
+    expect(describeScript(script(`0014${KEYHASH}`), 'test').address).toMatch(/^dgbt1q/);
+    expect(describeScript(script(`0020${'22'.repeat(32)}`)).type).toBe('witness_v0_scripthash');
+    expect(describeScript(script(`5120${'22'.repeat(32)}`))).toMatchObject({ type: 'witness_v1_taproot', address: expect.stringMatching(/^dgb1p/) });
+    expect(describeScript(script('6a0568656c6c6f')).type).toBe('nulldata');
+    expect(describeScript(script('51')).type).toBe('nonstandard');
+  });
+});
+
+describe('parseTransaction', () => {
+  it('hashes the stripped form for the txid and weighs the witness at a quarter', () => {
+    const { tx, next } = parseTransaction(Buffer.from(COINBASE_FULL, 'hex'));
+    const stripped = COINBASE_STRIPPED.length / 2;
+    const size = COINBASE_FULL.length / 2;
+    expect(next).toBe(size);
+    expect(tx).toMatchObject({
+      txid: hashHex(COINBASE_STRIPPED),
+      hash: hashHex(COINBASE_FULL),
+      size,
+      weight: stripped * 3 + size,
+      vsize: Math.ceil((stripped * 3 + size) / 4),
+      locktime: 0,
+    });
+    expect(tx.txid).not.toBe(tx.hash);
+    expect(tx.vin).toEqual([{ coinbase: scriptSig, sequence: 4294967295, txinwitness: ['00'.repeat(32)] }]);
+    expect(tx.vout[0]).toMatchObject({ value: 277.5, n: 0, scriptPubKey: { type: 'witness_v0_keyhash' } });
+    expect(tx.vout[1].scriptPubKey).toEqual({ hex: `6a24aa21a9ed${COMMITMENT}`, type: 'nulldata' });
+  });
+});
+
+describe('parseBlock', () => {
+  it('parses the genesis block', () => {
+    const block = parseBlock(Buffer.from(GENESIS, 'hex'));
+    expect(block).toMatchObject({
+      hash: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+      merkleroot: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
+      previousblockhash: '0'.repeat(64),
+      bits: '1d00ffff',
+      difficulty: 1,
+      size: 285,
+      strippedsize: 285,
+      weight: 1140,
+      nTx: 1,
+      pow_algo: 'scrypt',
+    });
+    expect(block.tx[0].txid).toBe(block.merkleroot);
+    expect(block.tx[0].vout[0]).toMatchObject({ value: 50, scriptPubKey: { type: 'pubkey' } });
+  });
+
+  it('reads the algo from nVersion and the height from the coinbase', () => {
+    const raw = HEADER + '01' + COINBASE_FULL;
+    const block = parseBlock(Buffer.from(raw, 'hex'));
+    const stripped = 81 + COINBASE_STRIPPED.length / 2;
+    expect(block).toMatchObject({
+      hash: hashHex(HEADER),
+      height: 23000000,
+      version: 0x20000202,
+      versionHex: '20000202',
+      pow_algo: 'sha256d',
+      previousblockhash: 'aa'.repeat(32),
+      time: 0x68f5e100,
+      nonce: 1,
+      size: raw.length / 2,
+      strippedsize: stripped,
+      weight: stripped * 3 + raw.length / 2,
+    });
+    expect(block.tx[0].vin[0].coinbase).toBe(scriptSig);
+  });
+
+  it('rejects truncated and padded payloads', () => {
+    const raw = HEADER + '01' + COINBASE_FULL;
+    expect(() => parseBlock(Buffer.from(raw.slice(0, -10), 'hex'))).toThrow(/truncated/);
+    expect(() => parseBlock(Buffer.from(`${raw}00`, 'hex'))).toThrow(/trailing/);
+    expect(() => parseBlock(Buffer.from(HEADER, 'hex'))).toThrow();
+  });
+});
+
+describe('rawtx fees', () => {
+  const coinbase = parseRawTransaction(Buffer.from(COINBASE_FULL, 'hex'));
+  const tx = parseRawTransaction(Buffer.from(spend(coinbase.txid), 'hex'));
+
+  it('decodes the payload and rejects trailing bytes', () => {
+    expect(tx).toMatchObject({ txid: tx.hash, size: 85, vsize: 85, vin: [{ txid: coinbase.txid, vout: 0 }] });
+    expect(tx.vout[0].scriptPubKey).toMatchObject({ type: 'pubkeyhash', address: expect.stringMatching(/^D/) });
+    expect(() => parseRawTransaction(Buffer.from(`${spend(coinbase.txid)}00`, 'hex'))).toThrow(/trailing/);
+  });
+
+  it('prices a transaction from cached prevouts, else its mempool entry', () => {
+    const outputs = createOutputCache(2);
+    expect(transactionFee(tx, { prevout: outputs.prevout })).toEqual({ fee: null, feeRate: null, feeSource: null });
+
+    outputs.add(coinbase);
+    expect(transactionFee(tx, { prevout: outputs.prevout })).toEqual({ fee: 0.1, feeRate: 117647.06, feeSource: 'prevouts' });
+    expect(transactionFee(tx, { mempoolEntry: { vsize: 85, fees: { base: 0.00085, modified: 0.001 } } }))
+      .toEqual({ fee: 0.00085, feeRate: 1000, feeSource: 'mempool' });
+    expect(transactionFee(tx, { mempoolEntry: { fee: 0.0017 } }).feeRate).toBe(2000);
+    // a coinbase has no prevouts to price
+    expect(transactionFee(coinbase, { prevout: outputs.prevout }).feeSource).toBeNull();
+
+    // oldest transaction dropped past the limit
+    outputs.add(tx);
+    outputs.add(parseRawTransaction(Buffer.from(spend(tx.txid), 'hex')));
+    expect(outputs.size()).toBe(2);
+    expect(outputs.prevout(coinbase.txid, 0)).toBeUndefined();
+    expect(outputs.prevout(tx.txid, 0)).toBe(277.4);
+  });
+});
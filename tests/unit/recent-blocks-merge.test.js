@@ -3,7 +3,7 @@
 // clobbering the array — otherwise a slightly-stale range fetch regresses the
 // tip and "loses" blocks the clients already saw.
 import { describe, it, expect } from 'vitest';
-import { mergeRecentBlocks } from '../../rpc.js';
+import { mergeRecentBlocks, disconnectRecentBlocks } from '../../rpc.js';
 
 const mk = (height, hash = `hash-${height}`) => ({ height, hash });
 
@@ -28,6 +28,14 @@ describe('mergeRecentBlocks', () => {
     expect(merged[0].poolIdentifier).toBe('fresh');
   });
 
+  it('drops cached blocks the fetch replaced at the same height', () => {
+    // 101-old and 102-old were reorged out; 103 is still newer than the fetch
+    const existing = [mk(103), mk(102, 'old-102'), mk(101, 'old-101'), mk(100)];
+    const fetched = [mk(102), mk(101), mk(100)];
+    const merged = mergeRecentBlocks(existing, fetched, 240);
+    expect(merged.map(b => b.hash)).toEqual(['hash-103', 'hash-102', 'hash-101', 'hash-100']);
+  });
+
   it('caps the result at max blocks, keeping the newest', () => {
     const existing = [mk(300)];
     const fetched = Array.from({ length: 250 }, (_, i) => mk(299 - i));
@@ -42,3 +50,26 @@ describe('mergeRecentBlocks', () => {
     expect(merged.map(b => b.height)).toEqual([4]);
   });
 });
+
+describe('disconnectRecentBlocks', () => {
+  it('drops the blocks and returns their confirmed transactions to the mempool', () => {
+    const blocks = [mk(12), mk(11), mk(10)];
+    const confirmed = [
+      { txid: 't2', value: 2, blockHeight: 12, blockHash: 'hash-12', blocktime: 9, confirmations: 1 },
+      { txid: 't1', value: 1, blockHeight: 10, blockHash: 'hash-10', blocktime: 8, confirmations: 3 },
+    ];
+    const mempool = [{ txid: 'm1', confirmations: 0 }];
+
+    const result = disconnectRecentBlocks({ blocks, confirmed, mempool }, [
+      { hash: 'hash-12', height: 12, txids: ['t2', 't3'] },
+      { hash: 'hash-11', height: 11, txids: [] },
+    ]);
+
+    expect(result.blocks.map(b => b.height)).toEqual([10]);
+    expect(result.confirmed.map(tx => tx.txid)).toEqual(['t1']);
+    expect(result.mempool).toEqual([{ txid: 't2', value: 2, confirmations: 0 }, { txid: 'm1', confirmations: 0 }]);
+    expect(result.txids).toEqual(['t2', 't3']);
+    // inputs are left untouched
+    expect(blocks).toHaveLength(3);
+  });
+});
@@ -0,0 +1,145 @@
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const { validateRpcCall, RPC_ERROR_CODES } = require('../../rpcallowlist.js');
+
+vi.mock('axios');
+
+const HASH = 'a'.repeat(64);
+
+describe('validateRpcCall', () => {
+  test('accepts allowlisted methods with valid params', () => {
+    expect(validateRpcCall('getblockchaininfo')).toEqual({ params: [] });
+    expect(validateRpcCall('getblock', [HASH, 2])).toEqual({ params: [HASH, 2] });
+    expect(validateRpcCall('getrawtransaction', [HASH, true, HASH])).toEqual({ params: [HASH, true, HASH] });
+  });
+
+  test('drops trailing nulls so defaults share a cache key', () => {
+    expect(validateRpcCall('getblockheader', [HASH, null])).toEqual({ params: [HASH] });
+  });
+
+  test('rejects wallet and state-changing methods', () => {
+    for (const method of ['sendtoaddress', 'stop', 'submitblock', 'dumpprivkey', 'setban', '__proto__']) {
+      const { error } = validateRpcCall(method, []);
+      expect(error.code).toBe(RPC_ERROR_CODES.METHOD_NOT_ALLOWED);
+      expect(error.message).toContain(`'${method}' is not allowed`);
+    }
+  });
+
+  test('rejects bad params with the reason', () => {
+    expect(validateRpcCall('getblock', ['nothex', 2]).error.message).toContain("param 'blockhash'");
+    expect(validateRpcCall('getblock', [HASH, 7]).error.message).toContain("param 'verbosity'");
+    // verbosity 3 reads every prevout from disk
+    expect(validateRpcCall('getblock', [HASH, 3]).error.message).toContain('an integer from 0 to 2');
+    expect(validateRpcCall('getblockhash', []).error.message).toContain("missing required param 'height'");
+    expect(validateRpcCall('getblockhash', [-1]).error.code).toBe(RPC_ERROR_CODES.INVALID_PARAMS);
+    expect(validateRpcCall('getblockchaininfo', [1]).error.message).toContain('at most 0 param(s)');
+    expect(validateRpcCall('getblockhash', { height: 1 }).error.message).toBe('params must be an array');
+  });
+});
+
+describe('POST /api/rpc/:network', () => {
+  let app;
+  let rpcModule;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete require.cache[require.resolve('../../rpc.js')];
+
+    axios.post = vi.fn((url, body) => {
+      if (body.method === 'getblock' && body.params[0] === 'b'.repeat(64)) {
+        return Promise.resolve({ data: { result: null, error: { code: -5, message: 'Block not found' }, id: body.id } });
+      }
+      if (url === 'http://127.0.0.1:14026' && body.method === 'getmempoolinfo') {
+        return Promise.reject(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:14026'), { code: 'ECONNREFUSED' }));
+      }
+      return Promise.resolve({ data: { result: { url, method: body.method, params: body.params }, error: null, id: body.id } });
+    });
+
+    rpcModule = require('../../rpc.js');
+    rpcModule.rpcCache.flushAll();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', rpcModule.router);
+  });
+
+  test('answers a single call through the cached request path', async () => {
+    const call = { jsonrpc: '1.0', id: 7, method: 'getblockhash', params: [100] };
+    const first = await request(app).post('/api/rpc/mainnet').send(call).expect(200);
+    await request(app).post('/api/rpc/mainnet').send(call).expect(200);
+
+    expect(first.body).toEqual({
+      result: { url: 'http://127.0.0.1:14044', method: 'getblockhash', params: [100] },
+      error: null,
+      id: 7
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(rpcModule.getCacheStats().hits).toBe(1);
+  });
+
+  test('routes each network to its own node', async () => {
+    const res = await request(app).post('/api/rpc/testnet').send({ id: 1, method: 'getblockcount' }).expect(200);
+    expect(res.body.result.url).toBe('http://127.0.0.1:14026');
+    await request(app).post('/api/rpc/regtest-nope').send({ id: 1, method: 'getblockcount' }).expect(404);
+  });
+
+  test('answers batches in order with per-call errors', async () => {
+    const res = await request(app).post('/api/rpc/mainnet').send([
+      { id: 'a', method: 'getblockcount' },
+      { id: 'b', method: 'sendtoaddress', params: ['D123', 1] },
+      { id: 'c', method: 'getblock', params: ['zz'] },
+      { id: 'd', method: 'getblock', params: ['b'.repeat(64), 1] }
+    ]).expect(200);
+
+    expect(res.body.map(r => r.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(res.body[0].error).toBeNull();
+    expect(res.body[1].error.code).toBe(RPC_ERROR_CODES.METHOD_NOT_ALLOWED);
+    expect(res.body[2].error.code).toBe(RPC_ERROR_CODES.INVALID_PARAMS);
+    expect(res.body[3].error).toEqual({ code: -5, message: 'Block not found' });
+    // Rejected calls never reach the node
+    expect(axios.post.mock.calls.map(([, body]) => body.method)).toEqual(['getblockcount', 'getblock']);
+  });
+
+  test('queues batch calls at background priority, a few at a time', async () => {
+    const calls = Array.from({ length: 10 }, (_, i) => ({ id: i, method: 'getblockhash', params: [i] }));
+    const res = await request(app).post('/api/rpc/mainnet').send(calls).expect(200);
+
+    expect(res.body.map(r => r.result.params)).toEqual(calls.map(c => c.params));
+    const { background } = rpcModule.getCacheStats().scheduler.mainnet.byClass;
+    expect(background.dispatched).toBe(10);
+    // 4 pending per request, 2 of them running (background cap)
+    expect(background.maxQueueDepth).toBeLessThanOrEqual(2);
+  });
+
+  test('lets gettxoutsetinfo reach the node once per interval', async () => {
+    const call = { id: 1, method: 'gettxoutsetinfo' };
+    expect((await request(app).post('/api/rpc/testnet').send(call).expect(200)).body.error).toBeNull();
+    // Cached: served
+    expect((await request(app).post('/api/rpc/testnet').send(call).expect(200)).body.error).toBeNull();
+
+    rpcModule.rpcCache.flushAll();
+    const limited = await request(app).post('/api/rpc/testnet').send(call).expect(200);
+    expect(limited.body.error.code).toBe(RPC_ERROR_CODES.LIMIT_EXCEEDED);
+    expect(axios.post.mock.calls.filter(([, body]) => body.method === 'gettxoutsetinfo')).toHaveLength(1);
+  });
+
+  test('hides transport details when the node is down', async () => {
+    const res = await request(app).post('/api/rpc/testnet').send({ id: 1, method: 'getmempoolinfo' }).expect(200);
+    expect(res.body.error).toEqual({ code: RPC_ERROR_CODES.INTERNAL_ERROR, message: 'Testnet node unavailable' });
+  });
+
+  test('rejects malformed bodies and oversize batches', async () => {
+    await request(app).post('/api/rpc/mainnet').send({ id: 1 }).expect(400);
+    await request(app).post('/api/rpc/mainnet').send([]).expect(400);
+    const big = Array.from({ length: 101 }, (_, i) => ({ id: i, method: 'getblockcount' }));
+    await request(app).post('/api/rpc/mainnet').send(big).expect(400);
+  });
+
+  test('lists the allowlisted methods', async () => {
+    const res = await request(app).get('/api/rpc/methods').expect(200);
+    expect(res.body.methods).toContain('getblock');
+    expect(res.body.methods).not.toContain('sendtoaddress');
+    expect(res.body.networks).toEqual(['mainnet', 'testnet', 'mainnet-pre', 'regtest']);
+  });
+});
@@ -348,6 +348,20 @@ describe('RPC Module', () => {
     });
   });
 
+  describe('Coinbase Value', () => {
+    test('sums coinbase outputs in whole satoshis', () => {
+      const coinbaseTx = {
+        vout: [
+          { value: 277.37412345, scriptPubKey: { address: 'dgb1qminer' } },
+          { value: 0.1, scriptPubKey: { address: 'dgb1qfee' } },
+          { value: 0, scriptPubKey: { type: 'nulldata' } }
+        ]
+      };
+      expect(rpcModule.getCoinbaseValue(coinbaseTx)).toBe(277.47412345);
+      expect(rpcModule.getCoinbaseValue({})).toBe(0);
+    });
+  });
+
   describe('Error Scenarios', () => {
     test('should handle timeout for gettxoutsetinfo', async () => {
       const method = 'gettxoutsetinfo';
@@ -363,6 +377,18 @@ describe('RPC Module', () => {
       });
     });
 
+    test('should not log node errors the caller expects', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockRpcEnv.mockServer.setError('getmempoolentry', { code: -5, message: 'Transaction not in mempool' }, ['abc']);
+
+      const result = await rpcModule.sendRpcRequest('getmempoolentry', ['abc'], false, { quietErrorCodes: [-5] });
+      expect(result).toBeNull();
+      expect(consoleSpy).not.toHaveBeenCalled();
+
+      await rpcModule.sendRpcRequest('getmempoolentry', ['abc'], true);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('RPC Error (getmempoolentry)'), expect.any(String));
+    });
+
     test('should handle rate limiting', async () => {
       const method = 'getblockchaininfo';
       mockRpcEnv.mockServer.setResponse(method, mockBlockchainInfo);
@@ -379,6 +405,30 @@ describe('RPC Module', () => {
         expect(result).toEqual(mockBlockchainInfo);
       });
     });
+
+    test('should queue by priority and report scheduler stats', async () => {
+      const method = 'getblockchaininfo';
+      mockRpcEnv.mockServer.setResponse(method, mockBlockchainInfo);
+      mockRpcEnv.mockServer.setDelay(method, 20);
+
+      const background = Array(5).fill().map(() =>
+        rpcModule.sendRpcRequest(method, [], true, { priority: 'background' })
+      );
+      const realtime = rpcModule.sendRpcRequest(method, [], true, { priority: 'realtime' });
+
+      // Background is capped below the network limit, so realtime is not queued
+      const { mainnet } = rpcModule.getCacheStats().scheduler;
+      expect(mainnet.byClass.background).toMatchObject({ inFlight: 2, queued: 3 });
+      expect(mainnet.byClass.realtime).toMatchObject({ inFlight: 1, queued: 0 });
+
+      const results = await Promise.all([...background, realtime]);
+      results.forEach(result => expect(result).toEqual(mockBlockchainInfo));
+
+      const after = rpcModule.getCacheStats().scheduler.mainnet;
+      expect(after.inFlight).toBe(0);
+      expect(after.byClass.background.dispatched).toBe(5);
+      expect(after.byClass.realtime.dispatched).toBe(1);
+    });
   });
 
   describe('Preload Essential Data', () => {
@@ -450,6 +500,503 @@ describe('RPC Module', () => {
       // Second result might be null or the error might be handled differently
       expect(results[1]).toBeDefined();
     });
+
+    test('should fetch all blocks with a single batch POST', async () => {
+      const blockHashes = mockBlocks.map(block => block.hash);
+
+      const results = await rpcModule.fetchBlocksInBatch(blockHashes);
+
+      expect(results).toHaveLength(blockHashes.length);
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+      expect(Array.isArray(mockedAxios.post.mock.calls[0][1])).toBe(true);
+    });
+  });
+
+  describe('Backend Failover', () => {
+    const loadWithBackends = (value) => {
+      process.env.DGB_RPC_BACKENDS = value;
+      try {
+        delete require.cache[require.resolve('../../rpc.js')];
+        return require('../../rpc.js');
+      } finally {
+        delete process.env.DGB_RPC_BACKENDS;
+      }
+    };
+
+    test('should fail over to the next backend when the primary is down', async () => {
+      const rpc = loadWithBackends('http://backup:14044');
+      mockedAxios.post.mockImplementation(async (url, body) => {
+        if (url === 'http://127.0.0.1:14044') throw rpcErrorScenarios.connectionRefused();
+        if (body.method === 'getblockchaininfo') return { data: { result: { blocks: 100 }, error: null } };
+        return { data: { result: 'ok', error: null } };
+      });
+
+      const result = await rpc.sendRpcRequest('getbestblockhash', [], true);
+
+      expect(result).toBe('ok');
+      const [primary, backup] = rpc.getCacheStats().backends.mainnet;
+      expect(primary).toMatchObject({ url: 'http://127.0.0.1:14044', healthy: false });
+      expect(primary.failures).toBeGreaterThanOrEqual(1);
+      expect(backup).toMatchObject({ url: 'http://backup:14044', healthy: true, active: true });
+    });
+
+    test('should not fail over on ordinary RPC errors', async () => {
+      const rpc = loadWithBackends('http://backup:14044');
+      mockedAxios.post.mockImplementation(async (url, body) => {
+        if (body.id === 'dgb_probe') return { data: { result: { blocks: 100 }, error: null } };
+        return { data: { result: null, error: { code: -5, message: 'Block not found' } } };
+      });
+
+      const result = await rpc.sendRpcRequest('getblock', ['deadbeef'], true);
+
+      expect(result).toBeNull();
+      const calls = mockedAxios.post.mock.calls.filter(([, body]) => body.method === 'getblock');
+      expect(calls).toHaveLength(1);
+      expect(calls[0][0]).toBe('http://127.0.0.1:14044');
+    });
+
+    test('should skip a backend that is still warming up', async () => {
+      const rpc = loadWithBackends('http://backup:14044');
+      mockedAxios.post.mockImplementation(async (url, body) => {
+        if (url === 'http://127.0.0.1:14044') {
+          return { data: { result: null, error: { code: -28, message: 'Loading block index...' } } };
+        }
+        return { data: { result: body.method === 'getblockchaininfo' ? { blocks: 100 } : 'ok', error: null } };
+      });
+
+      const result = await rpc.sendRpcRequest('getbestblockhash', [], true);
+
+      expect(result).toBe('ok');
+    });
+
+    test('should report a single backend per network by default', () => {
+      const { backends } = rpcModule.getCacheStats();
+      expect(backends.mainnet).toHaveLength(1);
+      expect(backends.testnet[0].url).toBe('http://127.0.0.1:14026');
+      expect(backends.mainnetPre[0].url).toBe('http://127.0.0.1:14046');
+    });
+  });
+
+  describe('Cookie Authentication', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let cookieDir;
+    let cookieFile;
+
+    const loadWithCookie = () => {
+      process.env.DGB_RPC_COOKIE_FILE = cookieFile;
+      try {
+        delete require.cache[require.resolve('../../rpc.js')];
+        return require('../../rpc.js');
+      } finally {
+        delete process.env.DGB_RPC_COOKIE_FILE;
+      }
+    };
+
+    const unauthorized = () => Object.assign(new Error('Request failed with status code 401'), {
+      response: { status: 401, data: '' }
+    });
+
+    beforeEach(() => {
+      cookieDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgb-cookie-'));
+      cookieFile = path.join(cookieDir, '.cookie');
+    });
+
+    afterEach(() => {
+      fs.rmSync(cookieDir, { recursive: true, force: true });
+    });
+
+    test('should authenticate with the cookie credential', async () => {
+      fs.writeFileSync(cookieFile, '__cookie__:abc123\n');
+      const rpc = loadWithCookie();
+
+      await rpc.sendRpcRequest('getblockchaininfo', [], true);
+
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'http://127.0.0.1:14044',
+        expect.any(Object),
+        expect.objectContaining({ auth: { username: '__cookie__', password: 'abc123' } })
+      );
+    });
+
+    test('should re-read the cookie on 401 and retry once', async () => {
+      fs.writeFileSync(cookieFile, '__cookie__:before-restart');
+      const rpc = loadWithCookie();
+      await rpc.sendRpcRequest('getblockchaininfo', [], true);
+
+      // Node restarted: new cookie on disk, old credential now rejected
+      fs.writeFileSync(cookieFile, '__cookie__:after-restart');
+      mockedAxios.post.mockClear();
+      mockedAxios.post.mockImplementation(async (url, body, options) => {
+        if (options.auth.password !== 'after-restart') throw unauthorized();
+        return { data: { result: 'fresh', error: null } };
+      });
+
+      const result = await rpc.sendRpcRequest('getbestblockhash', [], true);
+
+      expect(result).toBe('fresh');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry more than once when the cookie is still rejected', async () => {
+      fs.writeFileSync(cookieFile, '__cookie__:stale');
+      const rpc = loadWithCookie();
+      mockedAxios.post.mockImplementation(async () => { throw unauthorized(); });
+
+      const result = await rpc.sendRpcRequest('getbestblockhash', [], true);
+
+      expect(result).toBeNull();
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fall back to user/password when the cookie file is missing', async () => {
+      const rpc = loadWithCookie();
+
+      await rpc.sendRpcRequest('getblockchaininfo', [], true);
+
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'http://127.0.0.1:14044',
+        expect.any(Object),
+        expect.objectContaining({ auth: { username: 'user', password: 'password' } })
+      );
+    });
+  });
+
+  describe('JSON-RPC Batch Transport', () => {
+    test('should send calls as one array request and return results in order', async () => {
+      const results = await rpcModule.sendRpcBatchRequest([
+        { method: 'getblockhash', params: [mockBlocks[0].height] },
+        { method: 'getblockhash', params: [mockBlocks[1].height] }
+      ]);
+
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+      const [url, body] = mockedAxios.post.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:14044');
+      expect(body).toEqual([
+        { jsonrpc: '1.0', id: 'dgb_rpc:0', method: 'getblockhash', params: [mockBlocks[0].height] },
+        { jsonrpc: '1.0', id: 'dgb_rpc:1', method: 'getblockhash', params: [mockBlocks[1].height] }
+      ]);
+      expect(results).toEqual([
+        { result: mockBlocks[0].hash, error: null },
+        { result: mockBlocks[1].hash, error: null }
+      ]);
+    });
+
+    test('should report per-entry RPC errors without failing the batch', async () => {
+      mockRpcEnv.mockServer.setError('getblockhash', rpcErrorScenarios.invalidRequest(), [999]);
+
+      const results = await rpcModule.sendRpcBatchRequest([
+        { method: 'getblockhash', params: [999] },
+        { method: 'getblockhash', params: [mockBlocks[0].height] }
+      ]);
+
+      expect(results[0].result).toBeNull();
+      expect(results[0].error).toContain('Mainnet RPC Error');
+      expect(results[1]).toEqual({ result: mockBlocks[0].hash, error: null });
+    });
+
+    test('should answer cached entries without sending them', async () => {
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      mockedAxios.post.mockClear();
+
+      const results = await rpcModule.sendRpcBatchRequest([
+        { method: 'getblockchaininfo', params: [] }
+      ]);
+
+      expect(results[0]).toEqual({ result: mockBlockchainInfo, error: null });
+      expect(mockedAxios.post).not.toHaveBeenCalled();
+      expect(rpcModule.getCacheStats().hits).toBe(1);
+    });
+
+    test('should fall back to stale cache when the batch POST fails', async () => {
+      await rpcModule.sendRpcBatchRequest([{ method: 'getblockchaininfo', params: [] }]);
+      mockRpcEnv.mockServer.setError('getblockchaininfo', rpcErrorScenarios.connectionRefused());
+
+      const results = await rpcModule.sendRpcBatchRequest(
+        [{ method: 'getblockchaininfo', params: [] }],
+        true
+      );
+
+      expect(results[0].result).toEqual(mockBlockchainInfo);
+      expect(results[0].error).toContain('ECONNREFUSED');
+    });
+
+    test('should split large batches into chunks', async () => {
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'somehash');
+      const calls = Array.from({ length: 150 }, (_, i) => ({ method: 'getblockhash', params: [i] }));
+
+      const results = await rpcModule.sendRpcBatchRequest(calls);
+
+      expect(results).toHaveLength(150);
+      expect(results.every(r => r.result === 'somehash')).toBe(true);
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+      expect(mockedAxios.post.mock.calls[0][1]).toHaveLength(100);
+      expect(mockedAxios.post.mock.calls[1][1]).toHaveLength(50);
+    });
+
+    test('should use the testnet target for testnet batches', async () => {
+      await rpcModule.sendTestnetRpcBatchRequest([{ method: 'getblockchaininfo', params: [] }]);
+
+      const [url, body] = mockedAxios.post.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:14026');
+      expect(body[0].id).toBe('dgb_testnet_rpc:0');
+    });
+  });
+
+  describe('Single-flight Coalescing', () => {
+    test('should share one request between identical concurrent calls', async () => {
+      mockRpcEnv.mockServer.setDelay('getrawmempool', 20, [true]);
+      mockRpcEnv.mockServer.setResponse('getrawmempool', { txa: { fee: 0.001 } }, [true]);
+
+      const results = await Promise.all(
+        Array(3).fill().map(() => rpcModule.sendRpcRequest('getrawmempool', [true]))
+      );
+
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+      results.forEach(result => expect(result).toEqual({ txa: { fee: 0.001 } }));
+
+      const stats = rpcModule.getCacheStats();
+      expect(stats.coalesced).toBe(2);
+      expect(stats.coalescedByMethod).toEqual({ getrawmempool: 2 });
+      expect(stats.misses).toBe(1);
+      expect(stats.inFlight).toBe(0);
+    });
+
+    test('should give each caller its own copy of the result', async () => {
+      mockRpcEnv.mockServer.setDelay('getblockchaininfo', 20);
+
+      const [first, second] = await Promise.all([
+        rpcModule.sendRpcRequest('getblockchaininfo'),
+        rpcModule.sendRpcRequest('getblockchaininfo')
+      ]);
+
+      first.annotated = true;
+      expect(second.annotated).toBeUndefined();
+    });
+
+    test('should not coalesce calls with different params or networks', async () => {
+      await Promise.all([
+        rpcModule.sendRpcRequest('getblockhash', [mockBlocks[0].height]),
+        rpcModule.sendRpcRequest('getblockhash', [mockBlocks[1].height]),
+        rpcModule.sendTestnetRpcRequest('getblockhash', [mockBlocks[0].height])
+      ]);
+
+      expect(mockedAxios.post).toHaveBeenCalledTimes(3);
+      expect(rpcModule.getCacheStats().coalesced).toBe(0);
+    });
+
+    test('should not let skipCache calls join an older request', async () => {
+      mockRpcEnv.mockServer.setDelay('getblockchaininfo', 20);
+
+      await Promise.all([
+        rpcModule.sendRpcRequest('getblockchaininfo'),
+        rpcModule.sendRpcRequest('getblockchaininfo', [], true),
+        rpcModule.sendRpcRequest('getblockchaininfo')
+      ]);
+
+      // The third call joins the skipCache request started just before it
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+      expect(rpcModule.getCacheStats().coalesced).toBe(1);
+    });
+
+    test('should share the fallback when the request fails', async () => {
+      mockRpcEnv.mockServer.setError('getblockhash', rpcErrorScenarios.connectionRefused(), [5]);
+
+      const results = await Promise.all([
+        rpcModule.sendRpcRequest('getblockhash', [5]),
+        rpcModule.sendRpcRequest('getblockhash', [5])
+      ]);
+
+      expect(results).toEqual([null, null]);
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+
+      // Nothing is left pending, so the next call goes to the node again
+      await rpcModule.sendRpcRequest('getblockhash', [5]);
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Tip-aware Cache Invalidation', () => {
+    const tip = mockBlockchainInfo.blocks;
+    const hashKey = (height) => 'rpc:getblockhash:' +
+      crypto.createHash('md5').update(JSON.stringify([height])).digest('hex');
+
+    beforeEach(() => {
+      // Height-keyed entries need distinct cache keys
+      crypto.createHash.mockRestore();
+    });
+
+    test('should purge tip-dependent entries when a new tip arrives', async () => {
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      await rpcModule.sendRpcRequest('getmempoolinfo').catch(() => {});
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+
+      const outcome = rpcModule.notifyNewTip('mainnet', { height: tip + 1, hash: 'newtip', previousblockhash: 'oldtip' });
+      expect(outcome.reorg).toBe(false);
+      expect(outcome.purged).toBeGreaterThanOrEqual(1);
+
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(3);
+    });
+
+    test('should ignore repeat notifications for the current tip', () => {
+      const block = { height: tip + 1, hash: 'newtip', previousblockhash: 'oldtip' };
+      expect(rpcModule.notifyNewTip('mainnet', block)).not.toBeNull();
+      expect(rpcModule.notifyNewTip('mainnet', block)).toBeNull();
+      expect(rpcModule.notifyNewTip('nosuchnet', block)).toBeNull();
+    });
+
+    test('should cache near-tip block hashes briefly and deep ones for long', async () => {
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'deephash', [tip - 500]);
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'nearhash', [tip - 5]);
+
+      await rpcModule.sendRpcRequest('getblockhash', [tip - 500]);
+      await rpcModule.sendRpcRequest('getblockhash', [tip - 5]);
+
+      const ttlSeconds = (height) => (rpcModule.rpcCache.getTtl(hashKey(height)) - Date.now()) / 1000;
+      expect(ttlSeconds(tip - 500)).toBeGreaterThan(3000);
+      expect(ttlSeconds(tip - 5)).toBeLessThanOrEqual(30);
+    });
+
+    test('should evict near-tip hashes on a reorg and keep final ones', async () => {
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'deephash', [tip - 500]);
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'nearhash', [tip - 5]);
+      await rpcModule.sendRpcRequest('getblockhash', [tip - 500]);
+      await rpcModule.sendRpcRequest('getblockhash', [tip - 5]);
+      rpcModule.notifyNewTip('mainnet', { height: tip, hash: 'tipA' });
+
+      // Same height, different hash: the tip was replaced
+      const outcome = rpcModule.notifyNewTip('mainnet', { height: tip, hash: 'tipB' });
+
+      expect(outcome.reorg).toBe(true);
+      expect(rpcModule.rpcCache.get(hashKey(tip - 5))).toBeUndefined();
+      expect(rpcModule.rpcCache.get(hashKey(tip - 500))).toBe('deephash');
+    });
+
+    test('should not treat a block polled after getblockchaininfo reported its height as a reorg', async () => {
+      const consoleSpy = vi.spyOn(console, 'log');
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'nearhash', [tip - 5]);
+      await rpcModule.sendRpcRequest('getblockhash', [tip - 5]);
+      rpcModule.notifyNewTip('mainnet', { height: tip - 1, hash: 'prevtip' });
+
+      // Poll: getblockchaininfo already reports the new height, then the block is ingested
+      await rpcModule.sendRpcRequest('getblockchaininfo', [], true);
+      const outcome = rpcModule.notifyNewTip('mainnet', { height: tip, hash: 'newtip', previousblockhash: 'prevtip' });
+
+      expect(outcome.reorg).toBe(false);
+      expect(rpcModule.rpcCache.get(hashKey(tip - 5))).toBe('nearhash');
+      expect(consoleSpy).not.toHaveBeenCalledWith(expect.stringContaining('reorg detected'));
+    });
+
+    test('should detect a reorg from a mismatched previous block hash', async () => {
+      mockRpcEnv.mockServer.setResponse('getblockhash', 'hashA', [1000]);
+      await rpcModule.sendRpcRequest('getblockhash', [1000]);
+
+      expect(rpcModule.notifyNewTip('mainnet', { height: 1001, hash: 'h1001', previousblockhash: 'hashA' }).reorg).toBe(false);
+      expect(rpcModule.rpcCache.get(hashKey(1000))).toBe('hashA');
+
+      expect(rpcModule.notifyNewTip('mainnet', { height: 1002, hash: 'h1002', previousblockhash: 'h1001' }).reorg).toBe(false);
+      const outcome = rpcModule.notifyNewTip('mainnet', { height: 1001, hash: 'h1001b', previousblockhash: 'hashB' });
+      expect(outcome.reorg).toBe(true);
+      expect(rpcModule.rpcCache.get(hashKey(1000))).toBeUndefined();
+    });
+
+    test('should keep networks separate', async () => {
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      rpcModule.notifyNewTip('testnet', { height: 50, hash: 'testnettip' });
+
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Disk Cache Tier', () => {
+    const sqlite3 = require('sqlite3');
+    let db;
+
+    beforeEach(() => {
+      db = new sqlite3.Database(':memory:');
+    });
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    // Simulates a restart: fresh module, empty memory cache, same disk file
+    const restart = async () => {
+      delete require.cache[require.resolve('../../rpc.js')];
+      rpcModule = require('../../rpc.js');
+      await rpcModule.initDiskCache({ db });
+    };
+
+    test('should stay disabled unless a file is configured', async () => {
+      expect(await rpcModule.initDiskCache()).toBeNull();
+      expect(rpcModule.getCacheStats().disk).toBeNull();
+    });
+
+    test('should answer blocks from disk after a restart', async () => {
+      await rpcModule.initDiskCache({ db });
+      await rpcModule.sendRpcRequest('getblock', [mockBlocks[0].hash, 2]);
+      await new Promise(resolve => setTimeout(resolve, 20)); // let the write land
+
+      await restart();
+      mockedAxios.post.mockClear();
+
+      const block = await rpcModule.sendRpcRequest('getblock', [mockBlocks[0].hash, 2]);
+      expect(block).toEqual(mockBlocks[0]);
+      expect(mockedAxios.post).not.toHaveBeenCalled();
+      expect(rpcModule.getCacheStats()).toMatchObject({ diskHits: 1, disk: { hits: 1 } });
+    });
+
+    test('should answer batch entries from disk and send only the rest', async () => {
+      await rpcModule.initDiskCache({ db });
+      await rpcModule.sendRpcBatchRequest([{ method: 'getblock', params: [mockBlocks[0].hash, 2] }]);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      await restart();
+      mockedAxios.post.mockClear();
+
+      const results = await rpcModule.sendRpcBatchRequest([
+        { method: 'getblock', params: [mockBlocks[0].hash, 2] },
+        { method: 'getblockchaininfo', params: [] }
+      ]);
+
+      expect(results.map(r => r.result)).toEqual([mockBlocks[0], mockBlockchainInfo]);
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+      expect(mockedAxios.post.mock.calls[0][1].map(entry => entry.method)).toEqual(['getblockchaininfo']);
+    });
+
+    test('should not store confirmations or nextblockhash, and count them from the tip', async () => {
+      const disk = await rpcModule.initDiskCache({ db });
+      const hash = mockBlocks[0].hash;
+      const height = mockBlocks[0].height;
+      mockRpcEnv.mockServer.setResponse('getblock', { ...mockBlocks[0], confirmations: 1, nextblockhash: null }, [hash, 2]);
+
+      expect((await rpcModule.sendRpcRequest('getblock', [hash, 2])).confirmations).toBe(1);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const [stored] = (await disk.getMany([...rpcModule.rpcCache.keys()])).values();
+      expect(stored).toMatchObject({ hash, height });
+      expect(stored).not.toHaveProperty('confirmations');
+      expect(stored).not.toHaveProperty('nextblockhash');
+
+      // Served from the memory cache as the tip advances
+      rpcModule.notifyNewTip('mainnet', { height: height + 1, hash: 'next' });
+      expect((await rpcModule.sendRpcRequest('getblock', [hash, 2])).confirmations).toBe(2);
+      rpcModule.notifyNewTip('mainnet', { height: height + 9, hash: 'later' });
+      const cached = await rpcModule.sendRpcRequest('getblock', [hash, 2]);
+      expect(cached.confirmations).toBe(10);
+      expect(cached).not.toHaveProperty('nextblockhash');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not store tip-dependent or near-tip results', async () => {
+      const disk = await rpcModule.initDiskCache({ db });
+      await rpcModule.sendRpcRequest('getblockchaininfo');
+      await rpcModule.sendRpcRequest('getblockhash', [mockBlockchainInfo.blocks]);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(disk.getStats().writes).toBe(0);
+    });
   });
 });
 
@@ -0,0 +1,171 @@
+// RPC backend pool: parsing, ranking (cooldown > sync > score > config order),
+// health bookkeeping and background height probes.
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_OPTIONS,
+  parseBackendList,
+  buildBackendList,
+  scoreBackend,
+  rankBackends,
+  createBackendPool,
+} from '../../rpcpool.js';
+
+const state = (index, extra = {}) => ({
+  index,
+  url: `http://node${index}:14044`,
+  latencyMs: null,
+  errorRate: 0,
+  height: null,
+  downUntil: 0,
+  ...extra,
+});
+
+describe('parseBackendList / buildBackendList', () => {
+  it('parses comma-separated URLs and lifts embedded credentials', () => {
+    const out = parseBackendList(' http://a:14044 , http://bob:s%40cret@b:14044/ ');
+    expect(out).toEqual([
+      { url: 'http://a:14044', user: undefined, password: undefined },
+      { url: 'http://b:14044', user: 'bob', password: 's@cret' },
+    ]);
+  });
+
+  it('returns [] for empty input and skips malformed entries', () => {
+    expect(parseBackendList(undefined)).toEqual([]);
+    expect(parseBackendList('not a url,http://ok:1')).toEqual([
+      { url: 'http://ok:1', user: undefined, password: undefined },
+    ]);
+  });
+
+  it('puts the primary url first, dedupes, and inherits network credentials', () => {
+    const list = buildBackendList({
+      url: 'http://a:14044',
+      user: 'u',
+      password: 'p',
+      backends: [
+        { url: 'http://a:14044' },
+        { url: 'http://b:14044', user: 'x', password: 'y' },
+        { url: 'http://c:14044' },
+      ],
+    });
+    expect(list).toEqual([
+      { url: 'http://a:14044', user: 'u', password: 'p', cookieFile: null },
+      { url: 'http://b:14044', user: 'x', password: 'y', cookieFile: null },
+      { url: 'http://c:14044', user: 'u', password: 'p', cookieFile: null },
+    ]);
+  });
+
+  it('gives the network cookie file to the primary backend only', () => {
+    const list = buildBackendList({
+      url: 'http://a:14044',
+      cookieFile: '/data/.cookie',
+      backends: [{ url: 'http://b:14044' }],
+    });
+    expect(list[0].cookieFile).toBe('/data/.cookie');
+    expect(list[1].cookieFile).toBeNull();
+  });
+});
+
+describe('rankBackends', () => {
+  it('keeps configuration order on a tie', () => {
+    const ranked = rankBackends([state(0), state(1)], 1000);
+    expect(ranked.map((s) => s.index)).toEqual([0, 1]);
+  });
+
+  it('prefers the most-synced node over a faster lagging one', () => {
+    const ranked = rankBackends([
+      state(0, { height: 900, latencyMs: 5 }), // reindexing, far behind
+      state(1, { height: 1000, latencyMs: 80 }),
+    ], 1000);
+    expect(ranked[0].index).toBe(1);
+  });
+
+  it('treats nodes within maxLagBlocks as synced and then ranks by score', () => {
+    const ranked = rankBackends([
+      state(0, { height: 1000, latencyMs: 200 }),
+      state(1, { height: 1000 - DEFAULT_OPTIONS.maxLagBlocks, latencyMs: 20 }),
+    ], 1000);
+    expect(ranked[0].index).toBe(1);
+  });
+
+  it('penalizes a high error rate', () => {
+    const ranked = rankBackends([
+      state(0, { latencyMs: 50, errorRate: 0.8 }),
+      state(1, { latencyMs: 100, errorRate: 0 }),
+    ], 1000);
+    expect(scoreBackend(ranked[1])).toBeGreaterThan(scoreBackend(ranked[0]));
+    expect(ranked[0].index).toBe(1);
+  });
+
+  it('moves cooling-down backends to the end but still returns them', () => {
+    const ranked = rankBackends([
+      state(0, { downUntil: 5000 }),
+      state(1),
+    ], 1000);
+    expect(ranked.map((s) => s.index)).toEqual([1, 0]);
+  });
+});
+
+describe('createBackendPool', () => {
+  const backends = [{ url: 'http://a:1' }, { url: 'http://b:1' }];
+
+  it('fails over after a failure and recovers after the cooldown', () => {
+    let now = 0;
+    const pool = createBackendPool({ backends, nowFn: () => now });
+    const [a] = pool.select();
+    expect(a.url).toBe('http://a:1');
+
+    pool.recordFailure(a, new Error('ECONNREFUSED'));
+    expect(pool.select()[0].url).toBe('http://b:1');
+    const status = pool.getStatus();
+    expect(status[0]).toMatchObject({ url: 'http://a:1', healthy: false, failures: 1, lastError: 'ECONNREFUSED' });
+    expect(status[1].active).toBe(true);
+
+    // Healthy again after the cooldown, but the recent error keeps it behind b
+    // until successes (e.g. background probes) decay its error rate.
+    now += DEFAULT_OPTIONS.baseCooldownMs;
+    expect(pool.getStatus()[0].healthy).toBe(true);
+    expect(pool.select()[0].url).toBe('http://b:1');
+    pool.recordSuccess(pool.select()[0], 300); // b turns out slower
+    for (let i = 0; i < 10; i++) pool.recordSuccess(a, 100);
+    expect(pool.select()[0].url).toBe('http://a:1');
+  });
+
+  it('doubles the cooldown on consecutive failures up to the cap', () => {
+    let now = 0;
+    const pool = createBackendPool({ backends, nowFn: () => now });
+    const a = pool.select()[0];
+    pool.recordFailure(a, new Error('x'));
+    pool.recordFailure(a, new Error('x'));
+    now = DEFAULT_OPTIONS.baseCooldownMs; // still inside the doubled cooldown
+    expect(pool.select()[0].url).toBe('http://b:1');
+    for (let i = 0; i < 20; i++) pool.recordFailure(a, new Error('x'));
+    now += DEFAULT_OPTIONS.maxCooldownMs - 1;
+    expect(pool.getStatus()[0].healthy).toBe(false);
+    now += 1;
+    expect(pool.getStatus()[0].healthy).toBe(true);
+  });
+
+  it('probes every backend for heights and prefers the most-synced', async () => {
+    const probe = vi.fn(async (b) => ({ blocks: b.url === 'http://a:1' ? 10 : 500 }));
+    const pool = createBackendPool({ backends, probe, nowFn: () => 100000 });
+    await pool.maybeProbe();
+    expect(probe).toHaveBeenCalledTimes(2);
+    expect(pool.getStatus().map((s) => s.height)).toEqual([10, 500]);
+    expect(pool.select()[0].url).toBe('http://b:1');
+    // Throttled: a second call inside probeIntervalMs does nothing.
+    expect(pool.maybeProbe()).toBeNull();
+    expect(probe).toHaveBeenCalledTimes(2);
+  });
+
+  it('never probes a single-backend pool', () => {
+    const probe = vi.fn();
+    const pool = createBackendPool({ backends: [backends[0]], probe });
+    expect(pool.maybeProbe()).toBeNull();
+    expect(probe).not.toHaveBeenCalled();
+  });
+
+  it('does not expose credentials in status', () => {
+    const pool = createBackendPool({ backends: [{ url: 'http://a:1', user: 'u', password: 'secret' }] });
+    expect(JSON.stringify(pool.getStatus())).not.toContain('secret');
+  });
+});
@@ -0,0 +1,124 @@
+// RPC scheduler: priority classes, FIFO within a class, per-class caps,
+// idempotent release and queue-depth metrics.
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CLASS_CAPS,
+  normalizePriority,
+  createRpcScheduler,
+} from '../../rpcscheduler.js';
+
+// Let resolved acquire() promises run their continuations.
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/** Acquire a slot and record the label once it is granted. */
+function track(scheduler, priority, label, order) {
+  return scheduler.acquire(priority).then((release) => {
+    order.push(label);
+    return release;
+  });
+}
+
+describe('normalizePriority', () => {
+  it('defaults unknown or missing classes to interactive', () => {
+    expect(normalizePriority(undefined)).toBe('interactive');
+    expect(normalizePriority('urgent')).toBe('interactive');
+    expect(normalizePriority('background')).toBe('background');
+  });
+});
+
+describe('createRpcScheduler', () => {
+  it('grants slots immediately while under the limit', async () => {
+    const scheduler = createRpcScheduler({ maxConcurrent: 4 });
+    const releases = await Promise.all([
+      scheduler.acquire(),
+      scheduler.acquire('realtime'),
+    ]);
+    expect(scheduler.getStats().inFlight).toBe(2);
+    releases.forEach((release) => release());
+    expect(scheduler.getStats().inFlight).toBe(0);
+  });
+
+  it('serves waiters FIFO within a class', async () => {
+    const scheduler = createRpcScheduler({ maxConcurrent: 1 });
+    const order = [];
+    const first = await scheduler.acquire();
+    const waiters = ['a', 'b', 'c'].map((label) => track(scheduler, 'interactive', label, order));
+
+    first();
+    (await waiters[0])();
+    (await waiters[1])();
+    (await waiters[2])();
+    expect(order).toEqual(['a', 'b', 'c']);
+  });
+
+  it('hands a freed slot to the highest class with a waiter', async () => {
+    const scheduler = createRpcScheduler({ maxConcurrent: 1 });
+    const order = [];
+    const held = await scheduler.acquire('background');
+    const bg = track(scheduler, 'background', 'background', order);
+    const rt = track(scheduler, 'realtime', 'realtime', order);
+    const ui = track(scheduler, 'interactive', 'interactive', order);
+
+    held();
+    (await ui)();
+    (await rt)();
+    (await bg)();
+    expect(order).toEqual(['interactive', 'realtime', 'background']);
+  });
+
+  it('never lets background work take every slot', async () => {
+    const scheduler = createRpcScheduler({ maxConcurrent: 4 });
+    const order = [];
+    for (let i = 0; i < 6; i++) track(scheduler, 'background', `bg${i}`, order);
+    await flush();
+    expect(order).toHaveLength(DEFAULT_CLASS_CAPS.background);
+    expect(scheduler.getStats().byClass.background).toMatchObject({ inFlight: 2, queued: 4 });
+
+    // The live pipeline still gets a slot straight away.
+    const release = await scheduler.acquire('realtime');
+    expect(scheduler.getStats().byClass.realtime.inFlight).toBe(1);
+    release();
+  });
+
+  it('caps a class even when the network has spare slots', async () => {
+    const scheduler = createRpcScheduler({ maxConcurrent: 4, classCaps: { interactive: 1 } });
+    const order = [];
+    const first = await track(scheduler, 'interactive', 'a', order);
+    const second = track(scheduler, 'interactive', 'b', order);
+    await flush();
+    expect(order).toEqual(['a']);
+    first();
+    (await second)();
+    expect(order).toEqual(['a', 'b']);
+  });
+
+  it('ignores repeated release calls', async () => {
+    const scheduler = createRpcScheduler({ maxConcurrent: 2 });
+    const a = await scheduler.acquire();
+    await scheduler.acquire();
+    a();
+    a();
+    expect(scheduler.getStats().inFlight).toBe(1);
+  });
+
+  it('reports queue depth, dispatch counts and wait time per class', async () => {
+    let now = 1000;
+    const scheduler = createRpcScheduler({ maxConcurrent: 1, nowFn: () => now });
+    const held = await scheduler.acquire();
+    const waiting = [scheduler.acquire('background'), scheduler.acquire('background')];
+    await flush();
+
+    let stats = scheduler.getStats();
+    expect(stats).toMatchObject({ maxConcurrent: 1, inFlight: 1, queued: 2 });
+    expect(stats.byClass.background).toMatchObject({ queued: 2, maxQueueDepth: 2, dispatched: 0 });
+
+    now += 50;
+    held();
+    (await waiting[0])();
+    (await waiting[1])();
+    stats = scheduler.getStats();
+    expect(stats.queued).toBe(0);
+    expect(stats.byClass.interactive).toMatchObject({ dispatched: 1, avgWaitMs: 0 });
+    expect(stats.byClass.background).toMatchObject({ dispatched: 2, avgWaitMs: 50, maxQueueDepth: 2 });
+  });
+});